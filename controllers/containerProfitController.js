@@ -0,0 +1,374 @@
+const Purchase = require('../models/Purchase');
+const Sales = require('../models/Sales');
+const CreditNote = require('../models/CreditNote');
+const FreightInvoice = require('../models/FreightInvoice');
+const DubaiTransportInvoice = require('../models/DubaiTransportInvoice');
+const DubaiClearanceInvoice = require('../models/DubaiClearanceInvoice');
+const ContainerStatement = require('../models/ContainerStatement');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { getBaseQuantity, roundQuantity } = require('../utils/units');
+const { escapeRegex } = require('../utils/query');
+const { roundAmount } = require('../utils/numberFormatter');
+
+// A container's P&L in AED, excluding VAT. Revenue is what its invoices
+// earned after payment discounts and credit notes. Landed cost is the
+// purchase (goods and charges converted at its transfer rate) plus freight,
+// Dubai transport and clearance invoices and statement expenses carrying
+// the container number. A purchase with linked costs already holds the
+// freight invoices, so its freight is left to the freight bucket. Container
+// numbers are matched ignoring case. Quantities are in base units.
+
+const SORT_FIELDS = ['margin', 'marginPercent', 'revenue', 'landedCost', 'date'];
+
+const containerKey = (containerNo = '') => containerNo.trim().toLowerCase();
+
+// All documents that carry a container number, optionally for one container
+const loadContainerDocuments = async (organizationId, containerNo = '') => {
+  const match = (field) => (containerNo
+    ? { organizationId, [field]: { $regex: `^${escapeRegex(containerNo.trim())}$`, $options: 'i' } }
+    : { organizationId, [field]: { $exists: true, $nin: [null, ''] } });
+
+  const [purchases, sales, creditNotes, freightInvoices, dubaiTransportInvoices, dubaiClearanceInvoices, statements] = await Promise.all([
+    Purchase.find(match('containerNo')).select('containerNo product quantity rate lines subtotalPKR freight totalPKR totalAED transferRate linkedCosts createdAt').lean(),
+    Sales.find(match('containerNo')).select('containerNo invoiceNumber invoiceDate customer supplier product quantity rate vatAmount lines.quantity lines.unitFactor lines.baseQuantity lines.amount lines.vatAmount discountTotal').lean(),
+    CreditNote.find(match('containerNo')).select('containerNo creditNoteNumber creditNoteDate customer amount vatAmount').lean(),
+    FreightInvoice.find(match('container_number')).select('container_number invoice_number invoice_date amount_aed').lean(),
+    DubaiTransportInvoice.find(match('container_number')).select('container_number invoice_number invoice_date amount_aed vat_amount_aed').lean(),
+    DubaiClearanceInvoice.find(match('container_number')).select('container_number invoice_number invoice_date amount_aed vat_amount_aed agent').lean(),
+    ContainerStatement.find(match('containerNo')).select('containerNo expenses createdAt').lean()
+  ]);
+
+  return { purchases, sales, creditNotes, freightInvoices, dubaiTransportInvoices, dubaiClearanceInvoices, statements };
+};
+
+// Group the documents into one P&L per container. Each P&L keeps the
+// documents behind its figures for the single-container view.
+const buildContainerProfits = (documents) => {
+  const containers = new Map();
+
+  const getContainer = (containerNo) => {
+    const key = containerKey(containerNo);
+    if (!containers.has(key)) {
+      containers.set(key, {
+        containerNo: containerNo.trim(),
+        date: null,
+        products: [],
+        customers: [],
+        suppliers: [],
+        purchasedQuantity: 0,
+        soldQuantity: 0,
+        revenue: { sales: 0, discounts: 0, creditNotes: 0, net: 0 },
+        costs: { purchase: 0, freight: 0, dubaiTransport: 0, dubaiClearance: 0, expenses: 0 },
+        landedCost: 0,
+        margin: 0,
+        marginPercent: null,
+        hasPurchase: false,
+        firstSaleDate: null,
+        documents: []
+      });
+    }
+    return containers.get(key);
+  };
+
+  const addUnique = (list, value) => {
+    if (value && !list.some(item => item.toLowerCase() === value.toLowerCase())) list.push(value);
+  };
+
+  documents.purchases.forEach((purchase) => {
+    const container = getContainer(purchase.containerNo);
+    container.hasPurchase = true;
+    container.date = purchase.createdAt;
+    container.purchasedQuantity = roundQuantity(container.purchasedQuantity + Purchase.getLines(purchase).reduce((sum, line) => sum + getBaseQuantity(line), 0));
+    const linkedFreightAED = purchase.linkedCosts && purchase.transferRate > 0 ? (purchase.freight || 0) / purchase.transferRate : 0;
+    container.costs.purchase += (purchase.totalAED || 0) - linkedFreightAED;
+    Purchase.getLines(purchase).forEach((line) => {
+      addUnique(container.products, line.product);
+      container.documents.push({
+        type: 'purchase',
+        reference: purchase.containerNo,
+        date: purchase.createdAt,
+        description: `${line.product} x ${line.quantity}${line.unit ? ` ${line.unit}` : ''} - PKR ${Number(line.totalPKR || 0).toLocaleString('en-US')} at ${purchase.transferRate}`,
+        amount: line.totalAED || 0
+      });
+    });
+    if (linkedFreightAED > 0) {
+      container.documents.push({
+        type: 'purchase',
+        reference: purchase.containerNo,
+        date: purchase.createdAt,
+        description: 'Freight counted under freight invoices',
+        amount: -linkedFreightAED
+      });
+    }
+  });
+
+  documents.sales.forEach((sale) => {
+    const container = getContainer(sale.containerNo);
+    const lines = Sales.getLines(sale);
+    const netOfVat = lines.reduce((sum, line) => sum + (line.amount || 0) - (line.vatAmount || 0), 0);
+    container.revenue.sales += netOfVat;
+    container.revenue.discounts += sale.discountTotal || 0;
+    container.soldQuantity = roundQuantity(container.soldQuantity + lines.reduce((sum, line) => sum + getBaseQuantity(line), 0));
+    addUnique(container.customers, sale.customer);
+    addUnique(container.suppliers, sale.supplier);
+    if (!container.firstSaleDate || sale.invoiceDate < container.firstSaleDate) {
+      container.firstSaleDate = sale.invoiceDate;
+    }
+    container.documents.push({
+      type: 'sale',
+      reference: sale.invoiceNumber,
+      date: sale.invoiceDate,
+      description: sale.customer,
+      amount: netOfVat - (sale.discountTotal || 0)
+    });
+  });
+
+  documents.creditNotes.forEach((creditNote) => {
+    const container = getContainer(creditNote.containerNo);
+    const netOfVat = (creditNote.amount || 0) - (creditNote.vatAmount || 0);
+    container.revenue.creditNotes += netOfVat;
+    container.documents.push({
+      type: 'credit_note',
+      reference: creditNote.creditNoteNumber,
+      date: creditNote.creditNoteDate,
+      description: creditNote.customer,
+      amount: -netOfVat
+    });
+  });
+
+  const addCostInvoice = (invoice, bucket, type, description) => {
+    const container = getContainer(invoice.container_number);
+    const netOfVat = (invoice.amount_aed || 0) - (invoice.vat_amount_aed || 0);
+    container.costs[bucket] += netOfVat;
+    container.documents.push({
+      type,
+      reference: invoice.invoice_number,
+      date: invoice.invoice_date,
+      description,
+      amount: netOfVat
+    });
+  };
+  documents.freightInvoices.forEach(invoice => addCostInvoice(invoice, 'freight', 'freight_invoice', 'Freight'));
+  documents.dubaiTransportInvoices.forEach(invoice => addCostInvoice(invoice, 'dubaiTransport', 'dubai_transport_invoice', 'Dubai transport'));
+  documents.dubaiClearanceInvoices.forEach(invoice => addCostInvoice(invoice, 'dubaiClearance', 'dubai_clearance_invoice', `Clearance - ${invoice.agent}`));
+
+  documents.statements.forEach((statement) => {
+    const container = getContainer(statement.containerNo);
+    (statement.expenses || []).forEach((expense) => {
+      container.costs.expenses += expense.amount || 0;
+      container.documents.push({
+        type: 'expense',
+        reference: statement.containerNo,
+        date: statement.createdAt,
+        description: expense.description,
+        amount: expense.amount || 0
+      });
+    });
+  });
+
+  return [...containers.values()].map((container) => {
+    const revenue = {
+      sales: roundAmount(container.revenue.sales),
+      discounts: roundAmount(container.revenue.discounts),
+      creditNotes: roundAmount(container.revenue.creditNotes)
+    };
+    revenue.net = roundAmount(revenue.sales - revenue.discounts - revenue.creditNotes);
+
+    const costs = {};
+    Object.keys(container.costs).forEach((bucket) => {
+      costs[bucket] = roundAmount(container.costs[bucket]);
+    });
+    const landedCost = roundAmount(Object.values(costs).reduce((sum, value) => sum + value, 0));
+    const margin = roundAmount(revenue.net - landedCost);
+
+    container.documents.sort((a, b) => new Date(a.date) - new Date(b.date));
+    container.documents.forEach((document) => {
+      document.amount = roundAmount(document.amount);
+    });
+
+    return {
+      ...container,
+      // Containers without a purchase on record are dated by their first sale
+      date: container.date || container.firstSaleDate,
+      revenue,
+      costs,
+      landedCost,
+      margin,
+      marginPercent: revenue.net > 0 ? roundAmount((margin / revenue.net) * 100) : null
+    };
+  });
+};
+
+// Ranked P&L across containers dated within the range.
+// Returns { report } or { error } with a message.
+const buildContainerProfitRanking = async (req) => {
+  const { startDate, endDate, search = '', sortBy = 'margin', order = 'desc' } = req.query;
+
+  if (!SORT_FIELDS.includes(sortBy)) {
+    return { error: `sortBy must be one of ${SORT_FIELDS.join(', ')}` };
+  }
+
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+    return { error: 'startDate and endDate must be valid dates' };
+  }
+  if (end) end.setHours(23, 59, 59, 999);
+
+  const documents = await loadContainerDocuments(req.organizationId);
+  const direction = order === 'asc' ? 1 : -1;
+
+  const containers = buildContainerProfits(documents)
+    .filter(container => !search || container.containerNo.toLowerCase().includes(search.trim().toLowerCase()))
+    .filter(container => (!start || new Date(container.date) >= start) && (!end || new Date(container.date) <= end))
+    .sort((a, b) => {
+      // Containers without a margin percentage always rank last
+      const aValue = sortBy === 'date' ? new Date(a.date).getTime() : a[sortBy];
+      const bValue = sortBy === 'date' ? new Date(b.date).getTime() : b[sortBy];
+      if (aValue === null) return bValue === null ? 0 : 1;
+      if (bValue === null) return -1;
+      return (aValue - bValue) * direction;
+    })
+    .map(({ documents: containerDocuments, firstSaleDate, ...container }, index) => ({ rank: index + 1, ...container }));
+
+  const totals = containers.reduce((sum, container) => ({
+    revenue: sum.revenue + container.revenue.net,
+    landedCost: sum.landedCost + container.landedCost,
+    margin: sum.margin + container.margin
+  }), { revenue: 0, landedCost: 0, margin: 0 });
+  totals.revenue = roundAmount(totals.revenue);
+  totals.landedCost = roundAmount(totals.landedCost);
+  totals.margin = roundAmount(totals.margin);
+  totals.marginPercent = totals.revenue > 0 ? roundAmount((totals.margin / totals.revenue) * 100) : null;
+  totals.containers = containers.length;
+  totals.lossMaking = containers.filter(container => container.margin < 0).length;
+
+  return {
+    report: {
+      generatedAt: new Date(),
+      containers,
+      totals,
+      filters: { startDate: start, endDate: end, search, sortBy, order: direction === 1 ? 'asc' : 'desc' }
+    }
+  };
+};
+
+// P&L for one container, or null when nothing carries its number
+const buildContainerProfit = async (organizationId, containerNo) => {
+  const [profit] = buildContainerProfits(await loadContainerDocuments(organizationId, containerNo));
+  if (!profit) return null;
+
+  const { firstSaleDate, ...result } = profit;
+  return result;
+};
+
+// @desc    Get containers ranked by profitability for a date range
+// @route   GET /api/container-profit
+// @access  Private (Admin/Employee)
+const getContainerProfitRanking = async (req, res) => {
+  try {
+    const { report, error } = await buildContainerProfitRanking(req);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get container profit ranking error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Generate container profitability ranking PDF
+// @route   GET /api/container-profit/pdf
+// @access  Private (Admin/Employee)
+const generateContainerProfitRankingPDF = async (req, res) => {
+  try {
+    const { report, error } = await buildContainerProfitRanking(req);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        message: error
+      });
+    }
+
+    const pdf = new PDFGenerator(req.organization);
+    pdf.generateContainerProfitRanking(res, report);
+
+  } catch (error) {
+    console.error('Generate container profit ranking PDF error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate container profitability PDF'
+    });
+  }
+};
+
+// @desc    Get the P&L of one container
+// @route   GET /api/container-profit/:containerNo
+// @access  Private (Admin/Employee)
+const getContainerProfit = async (req, res) => {
+  try {
+    const profit = await buildContainerProfit(req.organizationId, req.params.containerNo);
+    if (!profit) {
+      return res.status(404).json({
+        error: 'Container not found',
+        message: 'No purchase, sale or cost document carries this container number'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profit
+    });
+
+  } catch (error) {
+    console.error('Get container profit error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Generate the P&L PDF of one container
+// @route   GET /api/container-profit/:containerNo/pdf
+// @access  Private (Admin/Employee)
+const generateContainerProfitPDF = async (req, res) => {
+  try {
+    const profit = await buildContainerProfit(req.organizationId, req.params.containerNo);
+    if (!profit) {
+      return res.status(404).json({
+        error: 'Container not found',
+        message: 'No purchase, sale or cost document carries this container number'
+      });
+    }
+
+    const pdf = new PDFGenerator(req.organization);
+    pdf.generateContainerProfit(res, profit);
+
+  } catch (error) {
+    console.error('Generate container profit PDF error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate container P&L PDF'
+    });
+  }
+};
+
+module.exports = {
+  getContainerProfitRanking,
+  generateContainerProfitRankingPDF,
+  getContainerProfit,
+  generateContainerProfitPDF
+};
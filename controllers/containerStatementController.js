@@ -1,31 +1,68 @@
 const ContainerStatement = require('../models/ContainerStatement');
 const Sales = require('../models/Sales');
+const CreditNote = require('../models/CreditNote');
 const PDFGenerator = require('../utils/pdfGenerator');
 const { ceilToTwoDecimals } = require('../utils/numberFormatter');
 
-const buildStatementDataFromSales = (salesData = []) => {
-  const products = salesData.map((sale, index) => {
-    const quantity = Number(sale.quantity) || 0;
-    const rate = Number(sale.rate) || 0;
-    const vatPercentage = Number(sale.vatPercentage) || 0;
-    
-    // Calculate amount WITHOUT discount for statement
-    // Statement should show the full amount before any discounts are applied
-    const subtotal = ceilToTwoDecimals(quantity * rate);
-    const vatAmount = ceilToTwoDecimals((subtotal * vatPercentage) / 100);
-    const totalAmount = ceilToTwoDecimals(subtotal + vatAmount);
-    const unitPrice = quantity > 0 ? ceilToTwoDecimals(totalAmount / quantity) : ceilToTwoDecimals(rate);
-
-    return {
-      srNo: index + 1,
-      product: sale.product,
-      description: sale.description || '',
-      quantity,
-      unitPrice,
-      amount: totalAmount,
-    };
+// Settlement rate from a request body: undefined when not given, null to
+// clear it, or false when it is not a positive number
+const parseTransferRate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const rate = Number(value);
+  return rate > 0 ? rate : false;
+};
+
+const invalidRateResponse = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid transfer rate',
+  message: 'Transfer rate (PKR per AED) must be greater than 0'
+});
+
+// Credit notes reduce gross sale: returned goods come off the line quantity,
+// allowances (credit lines without a quantity) come off the line amount
+const buildStatementDataFromSales = (salesData = [], creditNotes = []) => {
+  const returnedByLine = {};
+  const allowanceByLine = {};
+  creditNotes.forEach((creditNote) => {
+    (creditNote.lines || []).forEach((line) => {
+      const key = line.saleLineId.toString();
+      if (line.quantity > 0) {
+        returnedByLine[key] = (returnedByLine[key] || 0) + line.quantity;
+      } else {
+        allowanceByLine[key] = (allowanceByLine[key] || 0) + (line.amount || 0);
+      }
+    });
   });
 
+  const saleLines = salesData.flatMap(sale => Sales.getLines(sale));
+  const products = saleLines
+    .map((line) => {
+      const key = line._id ? line._id.toString() : '';
+      const quantity = (Number(line.quantity) || 0) - (returnedByLine[key] || 0);
+      const rate = Number(line.rate) || 0;
+      const vatPercentage = Number(line.vatPercentage) || 0;
+      
+      // Calculate amount WITHOUT discount for statement
+      // Statement should show the full amount before any discounts are applied
+      const subtotal = ceilToTwoDecimals(quantity * rate);
+      const vatAmount = ceilToTwoDecimals((subtotal * vatPercentage) / 100);
+      const totalAmount = ceilToTwoDecimals(Math.max(0, subtotal + vatAmount - (allowanceByLine[key] || 0)));
+      const unitPrice = quantity > 0 ? ceilToTwoDecimals(totalAmount / quantity) : ceilToTwoDecimals(rate);
+
+      return {
+        product: line.product,
+        description: line.description || '',
+        quantity,
+        unit: line.unit || '',
+        unitPrice,
+        amount: totalAmount,
+      };
+    })
+    // Fully returned lines drop off the statement
+    .filter((row) => row.quantity > 0)
+    .map((row, index) => ({ srNo: index + 1, ...row }));
+
   return { products };
 };
 
@@ -67,7 +104,8 @@ const hydrateStatementForContainer = async (organizationId, containerNo, userId)
     });
   }
 
-  const statementData = buildStatementDataFromSales(salesData);
+  const creditNotes = await CreditNote.find({ containerNo, organizationId });
+  const statementData = buildStatementDataFromSales(salesData, creditNotes);
   syncStatementWithSalesData(statement, statementData, userId);
   await statement.save();
 
@@ -120,6 +158,10 @@ const getContainerStatement = async (req, res) => {
 const createContainerStatement = async (req, res) => {
   try {
     const { containerNo, products, expenses } = req.body;
+    const transferRate = parseTransferRate(req.body.transferRate);
+    if (transferRate === false) {
+      return invalidRateResponse(res);
+    }
 
     if (!containerNo) {
       return res.status(400).json({
@@ -148,6 +190,7 @@ const createContainerStatement = async (req, res) => {
       containerNo,
       products: products || [],
       expenses: expenses || [],
+      transferRate: transferRate || null,
       createdBy: req.user.id
     });
 
@@ -176,6 +219,10 @@ const updateContainerStatement = async (req, res) => {
   try {
     const { id } = req.params;
     const { products, expenses } = req.body;
+    const transferRate = parseTransferRate(req.body.transferRate);
+    if (transferRate === false) {
+      return invalidRateResponse(res);
+    }
 
     const statement = await ContainerStatement.findOne({ _id: id, organizationId: req.organizationId });
 
@@ -190,6 +237,7 @@ const updateContainerStatement = async (req, res) => {
     // Update fields
     if (products) statement.products = products;
     if (expenses) statement.expenses = expenses;
+    if (transferRate !== undefined) statement.transferRate = transferRate;
     statement.updatedBy = req.user.id;
 
     await statement.save();
@@ -548,7 +596,7 @@ module.exports = {
       const companyName = salesData[0]
         ? (salesData[0].supplier || salesData[0].customer || '')
         : '';
-      const uniqueMarkas = Array.from(new Set(salesData.map((s) => s.marka).filter(Boolean)));
+      const uniqueMarkas = Array.from(new Set(salesData.flatMap(sale => Sales.getLines(sale)).map((line) => line.marka).filter(Boolean)));
       const srNo = uniqueMarkas.length > 0 ? uniqueMarkas[0] : '';
       await pdf.generateContainerStatement(res, statement, { companyName, srNo });
     } catch (error) {
@@ -0,0 +1,449 @@
+const CreditNote = require('../models/CreditNote');
+const Sales = require('../models/Sales');
+const Receipt = require('../models/Receipt');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { ceilToTwoDecimals } = require('../utils/numberFormatter');
+const { getNextDocumentNumber } = require('../utils/documentNumbering');
+const { resolveLineUnits } = require('../utils/units');
+const { escapeRegex } = require('../utils/query');
+
+// Price the requested credit lines against the sale's invoice lines. A line
+// either returns goods (priced at the line rate less its share of the line
+// discount) or carries an explicit amount, e.g. an allowance for rejected goods.
+// No line is credited beyond its value after discount less earlier credits.
+// Returned quantities are in the invoice line's unit.
+// Returns { lines } or { error } with a user-facing message.
+const buildCreditNoteLines = (sale, requestedLines, { returnedByLine, creditedByLine }) => {
+  const lines = [];
+
+  for (const requested of requestedLines) {
+    const saleLine = sale.lines.id(requested.saleLineId);
+    if (!saleLine) {
+      return { error: `Invoice line ${requested.saleLineId} does not exist on ${sale.invoiceNumber}` };
+    }
+
+    const quantity = Number(requested.quantity) || 0;
+    const alreadyReturned = returnedByLine[saleLine._id.toString()] || 0;
+    if (quantity > saleLine.quantity - alreadyReturned) {
+      return {
+        error: `Cannot return ${quantity} of ${saleLine.product}; only ${saleLine.quantity - alreadyReturned} remain on the invoice`
+      };
+    }
+
+    const lineValue = Math.max(0, (saleLine.quantity * saleLine.rate) - (Number(saleLine.discount) || 0));
+    const creditLeft = ceilToTwoDecimals(Math.max(0, lineValue - (creditedByLine[saleLine._id.toString()] || 0)));
+
+    let subtotal;
+    if (requested.amount !== undefined && requested.amount !== null && requested.amount !== '') {
+      subtotal = Number(requested.amount) || 0;
+      if (subtotal > creditLeft) {
+        return {
+          error: `Credit for ${saleLine.product} cannot exceed AED ${creditLeft.toLocaleString('en-AE', { minimumFractionDigits: 2 })}, what is left of the line after earlier credits`
+        };
+      }
+    } else {
+      const discountShare = saleLine.quantity > 0
+        ? (Number(saleLine.discount) || 0) * (quantity / saleLine.quantity)
+        : 0;
+      // Goods coming back after an allowance are credited up to what is left
+      subtotal = Math.min(creditLeft, Math.max(0, (quantity * saleLine.rate) - discountShare));
+    }
+
+    if (subtotal <= 0) {
+      return { error: `Credit for ${saleLine.product} must have a returned quantity or an amount greater than 0` };
+    }
+
+    lines.push({
+      saleLineId: saleLine._id,
+      product: saleLine.product,
+      marka: saleLine.marka,
+      description: saleLine.description,
+      quantity,
+      unit: saleLine.unit || '',
+      unitFactor: saleLine.unitFactor || 1,
+      baseUnit: saleLine.baseUnit || '',
+      rate: saleLine.rate,
+      vatPercentage: saleLine.vatPercentage || 0,
+      subtotal: ceilToTwoDecimals(subtotal)
+    });
+  }
+
+  return { lines };
+};
+
+// @desc    Issue a credit note against a sale
+// @route   POST /api/credit-notes
+// @access  Private (Admin/Employee)
+const createCreditNote = async (req, res) => {
+  try {
+    const { saleId, creditNoteDate, type = 'return', reason } = req.body;
+
+    if (!saleId || !String(saleId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid sale ID',
+        message: 'Sale ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const sale = await Sales.findOne({ _id: saleId, organizationId: req.organizationId });
+    if (!sale) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        message: 'Sale does not exist'
+      });
+    }
+
+    const credits = await CreditNote.getSaleCredits(req.organizationId, sale._id);
+    const { lines, error } = buildCreditNoteLines(sale, req.body.lines || [], credits);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid credit note',
+        message: error
+      });
+    }
+
+    // Part of a unit can only come back where the unit allows decimals
+    const fractionalLines = lines.filter(line => !Number.isInteger(line.quantity));
+    if (fractionalLines.length > 0) {
+      const { error: unitError } = await resolveLineUnits(
+        req.organizationId,
+        fractionalLines.map(line => ({ product: line.product, unit: line.unit, quantity: line.quantity }))
+      );
+      if (unitError) {
+        return res.status(400).json(unitError);
+      }
+    }
+
+    const totalCredit = ceilToTwoDecimals(
+      lines.reduce((sum, line) => {
+        const vatAmount = ceilToTwoDecimals((line.subtotal * line.vatPercentage) / 100);
+        return sum + line.subtotal + vatAmount;
+      }, 0)
+    );
+
+    if (totalCredit > sale.amount) {
+      return res.status(400).json({
+        error: 'Credit exceeds invoice',
+        message: `Credit note total (AED ${totalCredit.toLocaleString('en-AE', { minimumFractionDigits: 2 })}) cannot exceed the invoice amount after discounts and earlier credits (AED ${sale.amount.toLocaleString('en-AE', { minimumFractionDigits: 2 })}).`
+      });
+    }
+
+    // Credit beyond what is still owed on the invoice was already paid for;
+    // it is held as customer credit for other invoices
+    const customerCreditAmount = ceilToTwoDecimals(Math.max(0, totalCredit - Math.max(0, sale.outstandingAmount)));
+
+    const creditNoteDateValue = creditNoteDate ? new Date(creditNoteDate) : new Date();
+    const creditNoteNumber = await getNextDocumentNumber(req.organizationId, 'credit_note', creditNoteDateValue);
+    const creditNote = new CreditNote({
+      organizationId: req.organizationId,
+      creditNoteNumber,
+      saleId: sale._id,
+      invoiceNumber: sale.invoiceNumber,
+      customer: sale.customer,
+      supplier: sale.supplier,
+      containerNo: sale.containerNo,
+      creditNoteDate: creditNoteDateValue,
+      type,
+      reason,
+      lines,
+      customerCreditAmount,
+      createdBy: req.user.id
+    });
+
+    await creditNote.save();
+
+    if (customerCreditAmount > 0) {
+      const receipt = await new Receipt({
+        organizationId: req.organizationId,
+        receiptNumber: await getNextDocumentNumber(req.organizationId, 'receipt', creditNoteDateValue),
+        customer: sale.customer,
+        amount: customerCreditAmount,
+        paymentMethod: 'other',
+        reference: creditNoteNumber,
+        notes: `Credit from credit note ${creditNoteNumber} on paid invoice ${sale.invoiceNumber}`,
+        receiptDate: creditNoteDateValue,
+        allocations: [],
+        unappliedAmount: customerCreditAmount,
+        creditNoteId: creditNote._id,
+        receivedBy: req.user.id
+      }).save();
+      creditNote.receiptId = receipt._id;
+      await creditNote.save();
+    }
+
+    // Reduce the sale's amount and outstanding balance
+    await sale.syncCreditNotes();
+    sale.updatedBy = req.user.id;
+    await sale.save();
+
+    res.status(201).json({
+      success: true,
+      message: customerCreditAmount > 0
+        ? `Credit note created successfully; AED ${customerCreditAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })} held as customer credit`
+        : 'Credit note created successfully',
+      data: creditNote,
+      sale: {
+        _id: sale._id,
+        amount: sale.amount,
+        creditTotal: sale.creditTotal,
+        outstandingAmount: sale.outstandingAmount,
+        status: sale.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Create credit note error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get credit notes with filtering and pagination
+// @route   GET /api/credit-notes
+// @access  Private (Admin/Employee)
+const getCreditNotes = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      saleId = '',
+      customer = '',
+      containerNo = '',
+      type = '',
+      startDate = '',
+      endDate = ''
+    } = req.query;
+
+    const query = { organizationId: req.organizationId };
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { creditNoteNumber: { $regex: pattern, $options: 'i' } },
+        { invoiceNumber: { $regex: pattern, $options: 'i' } },
+        { customer: { $regex: pattern, $options: 'i' } },
+        { containerNo: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    if (saleId && saleId.match(/^[0-9a-fA-F]{24}$/)) {
+      query.saleId = saleId;
+    }
+
+    if (customer) {
+      query.customer = { $regex: escapeRegex(customer), $options: 'i' };
+    }
+
+    if (containerNo) {
+      query.containerNo = { $regex: escapeRegex(containerNo), $options: 'i' };
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (startDate || endDate) {
+      query.creditNoteDate = {};
+      if (startDate) query.creditNoteDate.$gte = new Date(startDate);
+      if (endDate) query.creditNoteDate.$lte = new Date(endDate);
+    }
+
+    const pageNumber = parseInt(page) || 1;
+    const limitNumber = parseInt(limit) || 10;
+
+    const creditNotes = await CreditNote.find(query)
+      .populate({ path: 'createdBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .sort({ creditNoteDate: -1, createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await CreditNote.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: creditNotes,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        totalPages: Math.ceil(total / limitNumber)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get credit note by ID
+// @route   GET /api/credit-notes/:id
+// @access  Private (Admin/Employee)
+const getCreditNoteById = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid credit note ID',
+        message: 'Credit note ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const creditNote = await CreditNote.findOne({ _id: req.params.id, organizationId: req.organizationId })
+      .populate({ path: 'createdBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .populate({ path: 'saleId', select: 'invoiceNumber invoiceDate amount outstandingAmount status', match: { organizationId: req.organizationId } });
+
+    if (!creditNote) {
+      return res.status(404).json({
+        error: 'Credit note not found',
+        message: 'Credit note does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: creditNote
+    });
+
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Print credit note PDF
+// @route   GET /api/credit-notes/:id/print
+// @access  Private (Admin/Employee)
+const printCreditNote = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid credit note ID',
+        message: 'Credit note ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const creditNote = await CreditNote.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!creditNote) {
+      return res.status(404).json({
+        error: 'Credit note not found',
+        message: 'Credit note does not exist'
+      });
+    }
+
+    const sale = await Sales.findOne({ _id: creditNote.saleId, organizationId: req.organizationId })
+      .select('invoiceDate');
+
+    const pdfGenerator = new PDFGenerator(req.organization);
+    pdfGenerator.generateCreditNote(res, creditNote, { invoiceDate: sale ? sale.invoiceDate : null });
+
+  } catch (error) {
+    console.error('Print credit note error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate credit note PDF'
+    });
+  }
+};
+
+// @desc    Delete credit note
+// @route   DELETE /api/credit-notes/:id
+// @access  Private (Admin only)
+const deleteCreditNote = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid credit note ID',
+        message: 'Credit note ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const { password } = req.body;
+
+    // Verify admin password
+    const User = require('../models/User');
+    const user = await User.findOne({ _id: req.user.id, organizationId: req.organizationId }).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User does not exist'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Admin password is incorrect'
+      });
+    }
+
+    const creditNote = await CreditNote.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!creditNote) {
+      return res.status(404).json({
+        error: 'Credit note not found',
+        message: 'Credit note does not exist'
+      });
+    }
+
+    // Customer credit from the note can only go while none of it has been applied
+    const creditReceipt = creditNote.receiptId
+      ? await Receipt.findOne({ _id: creditNote.receiptId, organizationId: req.organizationId })
+      : null;
+    if (creditReceipt && creditReceipt.allocations.length > 0) {
+      return res.status(400).json({
+        error: 'Customer credit applied',
+        message: `Credit from this note on receipt ${creditReceipt.receiptNumber} has been applied to invoices. Delete those payments first.`
+      });
+    }
+
+    await CreditNote.deleteOne({ _id: creditNote._id, organizationId: req.organizationId });
+    if (creditReceipt) {
+      await Receipt.deleteOne({ _id: creditReceipt._id, organizationId: req.organizationId });
+    }
+
+    // Restore the sale's outstanding balance
+    const sale = await Sales.findOne({ _id: creditNote.saleId, organizationId: req.organizationId });
+    if (sale) {
+      await sale.syncCreditNotes();
+      sale.updatedBy = req.user.id;
+      await sale.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Credit note deleted successfully',
+      sale: sale ? {
+        _id: sale._id,
+        amount: sale.amount,
+        creditTotal: sale.creditTotal,
+        outstandingAmount: sale.outstandingAmount,
+        status: sale.status
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Delete credit note error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createCreditNote,
+  getCreditNotes,
+  getCreditNoteById,
+  printCreditNote,
+  deleteCreditNote
+};
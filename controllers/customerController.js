@@ -1,11 +1,262 @@
 const Customer = require('../models/Customer');
+const Sales = require('../models/Sales');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const Receipt = require('../models/Receipt');
+const Quotation = require('../models/Quotation');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { ceilToTwoDecimals } = require('../utils/numberFormatter');
+const { writeAuditLog } = require('../utils/auditLogger');
+const { escapeRegex } = require('../utils/query');
+
+// Invoice value before payment discounts and credit notes, which appear on the
+// statement as their own rows
+const getInvoiceGrossAmount = (sale) => {
+  if (sale.lines && sale.lines.length > 0) {
+    return ceilToTwoDecimals(sale.lines.reduce((sum, line) => sum + (line.amount || 0), 0));
+  }
+  return ceilToTwoDecimals((sale.amount || 0) + (sale.discountTotal || 0) + (sale.creditTotal || 0));
+};
+
+// Same-day rows are listed invoice first, then credits, then money received
+const STATEMENT_TYPE_ORDER = { invoice: 0, credit_note: 1, payment: 2, receipt: 2, discount: 3 };
+
+// Sales for the customer: linked by ID, or under their name when not linked yet
+const customerSalesMatch = (customer) => ({
+  $or: [
+    { customerId: customer._id },
+    { customerId: null, customer: { $regex: `^${escapeRegex(customer.ename.trim())}$`, $options: 'i' } }
+  ]
+});
+
+// Sales, credit notes, receipts and quotations keep the customer's name as a
+// snapshot; carry a rename onto all of them so reports show the new name
+const renameCustomerReferences = async (organizationId, customer, previousName) => {
+  const previousNameMatch = { $regex: `^${escapeRegex(previousName.trim())}$`, $options: 'i' };
+
+  await Promise.all([
+    Sales.updateMany(
+      { organizationId, ...customerSalesMatch({ _id: customer._id, ename: previousName }) },
+      { $set: { customerId: customer._id, customer: customer.ename } }
+    ),
+    ...[CreditNote, Receipt, Quotation].map(Model => Model.updateMany(
+      { organizationId, customer: previousNameMatch },
+      { $set: { customer: customer.ename } }
+    ))
+  ]);
+};
+
+// Builds the customer's statement of account for [startDate, endDate]:
+// an opening balance, every invoice/payment/discount/credit note in date
+// order with a running balance, and the closing balance. Receipts count in
+// full on their date, so advances and overpayments held as credit show as a
+// negative balance until applied.
+const buildCustomerStatement = async (organizationId, customer, startDate, endDate) => {
+  const sales = await Sales.find({
+    organizationId,
+    ...customerSalesMatch(customer),
+    invoiceDate: { $lte: endDate }
+  }).select('invoiceNumber invoiceDate dueDate containerNo lines amount discountTotal creditTotal createdAt');
+
+  const saleIds = sales.map(sale => sale._id);
+  const invoiceNumbers = new Map(sales.map(sale => [sale._id.toString(), sale.invoiceNumber]));
+
+  const [payments, creditNotes, receipts] = await Promise.all([
+    Payment.find({ organizationId, saleId: { $in: saleIds }, paymentDate: { $lte: endDate } }),
+    CreditNote.find({ organizationId, saleId: { $in: saleIds }, creditNoteDate: { $lte: endDate } }),
+    Receipt.find({
+      organizationId,
+      customer: { $regex: `^${escapeRegex(customer.ename.trim())}$`, $options: 'i' },
+      receiptDate: { $lte: endDate }
+    })
+  ]);
+
+  const entries = [];
+
+  sales.forEach((sale) => {
+    entries.push({
+      date: sale.invoiceDate,
+      type: 'invoice',
+      reference: sale.invoiceNumber,
+      description: `Invoice${sale.containerNo ? ` - Container ${sale.containerNo}` : ''}`,
+      debit: getInvoiceGrossAmount(sale),
+      credit: 0,
+      createdAt: sale.createdAt
+    });
+  });
+
+  creditNotes.forEach((creditNote) => {
+    entries.push({
+      date: creditNote.creditNoteDate,
+      type: 'credit_note',
+      reference: creditNote.creditNoteNumber,
+      description: `Credit note against ${creditNote.invoiceNumber}${creditNote.reason ? ` - ${creditNote.reason}` : ''}${creditNote.customerCreditAmount > 0 ? `; AED ${creditNote.customerCreditAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })} held as credit` : ''}`,
+      debit: 0,
+      credit: creditNote.amount || 0,
+      createdAt: creditNote.createdAt
+    });
+  });
+
+  // Money on a receipt is shown once, as the receipt, at its full amount
+  payments.forEach((payment) => {
+    const invoiceNumber = invoiceNumbers.get(payment.saleId.toString()) || '';
+
+    if (payment.amount > 0 && !payment.receiptId) {
+      entries.push({
+        date: payment.paymentDate,
+        type: 'payment',
+        reference: payment.reference || invoiceNumber,
+        description: `Payment (${(payment.paymentMethod || 'cash').replace('_', ' ')}) for ${invoiceNumber}`,
+        debit: 0,
+        credit: payment.amount,
+        createdAt: payment.createdAt
+      });
+    }
+
+    if (payment.discount > 0) {
+      entries.push({
+        date: payment.paymentDate,
+        type: 'discount',
+        reference: invoiceNumber,
+        description: `Discount allowed on ${invoiceNumber}`,
+        debit: 0,
+        credit: payment.discount,
+        createdAt: payment.createdAt
+      });
+    }
+  });
+
+  // Credit held from a credit note is already shown as the credit note
+  receipts.filter(receipt => !receipt.creditNoteId).forEach((receipt) => {
+    const invoices = receipt.allocations.map(allocation => allocation.invoiceNumber);
+    const method = (receipt.paymentMethod || 'cash').replace('_', ' ');
+    const heldAsCredit = receipt.unappliedAmount > 0
+      ? `${invoices.length > 0 ? '; ' : ' - '}AED ${receipt.unappliedAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })} held as credit`
+      : '';
+
+    entries.push({
+      date: receipt.receiptDate,
+      type: 'receipt',
+      reference: receipt.receiptNumber,
+      description: `Receipt (${method})${invoices.length > 0 ? ` for ${invoices.join(', ')}` : ''}${heldAsCredit}`,
+      debit: 0,
+      credit: ceilToTwoDecimals(receipt.amount),
+      createdAt: receipt.createdAt
+    });
+  });
+
+  entries.sort((a, b) => (
+    new Date(a.date) - new Date(b.date)
+    || STATEMENT_TYPE_ORDER[a.type] - STATEMENT_TYPE_ORDER[b.type]
+    || new Date(a.createdAt) - new Date(b.createdAt)
+  ));
+
+  const priorEntries = entries.filter(entry => new Date(entry.date) < startDate);
+  const periodEntries = entries.filter(entry => new Date(entry.date) >= startDate);
+  const openingBalance = ceilToTwoDecimals(
+    priorEntries.reduce((sum, entry) => sum + entry.debit - entry.credit, 0)
+  );
+
+  let balance = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const transactions = periodEntries.map(({ createdAt, ...entry }) => {
+    balance += entry.debit - entry.credit;
+    totalDebit += entry.debit;
+    totalCredit += entry.credit;
+    return { ...entry, balance: ceilToTwoDecimals(balance) };
+  });
+
+  return {
+    openingBalance,
+    transactions,
+    totals: {
+      debit: ceilToTwoDecimals(totalDebit),
+      credit: ceilToTwoDecimals(totalCredit)
+    },
+    closingBalance: ceilToTwoDecimals(openingBalance + totalDebit - totalCredit),
+    // Credit still waiting to be applied to invoices, as of today
+    unappliedCredit: ceilToTwoDecimals(receipts.reduce((sum, receipt) => sum + (receipt.unappliedAmount || 0), 0))
+  };
+};
+
+// Parses the statement period; defaults to the current month to date.
+// Returns { startDate, endDate } or { error }.
+const parseStatementPeriod = ({ startDate, endDate }) => {
+  const now = new Date();
+  const start = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = endDate ? new Date(endDate) : new Date(now);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'Start date and end date must be valid dates' };
+  }
+
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+
+  if (start > end) {
+    return { error: 'Start date must be before end date' };
+  }
+
+  return { startDate: start, endDate: end };
+};
+
+// Shared lookup for the statement endpoints. Returns { customer, statement }
+// or sends the error response and returns null.
+const loadCustomerStatement = async (req, res) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      error: 'Invalid customer ID',
+      message: 'Customer ID must be a valid 24-character hexadecimal string'
+    });
+    return null;
+  }
+
+  const period = parseStatementPeriod(req.query);
+  if (period.error) {
+    res.status(400).json({
+      error: 'Invalid period',
+      message: period.error
+    });
+    return null;
+  }
+
+  const customer = await Customer.findOne({ _id: req.params.id, organizationId: req.organizationId });
+  if (!customer) {
+    res.status(404).json({
+      error: 'Customer not found',
+      message: 'Customer does not exist'
+    });
+    return null;
+  }
+
+  const statement = await buildCustomerStatement(req.organizationId, customer, period.startDate, period.endDate);
+
+  return {
+    customer,
+    statement: {
+      customer: {
+        _id: customer._id,
+        name: customer.ename,
+        trn: customer.trn || '',
+        email: customer.email || '',
+        number: customer.number || ''
+      },
+      period: {
+        startDate: period.startDate,
+        endDate: period.endDate
+      },
+      ...statement
+    }
+  };
+};
 
 // @desc    Create new customer
 // @route   POST /api/customers
 // @access  Private (Admin/Employee)
 const createCustomer = async (req, res) => {
   try {
-    const { ename, uname, email, number, trn } = req.body;
+    const { ename, uname, email, number, trn, priceGroup } = req.body;
 
     // Check if customer with same English name already exists
     const existingCustomer = await Customer.findOne({ 
@@ -28,6 +279,7 @@ const createCustomer = async (req, res) => {
       email,
       number,
       trn,
+      priceGroup: priceGroup || '',
       createdBy: req.user.id
     });
 
@@ -174,7 +426,7 @@ const updateCustomer = async (req, res) => {
       });
     }
 
-    const { ename, uname, email, number, trn, isActive } = req.body;
+    const { ename, uname, email, number, trn, priceGroup, isActive } = req.body;
 
     const customer = await Customer.findOne({ _id: req.params.id, organizationId: req.organizationId });
 
@@ -201,12 +453,15 @@ const updateCustomer = async (req, res) => {
       }
     }
 
+    const previousName = customer.ename;
+
     // Update customer
     customer.ename = ename;
     customer.uname = uname;
     customer.email = email;
     customer.number = number;
     customer.trn = trn;
+    if (priceGroup !== undefined) customer.priceGroup = priceGroup;
     if (typeof isActive === 'boolean') {
       customer.isActive = isActive;
     }
@@ -214,6 +469,10 @@ const updateCustomer = async (req, res) => {
 
     await customer.save();
 
+    if (previousName !== customer.ename) {
+      await renameCustomerReferences(req.organizationId, customer, previousName);
+    }
+
     res.json({
       success: true,
       message: 'Customer updated successfully',
@@ -229,6 +488,79 @@ const updateCustomer = async (req, res) => {
   }
 };
 
+// @desc    Set a customer's credit limit, payment terms and hold flag
+// @route   PUT /api/customers/:id/credit
+// @access  Private (Admin only)
+const updateCustomerCredit = async (req, res) => {
+  try {
+    // Check if ID is valid ObjectId
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid customer ID',
+        message: 'Customer ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const customer = await Customer.findOne({ _id: req.params.id, organizationId: req.organizationId });
+
+    if (!customer) {
+      return res.status(404).json({
+        error: 'Customer not found',
+        message: 'Customer does not exist'
+      });
+    }
+
+    const previous = {
+      creditLimit: customer.creditLimit,
+      paymentTermsDays: customer.paymentTermsDays,
+      onHold: customer.onHold,
+      holdReason: customer.holdReason
+    };
+
+    // null clears a limit or terms
+    const { creditLimit, paymentTermsDays, onHold, holdReason } = req.body;
+    if (creditLimit !== undefined) customer.creditLimit = creditLimit === null ? null : Number(creditLimit);
+    if (paymentTermsDays !== undefined) customer.paymentTermsDays = paymentTermsDays === null ? null : Number(paymentTermsDays);
+    if (typeof onHold === 'boolean') customer.onHold = onHold;
+    if (holdReason !== undefined) customer.holdReason = holdReason;
+    if (!customer.onHold) customer.holdReason = undefined;
+    customer.updatedBy = req.user.id;
+
+    await customer.save();
+
+    await writeAuditLog({
+      req,
+      action: 'customer.credit_updated',
+      resourceType: 'customer',
+      resourceId: customer._id,
+      organizationId: req.organizationId,
+      metadata: {
+        customer: customer.ename,
+        previous,
+        current: {
+          creditLimit: customer.creditLimit,
+          paymentTermsDays: customer.paymentTermsDays,
+          onHold: customer.onHold,
+          holdReason: customer.holdReason
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer credit terms updated successfully',
+      data: customer
+    });
+
+  } catch (error) {
+    console.error('Update customer credit error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // @desc    Deactivate customer
 // @route   DELETE /api/customers/:id
 // @access  Private (Admin/Employee)
@@ -362,13 +694,59 @@ const getCustomerStatistics = async (req, res) => {
   }
 };
 
+// @desc    Get customer statement of account
+// @route   GET /api/customers/:id/statement
+// @access  Private (Admin/Employee)
+const getCustomerStatement = async (req, res) => {
+  try {
+    const result = await loadCustomerStatement(req, res);
+    if (!result) return;
+
+    res.json({
+      success: true,
+      data: result.statement
+    });
+
+  } catch (error) {
+    console.error('Get customer statement error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download customer statement of account PDF
+// @route   GET /api/customers/:id/statement/pdf
+// @access  Private (Admin/Employee)
+const downloadCustomerStatementPDF = async (req, res) => {
+  try {
+    const result = await loadCustomerStatement(req, res);
+    if (!result) return;
+
+    const pdfGenerator = new PDFGenerator(req.organization);
+    pdfGenerator.generateCustomerStatement(res, result.statement);
+
+  } catch (error) {
+    console.error('Customer statement PDF error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate customer statement PDF'
+    });
+  }
+};
+
 module.exports = {
   createCustomer,
   getCustomers,
   getCustomerById,
   updateCustomer,
+  updateCustomerCredit,
   deactivateCustomer,
   activateCustomer,
   searchCustomersByName,
-  getCustomerStatistics
+  getCustomerStatistics,
+  getCustomerStatement,
+  downloadCustomerStatementPDF,
+  parseStatementPeriod
 }; 
\ No newline at end of file
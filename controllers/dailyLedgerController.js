@@ -1,5 +1,7 @@
 const DailyLedger = require('../models/DailyLedger');
 const LedgerEntry = require('../models/LedgerEntry');
+const Receipt = require('../models/Receipt');
+const { writeAuditLog } = require('../utils/auditLogger');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 
@@ -16,11 +18,47 @@ const findDailyLedger = (organizationId, date) => DailyLedger.findOne({
   date: dayRange(date)
 });
 
+const isDailyLedgerClosed = async (organizationId, date) => {
+  const dailyLedger = await findDailyLedger(organizationId, date);
+  return Boolean(dailyLedger && dailyLedger.is_closed);
+};
+
+// Check a posting that touches the ledgers of `dates` before making it. A
+// closed day is left as it was and the posting goes to today's ledger as an
+// adjustment, which needs `postToOpenDay` and today's ledger to be open.
+// Returns null when the posting can go ahead, else the 409 error body.
+const checkClosedDayPosting = async (organizationId, dates, postToOpenDay) => {
+  const closedDays = [];
+  for (const date of dates.filter(Boolean)) {
+    if (await isDailyLedgerClosed(organizationId, date)) {
+      closedDays.push(new Date(date).toLocaleDateString('en-GB'));
+    }
+  }
+  if (closedDays.length === 0) return null;
+
+  const days = [...new Set(closedDays)].join(', ');
+  if (await isDailyLedgerClosed(organizationId, new Date())) {
+    return {
+      error: 'Daily ledger closed',
+      message: `The daily ledger for ${days} is closed, and so is today's. There is no open day to post the adjustment to.`
+    };
+  }
+  if (!postToOpenDay) {
+    return {
+      error: 'Daily ledger closed',
+      message: `The daily ledger for ${days} is closed. Resubmit with postToOpenDay to post this as an adjustment on today's ledger.`
+    };
+  }
+  return null;
+};
+
 const findLedgerEntries = (organizationId, date) => LedgerEntry.find({
   organizationId,
   ledger_date: dayRange(date)
 }).sort({ created_at: 1 });
 
+const toLedgerMode = (paymentMethod) => (paymentMethod === 'cash' ? 'cash' : 'bank');
+
 const createOrUpdateLedger = (organizationId, date, data) => {
   const start = new Date(date);
   start.setHours(0, 0, 0, 0);
@@ -475,51 +513,267 @@ const updateDailyLedgerTotals = async (organizationId, date) => {
   }
 };
 
+// Daily ledger for the date, created with zero opening balances when missing
+const ensureDailyLedger = async (organizationId, date) => {
+  const dailyLedger = await findDailyLedger(organizationId, date);
+  if (dailyLedger) return dailyLedger;
+  return createOrUpdateLedger(organizationId, date, {
+    opening_cash: 0,
+    opening_bank: 0
+  });
+};
+
+// Ledger entry posted for a sales payment. Receipt allocations share the
+// receipt's entry; payments recorded before entries were linked are matched
+// on sale, amount and either the payment date or the day it was entered.
+const findSalesPaymentEntry = async (organizationId, payment) => {
+  if (payment.ledgerEntryId) {
+    return LedgerEntry.findOne({ _id: payment.ledgerEntryId, organizationId });
+  }
+
+  if (payment.receiptId) {
+    const receipt = await Receipt.findOne({ _id: payment.receiptId, organizationId }).select('ledgerEntryId');
+    return receipt && receipt.ledgerEntryId
+      ? LedgerEntry.findOne({ _id: receipt.ledgerEntryId, organizationId })
+      : null;
+  }
+
+  return LedgerEntry.findOne({
+    organizationId,
+    reference_type: 'sales_payment',
+    reference_model: 'Sales',
+    reference_id: payment.saleId,
+    type: 'receipt',
+    amount: payment.amount,
+    $or: [
+      { ledger_date: dayRange(payment.paymentDate || payment.createdAt) },
+      { ledger_date: dayRange(payment.createdAt || payment.paymentDate) }
+    ]
+  }).sort({ created_at: 1 });
+};
+
+// Post an entry of the opposite type to today's ledger that cancels `entry`.
+// Callers check with checkClosedDayPosting that today's ledger is open.
+const postReversalEntry = async (organizationId, entry) => {
+  const today = new Date();
+  await ensureDailyLedger(organizationId, today);
+
+  const reversal = await new LedgerEntry({
+    organizationId,
+    ledger_date: today,
+    type: entry.type === 'receipt' ? 'payment' : 'receipt',
+    mode: entry.mode,
+    description: `Reversal of ${entry.description} (${entry.ledger_date.toLocaleDateString('en-GB')})`,
+    amount: entry.amount,
+    reference_type: entry.reference_type,
+    reference_id: entry.reference_id,
+    reference_model: entry.reference_model,
+    reverses_entry: entry._id
+  }).save();
+
+  await updateDailyLedgerTotals(organizationId, today);
+  return reversal;
+};
+
+// Take a sales receipt or purchase payment out of the cash book. An entry on
+// a day that is still open is removed; a closed day is left as it was and a
+// reversing entry is posted to today's ledger. Either way the audit log
+// records the entry, what it was posted for and why it went. Returns the
+// reversing entry, if any.
+const reversePaymentEntry = async (organizationId, entry, { req = null, reason = '', metadata = {} } = {}) => {
+  const dailyLedger = await findDailyLedger(organizationId, entry.ledger_date);
+  let reversal = null;
+
+  if (!dailyLedger || !dailyLedger.is_closed) {
+    await LedgerEntry.deleteOne({ _id: entry._id, organizationId });
+    await updateDailyLedgerTotals(organizationId, entry.ledger_date);
+  } else {
+    reversal = await postReversalEntry(organizationId, entry);
+  }
+
+  await writeAuditLog({
+    req,
+    action: `ledger.${entry.reference_type}_${reversal ? 'reversed' : 'removed'}`,
+    resourceType: 'ledger',
+    resourceId: entry._id,
+    organizationId,
+    metadata: {
+      reason,
+      ledgerDate: entry.ledger_date,
+      type: entry.type,
+      mode: entry.mode,
+      amount: entry.amount,
+      description: entry.description,
+      referenceModel: entry.reference_model,
+      referenceId: entry.reference_id,
+      reversalEntryId: reversal ? reversal._id : null,
+      ...metadata
+    }
+  });
+
+  return reversal;
+};
+
+// Ledger days that adjustSalesPaymentEntry with these changes touches: the
+// entry's day and the new payment date, or none when nothing changes
+const getEntryChangeDays = (entry, { amount, paymentMethod, description, ledgerDate }) => {
+  const mode = paymentMethod ? toLedgerMode(paymentMethod) : entry.mode;
+  const targetDate = ledgerDate ? new Date(ledgerDate) : entry.ledger_date;
+  if (entry.amount === amount && entry.mode === mode && !description && targetDate.toDateString() === entry.ledger_date.toDateString()) {
+    return [];
+  }
+  return [entry.ledger_date, targetDate];
+};
+
+// Change the amount, mode or day of a posted sales receipt. `ledgerDate`
+// moves the entry to a new payment date. While both days are open the entry
+// is edited in place. Otherwise the entry is reversed (see
+// reversePaymentEntry) and the corrected receipt posted on the payment
+// date, or on today's ledger when that day is closed; callers check the
+// days from getEntryChangeDays with checkClosedDayPosting first. Returns the
+// entry that now carries the payment, or null when the new amount is zero.
+const adjustSalesPaymentEntry = async (organizationId, entry, { amount, paymentMethod, description, ledgerDate, ...options }) => {
+  if (getEntryChangeDays(entry, { amount, paymentMethod, description, ledgerDate }).length === 0) {
+    return entry;
+  }
+  const mode = paymentMethod ? toLedgerMode(paymentMethod) : entry.mode;
+  const targetDate = ledgerDate ? new Date(ledgerDate) : entry.ledger_date;
+  const sameDay = targetDate.toDateString() === entry.ledger_date.toDateString();
+
+  const entryDayClosed = await isDailyLedgerClosed(organizationId, entry.ledger_date);
+  const targetDayClosed = sameDay ? entryDayClosed : await isDailyLedgerClosed(organizationId, targetDate);
+
+  if (!entryDayClosed && !targetDayClosed && amount > 0) {
+    const previousDate = entry.ledger_date;
+    await ensureDailyLedger(organizationId, targetDate);
+    entry.amount = amount;
+    entry.mode = mode;
+    entry.ledger_date = targetDate;
+    if (description) entry.description = description;
+    await entry.save();
+    await updateDailyLedgerTotals(organizationId, targetDate);
+    if (!sameDay) await updateDailyLedgerTotals(organizationId, previousDate);
+    return entry;
+  }
+
+  await reversePaymentEntry(organizationId, entry, options);
+  if (amount <= 0) return null;
+
+  const postingDate = targetDayClosed ? new Date() : targetDate;
+  await ensureDailyLedger(organizationId, postingDate);
+  const replacement = await new LedgerEntry({
+    organizationId,
+    ledger_date: postingDate,
+    type: 'receipt',
+    mode,
+    description: `${description || entry.description} (corrected)`,
+    amount,
+    reference_type: entry.reference_type,
+    reference_id: entry.reference_id,
+    reference_model: entry.reference_model
+  }).save();
+
+  await updateDailyLedgerTotals(organizationId, postingDate);
+  return replacement;
+};
+
 // Auto-create ledger entry for sales payment
-const createSalesPaymentEntry = async (organizationId, saleId, paymentAmount, paymentMethod) => {
+// Posts a sales receipt to the ledger of `options.paymentDate` (default today).
+// When that day is already closed the receipt is posted to today's ledger as
+// an adjustment; callers decide beforehand whether that is allowed. Pass
+// `options.receipt` to post one entry for a receipt that pays several
+// invoices instead of a single sale.
+const createSalesPaymentEntry = async (organizationId, saleId, paymentAmount, paymentMethod, options = {}) => {
   try {
-    const sale = await require('./salesController').getSaleByIdHelper(saleId, organizationId);
-    if (!sale) {
-      console.error('Sale not found for ID:', saleId);
-      return;
+    const { receipt = null } = options;
+    const paymentDate = options.paymentDate ? new Date(options.paymentDate) : new Date();
+    let description;
+    let referenceId = saleId;
+    let referenceModel = 'Sales';
+
+    if (receipt) {
+      const invoiceCount = receipt.allocations.length;
+      description = `Receipt #${receipt.receiptNumber} from ${receipt.customer} (${invoiceCount} invoice${invoiceCount === 1 ? '' : 's'})`;
+      referenceId = receipt._id;
+      referenceModel = 'Receipt';
+    } else {
+      const sale = await require('./salesController').getSaleByIdHelper(saleId, organizationId);
+      if (!sale) {
+        console.error('Sale not found for ID:', saleId);
+        return;
+      }
+      description = `Payment received for Invoice #${sale.invoiceNumber}`;
     }
     
-    const paymentDate = new Date();
-    const mode = paymentMethod === 'cash' ? 'cash' : 'bank';
-    
-    // Check if daily ledger exists for today
-    let dailyLedger = await findDailyLedger(organizationId, paymentDate);
-    if (!dailyLedger) {
-      // Create daily ledger with zero opening balances
-      dailyLedger = await createOrUpdateLedger(organizationId, paymentDate, {
-        opening_cash: 0,
-        opening_bank: 0
-      });
+    let ledgerDate = paymentDate;
+    if (await isDailyLedgerClosed(organizationId, paymentDate)) {
+      ledgerDate = new Date();
+      description = `${description} - adjustment for ${paymentDate.toLocaleDateString('en-GB')} (day closed)`;
     }
+
+    const mode = toLedgerMode(paymentMethod);
+    
+    await ensureDailyLedger(organizationId, ledgerDate);
     
     // Create ledger entry
     const entry = new LedgerEntry({
       organizationId,
-      ledger_date: paymentDate,
+      ledger_date: ledgerDate,
       type: 'receipt',
       mode: mode,
-      description: `Payment received for Invoice #${sale.invoiceNumber}`,
+      description,
       amount: paymentAmount,
       reference_type: 'sales_payment',
-      reference_id: saleId,
-      reference_model: 'Sales'
+      reference_id: referenceId,
+      reference_model: referenceModel
     });
     
     await entry.save();
     
     // Update daily ledger totals
-    await updateDailyLedgerTotals(organizationId, paymentDate);
+    await updateDailyLedgerTotals(organizationId, ledgerDate);
+
+    return entry;
     
   } catch (error) {
     console.error('Error creating sales payment entry:', error);
   }
 };
 
+// Posts a supplier payment to the ledger of its payment date, or to today's
+// ledger as an adjustment when that day is closed. The ledger is kept in AED.
+// A remittance for a consigned container has no purchase and is posted
+// against the supplier.
+const createPurchasePaymentEntry = async (organizationId, purchase, payment) => {
+  const paymentDate = new Date(payment.paymentDate);
+  const supplier = (purchase ? purchase.supplier : payment.supplier) || 'supplier';
+  const containerNo = purchase ? purchase.containerNo : payment.containerNo;
+  let description = `${purchase ? 'Payment' : 'Remittance'} to ${supplier} for container ${containerNo} (PKR ${payment.amountPKR.toLocaleString('en-US')} at ${payment.transferRate})`;
+
+  let ledgerDate = paymentDate;
+  if (await isDailyLedgerClosed(organizationId, paymentDate)) {
+    ledgerDate = new Date();
+    description = `${description} - adjustment for ${paymentDate.toLocaleDateString('en-GB')} (day closed)`;
+  }
+
+  await ensureDailyLedger(organizationId, ledgerDate);
+
+  const entry = await new LedgerEntry({
+    organizationId,
+    ledger_date: ledgerDate,
+    type: 'payment',
+    mode: toLedgerMode(payment.paymentMethod),
+    description,
+    amount: Math.round(payment.amountAED * 100) / 100,
+    reference_type: 'purchase_payment',
+    reference_id: purchase ? purchase._id : payment.supplierId,
+    reference_model: purchase ? 'Purchase' : 'Supplier'
+  }).save();
+
+  await updateDailyLedgerTotals(organizationId, ledgerDate);
+  return entry;
+};
+
 module.exports = {
   getDailyLedger,
   createOrUpdateDailyLedger,
@@ -530,5 +784,14 @@ module.exports = {
   closeDailyLedger,
   getLedgerSummary,
   exportToPDF,
-  createSalesPaymentEntry
+  isDailyLedgerClosed,
+  checkClosedDayPosting,
+  ensureDailyLedger,
+  updateDailyLedgerTotals,
+  createSalesPaymentEntry,
+  findSalesPaymentEntry,
+  reversePaymentEntry,
+  getEntryChangeDays,
+  adjustSalesPaymentEntry,
+  createPurchasePaymentEntry
 };
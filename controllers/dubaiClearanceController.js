@@ -1,8 +1,9 @@
 const DubaiClearanceInvoice = require('../models/DubaiClearanceInvoice');
 const DubaiClearancePayment = require('../models/DubaiClearancePayment');
-const Counter = require('../models/Counter');
+const { getNextDocumentNumber } = require('../utils/documentNumbering');
 const { validationResult } = require('express-validator');
 const PDFGenerator = require('../utils/pdfGenerator');
+const { refreshLinkedPurchases } = require('../utils/landedCost');
 
 // Get all Dubai clearance invoices with pagination and filters
 const getDubaiClearanceInvoices = async (req, res) => {
@@ -28,7 +29,8 @@ const getDubaiClearanceInvoices = async (req, res) => {
     if (search) {
       query.$or = [
         { invoice_number: { $regex: search, $options: 'i' } },
-        { agent: { $regex: search, $options: 'i' } }
+        { agent: { $regex: search, $options: 'i' } },
+        { container_number: { $regex: search, $options: 'i' } }
       ];
     }
 
@@ -103,11 +105,10 @@ const createDubaiClearanceInvoice = async (req, res) => {
       });
     }
 
-    const { amount_pkr, conversion_rate, amount_aed, agent, invoice_date, due_date } = req.body;
+    const { amount_pkr, conversion_rate, amount_aed, vat_amount_aed, agent, container_number, invoice_date, due_date } = req.body;
 
     // Generate invoice number
-    const sequence = await Counter.getNextSequence(req.organizationId, 'dubai_clearance_invoice');
-    const invoice_number = `DC-${sequence.toString().padStart(4, '0')}`;
+    const invoice_number = await getNextDocumentNumber(req.organizationId, 'dubai_clearance_invoice', invoice_date);
 
     const invoice = new DubaiClearanceInvoice({
       organizationId: req.organizationId,
@@ -115,13 +116,16 @@ const createDubaiClearanceInvoice = async (req, res) => {
       amount_pkr,
       conversion_rate,
       amount_aed,
+      vat_amount_aed: vat_amount_aed || 0,
       agent,
+      container_number,
       invoice_date,
       due_date,
       createdBy: req.user._id
     });
 
     await invoice.save();
+    await refreshLinkedPurchases(req.organizationId, { containerNo: invoice.container_number });
 
     res.status(201).json({
       success: true,
@@ -176,7 +180,7 @@ const updateDubaiClearanceInvoice = async (req, res) => {
       });
     }
 
-    const { amount_pkr, conversion_rate, amount_aed, agent, invoice_date, due_date } = req.body;
+    const { amount_pkr, conversion_rate, amount_aed, vat_amount_aed, agent, container_number, invoice_date, due_date } = req.body;
 
     const invoice = await DubaiClearanceInvoice.findOneAndUpdate(
       { _id: req.params.id, organizationId: req.organizationId },
@@ -184,7 +188,10 @@ const updateDubaiClearanceInvoice = async (req, res) => {
         amount_pkr,
         conversion_rate,
         amount_aed,
+        // Edits from forms without the VAT field keep the stored VAT
+        ...(vat_amount_aed !== undefined ? { vat_amount_aed: vat_amount_aed || 0 } : {}),
         agent,
+        container_number,
         invoice_date,
         due_date,
         updatedBy: req.user._id
@@ -199,6 +206,8 @@ const updateDubaiClearanceInvoice = async (req, res) => {
       });
     }
 
+    await refreshLinkedPurchases(req.organizationId, { containerNo: invoice.container_number, invoiceId: invoice._id });
+
     res.json({
       success: true,
       message: 'Dubai clearance invoice updated successfully',
@@ -227,6 +236,7 @@ const deleteDubaiClearanceInvoice = async (req, res) => {
 
     // Delete associated payments
     await DubaiClearancePayment.deleteMany({ invoiceId: req.params.id, organizationId: req.organizationId });
+    await refreshLinkedPurchases(req.organizationId, { containerNo: invoice.container_number, invoiceId: invoice._id });
 
     res.json({
       success: true,
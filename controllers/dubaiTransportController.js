@@ -2,6 +2,7 @@ const DubaiTransportInvoice = require('../models/DubaiTransportInvoice');
 const DubaiTransportPayment = require('../models/DubaiTransportPayment');
 const { validationResult } = require('express-validator');
 const PDFGenerator = require('../utils/pdfGenerator');
+const { refreshLinkedPurchases } = require('../utils/landedCost');
 
 const buildInvoiceQuery = (queryParams) => {
   const {
@@ -95,7 +96,7 @@ const createDubaiTransportInvoice = async (req, res) => {
       });
     }
 
-    const { invoice_number, description, container_number, amount_aed, invoice_date, due_date } = req.body;
+    const { invoice_number, description, container_number, amount_aed, vat_amount_aed, invoice_date, due_date } = req.body;
 
     const invoice = new DubaiTransportInvoice({
       organizationId: req.organizationId,
@@ -103,12 +104,14 @@ const createDubaiTransportInvoice = async (req, res) => {
       description,
       container_number,
       amount_aed,
+      vat_amount_aed: vat_amount_aed || 0,
       invoice_date,
       due_date,
       createdBy: req.user._id
     });
 
     await invoice.save();
+    await refreshLinkedPurchases(req.organizationId, { containerNo: invoice.container_number });
 
     res.status(201).json({
       success: true,
@@ -164,7 +167,7 @@ const updateDubaiTransportInvoice = async (req, res) => {
       });
     }
 
-    const { invoice_number, description, container_number, amount_aed, invoice_date, due_date } = req.body;
+    const { invoice_number, description, container_number, amount_aed, vat_amount_aed, invoice_date, due_date } = req.body;
 
     const invoice = await DubaiTransportInvoice.findOneAndUpdate(
       { _id: req.params.id, organizationId: req.organizationId },
@@ -173,6 +176,8 @@ const updateDubaiTransportInvoice = async (req, res) => {
         description,
         container_number,
         amount_aed,
+        // Edits from forms without the VAT field keep the stored VAT
+        ...(vat_amount_aed !== undefined ? { vat_amount_aed: vat_amount_aed || 0 } : {}),
         invoice_date,
         due_date,
         updatedBy: req.user._id
@@ -187,6 +192,8 @@ const updateDubaiTransportInvoice = async (req, res) => {
       });
     }
 
+    await refreshLinkedPurchases(req.organizationId, { containerNo: invoice.container_number, invoiceId: invoice._id });
+
     res.json({
       success: true,
       message: 'Dubai transport invoice updated successfully',
@@ -216,6 +223,7 @@ const deleteDubaiTransportInvoice = async (req, res) => {
     }
 
     await DubaiTransportPayment.deleteMany({ invoiceId: req.params.id, organizationId: req.organizationId });
+    await refreshLinkedPurchases(req.organizationId, { containerNo: invoice.container_number, invoiceId: invoice._id });
 
     res.json({
       success: true,
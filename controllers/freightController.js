@@ -1,6 +1,7 @@
 const FreightInvoice = require('../models/FreightInvoice');
 const FreightPayment = require('../models/FreightPayment');
 const PDFGenerator = require('../utils/pdfGenerator');
+const { refreshLinkedPurchases } = require('../utils/landedCost');
 
 const buildInvoiceQuery = (queryParams) => {
   const {
@@ -65,6 +66,7 @@ const createFreightInvoice = async (req, res) => {
     });
 
     await freightInvoice.save();
+    await refreshLinkedPurchases(req.organizationId, { containerNo: freightInvoice.container_number });
     const saved = freightInvoice.toObject();
     saved._id = saved._id.toString();
 
@@ -149,6 +151,7 @@ const updateFreightInvoice = async (req, res) => {
     freightInvoice.updatedBy = req.user.id;
 
     await freightInvoice.save();
+    await refreshLinkedPurchases(req.organizationId, { containerNo: freightInvoice.container_number, invoiceId: freightInvoice._id });
     const updated = freightInvoice.toObject();
     updated._id = updated._id.toString();
 
@@ -273,6 +276,7 @@ const deleteFreightInvoice = async (req, res) => {
     }
 
     await FreightInvoice.findOneAndDelete({ _id: id, organizationId: req.organizationId });
+    await refreshLinkedPurchases(req.organizationId, { containerNo: freightInvoice.container_number, invoiceId: freightInvoice._id });
 
     res.json({ success: true, message: 'Freight invoice deleted successfully' });
   } catch (error) {
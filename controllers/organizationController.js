@@ -1,5 +1,14 @@
 const Organization = require('../models/Organization');
 const { pickOrganizationFields } = require('./platformController');
+const { refreshOverdueStatuses } = require('../utils/overdueStatusJob');
+const NumberingScheme = require('../models/NumberingScheme');
+const {
+  DOCUMENT_TYPES,
+  SCHEME_FIELDS,
+  getNumberingScheme,
+  validateNumberingScheme,
+  previewNextDocumentNumber
+} = require('../utils/documentNumbering');
 
 const getOwnOrganization = async (req, res) => {
   try {
@@ -33,4 +42,106 @@ const updateOwnOrganization = async (req, res) => {
   }
 };
 
-module.exports = { getOwnOrganization, updateOwnOrganization };
+const runOverdueStatusJob = async (req, res) => {
+  try {
+    const result = await refreshOverdueStatuses({
+      organizationId: req.organizationId,
+      req,
+      trigger: 'organization'
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Run overdue status job error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Saved or default scheme for a type with the number the next document gets
+const describeNumberingScheme = async (organizationId, documentType) => {
+  const [scheme, saved] = await Promise.all([
+    getNumberingScheme(organizationId, documentType),
+    NumberingScheme.exists({ organizationId, documentType })
+  ]);
+  return {
+    ...scheme,
+    label: DOCUMENT_TYPES[documentType].label,
+    isDefault: !saved,
+    nextNumber: await previewNextDocumentNumber(organizationId, documentType, scheme)
+  };
+};
+
+// Current scheme with the fields from the request body applied
+const mergeNumberingScheme = async (organizationId, documentType, body) => {
+  const scheme = await getNumberingScheme(organizationId, documentType);
+  SCHEME_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) scheme[field] = body[field];
+  });
+  scheme.padding = Number(scheme.padding);
+  return scheme;
+};
+
+const listNumberingSchemes = async (req, res) => {
+  try {
+    const schemes = await Promise.all(
+      Object.keys(DOCUMENT_TYPES).map(documentType => describeNumberingScheme(req.organizationId, documentType))
+    );
+    res.json({ success: true, data: schemes });
+  } catch (error) {
+    console.error('List numbering schemes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const previewNumberingScheme = async (req, res) => {
+  try {
+    const { documentType } = req.params;
+    if (!DOCUMENT_TYPES[documentType]) return res.status(404).json({ error: 'Unknown document type' });
+
+    const scheme = await mergeNumberingScheme(req.organizationId, documentType, req.body);
+    const validationError = validateNumberingScheme(scheme);
+    if (validationError) return res.status(400).json({ error: 'Invalid numbering scheme', message: validationError });
+
+    res.json({
+      success: true,
+      data: {
+        ...scheme,
+        nextNumber: await previewNextDocumentNumber(req.organizationId, documentType, scheme)
+      }
+    });
+  } catch (error) {
+    console.error('Preview numbering scheme error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const updateNumberingScheme = async (req, res) => {
+  try {
+    const { documentType } = req.params;
+    if (!DOCUMENT_TYPES[documentType]) return res.status(404).json({ error: 'Unknown document type' });
+
+    const scheme = await mergeNumberingScheme(req.organizationId, documentType, req.body);
+    const validationError = validateNumberingScheme(scheme);
+    if (validationError) return res.status(400).json({ error: 'Invalid numbering scheme', message: validationError });
+
+    const fields = SCHEME_FIELDS.reduce((acc, field) => ({ ...acc, [field]: scheme[field] }), {});
+    await NumberingScheme.findOneAndUpdate(
+      { organizationId: req.organizationId, documentType },
+      { ...fields, updatedBy: req.user.id },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ success: true, data: await describeNumberingScheme(req.organizationId, documentType) });
+  } catch (error) {
+    console.error('Update numbering scheme error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getOwnOrganization,
+  updateOwnOrganization,
+  runOverdueStatusJob,
+  listNumberingSchemes,
+  previewNumberingScheme,
+  updateNumberingScheme
+};
@@ -3,11 +3,12 @@ const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const { writeAuditLog } = require('../utils/auditLogger');
 const { generateToken } = require('../utils/token');
+const { refreshOverdueStatuses } = require('../utils/overdueStatusJob');
 
 const ORGANIZATION_FIELDS = [
   'name', 'slug', 'legalName', 'tradingName', 'trn', 'address',
   'phone', 'email', 'website', 'logoUrl', 'branding', 'status',
-  'plan', 'seatLimit'
+  'plan', 'seatLimit', 'stockPolicy'
 ];
 
 const pickOrganizationFields = (body) => ORGANIZATION_FIELDS.reduce((result, field) => {
@@ -647,6 +648,16 @@ const listAuditLogs = async (req, res) => {
   }
 };
 
+const runOverdueStatusJob = async (req, res) => {
+  try {
+    const result = await refreshOverdueStatuses({ req, trigger: 'platform' });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Run overdue status job error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 module.exports = {
   createOrganization,
   getOrganizations,
@@ -665,5 +676,6 @@ module.exports = {
   listSuperadmins,
   createSuperadmin,
   setSuperadminActive,
-  listAuditLogs
+  listAuditLogs,
+  runOverdueStatusJob
 };
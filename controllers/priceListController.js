@@ -0,0 +1,400 @@
+const PriceList = require('../models/PriceList');
+const Customer = require('../models/Customer');
+const Sales = require('../models/Sales');
+const Product = require('../models/Product');
+const { resolvePrices, getLastSaleRates, getNetLineRate } = require('../utils/priceList');
+const { toBaseUnit, roundQuantity } = require('../utils/units');
+const { escapeRegex } = require('../utils/query');
+const { roundAmount } = require('../utils/numberFormatter');
+
+const roundRate = (value) => Math.round((value + Number.EPSILON) * 10000) / 10000;
+
+// Customer for a price or a lookup, given by `customerId` or by exact name.
+// Returns { customerDoc }, with null when none was given, or { error }.
+const resolveCustomer = async (organizationId, { customer = '', customerId = '' }) => {
+  if (!customerId && !customer.trim()) return { customerDoc: null };
+  if (customerId && !customerId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: { error: 'Invalid customer ID' } };
+  }
+
+  const customerDoc = customerId
+    ? await Customer.findOne({ _id: customerId, organizationId })
+    : await Customer.findOne({ organizationId, ename: { $regex: `^${escapeRegex(customer.trim())}$`, $options: 'i' } });
+  if (!customerDoc) {
+    return {
+      error: {
+        error: 'Customer not found',
+        message: `${customer ? `"${customer}"` : 'The selected customer'} is not in the customer list.`
+      }
+    };
+  }
+  return { customerDoc };
+};
+
+// Price fields from the request body. `validTo` runs to the end of its day.
+const buildPriceFields = (body) => {
+  const fields = {
+    product: body.product,
+    customerGroup: body.customerGroup || '',
+    rate: Number(body.rate),
+    floorRate: body.floorRate === undefined || body.floorRate === null || body.floorRate === '' ? null : Number(body.floorRate),
+    validFrom: body.validFrom ? new Date(body.validFrom) : new Date(),
+    validTo: null,
+    notes: body.notes || ''
+  };
+  if (body.validTo) {
+    fields.validTo = new Date(body.validTo);
+    fields.validTo.setHours(23, 59, 59, 999);
+  }
+  if (typeof body.isActive === 'boolean') fields.isActive = body.isActive;
+  return fields;
+};
+
+// @desc    Get price list
+// @route   GET /api/price-lists
+// @access  Private (Admin/Employee)
+const getPriceLists = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, product = '', customer = '', customerGroup = '', scope = '', activeOn = '' } = req.query;
+    const query = { organizationId: req.organizationId };
+
+    if (product) {
+      query.product = { $regex: escapeRegex(product), $options: 'i' };
+    }
+    if (customer) {
+      query.customer = { $regex: escapeRegex(customer), $options: 'i' };
+    }
+    if (customerGroup) {
+      query.customerGroup = { $regex: `^${escapeRegex(customerGroup.trim())}$`, $options: 'i' };
+    }
+    if (scope === 'customer') {
+      query.customerId = { $ne: null };
+    } else if (scope === 'group') {
+      query.customerId = null;
+      query.customerGroup = query.customerGroup || { $nin: ['', null] };
+    } else if (scope === 'default') {
+      query.customerId = null;
+      query.customerGroup = { $in: ['', null] };
+    }
+    if (activeOn) {
+      const date = new Date(activeOn);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: 'Invalid date', message: 'activeOn must be a valid date' });
+      }
+      query.isActive = true;
+      query.validFrom = { $lte: date };
+      query.$or = [{ validTo: null }, { validTo: { $gte: date } }];
+    }
+
+    const [prices, total] = await Promise.all([
+      PriceList.find(query)
+        .sort({ product: 1, validFrom: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit))
+        .populate({ path: 'createdBy', select: 'name email', match: { organizationId: req.organizationId } }),
+      PriceList.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: prices,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalPrices: total,
+        perPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Add a price to the price list
+// @route   POST /api/price-lists
+// @access  Private (Admin only)
+const createPrice = async (req, res) => {
+  try {
+    const { customerDoc, error: customerError } = await resolveCustomer(req.organizationId, req.body);
+    if (customerError) {
+      return res.status(400).json(customerError);
+    }
+
+    const price = new PriceList({
+      organizationId: req.organizationId,
+      ...buildPriceFields(req.body),
+      customerId: customerDoc ? customerDoc._id : null,
+      customer: customerDoc ? customerDoc.ename : '',
+      createdBy: req.user.id
+    });
+    await price.save();
+
+    res.status(201).json({ success: true, data: price });
+  } catch (error) {
+    console.error('Create price error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation error', message: error.message });
+    }
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Update a price on the price list
+// @route   PUT /api/price-lists/:id
+// @access  Private (Admin only)
+const updatePrice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid price ID' });
+    }
+    const price = await PriceList.findOne({ _id: id, organizationId: req.organizationId });
+    if (!price) {
+      return res.status(404).json({ error: 'Price not found' });
+    }
+
+    const { customerDoc, error: customerError } = await resolveCustomer(req.organizationId, req.body);
+    if (customerError) {
+      return res.status(400).json(customerError);
+    }
+
+    Object.assign(price, buildPriceFields(req.body));
+    price.customerId = customerDoc ? customerDoc._id : null;
+    price.customer = customerDoc ? customerDoc.ename : '';
+    price.updatedBy = req.user.id;
+    await price.save();
+
+    res.json({ success: true, data: price });
+  } catch (error) {
+    console.error('Update price error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation error', message: error.message });
+    }
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Delete a price from the price list
+// @route   DELETE /api/price-lists/:id
+// @access  Private (Admin only)
+const deletePrice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid price ID' });
+    }
+    const result = await PriceList.deleteOne({ _id: id, organizationId: req.organizationId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Price not found' });
+    }
+    res.json({ success: true, message: 'Price deleted successfully' });
+  } catch (error) {
+    console.error('Delete price error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Suggest rates for sale entry from the price list and the customer's last sales
+// @route   GET /api/price-lists/suggest?product=&customer=&date=
+// @access  Private (Admin/Employee)
+const suggestRates = async (req, res) => {
+  try {
+    const { product = '', products = '', date = '' } = req.query;
+    const names = [...new Set([product, ...String(products).split(',')].map(name => name.trim()).filter(Boolean))];
+    if (names.length === 0) {
+      return res.status(400).json({ error: 'Product required', message: 'Enter a product to suggest a rate for' });
+    }
+
+    const onDate = date ? new Date(date) : new Date();
+    if (Number.isNaN(onDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date', message: 'date must be a valid date' });
+    }
+
+    const { customerDoc, error: customerError } = await resolveCustomer(req.organizationId, req.query);
+    if (customerError) {
+      return res.status(400).json(customerError);
+    }
+
+    const [prices, lastRates, catalogue] = await Promise.all([
+      resolvePrices(req.organizationId, customerDoc, names, onDate),
+      getLastSaleRates(req.organizationId, customerDoc, names),
+      Product.find({
+        organizationId: req.organizationId,
+        name: { $in: names.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) }
+      }).select('name unit')
+    ]);
+    const baseUnits = new Map(catalogue.map(entry => [entry.name.trim().toLowerCase(), entry.unit]));
+
+    // The price list leads; without a price the customer's last rate is
+    // offered. Suggested rates are per base unit, as price-list rates are;
+    // the last sale also keeps the rate in the unit it was sold in.
+    const suggestions = names.map((name) => {
+      const key = name.toLowerCase();
+      const price = prices.get(key) || null;
+      const lastRate = lastRates.get(key) || null;
+      const lastBase = lastRate ? toBaseUnit(lastRate) : null;
+      const lastSale = lastRate ? { ...lastRate, baseRate: lastBase.rate, baseUnit: lastBase.unit } : null;
+      return {
+        product: name,
+        suggestedRate: price ? price.rate : (lastSale ? lastSale.baseRate : null),
+        unit: baseUnits.get(key) || (lastSale ? lastSale.baseUnit : ''),
+        source: price ? 'price_list' : (lastSale ? 'last_sale' : null),
+        floorRate: price ? price.floorRate : null,
+        price: price
+          ? { _id: price._id, scope: price.scope, rate: price.rate, customerGroup: price.customerGroup, validFrom: price.validFrom, validTo: price.validTo }
+          : null,
+        lastSale
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer: customerDoc ? { _id: customerDoc._id, name: customerDoc.ename, priceGroup: customerDoc.priceGroup || '' } : null,
+        date: onDate,
+        suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Suggest rates error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Get rate history per product and customer from sales, per base unit
+// @route   GET /api/price-lists/rate-history?product=&customer=&startDate=&endDate=&format=json|csv
+// @access  Private (Admin/Employee)
+const getRateHistory = async (req, res) => {
+  try {
+    const { product = '', customer = '', startDate, endDate, format = 'json' } = req.query;
+
+    const query = { organizationId: req.organizationId };
+    if (product) {
+      // Sales saved before invoices had lines keep the product on the sale
+      const productMatch = { $regex: `^${escapeRegex(product.trim())}$`, $options: 'i' };
+      query.$or = [
+        { 'lines.product': productMatch },
+        { 'lines.0': { $exists: false }, product: productMatch }
+      ];
+    }
+    if (customer) {
+      query.customer = { $regex: escapeRegex(customer), $options: 'i' };
+    }
+    if (startDate || endDate) {
+      query.invoiceDate = {};
+      if (startDate) query.invoiceDate.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.invoiceDate.$lte = end;
+      }
+    }
+
+    const sales = await Sales.find(query)
+      .select('invoiceNumber invoiceDate customer containerNo product marka quantity rate lines.product lines.marka lines.quantity lines.unit lines.unitFactor lines.baseUnit lines.baseQuantity lines.rate lines.discount')
+      .sort({ invoiceDate: 1, createdAt: 1 })
+      .lean();
+
+    // One group per product, customer and base unit, oldest sale first.
+    // Quantities and rates are in the base unit; the entered ones are kept.
+    const groups = new Map();
+    sales.forEach((sale) => {
+      Sales.getLines(sale).forEach((line) => {
+        if (!line.product) return;
+        if (product && line.product.trim().toLowerCase() !== product.trim().toLowerCase()) return;
+
+        const base = toBaseUnit(line);
+        const factor = Number(line.unitFactor) || 1;
+        const key = [line.product, sale.customer || '', base.unit].map(part => part.trim().toLowerCase()).join('|');
+        if (!groups.has(key)) {
+          groups.set(key, { product: line.product, customer: sale.customer, unit: base.unit, history: [] });
+        }
+        groups.get(key).history.push({
+          invoiceDate: sale.invoiceDate,
+          invoiceNumber: sale.invoiceNumber,
+          containerNo: sale.containerNo,
+          marka: line.marka,
+          quantity: base.quantity,
+          rate: base.rate,
+          netRate: roundRate(getNetLineRate(line) / factor),
+          enteredQuantity: line.quantity,
+          enteredUnit: line.unit || '',
+          enteredRate: line.rate
+        });
+      });
+    });
+
+    const history = [...groups.values()]
+      .map((group) => {
+        const rates = group.history.map(entry => entry.netRate);
+        const quantity = roundQuantity(group.history.reduce((sum, entry) => sum + (entry.quantity || 0), 0));
+        const value = group.history.reduce((sum, entry) => sum + entry.netRate * (entry.quantity || 0), 0);
+        const last = group.history[group.history.length - 1];
+        return {
+          ...group,
+          invoices: group.history.length,
+          quantity,
+          minRate: Math.min(...rates),
+          maxRate: Math.max(...rates),
+          averageRate: quantity > 0 ? roundRate(value / quantity) : 0,
+          lastRate: last.netRate,
+          lastDate: last.invoiceDate
+        };
+      })
+      .sort((a, b) => a.product.localeCompare(b.product) || a.customer.localeCompare(b.customer) || a.unit.localeCompare(b.unit));
+
+    if (format === 'csv') {
+      const csvHeaders = ['Product', 'Customer', 'Invoice Date', 'Invoice Number', 'Container', 'Marka', 'Quantity', 'Unit', 'Rate', 'Net Rate', 'Entered Quantity', 'Entered Unit', 'Entered Rate'];
+      const csvData = [];
+      history.forEach((group) => {
+        group.history.forEach((entry) => {
+          csvData.push([
+            group.product,
+            group.customer,
+            new Date(entry.invoiceDate).toISOString().split('T')[0],
+            entry.invoiceNumber,
+            entry.containerNo || '',
+            entry.marka || '',
+            entry.quantity,
+            group.unit,
+            entry.rate,
+            entry.netRate,
+            entry.enteredQuantity,
+            entry.enteredUnit,
+            entry.enteredRate
+          ]);
+        });
+      });
+
+      const csvContent = [csvHeaders, ...csvData]
+        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="rate-history-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(csvContent);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        generatedAt: new Date(),
+        filters: { product, customer, startDate: startDate || null, endDate: endDate || null },
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get rate history error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getPriceLists,
+  createPrice,
+  updatePrice,
+  deletePrice,
+  suggestRates,
+  getRateHistory
+};
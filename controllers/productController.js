@@ -1,12 +1,19 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 
+// Alternative units from the request body
+const buildProductUnits = (units = []) => units.map(unit => ({
+  name: unit.name,
+  factor: Number(unit.factor),
+  allowFraction: Boolean(unit.allowFraction)
+}));
+
 // @desc    Create new product
 // @route   POST /api/products
 // @access  Private (Admin/Employee)
 const createProduct = async (req, res) => {
   try {
-    const { name, description, category, sku, unit } = req.body;
+    const { name, description, category, sku, unit, allowFraction, units, shelfLifeDays } = req.body;
 
     // Validate category exists
     const categoryExists = await Category.findOne({ _id: category, organizationId: req.organizationId });
@@ -38,6 +45,9 @@ const createProduct = async (req, res) => {
       category,
       sku,
       unit: unit || 'piece',
+      allowFraction: Boolean(allowFraction),
+      units: buildProductUnits(units),
+      shelfLifeDays: shelfLifeDays === undefined || shelfLifeDays === null || shelfLifeDays === '' ? null : Number(shelfLifeDays),
       createdBy: req.user.id
     });
 
@@ -52,6 +62,12 @@ const createProduct = async (req, res) => {
 
   } catch (error) {
     console.error('Create product error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: error.message
+      });
+    }
     res.status(500).json({
       error: 'Server error',
       message: 'Internal server error'
@@ -191,7 +207,7 @@ const updateProduct = async (req, res) => {
       });
     }
 
-    const { name, description, category, sku, unit, isActive } = req.body;
+    const { name, description, category, sku, unit, allowFraction, units, shelfLifeDays, isActive } = req.body;
 
     const product = await Product.findOne({ _id: req.params.id, organizationId: req.organizationId });
 
@@ -243,6 +259,15 @@ const updateProduct = async (req, res) => {
     if (unit !== undefined) {
       product.unit = unit;
     }
+    if (typeof allowFraction === 'boolean') {
+      product.allowFraction = allowFraction;
+    }
+    if (Array.isArray(units)) {
+      product.units = buildProductUnits(units);
+    }
+    if (shelfLifeDays !== undefined) {
+      product.shelfLifeDays = shelfLifeDays === null || shelfLifeDays === '' ? null : Number(shelfLifeDays);
+    }
     if (typeof isActive === 'boolean') {
       product.isActive = isActive;
     }
@@ -259,6 +284,12 @@ const updateProduct = async (req, res) => {
 
   } catch (error) {
     console.error('Update product error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: error.message
+      });
+    }
     res.status(500).json({
       error: 'Server error',
       message: 'Internal server error'
@@ -1,5 +1,136 @@
 const Purchase = require('../models/Purchase');
+const PurchasePayment = require('../models/PurchasePayment');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const StockWriteOff = require('../models/StockWriteOff');
+const LedgerEntry = require('../models/LedgerEntry');
 const PDFGenerator = require('../utils/pdfGenerator');
+const {
+  COST_BUCKETS,
+  findCostInvoices,
+  groupCostInvoices,
+  describeLandedCost,
+  applyLinkedCosts
+} = require('../utils/landedCost');
+const { resolveLineUnits, toBaseUnit, roundQuantity } = require('../utils/units');
+const {
+  checkClosedDayPosting,
+  createPurchasePaymentEntry,
+  reversePaymentEntry
+} = require('./dailyLedgerController');
+const { escapeRegex } = require('../utils/query');
+const { roundAmount } = require('../utils/numberFormatter');
+
+// Purchase lines from a `lines` array or the legacy single-product fields
+const buildPurchaseLines = (body = {}) => {
+  if (Array.isArray(body.lines) && body.lines.length > 0) {
+    return body.lines.map((line) => ({
+      ...(line._id && /^[0-9a-fA-F]{24}$/.test(line._id) ? { _id: line._id } : {}),
+      product: line.product,
+      quantity: Number(line.quantity),
+      unit: line.unit || '',
+      rate: Number(line.rate),
+      bestBefore: line.bestBefore ? new Date(line.bestBefore) : null
+    }));
+  }
+
+  return [{
+    product: body.product,
+    quantity: Number(body.quantity),
+    unit: body.unit || '',
+    rate: Number(body.rate),
+    bestBefore: body.bestBefore ? new Date(body.bestBefore) : null
+  }];
+};
+
+// Give edited lines sent without an id the id of the line they replace, so
+// lots and their write-offs keep pointing at them: the only line of a
+// single-product edit, otherwise an unclaimed line of the same product. A
+// purchase saved before multi-product containers is its own lot.
+const keepPurchaseLineIds = (purchase, lines) => {
+  const existing = purchase.lines.length > 0
+    ? purchase.lines.map(line => ({ _id: line._id, product: line.product }))
+    : [{ _id: purchase._id, product: purchase.product }];
+
+  if (lines.length === 1 && !lines[0]._id && existing.length === 1) {
+    lines[0]._id = existing[0]._id;
+    return;
+  }
+
+  const claimed = new Set(lines.filter(line => line._id).map(line => line._id.toString()));
+  lines.filter(line => !line._id).forEach((line) => {
+    const match = existing.find(entry => !claimed.has(entry._id.toString())
+      && (entry.product || '').trim().toLowerCase() === (line.product || '').trim().toLowerCase());
+    if (!match) return;
+    line._id = match._id;
+    claimed.add(match._id.toString());
+  });
+};
+
+// Base quantity written off each lot of a purchase, by lot id
+const getWrittenOffByLot = async (organizationId, purchaseId) => {
+  const totals = await StockWriteOff.aggregate([
+    { $match: { organizationId, purchaseId } },
+    { $group: { _id: '$lotId', baseQuantity: { $sum: '$baseQuantity' } } }
+  ]);
+  return new Map(totals.map(total => [total._id.toString(), total.baseQuantity]));
+};
+
+// Lines without a best-before date take one from their product's shelf
+// life, counted from the container's arrival
+const applyShelfLife = async (organizationId, lines, arrivalDate) => {
+  const undated = lines.filter(line => !line.bestBefore && line.product);
+  if (undated.length === 0) return;
+
+  const products = await Product.find({
+    organizationId,
+    shelfLifeDays: { $ne: null },
+    name: { $in: undated.map(line => new RegExp(`^${escapeRegex(line.product.trim())}$`, 'i')) }
+  }).select('name shelfLifeDays');
+
+  undated.forEach((line) => {
+    const product = products.find(entry => entry.name.trim().toLowerCase() === line.product.trim().toLowerCase());
+    if (!product) return;
+    const bestBefore = new Date(arrivalDate);
+    bestBefore.setDate(bestBefore.getDate() + product.shelfLifeDays);
+    line.bestBefore = bestBefore;
+  });
+};
+
+// Supplier master record for a purchase, given by `supplierId` or by exact
+// name. A purchase without a supplier is allowed. Returns { supplierDoc },
+// with null when none was given, or { error } with an error body.
+const resolvePurchaseSupplier = async (organizationId, { supplier = '', supplierId = '' }) => {
+  if (!supplierId && !supplier.trim()) return { supplierDoc: null };
+
+  const supplierDoc = supplierId
+    ? await Supplier.findOne({ _id: supplierId, organizationId })
+    : await Supplier.findOne({ organizationId, ename: { $regex: `^${escapeRegex(supplier.trim())}$`, $options: 'i' } });
+  if (!supplierDoc) {
+    return {
+      error: {
+        success: false,
+        error: 'Supplier not found',
+        message: `${supplier ? `"${supplier}"` : 'The selected supplier'} is not in the supplier list. Add the supplier first.`
+      }
+    };
+  }
+  return { supplierDoc };
+};
+
+// Pull the charges of a linked purchase from its container's invoices, or
+// clear what an earlier link left behind. Returns the landed cost
+// description when linked, null otherwise.
+const syncLinkedCosts = async (purchase) => {
+  if (purchase.linkedCosts) {
+    return applyLinkedCosts(purchase, await findCostInvoices(purchase.organizationId, purchase.containerNo));
+  }
+  purchase.dubaiTransportAED = 0;
+  purchase.dubaiClearanceAED = 0;
+  purchase.costInvoices = {};
+  purchase.missingCharges = [];
+  return null;
+};
 
 // Create purchase
 const createPurchase = async (req, res) => {
@@ -12,26 +143,47 @@ const createPurchase = async (req, res) => {
       return res.status(400).json({ success: false, error: 'Duplicate container', message: 'Container number already exists' });
     }
 
+    const { supplierDoc, error: supplierError } = await resolvePurchaseSupplier(req.organizationId, data);
+    if (supplierError) {
+      return res.status(400).json(supplierError);
+    }
+
+    const lines = buildPurchaseLines(data);
+    const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+    if (unitError) {
+      return res.status(400).json({ success: false, ...unitError });
+    }
+    const arrivalDate = data.arrivalDate ? new Date(data.arrivalDate) : null;
+    await applyShelfLife(req.organizationId, lines, arrivalDate || new Date());
+
     const purchase = new Purchase({
       organizationId: req.organizationId,
       containerNo: data.containerNo,
-      product: data.product,
-      quantity: data.quantity,
-      rate: data.rate,
+      arrivalDate,
+      supplierId: supplierDoc ? supplierDoc._id : null,
+      supplier: supplierDoc ? supplierDoc.ename : '',
+      lines,
+      costAllocation: data.costAllocation || 'quantity',
       transport: data.transport || 0,
       freight: data.freight || 0,
       eForm: data.eForm || 0,
       miscellaneous: data.miscellaneous || 0,
       transferRate: data.transferRate,
+      importVatAED: data.importVatAED || 0,
+      linkedCosts: Boolean(data.linkedCosts),
       notes: data.notes || '',
       createdBy: req.user.id
     });
+    await syncLinkedCosts(purchase);
     await purchase.save();
     const saved = purchase.toObject();
     saved._id = saved._id.toString();
     res.status(201).json({ success: true, data: saved });
   } catch (error) {
     console.error('Create purchase error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: 'Validation error', message: error.message });
+    }
     res.status(500).json({ error: 'Server error', message: 'Internal server error' });
   }
 };
@@ -107,23 +259,74 @@ const updatePurchase = async (req, res) => {
         return res.status(400).json({ success: false, error: 'Duplicate container', message: 'Container number already exists' });
       }
     }
+    // Forms that leave out the supplier fields keep the current supplier
+    const supplierGiven = data.supplier !== undefined || data.supplierId !== undefined;
+    const { supplierDoc, error: supplierError } = supplierGiven
+      ? await resolvePurchaseSupplier(req.organizationId, data)
+      : { supplierDoc: null };
+    if (supplierError) {
+      return res.status(400).json(supplierError);
+    }
+    const lines = buildPurchaseLines(data);
+    keepPurchaseLineIds(purchase, lines);
+    const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+    if (unitError) {
+      return res.status(400).json({ success: false, ...unitError });
+    }
+
+    // Lots with written-off goods must stay on the purchase with at least that quantity
+    const writtenOffByLot = await getWrittenOffByLot(req.organizationId, purchase._id);
+    const invalidWriteOff = [...writtenOffByLot.entries()].find(([lotId, writtenOff]) => {
+      const line = lines.find(l => l._id && l._id.toString() === lotId);
+      return !line || line.baseQuantity < writtenOff;
+    });
+    if (invalidWriteOff) {
+      return res.status(400).json({
+        success: false,
+        error: 'Purchase line has write-offs',
+        message: 'A line with written-off goods cannot be removed or be reduced below the written-off quantity.'
+      });
+    }
+
+    if (data.arrivalDate !== undefined) purchase.arrivalDate = data.arrivalDate ? new Date(data.arrivalDate) : null;
+    await applyShelfLife(req.organizationId, lines, purchase.arrivalDate || purchase.createdAt);
+
     purchase.containerNo = data.containerNo;
-    purchase.product = data.product;
-    purchase.quantity = data.quantity;
-    purchase.rate = data.rate;
+    if (supplierGiven) {
+      purchase.supplierId = supplierDoc ? supplierDoc._id : null;
+      purchase.supplier = supplierDoc ? supplierDoc.ename : '';
+    }
+    purchase.lines = lines;
+    if (data.costAllocation) purchase.costAllocation = data.costAllocation;
     purchase.transport = data.transport || 0;
     purchase.freight = data.freight || 0;
     purchase.eForm = data.eForm || 0;
     purchase.miscellaneous = data.miscellaneous || 0;
     purchase.transferRate = data.transferRate;
+    if (data.importVatAED !== undefined) purchase.importVatAED = data.importVatAED || 0;
+    if (data.linkedCosts !== undefined) purchase.linkedCosts = Boolean(data.linkedCosts);
     purchase.notes = data.notes || '';
     purchase.updatedBy = req.user.id;
+
+    await syncLinkedCosts(purchase);
+    purchase.recalculateTotals();
+    if (purchase.totalPKR < purchase.paidPKR) {
+      return res.status(400).json({
+        success: false,
+        error: 'Purchase total too low',
+        message: 'The purchase total cannot be lower than the amount already paid to the supplier'
+      });
+    }
+
     await purchase.save();
     const saved = purchase.toObject();
     saved._id = saved._id.toString();
     res.json({ success: true, data: saved });
   } catch (error) {
     console.error('Update purchase error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: 'Validation error', message: error.message });
+    }
     res.status(500).json({ error: 'Server error', message: 'Internal server error' });
   }
 };
@@ -135,6 +338,18 @@ const deletePurchase = async (req, res) => {
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ error: 'Invalid purchase ID' });
     }
+    if (await PurchasePayment.exists({ purchaseId: id, organizationId: req.organizationId })) {
+      return res.status(400).json({
+        error: 'Purchase has payments',
+        message: 'Delete the supplier payments on this purchase before deleting it'
+      });
+    }
+    if (await StockWriteOff.exists({ purchaseId: id, organizationId: req.organizationId })) {
+      return res.status(400).json({
+        error: 'Purchase has write-offs',
+        message: 'Delete the stock write-offs on this purchase before deleting it'
+      });
+    }
     const result = await Purchase.deleteOne({ _id: id, organizationId: req.organizationId });
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: 'Purchase not found' });
@@ -146,6 +361,133 @@ const deletePurchase = async (req, res) => {
   }
 };
 
+// Get landed cost breakdown of purchase
+const getPurchaseLandedCost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid purchase ID' });
+    }
+    const purchase = await Purchase.findOne({ _id: id, organizationId: req.organizationId });
+    if (!purchase) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    // Invoices are read live; for a linked purchase they match its charges
+    const landedCost = describeLandedCost(purchase, await findCostInvoices(req.organizationId, purchase.containerNo));
+    res.json({
+      success: true,
+      data: {
+        ...landedCost,
+        charges: {
+          transport: purchase.transport,
+          freight: purchase.freight,
+          eForm: purchase.eForm,
+          miscellaneous: purchase.miscellaneous,
+          dubaiTransportAED: purchase.dubaiTransportAED || 0,
+          dubaiClearanceAED: purchase.dubaiClearanceAED || 0
+        },
+        totalPKR: purchase.totalPKR,
+        totalAED: purchase.totalAED,
+        landedCostAED: purchase.landedCostAED || purchase.totalAED,
+        lines: Purchase.getLines(purchase)
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase landed cost error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// Link or unlink purchase charges to the container's invoices
+const setPurchaseLinkedCosts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid purchase ID' });
+    }
+    const purchase = await Purchase.findOne({ _id: id, organizationId: req.organizationId });
+    if (!purchase) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    // Unlinking keeps the pulled transport and freight as typed figures
+    purchase.linkedCosts = Boolean(req.body.linkedCosts);
+    purchase.updatedBy = req.user.id;
+    const landedCost = await syncLinkedCosts(purchase);
+
+    purchase.recalculateTotals();
+    if (purchase.totalPKR < purchase.paidPKR) {
+      return res.status(400).json({
+        success: false,
+        error: 'Purchase total too low',
+        message: 'The linked charges would bring the purchase total below the amount already paid to the supplier'
+      });
+    }
+
+    await purchase.save();
+    const saved = purchase.toObject();
+    saved._id = saved._id.toString();
+    res.json({ success: true, data: saved, landedCost });
+  } catch (error) {
+    console.error('Set purchase linked costs error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// Get purchases whose container is missing freight, transport or clearance invoices
+const getMissingChargesReport = async (req, res) => {
+  try {
+    const { startDate, endDate, search = '', linkedOnly } = req.query;
+    const query = { organizationId: req.organizationId };
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    if (search) {
+      query.containerNo = { $regex: escapeRegex(search), $options: 'i' };
+    }
+    if (linkedOnly === 'true') {
+      query.linkedCosts = true;
+    }
+
+    const [purchases, invoices] = await Promise.all([
+      Purchase.find(query).select('containerNo supplier transferRate linkedCosts createdAt').sort({ createdAt: -1 }).lean(),
+      findCostInvoices(req.organizationId)
+    ]);
+    const invoicesByContainer = groupCostInvoices(invoices);
+
+    const containers = purchases
+      .map((purchase) => {
+        const landedCost = describeLandedCost(purchase, invoicesByContainer.get(purchase.containerNo.trim().toLowerCase()) || {});
+        return {
+          _id: purchase._id,
+          containerNo: purchase.containerNo,
+          supplier: purchase.supplier || '',
+          linkedCosts: Boolean(purchase.linkedCosts),
+          createdAt: purchase.createdAt,
+          missingCharges: landedCost.missingCharges,
+          invoiceCounts: Object.keys(COST_BUCKETS).reduce(
+            (counts, bucket) => ({ ...counts, [bucket]: landedCost.buckets[bucket].invoices.length }),
+            {}
+          )
+        };
+      })
+      .filter(container => container.missingCharges.length > 0);
+
+    const summary = Object.keys(COST_BUCKETS).reduce(
+      (counts, bucket) => ({ ...counts, [bucket]: containers.filter(container => container.missingCharges.includes(bucket)).length }),
+      { purchases: purchases.length, withMissingCharges: containers.length }
+    );
+
+    res.json({ success: true, data: { summary, containers } });
+  } catch (error) {
+    console.error('Get missing charges report error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
 // Generate purchase report
 const generatePurchaseReport = async (req, res) => {
   try {
@@ -155,9 +497,21 @@ const generatePurchaseReport = async (req, res) => {
       containerNo = '',
       product = '',
       format = 'json', // json, csv, pdf
-      groupBy = 'none' // none, product, month, week
+      groupBy = 'none', // none, product, month, week
+      baseUnit = 'false'
     } = req.query;
 
+    // With baseUnit=true quantities, rates and unit costs are restated in
+    // each product's base unit
+    const inBaseUnit = baseUnit === 'true';
+    const lineQuantities = (line) => {
+      if (!inBaseUnit) {
+        return { quantity: line.quantity, unit: line.unit || '', rate: line.rate, unitCostAED: line.unitCostAED };
+      }
+      const base = toBaseUnit(line);
+      return { ...base, unitCostAED: base.quantity > 0 ? (line.totalAED || 0) / base.quantity : 0 };
+    };
+
     // Build query
     const query = { organizationId: req.organizationId };
 
@@ -178,7 +532,10 @@ const generatePurchaseReport = async (req, res) => {
     }
 
     if (product) {
-      query.product = { $regex: product, $options: 'i' };
+      query.$or = [
+        { 'lines.product': { $regex: product, $options: 'i' } },
+        { product: { $regex: product, $options: 'i' } }
+      ];
     }
 
     // Get purchase data
@@ -203,8 +560,10 @@ const generatePurchaseReport = async (req, res) => {
 
     // Calculate breakdowns
     purchases.forEach(purchase => {
-      // Product breakdown
-      summary.productBreakdown[purchase.product] = (summary.productBreakdown[purchase.product] || 0) + 1;
+      // Product breakdown, counting each product of a mixed container
+      new Set(Purchase.getLines(purchase).map(line => line.product)).forEach(lineProduct => {
+        summary.productBreakdown[lineProduct] = (summary.productBreakdown[lineProduct] || 0) + 1;
+      });
       
       // Monthly breakdown
       const month = new Date(purchase.createdAt).toISOString().substring(0, 7);
@@ -225,12 +584,31 @@ const generatePurchaseReport = async (req, res) => {
     if (groupBy !== 'none') {
       groupedData = {};
       
+      const addToGroup = (key, purchase, totalPKR, totalAED) => {
+        if (!groupedData[key]) {
+          groupedData[key] = {
+            purchases: [],
+            totalPKR: 0,
+            totalAED: 0,
+            count: 0
+          };
+        }
+
+        groupedData[key].purchases.push(purchase);
+        groupedData[key].totalPKR += totalPKR || 0;
+        groupedData[key].totalAED += totalAED || 0;
+        groupedData[key].count++;
+      };
+
       purchases.forEach(purchase => {
+        // A mixed container counts under each of its products with that line's cost
+        if (groupBy === 'product') {
+          Purchase.getLines(purchase).forEach(line => addToGroup(line.product, purchase, line.totalPKR, line.totalAED));
+          return;
+        }
+
         let key;
         switch (groupBy) {
-          case 'product':
-            key = purchase.product;
-            break;
           case 'month':
             key = new Date(purchase.createdAt).toISOString().substring(0, 7);
             break;
@@ -243,20 +621,8 @@ const generatePurchaseReport = async (req, res) => {
           default:
             key = 'Other';
         }
-        
-        if (!groupedData[key]) {
-          groupedData[key] = {
-            purchases: [],
-            totalPKR: 0,
-            totalAED: 0,
-            count: 0
-          };
-        }
-        
-        groupedData[key].purchases.push(purchase);
-        groupedData[key].totalPKR += purchase.totalPKR || 0;
-        groupedData[key].totalAED += purchase.totalAED || 0;
-        groupedData[key].count++;
+
+        addToGroup(key, purchase, purchase.totalPKR, purchase.totalAED);
       });
     }
 
@@ -267,14 +633,17 @@ const generatePurchaseReport = async (req, res) => {
         endDate,
         containerNo,
         product,
-        groupBy
+        groupBy,
+        baseUnit: inBaseUnit
       },
       summary,
       purchases: purchases.map(purchase => ({
         _id: purchase._id,
         containerNo: purchase.containerNo,
         product: purchase.product,
-        quantity: purchase.quantity,
+        quantity: inBaseUnit
+          ? roundQuantity(Purchase.getLines(purchase).reduce((sum, line) => sum + toBaseUnit(line).quantity, 0))
+          : purchase.quantity,
         rate: purchase.rate,
         transport: purchase.transport,
         freight: purchase.freight,
@@ -284,6 +653,15 @@ const generatePurchaseReport = async (req, res) => {
         subtotalPKR: purchase.subtotalPKR,
         totalPKR: purchase.totalPKR,
         totalAED: purchase.totalAED,
+        costAllocation: purchase.costAllocation,
+        lines: Purchase.getLines(purchase).map(line => ({
+          product: line.product,
+          ...lineQuantities(line),
+          subtotalPKR: line.subtotalPKR,
+          chargesPKR: line.chargesPKR,
+          totalPKR: line.totalPKR,
+          totalAED: line.totalAED
+        })),
         notes: purchase.notes,
         createdAt: purchase.createdAt,
         createdBy: purchase.createdBy?.name || 'Unknown'
@@ -293,21 +671,21 @@ const generatePurchaseReport = async (req, res) => {
 
     // Return in requested format
     if (format === 'csv') {
-      // Generate CSV
-      const csvHeaders = ['Container No', 'Product', 'Quantity', 'Rate (PKR)', 'Transport', 'Freight', 'E-Form', 'Miscellaneous', 'Total PKR', 'Total AED', 'Created Date'];
-      const csvData = purchases.map(purchase => [
+      // Generate CSV, one row per product line with its share of the charges
+      const csvHeaders = ['Container No', 'Product', 'Quantity', 'Unit', 'Rate (PKR)', 'Subtotal PKR', 'Charges PKR', 'Total PKR', 'Total AED', 'Unit Cost AED', 'Created Date'];
+      const csvData = report.purchases.flatMap(purchase => purchase.lines.map(line => [
         purchase.containerNo,
-        purchase.product,
-        purchase.quantity,
-        purchase.rate,
-        purchase.transport,
-        purchase.freight,
-        purchase.eForm,
-        purchase.miscellaneous,
-        purchase.totalPKR,
-        purchase.totalAED,
+        line.product,
+        line.quantity,
+        line.unit,
+        line.rate,
+        line.subtotalPKR,
+        line.chargesPKR,
+        line.totalPKR,
+        line.totalAED,
+        line.unitCostAED,
         new Date(purchase.createdAt).toLocaleDateString()
-      ]);
+      ]));
       
       const csvContent = [csvHeaders, ...csvData]
         .map(row => row.map(cell => `"${cell}"`).join(','))
@@ -342,13 +720,288 @@ const generatePurchaseReport = async (req, res) => {
   }
 };
 
+// Add supplier payment to purchase
+const addPurchasePayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid purchase ID' });
+    }
+    const {
+      amountPKR,
+      transferRate,
+      paymentMethod = 'cash',
+      reference,
+      notes,
+      paymentDate,
+      postToOpenDay = false
+    } = req.body;
+
+    const purchase = await Purchase.findOne({ _id: id, organizationId: req.organizationId });
+    if (!purchase) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    const amount = Number(amountPKR);
+    const outstanding = roundAmount(purchase.totalPKR - purchase.paidPKR);
+    if (amount > outstanding) {
+      return res.status(400).json({
+        error: 'Payment exceeds outstanding amount',
+        message: `Payment (PKR ${amount.toLocaleString('en-US')}) cannot exceed the outstanding amount (PKR ${outstanding.toLocaleString('en-US')})`
+      });
+    }
+
+    // A back-dated payment into a closed day goes to today's ledger only when asked
+    const paidOn = paymentDate ? new Date(paymentDate) : new Date();
+    const closedDayError = await checkClosedDayPosting(req.organizationId, [paidOn], postToOpenDay);
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+
+    const payment = await purchase.addPayment({
+      amountPKR: amount,
+      transferRate: transferRate ? Number(transferRate) : purchase.transferRate,
+      paidBy: req.user.id,
+      paymentType: amount >= outstanding ? 'full' : 'partial',
+      paymentMethod,
+      reference,
+      notes,
+      paymentDate: paidOn
+    });
+
+    const entry = await createPurchasePaymentEntry(req.organizationId, purchase, payment);
+    payment.ledgerEntryId = entry._id;
+    await payment.save();
+
+    res.status(201).json({ success: true, data: { purchase, payment } });
+  } catch (error) {
+    console.error('Add purchase payment error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// Get supplier payments on purchase
+const getPurchasePayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid purchase ID' });
+    }
+    const purchase = await Purchase.findOne({ _id: id, organizationId: req.organizationId });
+    if (!purchase) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+    const payments = await purchase.getPaymentHistory();
+    res.json({ success: true, data: payments });
+  } catch (error) {
+    console.error('Get purchase payments error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// Delete supplier payment from purchase
+const deletePurchasePayment = async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !paymentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid purchase or payment ID' });
+    }
+    const purchase = await Purchase.findOne({ _id: id, organizationId: req.organizationId });
+    if (!purchase) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+    const payment = await PurchasePayment.findOne({ _id: paymentId, purchaseId: id, organizationId: req.organizationId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    // The ledger payment is removed while its day is open, otherwise reversed today
+    const entry = payment.ledgerEntryId
+      ? await LedgerEntry.findOne({ _id: payment.ledgerEntryId, organizationId: req.organizationId })
+      : null;
+    const closedDayError = entry
+      ? await checkClosedDayPosting(req.organizationId, [entry.ledger_date], req.body.postToOpenDay)
+      : null;
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+    if (entry) {
+      await reversePaymentEntry(req.organizationId, entry, {
+        req,
+        reason: 'purchase_payment_deleted',
+        metadata: { purchaseId: purchase._id, containerNo: purchase.containerNo, paymentId: payment._id, amountPKR: payment.amountPKR }
+      });
+    }
+
+    await PurchasePayment.deleteOne({ _id: payment._id, organizationId: req.organizationId });
+    await purchase.refreshPayments();
+
+    res.json({ success: true, message: 'Payment deleted successfully', data: purchase });
+  } catch (error) {
+    console.error('Delete purchase payment error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// Generate supplier payables report (outstanding purchases per supplier)
+const generateSupplierPayablesReport = async (req, res) => {
+  try {
+    const {
+      supplier = '',
+      supplierId = '',
+      startDate = '',
+      endDate = '',
+      includeSettled = 'false',
+      format = 'json' // json, csv, pdf
+    } = req.query;
+
+    const query = { organizationId: req.organizationId };
+    if (supplierId) {
+      if (!supplierId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ error: 'Invalid supplier ID' });
+      }
+      query.supplierId = supplierId;
+    } else if (supplier) {
+      query.supplier = { $regex: escapeRegex(supplier), $options: 'i' };
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        const endDatePlusOne = new Date(endDate);
+        endDatePlusOne.setDate(endDatePlusOne.getDate() + 1);
+        query.createdAt.$lt = endDatePlusOne;
+      }
+    }
+
+    // Outstanding is worked out from the totals so purchases saved before
+    // payments were tracked are included
+    const purchases = (await Purchase.find(query).sort({ createdAt: 1 }).lean())
+      .map(purchase => {
+        const outstandingPKR = roundAmount((purchase.totalPKR || 0) - (purchase.paidPKR || 0));
+        return {
+          _id: purchase._id,
+          containerNo: purchase.containerNo,
+          supplierId: purchase.supplierId || null,
+          supplier: purchase.supplier || '',
+          product: purchase.product,
+          createdAt: purchase.createdAt,
+          transferRate: purchase.transferRate,
+          totalPKR: roundAmount(purchase.totalPKR || 0),
+          paidPKR: roundAmount(purchase.paidPKR || 0),
+          paidAED: roundAmount(purchase.paidAED || 0),
+          outstandingPKR,
+          // Valued at the purchase's transfer rate; the rate on the day of payment may differ
+          outstandingAED: roundAmount(outstandingPKR / purchase.transferRate),
+          lastPaymentDate: purchase.lastPaymentDate || null
+        };
+      })
+      .filter(purchase => includeSettled === 'true' || purchase.outstandingPKR > 0);
+
+    const suppliers = new Map();
+    purchases.forEach(purchase => {
+      const key = purchase.supplierId ? purchase.supplierId.toString() : (purchase.supplier.toLowerCase() || '__none__');
+      if (!suppliers.has(key)) {
+        suppliers.set(key, {
+          supplierId: purchase.supplierId,
+          supplier: purchase.supplier || 'No supplier',
+          purchaseCount: 0,
+          totalPKR: 0,
+          paidPKR: 0,
+          outstandingPKR: 0,
+          outstandingAED: 0,
+          oldestPurchaseDate: purchase.createdAt,
+          purchases: []
+        });
+      }
+      const entry = suppliers.get(key);
+      entry.purchaseCount++;
+      entry.totalPKR = roundAmount(entry.totalPKR + purchase.totalPKR);
+      entry.paidPKR = roundAmount(entry.paidPKR + purchase.paidPKR);
+      entry.outstandingPKR = roundAmount(entry.outstandingPKR + purchase.outstandingPKR);
+      entry.outstandingAED = roundAmount(entry.outstandingAED + purchase.outstandingAED);
+      entry.purchases.push(purchase);
+    });
+
+    const supplierRows = [...suppliers.values()].sort((a, b) => b.outstandingPKR - a.outstandingPKR);
+    const report = {
+      generatedAt: new Date(),
+      filters: { supplier, supplierId, startDate, endDate, includeSettled: includeSettled === 'true' },
+      suppliers: supplierRows,
+      summary: {
+        totalSuppliers: supplierRows.length,
+        totalPurchases: purchases.length,
+        totalPKR: roundAmount(supplierRows.reduce((sum, row) => sum + row.totalPKR, 0)),
+        paidPKR: roundAmount(supplierRows.reduce((sum, row) => sum + row.paidPKR, 0)),
+        outstandingPKR: roundAmount(supplierRows.reduce((sum, row) => sum + row.outstandingPKR, 0)),
+        outstandingAED: roundAmount(supplierRows.reduce((sum, row) => sum + row.outstandingAED, 0))
+      }
+    };
+
+    if (format === 'csv') {
+      const csvHeaders = ['Supplier', 'Container No', 'Product', 'Purchase Date', 'Total PKR', 'Paid PKR', 'Outstanding PKR', 'Transfer Rate', 'Outstanding AED', 'Last Payment'];
+      const csvData = [];
+      supplierRows.forEach(row => {
+        row.purchases.forEach(purchase => {
+          csvData.push([
+            row.supplier,
+            purchase.containerNo,
+            purchase.product,
+            new Date(purchase.createdAt).toLocaleDateString(),
+            purchase.totalPKR,
+            purchase.paidPKR,
+            purchase.outstandingPKR,
+            purchase.transferRate,
+            purchase.outstandingAED,
+            purchase.lastPaymentDate ? new Date(purchase.lastPaymentDate).toLocaleDateString() : ''
+          ]);
+        });
+      });
+      csvData.push(['Total', '', '', '', report.summary.totalPKR, report.summary.paidPKR, report.summary.outstandingPKR, '', report.summary.outstandingAED, '']);
+
+      const csvContent = [csvHeaders, ...csvData]
+        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="supplier-payables-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(csvContent);
+    } else if (format === 'pdf') {
+      const pdfGenerator = new PDFGenerator(req.organization);
+      pdfGenerator.generateSupplierPayablesReport(res, report);
+      return;
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Generate supplier payables report error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate supplier payables report'
+    });
+  }
+};
+
 module.exports = {
   createPurchase,
   getPurchases,
   getPurchaseById,
   updatePurchase,
   deletePurchase,
-  generatePurchaseReport
+  getPurchaseLandedCost,
+  setPurchaseLinkedCosts,
+  getMissingChargesReport,
+  generatePurchaseReport,
+  addPurchasePayment,
+  getPurchasePayments,
+  deletePurchasePayment,
+  generateSupplierPayablesReport
 };
 
 
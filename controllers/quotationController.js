@@ -0,0 +1,551 @@
+const Quotation = require('../models/Quotation');
+const Sales = require('../models/Sales');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { getNextDocumentNumber } = require('../utils/documentNumbering');
+const { resolveLineUnits } = require('../utils/units');
+const {
+  buildSaleLines,
+  checkVatCustomerTRN,
+  resolveSaleParties,
+  resolveDueDate,
+  checkCustomerCredit,
+  logCreditOverride,
+  checkSaleStock,
+  checkSaleMarka,
+  checkSaleFloorPrices,
+  logPriceOverride,
+  resolveInvoiceNumber
+} = require('./salesController');
+const { escapeRegex } = require('../utils/query');
+
+const invalidIdResponse = (res) => res.status(400).json({
+  error: 'Invalid quotation ID',
+  message: 'Quotation ID must be a valid 24-character hexadecimal string'
+});
+
+const notFoundResponse = (res) => res.status(404).json({
+  error: 'Quotation not found',
+  message: 'Quotation does not exist'
+});
+
+// @desc    Create a quotation or proforma invoice
+// @route   POST /api/quotations
+// @access  Private (Admin/Employee)
+const createQuotation = async (req, res) => {
+  try {
+    const {
+      type = 'quotation',
+      customer,
+      containerNo,
+      supplier,
+      quotationDate,
+      validUntil,
+      notes
+    } = req.body;
+
+    const quotationDateValue = quotationDate ? new Date(quotationDate) : new Date();
+    if (new Date(validUntil) < quotationDateValue) {
+      return res.status(400).json({
+        error: 'Invalid expiry date',
+        message: 'Expiry date cannot be before the quotation date'
+      });
+    }
+
+    const lines = buildSaleLines(req.body);
+    const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+    if (unitError) {
+      return res.status(400).json(unitError);
+    }
+
+    // Quotations and proformas are numbered separately
+    const quotationNumber = await getNextDocumentNumber(req.organizationId, type, quotationDateValue);
+
+    const quotation = new Quotation({
+      organizationId: req.organizationId,
+      quotationNumber,
+      type,
+      customer,
+      containerNo,
+      supplier,
+      quotationDate: quotationDateValue,
+      validUntil: new Date(validUntil),
+      lines,
+      notes,
+      createdBy: req.user.id
+    });
+
+    await quotation.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${type === 'proforma' ? 'Proforma invoice' : 'Quotation'} created successfully`,
+      data: quotation
+    });
+
+  } catch (error) {
+    console.error('Create quotation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get quotations with filtering and pagination
+// @route   GET /api/quotations
+// @access  Private (Admin/Employee)
+const getQuotations = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      customer = '',
+      type = '',
+      status = '',
+      startDate = '',
+      endDate = ''
+    } = req.query;
+
+    const query = { organizationId: req.organizationId };
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { quotationNumber: { $regex: pattern, $options: 'i' } },
+        { customer: { $regex: pattern, $options: 'i' } },
+        { containerNo: { $regex: pattern, $options: 'i' } },
+        { 'lines.product': { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    if (customer) {
+      query.customer = { $regex: escapeRegex(customer), $options: 'i' };
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    // `expired` is an open quotation past its expiry date
+    if (status === 'expired') {
+      const startOfToday = new Date();
+      startOfToday.setHours(0, 0, 0, 0);
+      query.status = 'open';
+      query.validUntil = { $lt: startOfToday };
+    } else if (status) {
+      query.status = status;
+    }
+
+    if (startDate || endDate) {
+      query.quotationDate = {};
+      if (startDate) query.quotationDate.$gte = new Date(startDate);
+      if (endDate) query.quotationDate.$lte = new Date(endDate);
+    }
+
+    const pageNumber = parseInt(page) || 1;
+    const limitNumber = parseInt(limit) || 10;
+
+    const quotations = await Quotation.find(query)
+      .populate({ path: 'createdBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .sort({ quotationDate: -1, createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await Quotation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: quotations,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        totalPages: Math.ceil(total / limitNumber)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quotations error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get quotation by ID
+// @route   GET /api/quotations/:id
+// @access  Private (Admin/Employee)
+const getQuotationById = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return invalidIdResponse(res);
+    }
+
+    const quotation = await Quotation.findOne({ _id: req.params.id, organizationId: req.organizationId })
+      .populate({ path: 'createdBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .populate({ path: 'updatedBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .populate({
+        path: 'convertedSaleId',
+        select: 'invoiceNumber invoiceDate amount outstandingAmount status',
+        match: { organizationId: req.organizationId }
+      });
+
+    if (!quotation) {
+      return notFoundResponse(res);
+    }
+
+    res.json({
+      success: true,
+      data: quotation
+    });
+
+  } catch (error) {
+    console.error('Get quotation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update an open quotation
+// @route   PUT /api/quotations/:id
+// @access  Private (Admin/Employee)
+const updateQuotation = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return invalidIdResponse(res);
+    }
+
+    const quotation = await Quotation.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!quotation) {
+      return notFoundResponse(res);
+    }
+
+    if (quotation.status !== 'open') {
+      return res.status(400).json({
+        error: 'Quotation locked',
+        message: `A ${quotation.status} quotation cannot be edited`
+      });
+    }
+
+    ['customer', 'containerNo', 'supplier', 'notes'].forEach((field) => {
+      if (req.body[field] !== undefined) quotation[field] = req.body[field];
+    });
+    if (req.body.quotationDate) quotation.quotationDate = new Date(req.body.quotationDate);
+    if (req.body.validUntil) quotation.validUntil = new Date(req.body.validUntil);
+    if (Array.isArray(req.body.lines) || req.body.product) {
+      const lines = buildSaleLines(req.body);
+      const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+      if (unitError) {
+        return res.status(400).json(unitError);
+      }
+      quotation.lines = lines;
+    }
+
+    if (quotation.validUntil < quotation.quotationDate) {
+      return res.status(400).json({
+        error: 'Invalid expiry date',
+        message: 'Expiry date cannot be before the quotation date'
+      });
+    }
+
+    quotation.updatedBy = req.user.id;
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: 'Quotation updated successfully',
+      data: quotation
+    });
+
+  } catch (error) {
+    console.error('Update quotation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Cancel an open quotation
+// @route   POST /api/quotations/:id/cancel
+// @access  Private (Admin/Employee)
+const cancelQuotation = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return invalidIdResponse(res);
+    }
+
+    const quotation = await Quotation.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId, status: 'open' },
+      { $set: { status: 'cancelled', updatedBy: req.user.id } },
+      { new: true }
+    );
+
+    if (!quotation) {
+      return res.status(400).json({
+        error: 'Cannot cancel quotation',
+        message: 'Only open quotations can be cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quotation cancelled',
+      data: quotation
+    });
+
+  } catch (error) {
+    console.error('Cancel quotation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Convert a quotation into a sales invoice
+// @route   POST /api/quotations/:id/convert
+// @access  Private (Admin/Employee)
+const convertQuotation = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return invalidIdResponse(res);
+    }
+
+    const quotation = await Quotation.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!quotation) {
+      return notFoundResponse(res);
+    }
+
+    if (quotation.status !== 'open') {
+      return res.status(400).json({
+        error: 'Quotation not open',
+        message: quotation.status === 'converted'
+          ? 'This quotation has already been converted to an invoice'
+          : 'A cancelled quotation cannot be converted'
+      });
+    }
+
+    if (quotation.isExpired) {
+      return res.status(400).json({
+        error: 'Quotation expired',
+        message: `This quotation expired on ${quotation.validUntil.toLocaleDateString('en-GB')}. Extend its expiry date before converting it.`
+      });
+    }
+
+    const { dueDate, invoiceNumber } = req.body;
+    const invoiceDate = req.body.invoiceDate ? new Date(req.body.invoiceDate) : new Date();
+    const containerNo = req.body.containerNo || quotation.containerNo;
+    const supplier = req.body.supplier || quotation.supplier;
+
+    if (!containerNo || !supplier) {
+      return res.status(400).json({
+        error: 'Missing sale details',
+        message: 'Container number and supplier are required to convert the quotation to an invoice'
+      });
+    }
+
+    const lines = quotation.lines.map(line => ({
+      product: line.product,
+      marka: line.marka,
+      description: line.description,
+      quantity: line.quantity,
+      unit: line.unit || '',
+      rate: line.rate,
+      vatPercentage: line.vatPercentage || 0,
+      discount: line.discount || 0
+    }));
+
+    const { customerDoc, supplierDoc, error: partyError } = await resolveSaleParties(req.organizationId, {
+      customer: quotation.customer,
+      supplier
+    });
+    if (partyError) {
+      return res.status(400).json(partyError);
+    }
+
+    // The quoted units are checked against the products as they are now
+    const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+    if (unitError) {
+      return res.status(400).json(unitError);
+    }
+
+    // Enforce TRN for VAT sales
+    const trnError = await checkVatCustomerTRN(req.organizationId, customerDoc.ename, lines);
+    if (trnError) {
+      return res.status(400).json(trnError);
+    }
+
+    // Due date and credit limit follow the customer's terms as for a new sale
+    const finalDueDate = resolveDueDate(customerDoc, dueDate, invoiceDate);
+    if (!finalDueDate) {
+      return res.status(400).json({
+        error: 'Due date required',
+        message: 'Enter a due date, or set payment terms on the customer'
+      });
+    }
+
+    const { error: creditError, override } = await checkCustomerCredit(req, customerDoc, quotation.amount);
+    if (creditError) {
+      return res.status(creditError.status).json(creditError.body);
+    }
+
+    const { error: priceError, override: priceOverride } = await checkSaleFloorPrices(req, customerDoc, lines, invoiceDate);
+    if (priceError) {
+      return res.status(priceError.status).json(priceError.body);
+    }
+
+    const { error: stockError, warnings: stockWarnings } = await checkSaleStock(req, containerNo, lines);
+    if (stockError) {
+      return res.status(stockError.status).json(stockError.body);
+    }
+    const markaWarnings = await checkSaleMarka(req.organizationId, supplierDoc, lines);
+
+    // Claim the quotation first so it cannot be converted twice
+    const claimed = await Quotation.findOneAndUpdate(
+      { _id: quotation._id, organizationId: req.organizationId, status: 'open' },
+      { $set: { status: 'converted', convertedAt: new Date(), updatedBy: req.user.id } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        error: 'Quotation not open',
+        message: 'This quotation was converted or cancelled by someone else'
+      });
+    }
+
+    let sale;
+    try {
+      const { invoiceNumber: finalInvoiceNumber, error: invoiceNumberError } = await resolveInvoiceNumber(req.organizationId, invoiceNumber, invoiceDate);
+      if (invoiceNumberError) {
+        await Quotation.updateOne({ _id: quotation._id }, { $set: { status: 'open', convertedAt: null } });
+        return res.status(400).json(invoiceNumberError);
+      }
+
+      sale = new Sales({
+        organizationId: req.organizationId,
+        customerId: customerDoc._id,
+        customer: customerDoc.ename,
+        containerNo,
+        supplierId: supplierDoc._id,
+        supplier: supplierDoc.ename,
+        invoiceDate,
+        invoiceNumber: finalInvoiceNumber,
+        lines,
+        dueDate: finalDueDate,
+        status: 'unpaid',
+        quotationId: quotation._id,
+        createdBy: req.user.id
+      });
+
+      await sale.save();
+    } catch (error) {
+      await Quotation.updateOne({ _id: quotation._id }, { $set: { status: 'open', convertedAt: null } });
+      throw error;
+    }
+
+    claimed.convertedSaleId = sale._id;
+    await claimed.save();
+
+    if (override) {
+      await logCreditOverride(req, sale, override);
+    }
+    if (priceOverride) {
+      await logPriceOverride(req, sale, priceOverride);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${quotation.quotationNumber} converted to invoice ${sale.invoiceNumber}`,
+      data: sale,
+      quotation: claimed,
+      stockWarnings,
+      markaWarnings
+    });
+
+  } catch (error) {
+    console.error('Convert quotation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Print quotation / proforma PDF
+// @route   GET /api/quotations/:id/print
+// @access  Private (Admin/Employee)
+const printQuotation = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return invalidIdResponse(res);
+    }
+
+    const quotation = await Quotation.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!quotation) {
+      return notFoundResponse(res);
+    }
+
+    const pdfGenerator = new PDFGenerator(req.organization);
+    pdfGenerator.generateQuotation(res, quotation);
+
+  } catch (error) {
+    console.error('Print quotation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate quotation PDF'
+    });
+  }
+};
+
+// @desc    Delete a quotation that has not been converted
+// @route   DELETE /api/quotations/:id
+// @access  Private (Admin only)
+const deleteQuotation = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return invalidIdResponse(res);
+    }
+
+    const quotation = await Quotation.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!quotation) {
+      return notFoundResponse(res);
+    }
+
+    if (quotation.status === 'converted') {
+      return res.status(400).json({
+        error: 'Quotation converted',
+        message: 'Delete the invoice created from this quotation first'
+      });
+    }
+
+    await Quotation.deleteOne({ _id: quotation._id, organizationId: req.organizationId });
+
+    res.json({
+      success: true,
+      message: 'Quotation deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete quotation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createQuotation,
+  getQuotations,
+  getQuotationById,
+  updateQuotation,
+  cancelQuotation,
+  convertQuotation,
+  printQuotation,
+  deleteQuotation
+};
@@ -0,0 +1,579 @@
+const Receipt = require('../models/Receipt');
+const Sales = require('../models/Sales');
+const Customer = require('../models/Customer');
+const { checkClosedDayPosting, createSalesPaymentEntry } = require('./dailyLedgerController');
+const { ceilToTwoDecimals } = require('../utils/numberFormatter');
+const { getNextDocumentNumber } = require('../utils/documentNumbering');
+const { escapeRegex } = require('../utils/query');
+
+// Open invoices for a customer, oldest due first
+const findOpenSales = (organizationId, customer) => Sales.find({
+  organizationId,
+  customer: { $regex: `^${escapeRegex(customer.trim())}$`, $options: 'i' },
+  outstandingAmount: { $gt: 0 }
+}).sort({ dueDate: 1, invoiceDate: 1, createdAt: 1 });
+
+const formatAED = (value) => `AED ${value.toLocaleString('en-AE', { minimumFractionDigits: 2 })}`;
+
+// Split a receipt across open invoices. Without `requested` the amount is
+// applied oldest-due first; otherwise `requested` is the explicit split as
+// [{ saleId, amount }]. With `keepExcessAsCredit` whatever is not allocated
+// is held as customer credit instead of being refused. Returns
+// { allocations, unapplied } or { error } with a user-facing message. Each
+// allocation is { sale, amount }.
+const allocateReceipt = (openSales, amount, requested = null, { keepExcessAsCredit = false } = {}) => {
+  const totalOutstanding = ceilToTwoDecimals(openSales.reduce((sum, sale) => sum + sale.outstandingAmount, 0));
+  if (!requested && amount > totalOutstanding && !keepExcessAsCredit) {
+    return {
+      error: `Receipt amount (${formatAED(amount)}) exceeds the customer's total outstanding (${formatAED(totalOutstanding)}). Keep the excess as customer credit to record it.`
+    };
+  }
+
+  if (!requested) {
+    const allocations = [];
+    let remaining = amount;
+    for (const sale of openSales) {
+      if (remaining <= 0) break;
+      const allocated = ceilToTwoDecimals(Math.min(remaining, sale.outstandingAmount));
+      allocations.push({ sale, amount: allocated });
+      remaining = ceilToTwoDecimals(remaining - allocated);
+    }
+    return { allocations, unapplied: remaining };
+  }
+
+  const salesById = new Map(openSales.map(sale => [sale._id.toString(), sale]));
+  const seen = new Set();
+  const allocations = [];
+
+  for (const item of requested) {
+    const saleId = String(item.saleId);
+    const allocated = ceilToTwoDecimals(Number(item.amount) || 0);
+    const sale = salesById.get(saleId);
+
+    if (!sale) {
+      return { error: `Invoice ${saleId} is not an open invoice for this customer` };
+    }
+    if (seen.has(saleId)) {
+      return { error: `Invoice ${sale.invoiceNumber} is allocated more than once` };
+    }
+    if (allocated <= 0) {
+      return { error: `Allocation for invoice ${sale.invoiceNumber} must be greater than 0` };
+    }
+    if (allocated > sale.outstandingAmount) {
+      return { error: `Allocation for invoice ${sale.invoiceNumber} exceeds its outstanding amount (AED ${sale.outstandingAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })})` };
+    }
+
+    seen.add(saleId);
+    allocations.push({ sale, amount: allocated });
+  }
+
+  const allocatedTotal = ceilToTwoDecimals(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  const unapplied = ceilToTwoDecimals(amount - allocatedTotal);
+  if (unapplied <= -0.01 || (unapplied >= 0.01 && !keepExcessAsCredit)) {
+    return { error: `Allocations (${formatAED(allocatedTotal)}) must add up to the receipt amount (${formatAED(amount)})` };
+  }
+
+  return { allocations, unapplied: Math.max(0, unapplied) };
+};
+
+// Unapplied credit per customer, keyed by lower-cased customer name
+const getUnappliedCreditByCustomer = async (organizationId) => {
+  const rows = await Receipt.aggregate([
+    { $match: { organizationId, unappliedAmount: { $gt: 0 } } },
+    { $group: { _id: { $toLower: '$customer' }, total: { $sum: '$unappliedAmount' } } }
+  ]);
+  return new Map(rows.map(row => [row._id, ceilToTwoDecimals(row.total)]));
+};
+
+// Receipts a customer still has credit on, oldest first
+const findCreditReceipts = (organizationId, customer) => Receipt.find({
+  organizationId,
+  customer: { $regex: `^${escapeRegex(customer.trim())}$`, $options: 'i' },
+  unappliedAmount: { $gt: 0 }
+}).sort({ receiptDate: 1, createdAt: 1 });
+
+// Records a receipt: one Payment per allocated invoice, any remainder held as
+// customer credit, and a single daily-ledger receipt for the whole amount.
+// An allocation may carry its own `discount` and `paymentType`.
+const recordReceipt = async (req, {
+  customer,
+  amount,
+  allocations,
+  unapplied = 0,
+  allocationMode = 'oldest_due',
+  paymentMethod = 'cash',
+  reference,
+  notes,
+  paymentDate
+}) => {
+  const receiptNumber = await getNextDocumentNumber(req.organizationId, 'receipt', paymentDate);
+
+  const receipt = new Receipt({
+    organizationId: req.organizationId,
+    receiptNumber,
+    customer: customer.trim(),
+    amount,
+    paymentMethod,
+    reference,
+    notes,
+    receiptDate: paymentDate,
+    allocationMode,
+    allocations: [],
+    unappliedAmount: unapplied,
+    receivedBy: req.user.id
+  });
+
+  // One Payment per invoice, all linked back to this receipt
+  for (const allocation of allocations) {
+    const { sale } = allocation;
+    const payment = await sale.addPayment({
+      amount: allocation.amount,
+      receivedBy: req.user.id,
+      paymentType: allocation.paymentType || (allocation.amount >= sale.outstandingAmount ? 'full' : 'partial'),
+      paymentMethod,
+      reference: reference || receiptNumber,
+      notes,
+      paymentDate,
+      discount: allocation.discount || 0,
+      receiptId: receipt._id
+    });
+
+    receipt.allocations.push({
+      saleId: sale._id,
+      paymentId: payment._id,
+      invoiceNumber: sale.invoiceNumber,
+      amount: allocation.amount,
+      appliedAt: paymentDate
+    });
+  }
+
+  await receipt.save();
+
+  // A single ledger receipt for the whole amount
+  const ledgerEntry = await createSalesPaymentEntry(req.organizationId, null, amount, paymentMethod, {
+    receipt,
+    paymentDate
+  });
+  if (ledgerEntry) {
+    receipt.ledgerEntryId = ledgerEntry._id;
+    await receipt.save();
+  }
+
+  return receipt;
+};
+
+const formatAllocationPreview = ({ sale, amount }) => ({
+  saleId: sale._id,
+  invoiceNumber: sale.invoiceNumber,
+  invoiceDate: sale.invoiceDate,
+  dueDate: sale.dueDate,
+  outstandingAmount: sale.outstandingAmount,
+  amount,
+  remainingAfter: ceilToTwoDecimals(sale.outstandingAmount - amount)
+});
+
+// @desc    Preview how a receipt would be allocated (oldest due first)
+// @route   GET /api/receipts/allocation-preview
+// @access  Private (Admin/Employee)
+const previewReceiptAllocation = async (req, res) => {
+  try {
+    const { customer = '', amount = 0, keepExcessAsCredit = 'false' } = req.query;
+
+    if (!customer.trim()) {
+      return res.status(400).json({
+        error: 'Customer required',
+        message: 'Please provide a customer to preview the allocation'
+      });
+    }
+
+    const openSales = await findOpenSales(req.organizationId, customer);
+    const numericAmount = ceilToTwoDecimals(Number(amount) || 0);
+    const { allocations = [], unapplied = 0, error } = allocateReceipt(openSales, numericAmount, null, {
+      keepExcessAsCredit: keepExcessAsCredit === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer: customer.trim(),
+        amount: numericAmount,
+        totalOutstanding: ceilToTwoDecimals(openSales.reduce((sum, sale) => sum + sale.outstandingAmount, 0)),
+        openInvoices: openSales.map(sale => ({
+          saleId: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          invoiceDate: sale.invoiceDate,
+          dueDate: sale.dueDate,
+          outstandingAmount: sale.outstandingAmount,
+          status: sale.status
+        })),
+        allocations: allocations.map(formatAllocationPreview),
+        unappliedAmount: unapplied,
+        warning: error || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview receipt allocation error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Record one customer receipt across many open invoices
+// @route   POST /api/receipts
+// @access  Private (Admin/Employee)
+const createReceipt = async (req, res) => {
+  try {
+    const {
+      customer,
+      amount,
+      paymentMethod = 'cash',
+      reference,
+      notes,
+      receiptDate,
+      allocations: requestedAllocations,
+      keepExcessAsCredit = false,
+      postToOpenDay = false
+    } = req.body;
+
+    const numericAmount = ceilToTwoDecimals(Number(amount) || 0);
+    if (numericAmount <= 0) {
+      return res.status(400).json({
+        error: 'Invalid receipt',
+        message: 'Receipt amount must be greater than 0'
+      });
+    }
+
+    const openSales = await findOpenSales(req.organizationId, customer);
+    if (openSales.length === 0 && !keepExcessAsCredit) {
+      return res.status(400).json({
+        error: 'No open invoices',
+        message: `${customer} has no outstanding invoices to allocate this receipt to. Keep it as customer credit to record an advance.`
+      });
+    }
+
+    // Credit is only held for customers on the customer list
+    if (openSales.length === 0) {
+      const customerDoc = await Customer.findOne({
+        organizationId: req.organizationId,
+        ename: { $regex: `^${escapeRegex(customer.trim())}$`, $options: 'i' }
+      });
+      if (!customerDoc) {
+        return res.status(400).json({
+          error: 'Customer not found',
+          message: `"${customer}" is not in the customer list. Add the customer before recording an advance.`
+        });
+      }
+    }
+
+    const isManual = Array.isArray(requestedAllocations) && requestedAllocations.length > 0;
+    const { allocations, unapplied, error } = allocateReceipt(openSales, numericAmount, isManual ? requestedAllocations : null, {
+      keepExcessAsCredit
+    });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid allocation',
+        message: error
+      });
+    }
+
+    const paymentDate = receiptDate ? new Date(receiptDate) : new Date();
+
+    // A back-dated receipt into a closed day goes to today's ledger only when asked
+    const closedDayError = await checkClosedDayPosting(req.organizationId, [paymentDate], postToOpenDay);
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+
+    const receipt = await recordReceipt(req, {
+      customer,
+      amount: numericAmount,
+      allocations,
+      unapplied,
+      allocationMode: isManual ? 'manual' : 'oldest_due',
+      paymentMethod,
+      reference,
+      notes,
+      paymentDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: receipt.unappliedAmount > 0
+        ? `Receipt ${receipt.receiptNumber} allocated across ${receipt.allocations.length} invoice(s); ${formatAED(receipt.unappliedAmount)} held as customer credit`
+        : `Receipt ${receipt.receiptNumber} allocated across ${receipt.allocations.length} invoice(s)`,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Create receipt error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get receipts with filtering and pagination
+// @route   GET /api/receipts
+// @access  Private (Admin/Employee)
+const getReceipts = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      customer = '',
+      startDate = '',
+      endDate = ''
+    } = req.query;
+
+    const query = { organizationId: req.organizationId };
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { receiptNumber: { $regex: pattern, $options: 'i' } },
+        { customer: { $regex: pattern, $options: 'i' } },
+        { reference: { $regex: pattern, $options: 'i' } },
+        { 'allocations.invoiceNumber': { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    if (customer) {
+      query.customer = { $regex: `^${escapeRegex(customer.trim())}$`, $options: 'i' };
+    }
+
+    if (startDate || endDate) {
+      query.receiptDate = {};
+      if (startDate) query.receiptDate.$gte = new Date(startDate);
+      if (endDate) query.receiptDate.$lte = new Date(endDate);
+    }
+
+    const pageNumber = parseInt(page) || 1;
+    const limitNumber = parseInt(limit) || 10;
+
+    const receipts = await Receipt.find(query)
+      .populate({ path: 'receivedBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .sort({ receiptDate: -1, createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await Receipt.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: receipts,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        totalPages: Math.ceil(total / limitNumber)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get receipt by ID
+// @route   GET /api/receipts/:id
+// @access  Private (Admin/Employee)
+const getReceiptById = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid receipt ID',
+        message: 'Receipt ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const receipt = await Receipt.findOne({ _id: req.params.id, organizationId: req.organizationId })
+      .populate({ path: 'receivedBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .populate({
+        path: 'allocations.saleId',
+        select: 'invoiceNumber invoiceDate dueDate amount outstandingAmount status',
+        match: { organizationId: req.organizationId }
+      });
+
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        message: 'Receipt does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a customer's unapplied credit and the receipts holding it
+// @route   GET /api/receipts/customer-credit
+// @access  Private (Admin/Employee)
+const getCustomerCredit = async (req, res) => {
+  try {
+    const { customer = '' } = req.query;
+
+    if (!customer.trim()) {
+      return res.status(400).json({
+        error: 'Customer required',
+        message: 'Please provide a customer to look up their credit'
+      });
+    }
+
+    const receipts = await findCreditReceipts(req.organizationId, customer);
+
+    res.json({
+      success: true,
+      data: {
+        customer: customer.trim(),
+        creditBalance: ceilToTwoDecimals(receipts.reduce((sum, receipt) => sum + receipt.unappliedAmount, 0)),
+        receipts: receipts.map(receipt => ({
+          _id: receipt._id,
+          receiptNumber: receipt.receiptNumber,
+          receiptDate: receipt.receiptDate,
+          amount: receipt.amount,
+          unappliedAmount: receipt.unappliedAmount
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customer credit error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Settle open invoices from a receipt's unapplied credit
+// @route   POST /api/receipts/:id/apply
+// @access  Private (Admin/Employee)
+const applyReceiptCredit = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid receipt ID',
+        message: 'Receipt ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const receipt = await Receipt.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        message: 'Receipt does not exist'
+      });
+    }
+
+    if (receipt.unappliedAmount <= 0) {
+      return res.status(400).json({
+        error: 'No credit left',
+        message: `Receipt ${receipt.receiptNumber} has no unapplied credit`
+      });
+    }
+
+    const openSales = await findOpenSales(req.organizationId, receipt.customer);
+    const totalOutstanding = ceilToTwoDecimals(openSales.reduce((sum, sale) => sum + sale.outstandingAmount, 0));
+
+    // Manual allocations decide the amount; otherwise apply as much as possible
+    const { allocations: requestedAllocations, amount } = req.body;
+    const isManual = Array.isArray(requestedAllocations) && requestedAllocations.length > 0;
+    const numericAmount = isManual
+      ? ceilToTwoDecimals(requestedAllocations.reduce((sum, item) => sum + (Number(item.amount) || 0), 0))
+      : ceilToTwoDecimals(amount !== undefined ? Number(amount) || 0 : Math.min(receipt.unappliedAmount, totalOutstanding));
+
+    if (numericAmount <= 0) {
+      return res.status(400).json({
+        error: 'Nothing to apply',
+        message: `${receipt.customer} has no outstanding invoices to apply this credit to`
+      });
+    }
+
+    if (numericAmount > receipt.unappliedAmount) {
+      return res.status(400).json({
+        error: 'Invalid allocation',
+        message: `Only ${formatAED(receipt.unappliedAmount)} of receipt ${receipt.receiptNumber} is unapplied`
+      });
+    }
+
+    const { allocations, error } = allocateReceipt(openSales, numericAmount, isManual ? requestedAllocations : null);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid allocation',
+        message: error
+      });
+    }
+
+    // The cash is already in the daily ledger from when the receipt was taken
+    const appliedAt = new Date();
+    for (const { sale, amount: allocated } of allocations) {
+      const payment = await sale.addPayment({
+        amount: allocated,
+        receivedBy: req.user.id,
+        paymentType: allocated >= sale.outstandingAmount ? 'full' : 'partial',
+        paymentMethod: receipt.paymentMethod,
+        reference: receipt.receiptNumber,
+        notes: `Applied from customer credit on receipt ${receipt.receiptNumber}`,
+        paymentDate: appliedAt,
+        discount: 0,
+        receiptId: receipt._id
+      });
+
+      receipt.allocations.push({
+        saleId: sale._id,
+        paymentId: payment._id,
+        invoiceNumber: sale.invoiceNumber,
+        amount: allocated,
+        appliedAt,
+        fromCredit: true
+      });
+    }
+
+    receipt.unappliedAmount = ceilToTwoDecimals(receipt.unappliedAmount - numericAmount);
+    await receipt.save();
+
+    res.json({
+      success: true,
+      message: `${formatAED(numericAmount)} of customer credit applied across ${allocations.length} invoice(s)`,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Apply receipt credit error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  allocateReceipt,
+  recordReceipt,
+  getUnappliedCreditByCustomer,
+  previewReceiptAllocation,
+  createReceipt,
+  getReceipts,
+  getReceiptById,
+  getCustomerCredit,
+  applyReceiptCredit
+};
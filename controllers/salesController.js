@@ -1,13 +1,31 @@
 const Sales = require('../models/Sales');
 const Payment = require('../models/Payment');
-const Counter = require('../models/Counter');
 const PDFGenerator = require('../utils/pdfGenerator');
 const Customer = require('../models/Customer');
+const Supplier = require('../models/Supplier');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const { createSalesPaymentEntry } = require('./dailyLedgerController');
+const CreditNote = require('../models/CreditNote');
+const Receipt = require('../models/Receipt');
+const Quotation = require('../models/Quotation');
+const Purchase = require('../models/Purchase');
+const {
+  checkClosedDayPosting,
+  createSalesPaymentEntry,
+  findSalesPaymentEntry,
+  reversePaymentEntry,
+  getEntryChangeDays,
+  adjustSalesPaymentEntry
+} = require('./dailyLedgerController');
+const { recordReceipt, getUnappliedCreditByCustomer } = require('./receiptController');
+const { ceilToTwoDecimals, roundAmount } = require('../utils/numberFormatter');
+const { getNextDocumentNumber } = require('../utils/documentNumbering');
+const { writeAuditLog } = require('../utils/auditLogger');
+const { findStockShortfalls, getStockLevels } = require('../utils/stockLedger');
+const { resolvePrices, getNetLineRate } = require('../utils/priceList');
+const { resolveLineUnits, toBaseUnit, roundQuantity } = require('../utils/units');
+const { escapeRegex } = require('../utils/query');
 
-const escapeRegex = (text = '') => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 const exactMatchRegex = (value = '') => `^${escapeRegex(value.trim())}$`;
 const toArray = (value) => {
   if (Array.isArray(value)) return value;
@@ -20,6 +38,35 @@ const toArray = (value) => {
   return [];
 };
 
+// Invoice lines come from `lines`; older clients still post a single product
+// with its fields at the top level of the body. Existing lines keep their _id
+// so credit notes stay linked to them.
+const buildSaleLines = (body = {}) => {
+  if (Array.isArray(body.lines) && body.lines.length > 0) {
+    return body.lines.map((line) => ({
+      ...(line._id && /^[0-9a-fA-F]{24}$/.test(line._id) ? { _id: line._id } : {}),
+      product: line.product,
+      marka: line.marka,
+      description: line.description,
+      quantity: Number(line.quantity),
+      unit: line.unit || '',
+      rate: Number(line.rate),
+      vatPercentage: Number(line.vatPercentage || 0),
+      discount: Number(line.discount || 0)
+    }));
+  }
+
+  return [{
+    product: body.product,
+    marka: body.marka,
+    description: body.description,
+    quantity: Number(body.quantity),
+    unit: body.unit || '',
+    rate: Number(body.rate),
+    vatPercentage: Number(body.vatPercentage || 0)
+  }];
+};
+
 const prepareProductFilters = (rawProduct, rawProducts) => {
   let productFilters = [...new Set([...toArray(rawProduct), ...toArray(rawProducts)])];
   
@@ -36,18 +83,112 @@ const prepareProductFilters = (rawProduct, rawProducts) => {
   return { productFilters, hasPotato, treatAsExactMatch };
 };
 
-const buildCustomerOutstandingPipeline = ({
+// Parse `category`/`categories` query params into a list of category IDs
+const parseCategoryFilters = (rawCategory, rawCategories) => {
+  if (rawCategory) {
+    return [rawCategory];
+  }
+  if (rawCategories) {
+    return Array.isArray(rawCategories) ? rawCategories : [rawCategories];
+  }
+  return [];
+};
+
+// Names of active products in the given categories (all active products when
+// no category is selected), used to filter invoice lines by category
+const getCategoryProductNames = async (organizationId, categoryFilters = []) => {
+  const mongoose = require('mongoose');
+
+  const productQuery = { isActive: true, organizationId };
+  if (categoryFilters.length > 0) {
+    const categoryObjectIds = categoryFilters.map(id => {
+      try {
+        return mongoose.Types.ObjectId(id);
+      } catch {
+        return id;
+      }
+    });
+    productQuery.category = { $in: categoryObjectIds };
+  }
+
+  const products = await Product.find(productQuery).select('name');
+  return products.map(product => product.name);
+};
+
+// Split each sale into one row per invoice line. `product` becomes the line's
+// product and `lineShare` the line's part of the sale total, so filters written
+// against `product` keep working and amounts can be prorated per product.
+// A sale not yet migrated to lines counts as one line holding the whole sale.
+const buildSaleLineSliceStages = () => [
+  {
+    $addFields: {
+      lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$lines', []] } }, 0] },
+          '$lines',
+          [{ product: '$product', marka: '$marka', quantity: '$quantity', rate: '$rate', amount: '$amount' }]
+        ]
+      }
+    }
+  },
+  { $addFields: { linesTotal: { $sum: '$lines.amount' } } },
+  { $unwind: '$lines' },
+  {
+    $addFields: {
+      product: '$lines.product',
+      lineShare: {
+        $cond: [
+          { $gt: ['$linesTotal', 0] },
+          { $divide: ['$lines.amount', '$linesTotal'] },
+          0
+        ]
+      }
+    }
+  }
+];
+
+// Merge line rows produced by buildSaleLineSliceStages back into sale rows,
+// scaling the sale's amounts down to the lines that survived filtering
+const buildSaleLineMergeStages = (perProduct = false) => [
+  {
+    $group: {
+      _id: perProduct ? { saleId: '$_id', product: '$product' } : '$_id',
+      sale: { $first: '$$ROOT' },
+      lineShare: { $sum: '$lineShare' }
+    }
+  },
+  {
+    $replaceRoot: {
+      newRoot: {
+        $mergeObjects: [
+          '$sale',
+          {
+            amount: { $multiply: ['$sale.amount', '$lineShare'] },
+            receivedAmount: { $multiply: ['$sale.receivedAmount', '$lineShare'] },
+            creditTotal: { $multiply: [{ $ifNull: ['$sale.creditTotal', 0] }, '$lineShare'] },
+            outstandingAmount: { $multiply: ['$sale.outstandingAmount', '$lineShare'] }
+          }
+        ]
+      }
+    }
+  },
+  { $project: { lines: 0, linesTotal: 0, lineShare: 0 } }
+];
+
+// Stages that select outstanding sales (prorated to the matching invoice
+// lines) for the customer outstanding and aging reports. Rows keep the sale
+// shape; with perProduct there is one row per sale and product.
+const buildOutstandingSaleStages = ({
   organizationId,
   search = '',
   minAmount = '',
   maxAmount = '',
   status = '',
-  groupBy = 'customer',
   productFilters = [],
   hasPotato = false,
   treatAsExactMatch = false,
-  categoryFilters = [],
-  categoryProductNames = [],
+  categoryProductNames = null,
+  perProduct = false,
 }) => {
   const pipeline = [
     {
@@ -55,9 +196,49 @@ const buildCustomerOutstandingPipeline = ({
         organizationId,
         outstandingAmount: { $gt: 0 }
       }
-    },
+    }
   ];
 
+  if (search) {
+    if (perProduct) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { customer: { $regex: exactMatchRegex(search), $options: 'i' } },
+            { 'lines.product': { $regex: search, $options: 'i' } },
+            { 'lines.0': { $exists: false }, product: { $regex: search, $options: 'i' } }
+          ]
+        }
+      });
+    } else {
+      pipeline.push({
+        $match: {
+          customer: { $regex: exactMatchRegex(search), $options: 'i' }
+        }
+      });
+    }
+  }
+
+  if (minAmount || maxAmount) {
+    const amountFilter = {};
+    if (minAmount) amountFilter.$gte = parseFloat(minAmount);
+    if (maxAmount) amountFilter.$lte = parseFloat(maxAmount);
+    
+    pipeline.push({
+      $match: {
+        outstandingAmount: amountFilter
+      }
+    });
+  }
+
+  if (['overdue', 'partially_paid', 'unpaid'].includes(status)) {
+    pipeline.push({
+      $match: { status }
+    });
+  }
+
+  pipeline.push(...buildSaleLineSliceStages());
+
   if (productFilters.length === 0 && hasPotato) {
     pipeline.push({
       $match: {
@@ -104,19 +285,52 @@ const buildCustomerOutstandingPipeline = ({
     });
   }
 
-  // If grouping by category, filter sales by products that belong to selected categories
-  if (groupBy === 'category') {
-    if (categoryProductNames.length > 0) {
-      // Filter sales to only include products from the selected categories
-      pipeline.push({
-        $match: {
-          product: {
-            $in: categoryProductNames
-          }
+  // Only lines whose product belongs to the selected categories
+  if (Array.isArray(categoryProductNames) && categoryProductNames.length > 0) {
+    pipeline.push({
+      $match: {
+        product: {
+          $in: categoryProductNames
         }
-      });
-    }
-    
+      }
+    });
+  }
+
+  // Fold the matching lines back into one row per sale (per sale and product
+  // when perProduct) so invoice counts stay per invoice
+  pipeline.push(...buildSaleLineMergeStages(perProduct));
+
+  return pipeline;
+};
+
+const buildCustomerOutstandingPipeline = ({
+  organizationId,
+  search = '',
+  minAmount = '',
+  maxAmount = '',
+  status = '',
+  groupBy = 'customer',
+  productFilters = [],
+  hasPotato = false,
+  treatAsExactMatch = false,
+  categoryFilters = [],
+  categoryProductNames = [],
+}) => {
+  const pipeline = buildOutstandingSaleStages({
+    organizationId,
+    search,
+    minAmount,
+    maxAmount,
+    status,
+    productFilters,
+    hasPotato,
+    treatAsExactMatch,
+    // Category filtering only applies when grouping by category
+    categoryProductNames: groupBy === 'category' ? categoryProductNames : null,
+    perProduct: groupBy === 'product' || groupBy === 'category',
+  });
+
+  if (groupBy === 'category') {
     // Add category field using lookup
     pipeline.push({
       $lookup: {
@@ -207,6 +421,7 @@ const buildCustomerOutstandingPipeline = ({
           totalOutstanding: { $sum: '$outstandingAmount' },
           totalAmount: { $sum: '$amount' },
           totalReceived: { $sum: '$receivedAmount' },
+          totalCredited: { $sum: '$creditTotal' },
           invoiceCount: { $sum: 1 },
           unpaidInvoices: {
             $sum: { $cond: [{ $eq: ['$status', 'unpaid'] }, 1, 0] }
@@ -231,6 +446,7 @@ const buildCustomerOutstandingPipeline = ({
               totalOutstanding: '$totalOutstanding',
               totalAmount: '$totalAmount',
               totalReceived: '$totalReceived',
+              totalCredited: '$totalCredited',
               invoiceCount: '$invoiceCount',
               unpaidInvoices: '$unpaidInvoices',
               partiallyPaidInvoices: '$partiallyPaidInvoices',
@@ -242,6 +458,7 @@ const buildCustomerOutstandingPipeline = ({
           totalOutstanding: { $sum: '$totalOutstanding' },
           totalAmount: { $sum: '$totalAmount' },
           totalReceived: { $sum: '$totalReceived' },
+          totalCredited: { $sum: '$totalCredited' },
           totalInvoices: { $sum: '$invoiceCount' },
           totalCustomers: { $sum: 1 }
         }
@@ -294,6 +511,7 @@ const buildCustomerOutstandingPipeline = ({
           totalOutstanding: { $sum: '$outstandingAmount' },
           totalAmount: { $sum: '$amount' },
           totalReceived: { $sum: '$receivedAmount' },
+          totalCredited: { $sum: '$creditTotal' },
           invoiceCount: { $sum: 1 },
           unpaidInvoices: {
             $sum: { $cond: [{ $eq: ['$status', 'unpaid'] }, 1, 0] }
@@ -318,6 +536,7 @@ const buildCustomerOutstandingPipeline = ({
               totalOutstanding: '$totalOutstanding',
               totalAmount: '$totalAmount',
               totalReceived: '$totalReceived',
+              totalCredited: '$totalCredited',
               invoiceCount: '$invoiceCount',
               unpaidInvoices: '$unpaidInvoices',
               partiallyPaidInvoices: '$partiallyPaidInvoices',
@@ -329,6 +548,7 @@ const buildCustomerOutstandingPipeline = ({
           totalOutstanding: { $sum: '$totalOutstanding' },
           totalAmount: { $sum: '$totalAmount' },
           totalReceived: { $sum: '$totalReceived' },
+          totalCredited: { $sum: '$totalCredited' },
           totalInvoices: { $sum: '$invoiceCount' },
           totalCustomers: { $sum: 1 }
         }
@@ -342,6 +562,7 @@ const buildCustomerOutstandingPipeline = ({
         totalOutstanding: { $sum: '$outstandingAmount' },
         totalAmount: { $sum: '$amount' },
         totalReceived: { $sum: '$receivedAmount' },
+        totalCredited: { $sum: '$creditTotal' },
         invoiceCount: { $sum: 1 },
         unpaidInvoices: {
           $sum: { $cond: [{ $eq: ['$status', 'unpaid'] }, 1, 0] }
@@ -413,55 +634,327 @@ const buildCustomerOutstandingPipeline = ({
     $sort: { totalOutstanding: -1 }
   });
 
-  if (search) {
-    if (groupBy === 'product' || groupBy === 'category') {
-      pipeline.unshift({
+  return pipeline;
+};
+
+// VAT sales need the customer's TRN on file. Returns an error body or null.
+const findCustomerByName = (organizationId, name = '') => Customer.findOne({
+  organizationId,
+  ename: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') }
+});
+
+const findSupplierByName = (organizationId, name = '') => Supplier.findOne({
+  organizationId,
+  ename: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') }
+});
+
+// Customer and supplier master records for a sale, given by `customerId` /
+// `supplierId` or by exact name. Returns { customerDoc, supplierDoc } or
+// { error } with an error body.
+const resolveSaleParties = async (organizationId, { customer, customerId, supplier, supplierId }) => {
+  const customerDoc = customerId
+    ? await Customer.findOne({ _id: customerId, organizationId })
+    : await findCustomerByName(organizationId, customer);
+  if (!customerDoc) {
+    return {
+      error: {
+        error: 'Customer not found',
+        message: `${customer ? `"${customer}"` : 'The selected customer'} is not in the customer list. Add the customer before invoicing them.`
+      }
+    };
+  }
+
+  const supplierDoc = supplierId
+    ? await Supplier.findOne({ _id: supplierId, organizationId })
+    : await findSupplierByName(organizationId, supplier);
+  if (!supplierDoc) {
+    return {
+      error: {
+        error: 'Supplier not found',
+        message: `${supplier ? `"${supplier}"` : 'The selected supplier'} is not in the supplier list. Add the supplier first.`
+      }
+    };
+  }
+
+  return { customerDoc, supplierDoc };
+};
+
+const checkVatCustomerTRN = async (organizationId, customer, lines) => {
+  if (!lines.some(line => line.vatPercentage > 0)) return null;
+
+  const customerDoc = await findCustomerByName(organizationId, customer);
+  if (!customerDoc || !customerDoc.trn || customerDoc.trn.trim() === '') {
+    return {
+      error: 'Customer TRN required',
+      message: 'This sale includes VAT. Please add TRN to the selected customer before creating the sale.'
+    };
+  }
+  return null;
+};
+
+// The given due date, or the invoice date plus the customer's payment terms.
+// Returns null when neither is available.
+const resolveDueDate = (customerDoc, dueDate, invoiceDate) => {
+  if (dueDate) return new Date(dueDate);
+  if (!customerDoc || customerDoc.paymentTermsDays === null || customerDoc.paymentTermsDays === undefined) {
+    return null;
+  }
+
+  const due = new Date(invoiceDate);
+  due.setDate(due.getDate() + customerDoc.paymentTermsDays);
+  return due;
+};
+
+// A customer on hold, or an invoice that takes the customer's outstanding
+// balance over their credit limit, needs an admin to send `creditOverride`.
+// Returns { error: { status, body } } to refuse, { override } with the
+// details to audit-log once the sale is saved, or {} when the sale is fine.
+const checkCustomerCredit = async (req, customerDoc, invoiceAmount) => {
+  if (!customerDoc) return {};
+
+  const reasons = [];
+  if (customerDoc.onHold) {
+    reasons.push(`${customerDoc.ename} is on hold${customerDoc.holdReason ? ` (${customerDoc.holdReason})` : ''}`);
+  }
+
+  let outstanding = 0;
+  const hasLimit = customerDoc.creditLimit !== null && customerDoc.creditLimit !== undefined;
+  if (hasLimit) {
+    const [totals] = await Sales.aggregate([
+      {
         $match: {
+          organizationId: req.organizationId,
           $or: [
-            { customer: { $regex: exactMatchRegex(search), $options: 'i' } },
-            { product: { $regex: search, $options: 'i' } }
-          ]
+            { customerId: customerDoc._id },
+            { customerId: null, customer: { $regex: exactMatchRegex(customerDoc.ename), $options: 'i' } }
+          ],
+          status: { $ne: 'paid' }
         }
-      });
-    } else {
-      pipeline.unshift({
-        $match: {
-          customer: { $regex: exactMatchRegex(search), $options: 'i' }
+      },
+      { $group: { _id: null, outstanding: { $sum: '$outstandingAmount' } } }
+    ]);
+    outstanding = ceilToTwoDecimals(totals ? totals.outstanding : 0);
+
+    if (outstanding + invoiceAmount > customerDoc.creditLimit) {
+      const formatAED = (value) => `AED ${value.toLocaleString('en-AE', { minimumFractionDigits: 2 })}`;
+      reasons.push(`this invoice of ${formatAED(invoiceAmount)} takes the outstanding balance of ${formatAED(outstanding)} over the credit limit of ${formatAED(customerDoc.creditLimit)}`);
+    }
+  }
+
+  if (reasons.length === 0) return {};
+
+  const credit = {
+    customerId: customerDoc._id,
+    customer: customerDoc.ename,
+    onHold: customerDoc.onHold,
+    creditLimit: hasLimit ? customerDoc.creditLimit : null,
+    outstanding,
+    invoiceAmount,
+    reasons
+  };
+
+  if (!req.body.creditOverride) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Credit check failed',
+          message: `Cannot invoice ${customerDoc.ename}: ${reasons.join('; ')}. An administrator can override this.`,
+          credit
+        }
+      }
+    };
+  }
+
+  if (req.user.role !== 'admin') {
+    return {
+      error: {
+        status: 403,
+        body: {
+          error: 'Access denied',
+          message: 'Only administrators can override a credit check'
         }
+      }
+    };
+  }
+
+  return { override: { ...credit, overrideReason: req.body.overrideReason || '' } };
+};
+
+const logCreditOverride = (req, sale, override) => writeAuditLog({
+  req,
+  action: 'sales.credit_override',
+  resourceType: 'sale',
+  resourceId: sale._id,
+  organizationId: req.organizationId,
+  metadata: { invoiceNumber: sale.invoiceNumber, ...override }
+});
+
+// A line going below the price-list floor for the customer needs an admin
+// to send `priceOverride`. Lines kept unchanged from `previousLines` were
+// accepted before and are not checked again. Returns { error: { status, body } }
+// to refuse, { override } with the details to audit-log once the sale is
+// saved, or {} when the rates are fine.
+const checkSaleFloorPrices = async (req, customerDoc, lines, invoiceDate, { previousLines = [] } = {}) => {
+  const isUnchanged = (line) => line._id && previousLines.some(previous => (
+    previous._id.toString() === line._id.toString()
+    && previous.product === line.product
+    && previous.rate === line.rate
+    && (previous.discount || 0) === (line.discount || 0)
+    && previous.quantity === line.quantity
+    && (previous.unit || '') === (line.unit || '')
+  ));
+  const checkedLines = lines.filter(line => !isUnchanged(line));
+  if (checkedLines.length === 0) return {};
+
+  const prices = await resolvePrices(req.organizationId, customerDoc, checkedLines.map(line => line.product), new Date(invoiceDate));
+  const belowFloor = [];
+  checkedLines.forEach((line) => {
+    const price = prices.get((line.product || '').trim().toLowerCase());
+    if (!price || price.floorRate === null || price.floorRate === undefined) return;
+    // Price-list rates are per base unit
+    const netRate = ceilToTwoDecimals(getNetLineRate(line) / (Number(line.unitFactor) || 1));
+    if (netRate < price.floorRate) {
+      belowFloor.push({
+        product: line.product,
+        unit: line.unit || '',
+        rate: line.rate,
+        baseUnit: line.baseUnit || '',
+        netRate,
+        floorRate: price.floorRate,
+        priceListRate: price.rate,
+        priceListId: price._id,
+        scope: price.scope
       });
     }
+  });
+
+  if (belowFloor.length === 0) return {};
+
+  const perUnit = (line) => (line.baseUnit ? ` per ${line.baseUnit}` : '');
+  const summary = belowFloor.map(line => `${line.product} at AED ${line.netRate}${perUnit(line)} (floor AED ${line.floorRate})`).join('; ');
+  if (!req.body.priceOverride) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Price below floor',
+          message: `Rates below the price-list floor for ${customerDoc.ename}: ${summary}. An administrator can approve this.`,
+          belowFloor
+        }
+      }
+    };
   }
 
-  if (minAmount || maxAmount) {
-    const amountFilter = {};
-    if (minAmount) amountFilter.$gte = parseFloat(minAmount);
-    if (maxAmount) amountFilter.$lte = parseFloat(maxAmount);
-    
-    pipeline.splice(1, 0, {
-      $match: {
-        outstandingAmount: amountFilter
+  if (req.user.role !== 'admin') {
+    return {
+      error: {
+        status: 403,
+        body: {
+          error: 'Access denied',
+          message: 'Only administrators can approve a sale below the floor price'
+        }
       }
-    });
+    };
   }
 
-  if (status) {
-    const statusFilter = {};
-    if (status === 'overdue') {
-      statusFilter.status = 'overdue';
-    } else if (status === 'partially_paid') {
-      statusFilter.status = 'partially_paid';
-    } else if (status === 'unpaid') {
-      statusFilter.status = 'unpaid';
+  return {
+    override: {
+      customerId: customerDoc._id,
+      customer: customerDoc.ename,
+      belowFloor,
+      overrideReason: req.body.overrideReason || ''
     }
-    
-    if (Object.keys(statusFilter).length > 0) {
-      pipeline.splice(1, 0, {
-        $match: statusFilter
-      });
+  };
+};
+
+const logPriceOverride = (req, sale, override) => writeAuditLog({
+  req,
+  action: 'sales.price_override',
+  resourceType: 'sale',
+  resourceId: sale._id,
+  organizationId: req.organizationId,
+  metadata: { invoiceNumber: sale.invoiceNumber, ...override }
+});
+
+// Compare a sale's lines with the stock left in its container. Depending on
+// the organization's stock policy a shortfall refuses the sale or comes back
+// as warnings for the response. Returns { error: { status, body } } or
+// { warnings }.
+const checkSaleStock = async (req, containerNo, lines, { excludeSaleId = null } = {}) => {
+  const policy = (req.organization && req.organization.stockPolicy) || 'warn';
+  if (policy === 'off') return { warnings: [] };
+
+  const shortfalls = await findStockShortfalls(req.organizationId, containerNo, lines, { excludeSaleId });
+  if (shortfalls.length > 0 && policy === 'block') {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Insufficient stock',
+          message: `Container ${containerNo} does not have enough stock: ${shortfalls.map(s => `${s.product} (${s.available}${s.unit ? ` ${s.unit}` : ''} available, ${s.requested} requested)`).join('; ')}`,
+          shortfalls
+        }
+      }
+    };
+  }
+
+  return { warnings: shortfalls };
+};
+
+// Suppliers whose marka is the given one, matched ignoring case
+const findSuppliersByMarka = (organizationId, marka = '') => Supplier.find({
+  organizationId,
+  marka: { $regex: `^${escapeRegex(marka.trim())}$`, $options: 'i' }
+}).select('ename uname marka isActive');
+
+// Lines whose marka is not the chosen supplier's: either the supplier has a
+// different marka on file or the marka belongs to another supplier. Never
+// refuses the sale. Returns [{ marka, supplier, markaSuppliers, message }].
+const checkSaleMarka = async (organizationId, supplierDoc, lines) => {
+  const supplierMarka = (supplierDoc.marka || '').trim().toLowerCase();
+  const markas = [...new Set(lines.map(line => (line.marka || '').trim()).filter(Boolean))];
+
+  const warnings = [];
+  for (const marka of markas) {
+    if (supplierMarka && marka.toLowerCase() === supplierMarka) continue;
+
+    const owners = (await findSuppliersByMarka(organizationId, marka))
+      .filter(owner => owner._id.toString() !== supplierDoc._id.toString());
+    if (!supplierMarka && owners.length === 0) continue;
+
+    warnings.push({
+      marka,
+      supplier: supplierDoc.ename,
+      markaSuppliers: owners.map(owner => owner.ename),
+      message: owners.length > 0
+        ? `Marka "${marka}" belongs to ${owners.map(owner => owner.ename).join(', ')}, not ${supplierDoc.ename}`
+        : `Marka "${marka}" does not match ${supplierDoc.ename}'s marka "${supplierDoc.marka}"`
+    });
+  }
+  return warnings;
+};
+
+// Use the provided invoice number if it is free, otherwise take the next one.
+// Returns { invoiceNumber } or { error } with an error body.
+const resolveInvoiceNumber = async (organizationId, invoiceNumber, invoiceDate = new Date()) => {
+  if (invoiceNumber && invoiceNumber.trim() !== '') {
+    const finalInvoiceNumber = invoiceNumber.trim();
+
+    // Check if the provided invoice number already exists
+    const existingSale = await Sales.findOne({ invoiceNumber: finalInvoiceNumber, organizationId });
+    if (existingSale) {
+      return {
+        error: {
+          error: 'Invoice number already exists',
+          message: 'A sale with this invoice number already exists. Please use a different invoice number.'
+        }
+      };
     }
+    return { invoiceNumber: finalInvoiceNumber };
   }
 
-  return pipeline;
+  return { invoiceNumber: await getNextDocumentNumber(organizationId, 'invoice', invoiceDate) };
 };
 
 // @desc    Create new sale
@@ -470,72 +963,85 @@ const buildCustomerOutstandingPipeline = ({
 const createSale = async (req, res) => {
   try {
     const {
-      customer,
       containerNo,
-      supplier,
       invoiceDate,
       invoiceNumber, // Add this to destructuring
-      product,
-      marka,
-      description,
-      quantity,
-      rate,
-      vatPercentage = 0,
       dueDate
     } = req.body;
+    const lines = buildSaleLines(req.body);
+
+    const { customerDoc, supplierDoc, error: partyError } = await resolveSaleParties(req.organizationId, req.body);
+    if (partyError) {
+      return res.status(400).json(partyError);
+    }
+
+    const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+    if (unitError) {
+      return res.status(400).json(unitError);
+    }
 
     // Enforce TRN for VAT sales
-    if (Number(vatPercentage) > 0) {
-      const customerDoc = await Customer.findOne({ organizationId: req.organizationId, ename: { $regex: new RegExp(`^${customer}$`, 'i') } });
-      if (!customerDoc || !customerDoc.trn || customerDoc.trn.trim() === '') {
-        return res.status(400).json({
-          error: 'Customer TRN required',
-          message: 'This sale includes VAT. Please add TRN to the selected customer before creating the sale.'
-        });
-      }
+    const trnError = await checkVatCustomerTRN(req.organizationId, customerDoc.ename, lines);
+    if (trnError) {
+      return res.status(400).json(trnError);
     }
 
-    // Handle invoice number - use provided one or auto-generate
-    let finalInvoiceNumber;
-    if (invoiceNumber && invoiceNumber.trim() !== '') {
-      // Use provided invoice number
-      finalInvoiceNumber = invoiceNumber.trim();
-      
-      // Check if the provided invoice number already exists
-      const existingSale = await Sales.findOne({ invoiceNumber: finalInvoiceNumber, organizationId: req.organizationId });
-      if (existingSale) {
-        return res.status(400).json({
-          error: 'Invoice number already exists',
-          message: 'A sale with this invoice number already exists. Please use a different invoice number.'
-        });
-      }
-    } else {
-      // Auto-generate invoice number
-      const nextSequence = await Counter.getNextSequence(req.organizationId, 'invoiceNumber');
-      finalInvoiceNumber = `INV-${String(nextSequence).padStart(6, '0')}`;
+    const finalDueDate = resolveDueDate(customerDoc, dueDate, new Date(invoiceDate));
+    if (!finalDueDate) {
+      return res.status(400).json({
+        error: 'Due date required',
+        message: 'Enter a due date, or set payment terms on the customer'
+      });
     }
 
-    // Create new sale
+    // Totals are worked out from the lines before the sale is saved
     const newSale = new Sales({
       organizationId: req.organizationId,
-      customer,
+      customerId: customerDoc._id,
+      customer: customerDoc.ename,
       containerNo,
-      supplier,
+      supplierId: supplierDoc._id,
+      supplier: supplierDoc.ename,
       invoiceDate: new Date(invoiceDate),
-      invoiceNumber: finalInvoiceNumber,
-      product,
-      marka,
-      description,
-      quantity,
-      rate,
-      vatPercentage,
-      dueDate: new Date(dueDate),
+      lines,
+      dueDate: finalDueDate,
       status: 'unpaid',
       createdBy: req.user.id
     });
+    newSale.recalculateTotals();
+
+    const { error: creditError, override } = await checkCustomerCredit(req, customerDoc, newSale.amount);
+    if (creditError) {
+      return res.status(creditError.status).json(creditError.body);
+    }
+
+    const { error: priceError, override: priceOverride } = await checkSaleFloorPrices(req, customerDoc, lines, invoiceDate);
+    if (priceError) {
+      return res.status(priceError.status).json(priceError.body);
+    }
+
+    const { error: stockError, warnings: stockWarnings } = await checkSaleStock(req, containerNo, lines);
+    if (stockError) {
+      return res.status(stockError.status).json(stockError.body);
+    }
+    const markaWarnings = await checkSaleMarka(req.organizationId, supplierDoc, lines);
+
+    // Handle invoice number - use provided one or auto-generate
+    const { invoiceNumber: finalInvoiceNumber, error: invoiceNumberError } = await resolveInvoiceNumber(req.organizationId, invoiceNumber, invoiceDate);
+    if (invoiceNumberError) {
+      return res.status(400).json(invoiceNumberError);
+    }
 
+    newSale.invoiceNumber = finalInvoiceNumber;
     await newSale.save();
 
+    if (override) {
+      await logCreditOverride(req, newSale, override);
+    }
+    if (priceOverride) {
+      await logPriceOverride(req, newSale, priceOverride);
+    }
+
     // Ensure the ID is properly formatted as a string
     const saleData = newSale.toObject();
     saleData._id = saleData._id.toString();
@@ -543,7 +1049,9 @@ const createSale = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Sale created successfully',
-      data: saleData
+      data: saleData,
+      stockWarnings,
+      markaWarnings
     });
 
   } catch (error) {
@@ -565,7 +1073,9 @@ const getSales = async (req, res) => {
       limit = 10,
       search = '',
       customer = '',
+      customerId = '',
       supplier = '',
+      supplierId = '',
       containerNo = '',
       product = '',
       status = '',
@@ -591,10 +1101,12 @@ const getSales = async (req, res) => {
       query.$or = [
         { customer: { $regex: exactMatchRegex(search), $options: 'i' } },
         { supplier: { $regex: search, $options: 'i' } },
-        { product: { $regex: search, $options: 'i' } },
+        { 'lines.product': { $regex: search, $options: 'i' } },
+        { 'lines.0': { $exists: false }, product: { $regex: search, $options: 'i' } },
         { invoiceNumber: { $regex: search, $options: 'i' } },
         { containerNo: { $regex: search, $options: 'i' } },
-        { marka: { $regex: search, $options: 'i' } }
+        { 'lines.marka': { $regex: search, $options: 'i' } },
+        { 'lines.0': { $exists: false }, marka: { $regex: search, $options: 'i' } }
       ];
     }
 
@@ -603,16 +1115,30 @@ const getSales = async (req, res) => {
       query.customer = { $regex: exactMatchRegex(customer), $options: 'i' };
     }
 
+    if (/^[0-9a-fA-F]{24}$/.test(customerId)) {
+      query.customerId = customerId;
+    }
+
     if (supplier) {
       query.supplier = { $regex: supplier, $options: 'i' };
     }
 
+    if (/^[0-9a-fA-F]{24}$/.test(supplierId)) {
+      query.supplierId = supplierId;
+    }
+
     if (containerNo) {
       query.containerNo = { $regex: containerNo, $options: 'i' };
     }
 
+    // Kept apart from the search, which has its own $or
     if (product) {
-      query.product = { $regex: product, $options: 'i' };
+      query.$and = [{
+        $or: [
+          { 'lines.product': { $regex: product, $options: 'i' } },
+          { 'lines.0': { $exists: false }, product: { $regex: product, $options: 'i' } }
+        ]
+      }];
     }
 
     // Status filtering (single or multiple)
@@ -872,7 +1398,9 @@ const getSaleByIdHelper = async (saleId, organizationId) => {
           select: 'name email',
           match: { organizationId }
         }
-      });
+      })
+      .populate({ path: 'creditNotes', match: { organizationId }, options: { sort: { creditNoteDate: -1 } } })
+      .populate({ path: 'quotationId', select: 'quotationNumber type quotationDate validUntil', match: { organizationId } });
 
     return sale;
   } catch (error) {
@@ -945,24 +1473,26 @@ const updateSale = async (req, res) => {
     }
 
     const {
-      customer,
       containerNo,
-      supplier,
       invoiceDate,
       invoiceNumber, // Add this to destructuring
-      product,
-      marka,
-      description,
-      quantity,
-      rate,
-      vatPercentage = 0,
       dueDate
     } = req.body;
+    const lines = buildSaleLines(req.body);
+
+    const { customerDoc, supplierDoc, error: partyError } = await resolveSaleParties(req.organizationId, req.body);
+    if (partyError) {
+      return res.status(400).json(partyError);
+    }
+
+    const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+    if (unitError) {
+      return res.status(400).json(unitError);
+    }
 
     // Enforce TRN for VAT sales
-    if (Number(vatPercentage) > 0) {
-      const customerDoc = await Customer.findOne({ organizationId: req.organizationId, ename: { $regex: new RegExp(`^${customer}$`, 'i') } });
-      if (!customerDoc || !customerDoc.trn || customerDoc.trn.trim() === '') {
+    if (lines.some(line => line.vatPercentage > 0)) {
+      if (!customerDoc.trn || customerDoc.trn.trim() === '') {
         return res.status(400).json({
           error: 'Customer TRN required',
           message: 'This sale includes VAT. Please add TRN to the selected customer before updating the sale.'
@@ -995,24 +1525,85 @@ const updateSale = async (req, res) => {
       }
     }
 
+    // Legacy single-line updates carry no line id; keep the existing one
+    if (lines.length === 1 && !lines[0]._id && sale.lines.length === 1) {
+      lines[0]._id = sale.lines[0]._id;
+    }
+
+    // Lines with returned goods must stay on the invoice, in the same unit,
+    // with at least that quantity
+    const credits = await CreditNote.getSaleCredits(req.organizationId, sale._id);
+    const invalidReturn = Object.entries(credits.returnedByLine).find(([lineId, returnedQuantity]) => {
+      const line = lines.find(l => l._id && l._id.toString() === lineId);
+      const previous = sale.lines.id(lineId);
+      return !line || line.quantity < returnedQuantity || Boolean(previous && previous.unit && previous.unit !== line.unit);
+    });
+    if (invalidReturn) {
+      return res.status(400).json({
+        error: 'Invoice line has credit notes',
+        message: 'A line with returned goods cannot be removed, change unit or be reduced below the returned quantity.'
+      });
+    }
+
+    const { error: priceError, override: priceOverride } = await checkSaleFloorPrices(req, customerDoc, lines, invoiceDate, {
+      previousLines: sale.lines
+    });
+    if (priceError) {
+      return res.status(priceError.status).json(priceError.body);
+    }
+
+    // Only what the edit adds to the customer's balance is credit checked,
+    // or the whole invoice when it moves to another customer
+    const previousAmount = sale.amount;
+    const customerChanged = sale.customerId
+      ? !sale.customerId.equals(customerDoc._id)
+      : (sale.customer || '').trim().toLowerCase() !== customerDoc.ename.trim().toLowerCase();
+
     // Update sale
-    sale.customer = customer;
+    sale.customerId = customerDoc._id;
+    sale.customer = customerDoc.ename;
     sale.containerNo = containerNo;
-    sale.supplier = supplier;
+    sale.supplierId = supplierDoc._id;
+    sale.supplier = supplierDoc.ename;
     sale.invoiceDate = new Date(invoiceDate);
     sale.invoiceNumber = invoiceNumber && invoiceNumber.trim() !== '' ? invoiceNumber.trim() : sale.invoiceNumber;
-    sale.product = product;
-    sale.marka = marka;
-    sale.description = description;
-    sale.quantity = quantity;
-    sale.rate = rate;
-    sale.vatPercentage = vatPercentage;
+    sale.lines = lines;
     // Discount is managed via payments now; do not set on sale during updates
     sale.dueDate = new Date(dueDate);
     sale.updatedBy = req.user.id;
+    sale.recalculateTotals();
+
+    if (sale.outstandingAmount < 0) {
+      return res.status(400).json({
+        error: 'Invoice total too low',
+        message: 'The invoice total cannot be lower than the payments and credit notes already applied to it.'
+      });
+    }
+
+    const creditAmount = customerChanged ? sale.amount : roundAmount(sale.amount - previousAmount);
+    const { error: creditError, override } = creditAmount > 0
+      ? await checkCustomerCredit(req, customerDoc, creditAmount)
+      : {};
+    if (creditError) {
+      return res.status(creditError.status).json(creditError.body);
+    }
+
+    // The sale's own lines are left out so it is checked against the stock it can draw on
+    const { error: stockError, warnings: stockWarnings } = await checkSaleStock(req, containerNo, lines, { excludeSaleId: sale._id });
+    if (stockError) {
+      return res.status(stockError.status).json(stockError.body);
+    }
+    const markaWarnings = await checkSaleMarka(req.organizationId, supplierDoc, lines);
+
+    await sale.save();
+
+    if (override) {
+      await logCreditOverride(req, sale, override);
+    }
+    if (priceOverride) {
+      await logPriceOverride(req, sale, priceOverride);
+    }
 
-    await sale.save();
-
     // Ensure the ID is properly formatted as a string
     const saleData = sale.toObject();
     saleData._id = saleData._id.toString();
@@ -1020,7 +1611,9 @@ const updateSale = async (req, res) => {
     res.json({
       success: true,
       message: 'Sale updated successfully',
-      sale: saleData
+      sale: saleData,
+      stockWarnings,
+      markaWarnings
     });
 
   } catch (error) {
@@ -1052,7 +1645,9 @@ const addPayment = async (req, res) => {
       reference,
       notes,
       paymentDate,
-      discount = 0
+      discount = 0,
+      keepExcessAsCredit = false,
+      postToOpenDay = false
     } = req.body;
 
     const sale = await Sales.findOne({ _id: req.params.id, organizationId: req.organizationId });
@@ -1081,27 +1676,61 @@ const addPayment = async (req, res) => {
       });
     }
 
-    if ((numericAmount + numericDiscount) > sale.outstandingAmount) {
+    // An overpayment is only accepted as customer credit, and only on cash received
+    const isOverpayment = (numericAmount + numericDiscount) > sale.outstandingAmount;
+    if (isOverpayment && (!keepExcessAsCredit || numericDiscount >= sale.outstandingAmount)) {
       return res.status(400).json({
         error: 'Overpayment not allowed',
-        message: `Amount + Discount (AED ${(numericAmount + numericDiscount).toLocaleString('en-AE', { minimumFractionDigits: 2 })}) cannot exceed the outstanding amount (AED ${sale.outstandingAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })}).`
+        message: `Amount + Discount (AED ${(numericAmount + numericDiscount).toLocaleString('en-AE', { minimumFractionDigits: 2 })}) cannot exceed the outstanding amount (AED ${sale.outstandingAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })}). Keep the excess as customer credit to record it.`
       });
     }
 
-    // Add payment to sale
-    const payment = await sale.addPayment({
-      amount: numericAmount,
-      receivedBy: req.user.id,
-      paymentType,
-      paymentMethod,
-      reference,
-      notes,
-      paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
-      discount: numericDiscount
-    });
+    // A back-dated payment into a closed day goes to today's ledger only when asked
+    const paidOn = paymentDate ? new Date(paymentDate) : new Date();
+    const closedDayError = await checkClosedDayPosting(req.organizationId, [paidOn], postToOpenDay);
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
 
-    // Create a new payment entry in the daily ledger
-    await createSalesPaymentEntry(req.organizationId, req.params.id, amount, paymentMethod);
+    let payment;
+    let receipt = null;
+    if (isOverpayment) {
+      // Settle the invoice and hold the rest on a receipt as customer credit
+      const applied = ceilToTwoDecimals(sale.outstandingAmount - numericDiscount);
+      receipt = await recordReceipt(req, {
+        customer: sale.customer,
+        amount: numericAmount,
+        allocations: [{ sale, amount: applied, discount: numericDiscount, paymentType: 'full' }],
+        unapplied: ceilToTwoDecimals(numericAmount - applied),
+        allocationMode: 'manual',
+        paymentMethod,
+        reference,
+        notes,
+        paymentDate: paidOn
+      });
+      payment = await Payment.findOne({ _id: receipt.allocations[0].paymentId, organizationId: req.organizationId });
+    } else {
+      // Add payment to sale
+      payment = await sale.addPayment({
+        amount: numericAmount,
+        receivedBy: req.user.id,
+        paymentType,
+        paymentMethod,
+        reference,
+        notes,
+        paymentDate: paidOn,
+        discount: numericDiscount
+      });
+
+      // Create a new payment entry in the daily ledger
+      const ledgerEntry = await createSalesPaymentEntry(req.organizationId, req.params.id, numericAmount, paymentMethod, {
+        paymentDate: paidOn
+      });
+      if (ledgerEntry) {
+        payment.ledgerEntryId = ledgerEntry._id;
+        await payment.save();
+      }
+    }
 
     // Get updated sale with payment history
     const updatedSale = await Sales.findOne({ _id: req.params.id, organizationId: req.organizationId })
@@ -1119,9 +1748,12 @@ const addPayment = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Payment added successfully',
+      message: receipt
+        ? `Payment added successfully; AED ${receipt.unappliedAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })} held as customer credit on receipt ${receipt.receiptNumber}`
+        : 'Payment added successfully',
       sale: updatedSale,
-      payment
+      payment,
+      receipt
     });
 
   } catch (error) {
@@ -1159,11 +1791,16 @@ const getPaymentHistory = async (req, res) => {
       .populate({ path: 'receivedBy', select: 'name email', match: { organizationId: req.organizationId } })
       .sort({ paymentDate: -1 });
 
+    const creditNotes = await CreditNote.find({ saleId: req.params.id, organizationId: req.organizationId })
+      .populate({ path: 'createdBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .sort({ creditNoteDate: -1 });
+
     const paymentSummary = await sale.getPaymentSummary();
 
     res.json({
       success: true,
       payments,
+      creditNotes,
       paymentSummary
     });
 
@@ -1176,6 +1813,259 @@ const getPaymentHistory = async (req, res) => {
   }
 };
 
+// Recompute received amount, discounts, outstanding, status and last payment
+// date from the sale's full list of payments
+const applySalePayments = (sale, payments) => {
+  sale.receivedAmount = ceilToTwoDecimals(payments.reduce((sum, p) => sum + (p.amount || 0), 0));
+  sale.discountTotal = ceilToTwoDecimals(payments.reduce((sum, p) => sum + (p.discount || 0), 0));
+  // Recompute amount/outstanding/status from the invoice lines
+  sale.recalculateTotals();
+
+  sale.lastPaymentDate = payments.length > 0
+    ? [...payments].sort((a, b) => new Date(b.paymentDate).getTime() - new Date(a.paymentDate).getTime())[0].paymentDate
+    : null;
+
+  return sale;
+};
+
+// @desc    Edit a payment and recalculate the sale
+// @route   PUT /api/sales/:saleId/payments/:paymentId
+// @access  Private (Admin only)
+const updatePayment = async (req, res) => {
+  try {
+    // Check if IDs are valid ObjectIds
+    if (!req.params.saleId.match(/^[0-9a-fA-F]{24}$/) || !req.params.paymentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Sale ID and Payment ID must be valid 24-character hexadecimal strings'
+      });
+    }
+
+    const sale = await Sales.findOne({ _id: req.params.saleId, organizationId: req.organizationId });
+    if (!sale) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        message: 'Sale does not exist'
+      });
+    }
+
+    const payment = await Payment.findOne({ _id: req.params.paymentId, organizationId: req.organizationId });
+    if (!payment) {
+      return res.status(404).json({
+        error: 'Payment not found',
+        message: 'Payment does not exist'
+      });
+    }
+
+    // Verify payment belongs to this sale
+    if (payment.saleId.toString() !== req.params.saleId) {
+      return res.status(400).json({
+        error: 'Invalid payment',
+        message: 'Payment does not belong to this sale'
+      });
+    }
+
+    const { paymentType, paymentMethod, reference, notes, paymentDate, postToOpenDay = false } = req.body;
+    const previousAmount = payment.amount;
+    const numericAmount = req.body.amount !== undefined ? ceilToTwoDecimals(Number(req.body.amount) || 0) : payment.amount;
+    const numericDiscount = req.body.discount !== undefined ? ceilToTwoDecimals(Number(req.body.discount) || 0) : payment.discount;
+
+    if (numericAmount <= 0 && numericDiscount <= 0) {
+      return res.status(400).json({
+        error: 'Invalid payment',
+        message: 'Either payment amount or discount must be greater than 0'
+      });
+    }
+
+    // A receipt allocation is one part of a single ledger receipt
+    if (payment.receiptId && paymentMethod && paymentMethod !== payment.paymentMethod) {
+      return res.status(400).json({
+        error: 'Invalid payment',
+        message: 'This payment is part of a receipt; its payment method can only be changed on the whole receipt'
+      });
+    }
+
+    const otherPayments = await Payment.find({
+      saleId: sale._id,
+      organizationId: req.organizationId,
+      _id: { $ne: payment._id }
+    });
+
+    payment.amount = numericAmount;
+    payment.discount = numericDiscount;
+    if (paymentType) payment.paymentType = paymentType;
+    if (paymentMethod) payment.paymentMethod = paymentMethod;
+    if (reference !== undefined) payment.reference = reference;
+    if (notes !== undefined) payment.notes = notes;
+    if (paymentDate) payment.paymentDate = new Date(paymentDate);
+
+    applySalePayments(sale, [...otherPayments, payment]);
+    if (sale.outstandingAmount < 0) {
+      return res.status(400).json({
+        error: 'Overpayment not allowed',
+        message: `Payments and discounts would exceed the invoice amount by AED ${Math.abs(sale.outstandingAmount).toLocaleString('en-AE', { minimumFractionDigits: 2 })}.`
+      });
+    }
+
+    // Keep the receipt the payment was allocated from in step
+    const amountChange = ceilToTwoDecimals(numericAmount - previousAmount);
+    let receipt = null;
+    let fromCredit = false;
+    if (payment.receiptId && amountChange !== 0) {
+      receipt = await Receipt.findOne({ _id: payment.receiptId, organizationId: req.organizationId });
+      if (receipt) {
+        const allocation = receipt.allocations.find(item => item.paymentId && item.paymentId.toString() === payment._id.toString());
+        fromCredit = Boolean(allocation && allocation.fromCredit);
+        if (allocation) allocation.amount = numericAmount;
+
+        // Credit applied later moves to and from the receipt's unapplied
+        // amount; the cash received and its ledger entry stay as they were
+        if (fromCredit) {
+          if (amountChange > receipt.unappliedAmount) {
+            return res.status(400).json({
+              error: 'Insufficient credit',
+              message: `Only AED ${receipt.unappliedAmount.toLocaleString('en-AE', { minimumFractionDigits: 2 })} of receipt ${receipt.receiptNumber} is unapplied`
+            });
+          }
+          receipt.unappliedAmount = ceilToTwoDecimals(receipt.unappliedAmount - amountChange);
+        } else {
+          receipt.amount = ceilToTwoDecimals(receipt.amount + amountChange);
+        }
+      }
+    }
+
+    // Adjust the daily-ledger receipt (the whole receipt's entry for allocations)
+    const ledgerEntry = (!payment.receiptId || (receipt && !fromCredit))
+      ? await findSalesPaymentEntry(req.organizationId, payment)
+      : null;
+    const ledgerChanges = {
+      amount: receipt ? receipt.amount : numericAmount,
+      paymentMethod: payment.paymentMethod,
+      // Allocations stay on their receipt's day
+      ledgerDate: receipt ? undefined : payment.paymentDate
+    };
+    const closedDayError = ledgerEntry
+      ? await checkClosedDayPosting(req.organizationId, getEntryChangeDays(ledgerEntry, ledgerChanges), postToOpenDay)
+      : null;
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+    if (ledgerEntry) {
+      const updatedEntry = await adjustSalesPaymentEntry(req.organizationId, ledgerEntry, {
+        ...ledgerChanges,
+        req,
+        reason: 'payment_updated',
+        metadata: { saleId: sale._id, invoiceNumber: sale.invoiceNumber, paymentId: payment._id }
+      });
+      if (receipt) {
+        receipt.ledgerEntryId = updatedEntry ? updatedEntry._id : null;
+      } else {
+        payment.ledgerEntryId = updatedEntry ? updatedEntry._id : null;
+      }
+    }
+
+    payment.updatedBy = req.user.id;
+    await payment.save();
+    if (receipt) await receipt.save();
+
+    sale.updatedBy = req.user.id;
+    await sale.save();
+
+    // Get updated payment history
+    const updatedPayments = await Payment.find({ saleId: sale._id, organizationId: req.organizationId })
+      .populate({ path: 'receivedBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .populate({ path: 'updatedBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .sort({ paymentDate: -1 });
+
+    const paymentSummary = await sale.getPaymentSummary();
+
+    res.json({
+      success: true,
+      message: 'Payment updated successfully',
+      payment,
+      payments: updatedPayments,
+      paymentSummary,
+      sale: {
+        _id: sale._id,
+        receivedAmount: sale.receivedAmount,
+        discountTotal: sale.discountTotal,
+        outstandingAmount: sale.outstandingAmount,
+        status: sale.status,
+        lastPaymentDate: sale.lastPaymentDate
+      }
+    });
+
+  } catch (error) {
+    console.error('Update payment error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Ledger days that releasePaymentLedgerEntry changes for the payment; none
+// for credit applied from a receipt
+const getReleaseLedgerDays = async (organizationId, payment) => {
+  if (payment.receiptId) {
+    const receipt = await Receipt.findOne({ _id: payment.receiptId, organizationId }).select('allocations');
+    const allocation = receipt && receipt.allocations.find(item => item.paymentId && item.paymentId.toString() === payment._id.toString());
+    if (!receipt || (allocation && allocation.fromCredit)) return [];
+  }
+  const entry = await findSalesPaymentEntry(organizationId, payment);
+  return entry ? [entry.ledger_date] : [];
+};
+
+// Take a payment that is about to be deleted out of the daily ledger and its
+// receipt. A receipt allocation shrinks the receipt and its shared ledger
+// entry, or goes back to the receipt's unapplied credit if it was applied
+// from credit; any other payment has its own entry removed or reversed.
+const releasePaymentLedgerEntry = async (req, sale, payment, reason) => {
+  const auditOptions = {
+    req,
+    reason,
+    metadata: { saleId: sale._id, invoiceNumber: sale.invoiceNumber, paymentId: payment._id }
+  };
+
+  if (!payment.receiptId) {
+    const entry = await findSalesPaymentEntry(req.organizationId, payment);
+    if (entry) await reversePaymentEntry(req.organizationId, entry, auditOptions);
+    return;
+  }
+
+  const receipt = await Receipt.findOne({ _id: payment.receiptId, organizationId: req.organizationId });
+  if (!receipt) return;
+
+  const allocation = receipt.allocations.find(item => item.paymentId && item.paymentId.toString() === payment._id.toString());
+  if (allocation && allocation.fromCredit) {
+    await Receipt.updateOne(
+      { _id: receipt._id, organizationId: req.organizationId },
+      {
+        $pull: { allocations: { paymentId: payment._id } },
+        $set: { unappliedAmount: ceilToTwoDecimals(receipt.unappliedAmount + payment.amount) }
+      }
+    );
+    return;
+  }
+
+  const remaining = Math.max(0, ceilToTwoDecimals(receipt.amount - payment.amount));
+  const entry = await findSalesPaymentEntry(req.organizationId, payment);
+  let ledgerEntryId = receipt.ledgerEntryId;
+  if (entry) {
+    const updatedEntry = await adjustSalesPaymentEntry(req.organizationId, entry, { amount: remaining, ...auditOptions });
+    ledgerEntryId = updatedEntry ? updatedEntry._id : null;
+  }
+
+  // updateOne so a receipt emptied of allocations can be left at zero
+  await Receipt.updateOne(
+    { _id: receipt._id, organizationId: req.organizationId },
+    {
+      $pull: { allocations: { paymentId: payment._id } },
+      $set: { amount: remaining, ledgerEntryId }
+    }
+  );
+};
+
 // @desc    Delete a payment transaction
 // @route   DELETE /api/sales/:saleId/payments/:paymentId
 // @access  Private (Admin only)
@@ -1250,41 +2140,23 @@ const deletePayment = async (req, res) => {
       });
     }
 
+    const closedDayError = await checkClosedDayPosting(
+      req.organizationId,
+      await getReleaseLedgerDays(req.organizationId, payment),
+      req.body.postToOpenDay
+    );
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+
+    await releasePaymentLedgerEntry(req, sale, payment, 'payment_deleted');
+
     // Delete the payment
     await Payment.deleteOne({ _id: req.params.paymentId, organizationId: req.organizationId });
 
     // Recalculate sale amounts
     const remainingPayments = await Payment.find({ saleId: req.params.saleId, organizationId: req.organizationId });
-    const totalReceived = remainingPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
-    const totalDiscount = remainingPayments.reduce((sum, p) => sum + (p.discount || 0), 0);
-    
-    sale.receivedAmount = totalReceived;
-    sale.discountTotal = totalDiscount;
-    // Recompute amount/outstanding from base components
-    const { ceilToTwoDecimals } = require('../utils/numberFormatter');
-    const subtotal = ceilToTwoDecimals(sale.quantity * sale.rate);
-    sale.vatAmount = ceilToTwoDecimals((subtotal * sale.vatPercentage) / 100);
-    sale.amount = ceilToTwoDecimals(Math.max(0, subtotal + sale.vatAmount - sale.discountTotal));
-    sale.outstandingAmount = ceilToTwoDecimals(sale.amount - sale.receivedAmount);
-    
-    // Update status based on outstanding amount and due date
-    if (sale.outstandingAmount <= 0) {
-      sale.status = 'paid';
-    } else if (sale.receivedAmount > 0) {
-      sale.status = 'partially_paid';
-    } else if (new Date() > sale.dueDate) {
-      sale.status = 'overdue';
-    } else {
-      sale.status = 'unpaid';
-    }
-
-    // Update last payment date
-    if (remainingPayments.length > 0) {
-      sale.lastPaymentDate = remainingPayments.sort((a, b) => new Date(b.paymentDate).getTime() - new Date(a.paymentDate).getTime())[0].paymentDate;
-    } else {
-      sale.lastPaymentDate = null;
-    }
-
+    applySalePayments(sale, remainingPayments);
     await sale.save();
 
     // Get updated payment history
@@ -1375,15 +2247,50 @@ const deleteSale = async (req, res) => {
       });
     }
 
-    // Delete associated payments first
+    // Customer credit held from the sale's credit notes must not have been applied yet
+    const saleCreditNotes = await CreditNote.find({ saleId: sale._id, organizationId: req.organizationId }).select('_id');
+    const appliedCredit = await Receipt.findOne({
+      organizationId: req.organizationId,
+      creditNoteId: { $in: saleCreditNotes.map(creditNote => creditNote._id) },
+      'allocations.0': { $exists: true }
+    });
+    if (appliedCredit) {
+      return res.status(400).json({
+        error: 'Customer credit applied',
+        message: `Credit from this sale's credit notes on receipt ${appliedCredit.receiptNumber} has been applied to invoices. Delete those payments first.`
+      });
+    }
+
+    // Take the payments out of the daily ledger, then delete them and the credit notes
+    const salePayments = await Payment.find({ saleId: sale._id, organizationId: req.organizationId });
+    const ledgerDays = [];
+    for (const payment of salePayments) {
+      ledgerDays.push(...await getReleaseLedgerDays(req.organizationId, payment));
+    }
+    const closedDayError = await checkClosedDayPosting(req.organizationId, ledgerDays, req.body.postToOpenDay);
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+    for (const payment of salePayments) {
+      await releasePaymentLedgerEntry(req, sale, payment, 'sale_deleted');
+    }
+
     await Payment.deleteMany({ saleId: req.params.id, organizationId: req.organizationId });
+    await Receipt.deleteMany({ creditNoteId: { $in: saleCreditNotes.map(creditNote => creditNote._id) }, organizationId: req.organizationId });
+    await CreditNote.deleteMany({ saleId: req.params.id, organizationId: req.organizationId });
+
+    // Reopen the quotation the sale was converted from
+    await Quotation.updateOne(
+      { convertedSaleId: req.params.id, organizationId: req.organizationId },
+      { $set: { status: 'open', convertedSaleId: null, convertedAt: null } }
+    );
 
     // Delete the sale
     await Sales.deleteOne({ _id: req.params.id, organizationId: req.organizationId });
 
     res.json({
       success: true,
-      message: 'Sale and associated payments deleted successfully'
+      message: 'Sale and associated payments and credit notes deleted successfully'
     });
 
   } catch (error) {
@@ -1432,9 +2339,16 @@ const generateSalesReport = async (req, res) => {
       statuses = '',
       format = 'json', // json, csv, pdf
       groupBy = 'none', // none, customer, supplier, status, month, week
-      includePayments = 'false'
+      includePayments = 'false',
+      baseUnit = 'false'
     } = req.query;
 
+    // With baseUnit=true quantities and rates are restated in each product's base unit
+    const inBaseUnit = baseUnit === 'true';
+    const lineQuantities = (line) => (inBaseUnit
+      ? toBaseUnit(line)
+      : { quantity: line.quantity, unit: line.unit || '', rate: line.rate });
+
     // Build query
     const query = { organizationId: req.organizationId };
 
@@ -1463,7 +2377,10 @@ const generateSalesReport = async (req, res) => {
     }
 
     if (product) {
-      query.product = { $regex: product, $options: 'i' };
+      query.$or = [
+        { 'lines.product': { $regex: product, $options: 'i' } },
+        { 'lines.0': { $exists: false }, product: { $regex: product, $options: 'i' } }
+      ];
     }
 
     if (statuses) {
@@ -1600,26 +2517,45 @@ const generateSalesReport = async (req, res) => {
         status,
         statuses,
         groupBy,
-        includePayments
+        includePayments,
+        baseUnit: inBaseUnit
       },
       summary,
-      sales: sales.map(sale => ({
-        _id: sale._id,
-        invoiceNumber: sale.invoiceNumber,
-        customer: sale.customer,
-        supplier: sale.supplier,
-        containerNo: sale.containerNo,
-        product: sale.product,
-        rate: sale.rate,
-        quantity: sale.quantity,
-        invoiceDate: sale.invoiceDate,
-        dueDate: sale.dueDate,
-        amount: sale.amount,
-        receivedAmount: sale.receivedAmount,
-        outstandingAmount: sale.outstandingAmount,
-        status: sale.status,
-        createdBy: sale.createdBy?.name || 'Unknown'
-      })),
+      sales: sales.map((sale) => {
+        const lines = Sales.getLines(sale);
+        return {
+          _id: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          customer: sale.customer,
+          supplier: sale.supplier,
+          containerNo: sale.containerNo,
+          product: lines.length > 1
+            ? [...new Set(lines.map(line => line.product))].join(', ')
+            : sale.product,
+          // A single rate only makes sense for single-line invoices
+          rate: lines.length > 1 ? null : lineQuantities(lines[0]).rate,
+          quantity: inBaseUnit
+            ? roundQuantity(lines.reduce((sum, line) => sum + toBaseUnit(line).quantity, 0))
+            : sale.quantity,
+          lines: lines.map(line => ({
+            product: line.product,
+            marka: line.marka,
+            description: line.description,
+            ...lineQuantities(line),
+            vatPercentage: line.vatPercentage,
+            vatAmount: line.vatAmount,
+            discount: line.discount,
+            amount: line.amount
+          })),
+          invoiceDate: sale.invoiceDate,
+          dueDate: sale.dueDate,
+          amount: sale.amount,
+          receivedAmount: sale.receivedAmount,
+          outstandingAmount: sale.outstandingAmount,
+          status: sale.status,
+          createdBy: sale.createdBy?.name || 'Unknown'
+        };
+      }),
       payments: includePayments === 'true' ? payments.map(payment => ({
         _id: payment._id,
         saleId: payment.saleId,
@@ -1637,21 +2573,29 @@ const generateSalesReport = async (req, res) => {
     // Return in requested format
     if (format === 'csv') {
       // Generate CSV
-      const csvHeaders = ['Invoice Number', 'Customer', 'Supplier', 'Container No', 'Product', 'Rate', 'Quantity', 'Invoice Date', 'Due Date', 'Amount', 'Received', 'Outstanding'];
-      const csvData = sales.map(sale => [
-        sale.invoiceNumber,
-        sale.customer,
-        sale.supplier,
-        sale.containerNo,
-        sale.product,
-        sale.rate || 0,
-        sale.quantity || 0,
-        new Date(sale.invoiceDate).toLocaleDateString(),
-        new Date(sale.dueDate).toLocaleDateString(),
-        sale.amount,
-        sale.receivedAmount,
-        sale.outstandingAmount
-      ]);
+      // One row per invoice line; invoice totals only on the first line so columns sum correctly
+      const csvHeaders = ['Invoice Number', 'Customer', 'Supplier', 'Container No', 'Product', 'Marka', 'Rate', 'Quantity', 'Unit', 'VAT %', 'Line Amount', 'Invoice Date', 'Due Date', 'Amount', 'Received', 'Outstanding'];
+      const csvData = sales.flatMap(sale => Sales.getLines(sale).map((line, index) => {
+        const shown = lineQuantities(line);
+        return [
+          sale.invoiceNumber,
+          sale.customer,
+          sale.supplier,
+          sale.containerNo,
+          line.product,
+          line.marka,
+          shown.rate || 0,
+          shown.quantity || 0,
+          shown.unit,
+          line.vatPercentage || 0,
+          line.amount || 0,
+          new Date(sale.invoiceDate).toLocaleDateString(),
+          new Date(sale.dueDate).toLocaleDateString(),
+          index === 0 ? sale.amount : '',
+          index === 0 ? sale.receivedAmount : '',
+          index === 0 ? sale.outstandingAmount : ''
+        ];
+      }));
       
       const csvContent = [csvHeaders, ...csvData]
         .map(row => row.map(cell => `"${cell}"`).join(','))
@@ -1784,7 +2728,9 @@ const printInvoice = async (req, res) => {
     const vatPct = Number(sale.vatPercentage || 0);
     let customerTRN = '';
     if (vatPct > 0) {
-      const customer = await Customer.findOne({ organizationId: req.organizationId, ename: { $regex: new RegExp(`^${sale.customer}$`, 'i') } });
+      const customer = sale.customerId
+        ? await Customer.findOne({ _id: sale.customerId, organizationId: req.organizationId })
+        : await findCustomerByName(req.organizationId, sale.customer);
       customerTRN = customer?.trn || '';
     }
 
@@ -1800,6 +2746,18 @@ const printInvoice = async (req, res) => {
   }
 };
 
+// Adds each customer's unapplied credit and what they owe net of it
+const attachUnappliedCredit = (rows, creditByCustomer) => rows.map((row) => {
+  const unappliedCredit = creditByCustomer.get((row.customerName || '').toLowerCase()) || 0;
+  return {
+    ...row,
+    unappliedCredit,
+    netOutstanding: ceilToTwoDecimals((row.totalOutstanding || 0) - unappliedCredit)
+  };
+});
+
+const sumCredit = (creditByCustomer) => ceilToTwoDecimals([...creditByCustomer.values()].reduce((sum, value) => sum + value, 0));
+
 // @desc    Get customer outstanding amounts
 // @route   GET /api/sales/customer-outstanding
 // @access  Private (Admin/Employee)
@@ -1812,43 +2770,15 @@ const getCustomerOutstanding = async (req, res) => {
     const rawCategories = req.query.categories;
     const { productFilters, hasPotato, treatAsExactMatch } = prepareProductFilters(rawProduct, rawProducts);
     
-    // Parse category filters
-    let categoryFilters = [];
-    if (rawCategory) {
-      categoryFilters = [rawCategory];
-    } else if (rawCategories) {
-      categoryFilters = Array.isArray(rawCategories) ? rawCategories : [rawCategories];
-    }
+    const categoryFilters = parseCategoryFilters(rawCategory, rawCategories);
 
     // If grouping by category, fetch products by category first
-    let categoryProductNames = []; // Array of product names to filter sales
-    
-    if (groupBy === 'category') {
-      const mongoose = require('mongoose');
-      
-      // Build query for products
-      const productQuery = { isActive: true, organizationId: req.organizationId };
-      if (categoryFilters.length > 0) {
-        const categoryObjectIds = categoryFilters.map(id => {
-          try {
-            return mongoose.Types.ObjectId(id);
-          } catch {
-            return id;
-          }
-        });
-        productQuery.category = { $in: categoryObjectIds };
-      }
-      
-      // Fetch products with their categories
-      const products = await Product.find(productQuery).populate({ path: 'category', select: 'name', match: { organizationId: req.organizationId } });
-      
-      // Get list of product names (exact names as stored in Products collection)
-      categoryProductNames = products.map(product => product.name);
-      
-      // Note: We'll use $lookup in the pipeline to match products case-insensitively
-      // and get their categories. If a product in Sales doesn't match any Product,
-      // it will be categorized as "Uncategorized"
-    }
+    // Note: We'll use $lookup in the pipeline to match products case-insensitively
+    // and get their categories. If a product in Sales doesn't match any Product,
+    // it will be categorized as "Uncategorized"
+    const categoryProductNames = groupBy === 'category'
+      ? await getCategoryProductNames(req.organizationId, categoryFilters)
+      : [];
 
     const basePipeline = buildCustomerOutstandingPipeline({
       organizationId: req.organizationId,
@@ -1874,7 +2804,11 @@ const getCustomerOutstanding = async (req, res) => {
 
     const pipeline = [...basePipeline, { $skip: skip }, { $limit: limit }];
 
-    const customerOutstanding = await Sales.aggregate(pipeline);
+    const creditByCustomer = await getUnappliedCreditByCustomer(req.organizationId);
+    const outstandingRows = await Sales.aggregate(pipeline);
+    const customerOutstanding = (groupBy === 'product' || groupBy === 'category')
+      ? outstandingRows
+      : attachUnappliedCredit(outstandingRows, creditByCustomer);
 
     let totalCustomersSummary = (groupBy === 'product' || groupBy === 'category') ? 0 : total;
     let overdueCustomers = 0;
@@ -1907,6 +2841,7 @@ const getCustomerOutstanding = async (req, res) => {
       overdueCustomers,
       partiallyPaidCustomers,
       unpaidCustomers,
+      totalUnappliedCredit: sumCredit(creditByCustomer),
     };
 
     res.json({
@@ -1942,35 +2877,12 @@ const generateCustomerOutstandingPDF = async (req, res) => {
     const rawCategories = req.query.categories;
     const { productFilters, hasPotato, treatAsExactMatch } = prepareProductFilters(rawProduct, rawProducts);
     
-    // Parse category filters
-    let categoryFilters = [];
-    if (rawCategory) {
-      categoryFilters = [rawCategory];
-    } else if (rawCategories) {
-      categoryFilters = Array.isArray(rawCategories) ? rawCategories : [rawCategories];
-    }
+    const categoryFilters = parseCategoryFilters(rawCategory, rawCategories);
 
     // If grouping by category, fetch products by category first
-    let categoryProductNames = [];
-    
-    if (groupBy === 'category') {
-      const mongoose = require('mongoose');
-      
-      const productQuery = { isActive: true, organizationId: req.organizationId };
-      if (categoryFilters.length > 0) {
-        const categoryObjectIds = categoryFilters.map(id => {
-          try {
-            return mongoose.Types.ObjectId(id);
-          } catch {
-            return id;
-          }
-        });
-        productQuery.category = { $in: categoryObjectIds };
-      }
-      
-      const products = await Product.find(productQuery).populate({ path: 'category', select: 'name', match: { organizationId: req.organizationId } });
-      categoryProductNames = products.map(product => product.name);
-    }
+    const categoryProductNames = groupBy === 'category'
+      ? await getCategoryProductNames(req.organizationId, categoryFilters)
+      : [];
 
     const pipeline = buildCustomerOutstandingPipeline({
       organizationId: req.organizationId,
@@ -1987,9 +2899,13 @@ const generateCustomerOutstandingPDF = async (req, res) => {
     });
 
     const customerOutstanding = await Sales.aggregate(pipeline);
+    const creditByCustomer = await getUnappliedCreditByCustomer(req.organizationId);
 
     const pdf = new PDFGenerator(req.organization);
-    pdf.generateCustomerOutstandingReport(res, customerOutstanding, { groupBy });
+    pdf.generateCustomerOutstandingReport(res, customerOutstanding, {
+      groupBy,
+      totalUnappliedCredit: sumCredit(creditByCustomer)
+    });
 
   } catch (error) {
     console.error('Generate customer outstanding PDF error:', error);
@@ -2000,6 +2916,245 @@ const generateCustomerOutstandingPDF = async (req, res) => {
   }
 };
 
+// Aging bucket edges in days past due: 30,60,90 gives
+// current, 1-30, 31-60, 61-90 and 90+
+const DEFAULT_AGING_EDGES = [30, 60, 90];
+
+// Returns { buckets } or { error } for the `buckets` query param
+const parseAgingBuckets = (rawBuckets) => {
+  const edges = rawBuckets
+    ? String(rawBuckets).split(',').map(value => Number(value.trim()))
+    : DEFAULT_AGING_EDGES;
+
+  if (edges.length === 0 || edges.length > 10 || edges.some(edge => !Number.isInteger(edge) || edge <= 0)) {
+    return { error: 'Buckets must be up to 10 positive whole numbers of days, e.g. 30,60,90' };
+  }
+  if (edges.some((edge, index) => index > 0 && edge <= edges[index - 1])) {
+    return { error: 'Bucket edges must be in ascending order' };
+  }
+
+  const lastEdge = edges[edges.length - 1];
+  const buckets = [
+    { key: 'current', label: 'Current', from: null, to: 0 },
+    ...edges.map((edge, index) => {
+      const from = (index > 0 ? edges[index - 1] : 0) + 1;
+      return { key: `${from}-${edge}`, label: `${from}-${edge} days`, from, to: edge };
+    }),
+    { key: `${lastEdge}+`, label: `${lastEdge}+ days`, from: lastEdge + 1, to: null }
+  ];
+
+  return { buckets };
+};
+
+const buildReceivablesAgingPipeline = (filters, buckets) => {
+  const bucketSums = {};
+  buckets.forEach((bucket, index) => {
+    const conditions = [];
+    if (bucket.from !== null) conditions.push({ $gte: ['$daysPastDue', bucket.from] });
+    if (bucket.to !== null) conditions.push({ $lte: ['$daysPastDue', bucket.to] });
+    bucketSums[`bucket${index}`] = {
+      $sum: { $cond: [{ $and: conditions }, '$outstandingAmount', 0] }
+    };
+  });
+
+  return [
+    ...buildOutstandingSaleStages(filters),
+    {
+      $addFields: {
+        daysPastDue: {
+          $floor: { $divide: [{ $subtract: [new Date(), '$dueDate'] }, 1000 * 60 * 60 * 24] }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$customer',
+        customerName: { $first: '$customer' },
+        totalOutstanding: { $sum: '$outstandingAmount' },
+        invoiceCount: { $sum: 1 },
+        oldestDueDate: { $min: '$dueDate' },
+        maxDaysPastDue: { $max: '$daysPastDue' },
+        ...bucketSums
+      }
+    },
+    { $sort: { totalOutstanding: -1 } }
+  ];
+};
+
+// Shared by the aging JSON, PDF and CSV endpoints. Returns { report } or { error }.
+const buildReceivablesAgingReport = async (req) => {
+  const { search = '', minAmount = '', maxAmount = '', status = '' } = req.query;
+  const { productFilters, hasPotato, treatAsExactMatch } = prepareProductFilters(req.query.product, req.query.products);
+  const categoryFilters = parseCategoryFilters(req.query.category, req.query.categories);
+
+  const { buckets, error } = parseAgingBuckets(req.query.buckets);
+  if (error) {
+    return { error };
+  }
+
+  const categoryProductNames = categoryFilters.length > 0
+    ? await getCategoryProductNames(req.organizationId, categoryFilters)
+    : null;
+
+  // Selected categories without products match no receivables
+  const rows = categoryProductNames && categoryProductNames.length === 0 ? [] : await Sales.aggregate(buildReceivablesAgingPipeline({
+    organizationId: req.organizationId,
+    search,
+    minAmount,
+    maxAmount,
+    status,
+    productFilters,
+    hasPotato,
+    treatAsExactMatch,
+    categoryProductNames
+  }, buckets));
+
+  const totals = {
+    totalOutstanding: 0,
+    invoiceCount: 0,
+    totalCustomers: rows.length,
+    buckets: Object.fromEntries(buckets.map(bucket => [bucket.key, 0]))
+  };
+
+  const customers = rows.map((row) => {
+    const customerBuckets = {};
+    buckets.forEach((bucket, index) => {
+      const amount = ceilToTwoDecimals(row[`bucket${index}`] || 0);
+      customerBuckets[bucket.key] = amount;
+      totals.buckets[bucket.key] += amount;
+    });
+    totals.totalOutstanding += row.totalOutstanding;
+    totals.invoiceCount += row.invoiceCount;
+
+    return {
+      customerName: row.customerName,
+      totalOutstanding: ceilToTwoDecimals(row.totalOutstanding),
+      invoiceCount: row.invoiceCount,
+      oldestDueDate: row.oldestDueDate,
+      maxDaysPastDue: Math.max(0, row.maxDaysPastDue || 0),
+      buckets: customerBuckets
+    };
+  });
+
+  totals.totalOutstanding = ceilToTwoDecimals(totals.totalOutstanding);
+  Object.keys(totals.buckets).forEach((key) => {
+    totals.buckets[key] = ceilToTwoDecimals(totals.buckets[key]);
+  });
+
+  return {
+    report: {
+      generatedAt: new Date(),
+      buckets: buckets.map(({ key, label }) => ({ key, label })),
+      customers,
+      totals,
+      filters: {
+        search,
+        status,
+        products: productFilters,
+        categories: categoryFilters
+      }
+    }
+  };
+};
+
+// @desc    Get receivables aging by customer
+// @route   GET /api/sales/receivables-aging
+// @access  Private (Admin/Employee)
+const getReceivablesAging = async (req, res) => {
+  try {
+    const { report, error } = await buildReceivablesAgingReport(req);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid buckets',
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get receivables aging error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to get receivables aging'
+    });
+  }
+};
+
+// @desc    Generate receivables aging PDF report
+// @route   GET /api/sales/receivables-aging/pdf
+// @access  Private (Admin/Employee)
+const generateReceivablesAgingPDF = async (req, res) => {
+  try {
+    const { report, error } = await buildReceivablesAgingReport(req);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid buckets',
+        message: error
+      });
+    }
+
+    const pdf = new PDFGenerator(req.organization);
+    pdf.generateReceivablesAgingReport(res, report);
+
+  } catch (error) {
+    console.error('Generate receivables aging PDF error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate receivables aging PDF'
+    });
+  }
+};
+
+// @desc    Export receivables aging as CSV
+// @route   GET /api/sales/receivables-aging/csv
+// @access  Private (Admin/Employee)
+const generateReceivablesAgingCSV = async (req, res) => {
+  try {
+    const { report, error } = await buildReceivablesAgingReport(req);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid buckets',
+        message: error
+      });
+    }
+
+    const csvHeaders = ['Customer', ...report.buckets.map(bucket => bucket.label), 'Total Outstanding', 'Invoices', 'Oldest Due Date'];
+    const csvData = report.customers.map(customer => [
+      customer.customerName,
+      ...report.buckets.map(bucket => customer.buckets[bucket.key]),
+      customer.totalOutstanding,
+      customer.invoiceCount,
+      customer.oldestDueDate ? new Date(customer.oldestDueDate).toLocaleDateString() : ''
+    ]);
+    csvData.push([
+      'Total',
+      ...report.buckets.map(bucket => report.totals.buckets[bucket.key]),
+      report.totals.totalOutstanding,
+      report.totals.invoiceCount,
+      ''
+    ]);
+
+    const csvContent = [csvHeaders, ...csvData]
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="receivables-aging-${new Date().toISOString().split('T')[0]}.csv"`);
+    return res.send(csvContent);
+
+  } catch (error) {
+    console.error('Generate receivables aging CSV error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate receivables aging CSV'
+    });
+  }
+};
+
 // @desc    Get unique products for filtering
 // @route   GET /api/sales/products
 // @access  Private (Admin/Employee)
@@ -2007,10 +3162,7 @@ const getUniqueProducts = async (req, res) => {
   try {
     const { customer = '', scope = 'outstanding' } = req.query;
 
-    const query = {
-      organizationId: req.organizationId,
-      product: { $exists: true, $ne: null, $ne: '' }
-    };
+    const query = { organizationId: req.organizationId };
 
     if (customer) {
       query.customer = { $regex: exactMatchRegex(customer), $options: 'i' };
@@ -2018,9 +3170,13 @@ const getUniqueProducts = async (req, res) => {
       query.outstandingAmount = { $gt: 0 };
     }
 
-    const products = await Sales.distinct('product', query);
+    // Sales saved before invoices had lines keep the product on the sale
+    const [lineProducts, legacyProducts] = await Promise.all([
+      Sales.distinct('lines.product', { ...query, 'lines.product': { $exists: true, $nin: [null, ''] } }),
+      Sales.distinct('product', { ...query, 'lines.0': { $exists: false }, product: { $exists: true, $nin: [null, ''] } })
+    ]);
     
-    const sortedProducts = products.sort();
+    const sortedProducts = [...new Set([...lineProducts, ...legacyProducts])].sort();
     
     // Check if Potato White or Potato Red exists, and add "Potato" as a combined option
     const hasPotatoWhite = sortedProducts.some(p => 
@@ -2066,11 +3222,15 @@ const getAutocompleteSuggestions = async (req, res) => {
       });
     }
 
-    // Get unique values for the specified field
-    const suggestions = await Sales.distinct(field, {
-      organizationId: req.organizationId,
-      [field]: { $exists: true, $ne: null, $ne: '' }
-    });
+    // Product, marka and description live on the invoice lines, or on the
+    // sale itself for sales saved before invoices had lines
+    const filled = { $exists: true, $nin: [null, ''] };
+    const suggestions = field === 'containerNo'
+      ? await Sales.distinct(field, { organizationId: req.organizationId, [field]: filled })
+      : [...new Set((await Promise.all([
+        Sales.distinct(`lines.${field}`, { organizationId: req.organizationId, [`lines.${field}`]: filled }),
+        Sales.distinct(field, { organizationId: req.organizationId, 'lines.0': { $exists: false }, [field]: filled })
+      ])).flat())];
 
     // Sort suggestions alphabetically and limit to 20 most recent/used
     const sortedSuggestions = suggestions
@@ -2092,6 +3252,111 @@ const getAutocompleteSuggestions = async (req, res) => {
   }
 };
 
+// @desc    Look up the supplier, container products and last rate for a marka
+// @route   GET /api/sales/marka-lookup?containerNo=&marka=&customer=
+// @access  Private (Admin/Employee)
+const lookupMarka = async (req, res) => {
+  try {
+    const { containerNo = '', marka = '', customer = '', customerId = '' } = req.query;
+    if (!marka.trim()) {
+      return res.status(400).json({
+        error: 'Marka required',
+        message: 'Enter a marka to look up'
+      });
+    }
+    if (customerId && !customerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+
+    const containerMatch = { $regex: `^${escapeRegex(containerNo.trim())}$`, $options: 'i' };
+    const [suppliers, purchase, levels, customerDoc] = await Promise.all([
+      findSuppliersByMarka(req.organizationId, marka),
+      containerNo.trim()
+        ? Purchase.findOne({ organizationId: req.organizationId, containerNo: containerMatch }).select('containerNo supplierId supplier')
+        : null,
+      containerNo.trim() ? getStockLevels(req.organizationId, { containerNo }) : [],
+      customerId
+        ? Customer.findOne({ _id: customerId, organizationId: req.organizationId }).select('ename')
+        : (customer.trim() ? findCustomerByName(req.organizationId, customer.trim()) : null)
+    ]);
+
+    // Prefer the marka's owner; fall back to whoever the container was bought from
+    const activeSuppliers = suppliers.filter(supplier => supplier.isActive !== false);
+    let supplier = activeSuppliers.length === 1 ? activeSuppliers[0] : null;
+    if (!supplier && purchase && purchase.supplierId) {
+      supplier = suppliers.find(candidate => candidate._id.toString() === purchase.supplierId.toString()) || null;
+    }
+
+    // Latest line sold to the customer for each product, and under this marka
+    const lastRates = new Map();
+    let lastSale = null;
+    if (customerDoc) {
+      const sales = await Sales.find({
+        organizationId: req.organizationId,
+        $or: [
+          { customerId: customerDoc._id },
+          { customerId: null, customer: { $regex: `^${escapeRegex(customerDoc.ename.trim())}$`, $options: 'i' } }
+        ]
+      })
+        .select('invoiceNumber invoiceDate containerNo product marka rate quantity lines.product lines.marka lines.rate lines.quantity lines.unit lines.unitFactor lines.baseUnit')
+        .sort({ invoiceDate: -1, createdAt: -1 })
+        .limit(200)
+        .lean();
+      // The rate is per the line's unit, with the unit snapshot to restate it
+      // in the base unit, as for rate suggestions
+      sales.forEach((sale) => {
+        Sales.getLines(sale).forEach((line) => {
+          const rate = {
+            product: line.product,
+            marka: line.marka,
+            rate: line.rate,
+            quantity: line.quantity,
+            unit: line.unit || '',
+            unitFactor: line.unitFactor || 1,
+            baseUnit: line.baseUnit || '',
+            invoiceNumber: sale.invoiceNumber,
+            invoiceDate: sale.invoiceDate,
+            containerNo: sale.containerNo
+          };
+          const key = (line.product || '').trim().toLowerCase();
+          if (!lastRates.has(key)) lastRates.set(key, rate);
+          if (!lastSale && (line.marka || '').trim().toLowerCase() === marka.trim().toLowerCase()) lastSale = rate;
+        });
+      });
+    }
+
+    const products = levels
+      .filter(level => level.purchased > 0)
+      .map(level => ({
+        product: level.product,
+        purchased: level.purchased,
+        available: level.available,
+        lastRate: lastRates.get(level.product.trim().toLowerCase()) || null
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        containerNo: purchase ? purchase.containerNo : containerNo.trim(),
+        marka: marka.trim(),
+        supplier: supplier ? { _id: supplier._id, name: supplier.ename, marka: supplier.marka } : null,
+        // Every supplier with this marka, for the user to choose when there are several
+        markaSuppliers: suppliers.map(candidate => ({ _id: candidate._id, name: candidate.ename, isActive: candidate.isActive })),
+        containerSupplier: purchase && purchase.supplier ? { _id: purchase.supplierId, name: purchase.supplier } : null,
+        customer: customerDoc ? customerDoc.ename : null,
+        products,
+        lastSale
+      }
+    });
+  } catch (error) {
+    console.error('Marka lookup error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // @desc    Get recent payments
 // @route   GET /api/payments/recent
 // @access  Private
@@ -2129,9 +3394,22 @@ module.exports = {
   getSales,
   getSaleById,
   getSaleByIdHelper,
+  buildSaleLines,
+  checkVatCustomerTRN,
+  findCustomerByName,
+  resolveSaleParties,
+  resolveDueDate,
+  checkCustomerCredit,
+  logCreditOverride,
+  checkSaleStock,
+  checkSaleMarka,
+  checkSaleFloorPrices,
+  logPriceOverride,
+  resolveInvoiceNumber,
   updateSale,
   addPayment,
   getPaymentHistory,
+  updatePayment,
   deletePayment,
   deleteSale,
   getSalesStatistics,
@@ -2140,7 +3418,11 @@ module.exports = {
   printInvoice,
   getCustomerOutstanding,
   generateCustomerOutstandingPDF,
+  getReceivablesAging,
+  generateReceivablesAgingPDF,
+  generateReceivablesAgingCSV,
   getUniqueProducts,
   getAutocompleteSuggestions,
+  lookupMarka,
   getRecentPayments
 }; 
\ No newline at end of file
@@ -0,0 +1,478 @@
+const Purchase = require('../models/Purchase');
+const StockWriteOff = require('../models/StockWriteOff');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { getStockMovements, summarizeStock } = require('../utils/stockLedger');
+const { DEFAULT_EXPIRING_DAYS, getStockLots, describeLotAge } = require('../utils/stockLots');
+const { resolveLineUnits } = require('../utils/units');
+const { getNextDocumentNumber } = require('../utils/documentNumbering');
+const { escapeRegex } = require('../utils/query');
+const { roundAmount } = require('../utils/numberFormatter');
+
+const LOT_STATUSES = ['expired', 'expiring', 'fresh', 'no_date'];
+
+// Stock levels for the report, in each product's base unit, with totals over
+// the listed rows
+const buildStockReport = async (req) => {
+  const { containerNo = '', product = '', inStockOnly } = req.query;
+  const onlyInStock = inStockOnly === 'true';
+
+  const movements = await getStockMovements(req.organizationId, { containerNo, product });
+  const items = summarizeStock(movements).filter(item => !onlyInStock || item.available > 0);
+
+  const totals = items.reduce((sum, item) => ({
+    purchased: sum.purchased + item.purchased,
+    sold: sum.sold + item.sold,
+    returned: sum.returned + item.returned,
+    writtenOff: sum.writtenOff + item.writtenOff,
+    available: sum.available + item.available
+  }), { purchased: 0, sold: 0, returned: 0, writtenOff: 0, available: 0 });
+  Object.keys(totals).forEach((key) => {
+    totals[key] = Math.round(totals[key] * 1000) / 1000;
+  });
+  totals.containers = new Set(items.map(item => item.containerNo.trim().toLowerCase())).size;
+  totals.oversold = items.filter(item => item.available < 0).length;
+
+  return {
+    generatedAt: new Date(),
+    items,
+    totals,
+    filters: { containerNo, product, inStockOnly: onlyInStock }
+  };
+};
+
+// @desc    Get current stock per container and product
+// @route   GET /api/stock
+// @access  Private (Admin/Employee)
+const getStockReport = async (req, res) => {
+  try {
+    const report = await buildStockReport(req);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get stock report error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get stock movements with a running balance
+// @route   GET /api/stock/movements
+// @access  Private (Admin/Employee)
+const getStockMovementHistory = async (req, res) => {
+  try {
+    const { containerNo = '', product = '' } = req.query;
+
+    if (!containerNo && !product) {
+      return res.status(400).json({
+        error: 'Filter required',
+        message: 'Provide a container number or product'
+      });
+    }
+
+    // Balance runs per container and product so mixed containers stay readable
+    const balances = new Map();
+    const movements = (await getStockMovements(req.organizationId, { containerNo, product })).map((movement) => {
+      const key = `${movement.containerNo.trim().toLowerCase()}|${movement.product.trim().toLowerCase()}`;
+      const balance = Math.round(((balances.get(key) || 0) + movement.quantity) * 1000) / 1000;
+      balances.set(key, balance);
+      return { ...movement, balance };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        levels: summarizeStock(movements)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Generate stock report PDF
+// @route   GET /api/stock/pdf
+// @access  Private (Admin/Employee)
+const generateStockReportPDF = async (req, res) => {
+  try {
+    const report = await buildStockReport(req);
+
+    const pdf = new PDFGenerator(req.organization);
+    pdf.generateStockReport(res, report);
+
+  } catch (error) {
+    console.error('Generate stock report PDF error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate stock report PDF'
+    });
+  }
+};
+
+// @desc    Export stock report as CSV
+// @route   GET /api/stock/csv
+// @access  Private (Admin/Employee)
+const generateStockReportCSV = async (req, res) => {
+  try {
+    const report = await buildStockReport(req);
+
+    const csvHeaders = ['Container', 'Product', 'Unit', 'Purchased', 'Sold', 'Returned', 'Written Off', 'Available', 'Last Movement'];
+    const csvData = report.items.map(item => [
+      item.containerNo,
+      item.product,
+      item.unit,
+      item.purchased,
+      item.sold,
+      item.returned,
+      item.writtenOff,
+      item.available,
+      item.lastMovement ? new Date(item.lastMovement).toLocaleDateString() : ''
+    ]);
+    csvData.push([
+      'Total',
+      '',
+      '',
+      report.totals.purchased,
+      report.totals.sold,
+      report.totals.returned,
+      report.totals.writtenOff,
+      report.totals.available,
+      ''
+    ]);
+
+    const csvContent = [csvHeaders, ...csvData]
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="stock-report-${new Date().toISOString().split('T')[0]}.csv"`);
+    return res.send(csvContent);
+
+  } catch (error) {
+    console.error('Generate stock report CSV error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate stock report CSV'
+    });
+  }
+};
+
+// Lots with stock left, most urgent first: expired, then expiring within
+// `days`, then fresh and lots without a best-before date. Remaining stock is
+// valued at the lot's landed cost.
+const buildLotAgingReport = async (req) => {
+  const { containerNo = '', product = '', status = '', includeEmpty } = req.query;
+  const parsedDays = parseInt(req.query.days, 10);
+  const expiringDays = Number.isNaN(parsedDays) || parsedDays < 0 ? DEFAULT_EXPIRING_DAYS : parsedDays;
+  const statuses = status.split(',').map(entry => entry.trim()).filter(entry => LOT_STATUSES.includes(entry));
+  const withEmpty = includeEmpty === 'true';
+  const asOf = new Date();
+
+  const { lots, unallocated } = await getStockLots(req.organizationId, { containerNo, product });
+  const items = lots
+    .filter(lot => withEmpty || lot.remaining > 0)
+    .map(lot => ({
+      ...lot,
+      ...describeLotAge(lot, asOf, expiringDays),
+      unitCostAED: Math.round(lot.unitCostAED * 10000) / 10000,
+      remainingValueAED: roundAmount(Math.max(0, lot.remaining) * lot.unitCostAED)
+    }))
+    .filter(item => statuses.length === 0 || statuses.includes(item.status))
+    .sort((a, b) => (
+      LOT_STATUSES.indexOf(a.status) - LOT_STATUSES.indexOf(b.status)
+      || (a.daysToExpiry ?? 0) - (b.daysToExpiry ?? 0)
+      || b.ageDays - a.ageDays
+    ));
+
+  const totals = LOT_STATUSES.reduce((sum, name) => {
+    const matching = items.filter(item => item.status === name);
+    return {
+      ...sum,
+      [name]: {
+        lots: matching.length,
+        valueAED: roundAmount(matching.reduce((value, item) => value + item.remainingValueAED, 0))
+      }
+    };
+  }, {
+    lots: items.length,
+    valueAED: roundAmount(items.reduce((value, item) => value + item.remainingValueAED, 0))
+  });
+
+  return {
+    generatedAt: asOf,
+    items,
+    totals,
+    unallocated,
+    filters: { containerNo, product, status: statuses, days: expiringDays, includeEmpty: withEmpty }
+  };
+};
+
+// @desc    Get stock lots by age and best-before date
+// @route   GET /api/stock/lots
+// @access  Private (Admin/Employee)
+const getLotAgingReport = async (req, res) => {
+  try {
+    const report = await buildLotAgingReport(req);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get lot aging report error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Generate lot aging report PDF
+// @route   GET /api/stock/lots/pdf
+// @access  Private (Admin/Employee)
+const generateLotAgingPDF = async (req, res) => {
+  try {
+    const report = await buildLotAgingReport(req);
+
+    const pdf = new PDFGenerator(req.organization);
+    pdf.generateLotAgingReport(res, report);
+
+  } catch (error) {
+    console.error('Generate lot aging PDF error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate lot aging PDF'
+    });
+  }
+};
+
+// @desc    Export lot aging report as CSV
+// @route   GET /api/stock/lots/csv
+// @access  Private (Admin/Employee)
+const generateLotAgingCSV = async (req, res) => {
+  try {
+    const report = await buildLotAgingReport(req);
+
+    const csvHeaders = ['Container', 'Product', 'Arrival', 'Best Before', 'Age (days)', 'Days Left', 'Status', 'Received', 'Sold', 'Returned', 'Written Off', 'Remaining', 'Unit', 'Value AED'];
+    const csvData = report.items.map(item => [
+      item.containerNo,
+      item.product,
+      new Date(item.arrivalDate).toLocaleDateString(),
+      item.bestBefore ? new Date(item.bestBefore).toLocaleDateString() : '',
+      item.ageDays,
+      item.daysToExpiry === null ? '' : item.daysToExpiry,
+      item.status,
+      item.received,
+      item.sold,
+      item.returned,
+      item.writtenOff,
+      item.remaining,
+      item.unit,
+      item.remainingValueAED
+    ]);
+
+    const csvContent = [csvHeaders, ...csvData]
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="lot-aging-${new Date().toISOString().split('T')[0]}.csv"`);
+    return res.send(csvContent);
+
+  } catch (error) {
+    console.error('Generate lot aging CSV error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate lot aging CSV'
+    });
+  }
+};
+
+// @desc    Get stock write-offs
+// @route   GET /api/stock/write-offs
+// @access  Private (Admin/Employee)
+const getWriteOffs = async (req, res) => {
+  try {
+    const { containerNo = '', product = '', reason = '', startDate = '', endDate = '', page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.max(parseInt(limit, 10) || 20, 1);
+
+    const query = { organizationId: req.organizationId };
+    if (containerNo) query.containerNo = { $regex: escapeRegex(containerNo), $options: 'i' };
+    if (product) query.product = { $regex: escapeRegex(product), $options: 'i' };
+    if (reason) query.reason = reason;
+    if (startDate || endDate) {
+      query.writeOffDate = {};
+      if (startDate) query.writeOffDate.$gte = new Date(startDate);
+      if (endDate) {
+        const endDatePlusOne = new Date(endDate);
+        endDatePlusOne.setDate(endDatePlusOne.getDate() + 1);
+        query.writeOffDate.$lt = endDatePlusOne;
+      }
+    }
+
+    const [writeOffs, total, costs] = await Promise.all([
+      StockWriteOff.find(query)
+        .sort({ writeOffDate: -1, createdAt: -1 })
+        .limit(limitNumber)
+        .skip((pageNumber - 1) * limitNumber)
+        .populate({ path: 'createdBy', select: 'name email', match: { organizationId: req.organizationId } }),
+      StockWriteOff.countDocuments(query),
+      StockWriteOff.aggregate([
+        { $match: query },
+        { $group: { _id: null, costAED: { $sum: '$costAED' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: writeOffs,
+      totals: { costAED: roundAmount(costs.length > 0 ? costs[0].costAED : 0) },
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.max(Math.ceil(total / limitNumber), 1),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get write-offs error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Write off spoiled or expired goods from a lot
+// @route   POST /api/stock/write-offs
+// @access  Private (Admin/Employee)
+const createWriteOff = async (req, res) => {
+  try {
+    const { lotId, quantity, unit = '', reason = 'spoiled', notes = '', writeOffDate } = req.body;
+
+    // A lot is a purchase line, or a whole purchase saved before multi-product containers
+    const purchase = await Purchase.findOne({
+      organizationId: req.organizationId,
+      $or: [{ 'lines._id': lotId }, { _id: lotId }]
+    });
+    const lotLine = purchase && (
+      purchase.lines.id(lotId)
+      || (purchase._id.toString() === lotId ? Purchase.getLines(purchase)[0] : null)
+    );
+    if (!lotLine) {
+      return res.status(404).json({
+        error: 'Lot not found',
+        message: 'No purchase line matches this lot'
+      });
+    }
+
+    const lines = [{ product: lotLine.product, unit, quantity: Number(quantity) }];
+    const { error: unitError } = await resolveLineUnits(req.organizationId, lines);
+    if (unitError) {
+      return res.status(400).json(unitError);
+    }
+    const [line] = lines;
+
+    const { lots } = await getStockLots(req.organizationId, { containerNo: purchase.containerNo, product: lotLine.product });
+    const lot = lots.find(entry => entry.lotId === lotId);
+    if (!lot || line.baseQuantity > lot.remaining) {
+      return res.status(400).json({
+        error: 'Insufficient stock in lot',
+        message: `Lot ${purchase.containerNo} / ${lotLine.product} has ${lot ? lot.remaining : 0}${line.baseUnit ? ` ${line.baseUnit}` : ''} left; cannot write off ${line.baseQuantity}`
+      });
+    }
+
+    const date = writeOffDate ? new Date(writeOffDate) : new Date();
+    const writeOff = new StockWriteOff({
+      organizationId: req.organizationId,
+      writeOffNumber: await getNextDocumentNumber(req.organizationId, 'write_off', date),
+      writeOffDate: date,
+      purchaseId: purchase._id,
+      lotId,
+      containerNo: purchase.containerNo,
+      product: lotLine.product,
+      quantity: line.quantity,
+      unit: line.unit,
+      unitFactor: line.unitFactor,
+      baseUnit: line.baseUnit,
+      reason,
+      costAED: roundAmount(line.baseQuantity * lot.unitCostAED),
+      notes,
+      createdBy: req.user.id
+    });
+    await writeOff.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock written off',
+      data: writeOff
+    });
+
+  } catch (error) {
+    console.error('Create write-off error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete a stock write-off, putting the goods back in their lot
+// @route   DELETE /api/stock/write-offs/:id
+// @access  Private (Admin only)
+const deleteWriteOff = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid write-off ID',
+        message: 'Write-off ID must be a valid 24-character hexadecimal string'
+      });
+    }
+
+    const writeOff = await StockWriteOff.findOneAndDelete({ _id: req.params.id, organizationId: req.organizationId });
+    if (!writeOff) {
+      return res.status(404).json({
+        error: 'Write-off not found',
+        message: 'Write-off does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Write-off deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete write-off error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getStockReport,
+  getStockMovementHistory,
+  generateStockReportPDF,
+  generateStockReportCSV,
+  getLotAgingReport,
+  generateLotAgingPDF,
+  generateLotAgingCSV,
+  getWriteOffs,
+  createWriteOff,
+  deleteWriteOff
+};
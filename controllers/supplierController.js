@@ -1,4 +1,275 @@
 const Supplier = require('../models/Supplier');
+const Sales = require('../models/Sales');
+const CreditNote = require('../models/CreditNote');
+const Quotation = require('../models/Quotation');
+const Purchase = require('../models/Purchase');
+const PurchasePayment = require('../models/PurchasePayment');
+const ContainerStatement = require('../models/ContainerStatement');
+const LedgerEntry = require('../models/LedgerEntry');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { parseStatementPeriod } = require('./customerController');
+const {
+  checkClosedDayPosting,
+  createPurchasePaymentEntry,
+  reversePaymentEntry
+} = require('./dailyLedgerController');
+const { escapeRegex } = require('../utils/query');
+const { roundAmount } = require('../utils/numberFormatter');
+
+// Sales, purchases, credit notes and quotations keep the supplier's name as a
+// snapshot; carry a rename onto all of them so reports show the new name
+const renameSupplierReferences = async (organizationId, supplier, previousName) => {
+  const previousNameMatch = { $regex: `^${escapeRegex(previousName.trim())}$`, $options: 'i' };
+
+  await Promise.all([
+    Sales.updateMany(
+      {
+        organizationId,
+        $or: [{ supplierId: supplier._id }, { supplierId: null, supplier: previousNameMatch }]
+      },
+      { $set: { supplierId: supplier._id, supplier: supplier.ename } }
+    ),
+    Purchase.updateMany(
+      {
+        organizationId,
+        $or: [{ supplierId: supplier._id }, { supplierId: null, supplier: previousNameMatch }]
+      },
+      { $set: { supplierId: supplier._id, supplier: supplier.ename } }
+    ),
+    PurchasePayment.updateMany(
+      { organizationId, supplierId: supplier._id },
+      { $set: { supplier: supplier.ename } }
+    ),
+    ...[CreditNote, Quotation].map(Model => Model.updateMany(
+      { organizationId, supplier: previousNameMatch },
+      { $set: { supplier: supplier.ename } }
+    ))
+  ]);
+};
+
+// Documents of the supplier: linked by ID, or under their name when not linked yet
+const supplierDocumentMatch = (supplier) => ({
+  $or: [
+    { supplierId: supplier._id },
+    { supplierId: null, supplier: { $regex: `^${escapeRegex(supplier.ename.trim())}$`, $options: 'i' } }
+  ]
+});
+
+// Same-day rows are listed purchase first, then settlements, then money sent
+const STATEMENT_TYPE_ORDER = { purchase: 0, settlement: 1, payment: 2 };
+
+// Builds the supplier's statement of account for [startDate, endDate] in PKR
+// and AED. A purchase adds to what is owed to the supplier, and so does the
+// container statement's net sale of a container sold for them without a
+// purchase (on consignment); a payment on a purchase or a remittance for a
+// consigned container takes it off. A container bought from the supplier is
+// owed at its purchase total only, whatever it sold for. Purchases count at
+// their transfer rate and payments at the rate they were sent at. Net sales
+// are in AED and are converted at the rate set on the container statement,
+// else at the rate of the first remittance for the container, else at
+// `fallbackRate`. Returns { error } when a net sale has no rate to use.
+const buildSupplierStatement = async (organizationId, supplier, startDate, endDate, { containerNo = '', fallbackRate = 0 } = {}) => {
+  const containerMatch = containerNo
+    ? { containerNo: { $regex: `^${escapeRegex(containerNo.trim())}$`, $options: 'i' } }
+    : {};
+
+  const [purchases, saleContainers] = await Promise.all([
+    Purchase.find({ organizationId, ...supplierDocumentMatch(supplier), ...containerMatch })
+      .select('containerNo product quantity lines totalPKR totalAED transferRate createdAt'),
+    Sales.distinct('containerNo', { organizationId, ...supplierDocumentMatch(supplier), ...containerMatch })
+  ]);
+
+  // Containers sold under the supplier's name that were not bought from them
+  const purchasedContainers = new Set(purchases.map(purchase => purchase.containerNo.trim().toLowerCase()));
+  const consignedContainers = [...new Set(saleContainers.filter(Boolean).map(no => no.trim()))]
+    .filter(no => !purchasedContainers.has(no.toLowerCase()));
+
+  // Remittances are read whatever their date, as the first one for a
+  // container sets the rate of its net sale
+  const [payments, statements] = await Promise.all([
+    PurchasePayment.find({
+      organizationId,
+      $or: [
+        { purchaseId: { $in: purchases.map(purchase => purchase._id) } },
+        { purchaseId: null, supplierId: supplier._id, ...containerMatch }
+      ]
+    })
+      .sort({ paymentDate: 1, createdAt: 1 }),
+    ContainerStatement.find({
+      organizationId,
+      containerNo: { $in: consignedContainers.map(no => new RegExp(`^${escapeRegex(no)}$`, 'i')) },
+      createdAt: { $lte: endDate }
+    })
+      .select('containerNo grossSale totalExpenses netSale transferRate createdAt')
+  ]);
+  const remittanceRates = new Map();
+  payments.filter(payment => !payment.purchaseId).forEach((payment) => {
+    const key = payment.containerNo.trim().toLowerCase();
+    if (!remittanceRates.has(key)) remittanceRates.set(key, payment.transferRate);
+  });
+  const purchaseContainers = new Map(purchases.map(purchase => [purchase._id.toString(), purchase.containerNo]));
+
+  const entries = [];
+
+  purchases.filter(purchase => purchase.createdAt <= endDate).forEach((purchase) => {
+    const lines = Purchase.getLines(purchase);
+    entries.push({
+      date: purchase.createdAt,
+      type: 'purchase',
+      reference: purchase.containerNo,
+      containerNo: purchase.containerNo,
+      description: `Purchase - ${lines.map(line => `${line.product} x ${line.quantity}`).join(', ')}`,
+      transferRate: purchase.transferRate,
+      amountPKR: purchase.totalPKR || 0,
+      amountAED: purchase.totalAED || 0,
+      createdAt: purchase.createdAt
+    });
+  });
+
+  const settlementRate = (statement) => statement.transferRate
+    || remittanceRates.get(statement.containerNo.trim().toLowerCase())
+    || fallbackRate;
+  const unrated = statements.filter(statement => !settlementRate(statement));
+  if (unrated.length > 0) {
+    return { error: `No transfer rate for the net sale of ${unrated.map(statement => statement.containerNo).join(', ')}. Set it on the container statement or pass transferRate to convert it.` };
+  }
+  statements.forEach((statement) => {
+    const transferRate = settlementRate(statement);
+    entries.push({
+      date: statement.createdAt,
+      type: 'settlement',
+      reference: statement.containerNo,
+      containerNo: statement.containerNo,
+      description: `Net sale - gross AED ${statement.grossSale.toLocaleString('en-US', { minimumFractionDigits: 2 })} less expenses AED ${statement.totalExpenses.toLocaleString('en-US', { minimumFractionDigits: 2 })}`,
+      transferRate,
+      amountPKR: (statement.netSale || 0) * transferRate,
+      amountAED: statement.netSale || 0,
+      createdAt: statement.createdAt
+    });
+  });
+
+  payments.filter(payment => payment.paymentDate <= endDate).forEach((payment) => {
+    const paymentContainer = payment.purchaseId
+      ? purchaseContainers.get(payment.purchaseId.toString()) || ''
+      : payment.containerNo;
+    entries.push({
+      date: payment.paymentDate,
+      type: 'payment',
+      reference: payment.reference || paymentContainer,
+      containerNo: paymentContainer,
+      description: `${payment.purchaseId ? 'Payment' : 'Remittance'} (${(payment.paymentMethod || 'cash').replace('_', ' ')}) for ${paymentContainer}`,
+      transferRate: payment.transferRate,
+      amountPKR: -payment.amountPKR,
+      amountAED: -payment.amountAED,
+      createdAt: payment.createdAt
+    });
+  });
+
+  entries.sort((a, b) => (
+    new Date(a.date) - new Date(b.date)
+    || STATEMENT_TYPE_ORDER[a.type] - STATEMENT_TYPE_ORDER[b.type]
+    || new Date(a.createdAt) - new Date(b.createdAt)
+  ));
+
+  const priorEntries = entries.filter(entry => new Date(entry.date) < startDate);
+  const periodEntries = entries.filter(entry => new Date(entry.date) >= startDate);
+  const openingBalance = {
+    pkr: roundAmount(priorEntries.reduce((sum, entry) => sum + entry.amountPKR, 0)),
+    aed: roundAmount(priorEntries.reduce((sum, entry) => sum + entry.amountAED, 0))
+  };
+
+  const totals = {
+    purchases: { pkr: 0, aed: 0 },
+    settlements: { pkr: 0, aed: 0 },
+    payments: { pkr: 0, aed: 0 }
+  };
+  const totalKeys = { purchase: 'purchases', settlement: 'settlements', payment: 'payments' };
+  let balancePKR = openingBalance.pkr;
+  let balanceAED = openingBalance.aed;
+  const transactions = periodEntries.map(({ createdAt, ...entry }) => {
+    balancePKR += entry.amountPKR;
+    balanceAED += entry.amountAED;
+    const total = totals[totalKeys[entry.type]];
+    total.pkr += Math.abs(entry.amountPKR);
+    total.aed += Math.abs(entry.amountAED);
+    return {
+      ...entry,
+      amountPKR: roundAmount(entry.amountPKR),
+      amountAED: roundAmount(entry.amountAED),
+      balancePKR: roundAmount(balancePKR),
+      balanceAED: roundAmount(balanceAED)
+    };
+  });
+  Object.values(totals).forEach((total) => {
+    total.pkr = roundAmount(total.pkr);
+    total.aed = roundAmount(total.aed);
+  });
+
+  return {
+    openingBalance,
+    transactions,
+    totals,
+    closingBalance: {
+      pkr: roundAmount(balancePKR),
+      aed: roundAmount(balanceAED)
+    }
+  };
+};
+
+// Shared lookup for the statement endpoints. Returns { supplier, statement }
+// or sends the error response and returns null.
+const loadSupplierStatement = async (req, res) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ error: 'Invalid supplier ID', message: 'Invalid id' });
+    return null;
+  }
+
+  const period = parseStatementPeriod(req.query);
+  if (period.error) {
+    res.status(400).json({ error: 'Invalid period', message: period.error });
+    return null;
+  }
+
+  const fallbackRate = req.query.transferRate !== undefined ? Number(req.query.transferRate) : 0;
+  if (Number.isNaN(fallbackRate) || fallbackRate < 0) {
+    res.status(400).json({ error: 'Invalid transfer rate', message: 'Transfer rate must be a positive number' });
+    return null;
+  }
+
+  const supplier = await Supplier.findOne({ _id: req.params.id, organizationId: req.organizationId });
+  if (!supplier) {
+    res.status(404).json({ error: 'Supplier not found' });
+    return null;
+  }
+
+  const statement = await buildSupplierStatement(req.organizationId, supplier, period.startDate, period.endDate, {
+    containerNo: req.query.containerNo || '',
+    fallbackRate
+  });
+  if (statement.error) {
+    res.status(400).json({ error: 'Transfer rate required', message: statement.error });
+    return null;
+  }
+
+  return {
+    supplier,
+    statement: {
+      supplier: {
+        _id: supplier._id,
+        name: supplier.ename,
+        marka: supplier.marka || '',
+        email: supplier.email || '',
+        number: supplier.number || ''
+      },
+      period: {
+        startDate: period.startDate,
+        endDate: period.endDate
+      },
+      containerNo: req.query.containerNo || '',
+      ...statement
+    }
+  };
+};
 
 // @desc    Create new supplier
 // @route   POST /api/suppliers
@@ -109,6 +380,7 @@ const updateSupplier = async (req, res) => {
       if (existing) return res.status(400).json({ error: 'Supplier already exists' });
     }
 
+    const previousName = supplier.ename;
     supplier.ename = ename;
     supplier.uname = uname;
     supplier.email = email;
@@ -117,6 +389,9 @@ const updateSupplier = async (req, res) => {
     if (typeof isActive === 'boolean') supplier.isActive = isActive;
     supplier.updatedBy = req.user.id;
     await supplier.save();
+    if (previousName !== supplier.ename) {
+      await renameSupplierReferences(req.organizationId, supplier, previousName);
+    }
     res.json({ success: true, message: 'Supplier updated successfully', supplier });
   } catch (error) {
     console.error('Update supplier error:', error);
@@ -190,6 +465,178 @@ const getSupplierStatistics = async (req, res) => {
   }
 };
 
+// @desc    Get supplier statement of account in PKR and AED
+// @route   GET /api/suppliers/:id/statement
+// @access  Private (Admin/Employee)
+const getSupplierStatement = async (req, res) => {
+  try {
+    const result = await loadSupplierStatement(req, res);
+    if (!result) return;
+    res.json({ success: true, data: result.statement });
+  } catch (error) {
+    console.error('Get supplier statement error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Download supplier statement of account PDF
+// @route   GET /api/suppliers/:id/statement/pdf
+// @access  Private (Admin/Employee)
+const downloadSupplierStatementPDF = async (req, res) => {
+  try {
+    const result = await loadSupplierStatement(req, res);
+    if (!result) return;
+
+    const pdfGenerator = new PDFGenerator(req.organization);
+    pdfGenerator.generateSupplierStatement(res, result.statement);
+  } catch (error) {
+    console.error('Supplier statement PDF error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Failed to generate supplier statement PDF' });
+  }
+};
+
+// @desc    Record a remittance to a supplier for a container sold on consignment
+// @route   POST /api/suppliers/:id/remittances
+// @access  Private (Admin/Employee)
+const addSupplierRemittance = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid supplier ID' });
+    }
+    const {
+      containerNo,
+      amountPKR,
+      transferRate,
+      paymentType = 'partial',
+      paymentMethod = 'cash',
+      reference,
+      notes,
+      paymentDate,
+      postToOpenDay = false
+    } = req.body;
+
+    const supplier = await Supplier.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!supplier) return res.status(404).json({ error: 'Supplier not found' });
+
+    // A container bought from the supplier is paid through its purchase
+    const purchase = await Purchase.findOne({
+      organizationId: req.organizationId,
+      ...supplierDocumentMatch(supplier),
+      containerNo: { $regex: `^${escapeRegex(containerNo.trim())}$`, $options: 'i' }
+    }).select('containerNo');
+    if (purchase) {
+      return res.status(400).json({
+        error: 'Container was bought from the supplier',
+        message: `Record the payment against the purchase of container ${purchase.containerNo}`
+      });
+    }
+
+    // A back-dated remittance into a closed day goes to today's ledger only when asked
+    const paidOn = paymentDate ? new Date(paymentDate) : new Date();
+    const closedDayError = await checkClosedDayPosting(req.organizationId, [paidOn], postToOpenDay);
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+
+    const payment = await new PurchasePayment({
+      organizationId: req.organizationId,
+      supplierId: supplier._id,
+      supplier: supplier.ename,
+      containerNo: containerNo.trim(),
+      amountPKR: Number(amountPKR),
+      transferRate: Number(transferRate),
+      paidBy: req.user.id,
+      paymentType,
+      paymentMethod,
+      reference,
+      notes,
+      paymentDate: paidOn
+    }).save();
+
+    const entry = await createPurchasePaymentEntry(req.organizationId, null, payment);
+    payment.ledgerEntryId = entry._id;
+    await payment.save();
+
+    res.status(201).json({ success: true, data: payment });
+  } catch (error) {
+    console.error('Add supplier remittance error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Get remittances to a supplier, optionally for one container
+// @route   GET /api/suppliers/:id/remittances?containerNo=
+// @access  Private (Admin/Employee)
+const getSupplierRemittances = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid supplier ID' });
+    }
+    const supplier = await Supplier.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!supplier) return res.status(404).json({ error: 'Supplier not found' });
+
+    const { containerNo = '' } = req.query;
+    const remittances = await PurchasePayment.find({
+      organizationId: req.organizationId,
+      supplierId: supplier._id,
+      purchaseId: null,
+      ...(containerNo ? { containerNo: { $regex: `^${escapeRegex(containerNo.trim())}$`, $options: 'i' } } : {})
+    })
+      .populate({ path: 'paidBy', select: 'name email', match: { organizationId: req.organizationId } })
+      .sort({ paymentDate: -1 });
+    res.json({ success: true, data: remittances });
+  } catch (error) {
+    console.error('Get supplier remittances error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
+// @desc    Delete a remittance to a supplier
+// @route   DELETE /api/suppliers/:id/remittances/:paymentId
+// @access  Private (Admin/Employee)
+const deleteSupplierRemittance = async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !paymentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid supplier or remittance ID' });
+    }
+    const payment = await PurchasePayment.findOne({
+      _id: paymentId,
+      supplierId: id,
+      purchaseId: null,
+      organizationId: req.organizationId
+    });
+    if (!payment) {
+      return res.status(404).json({ error: 'Remittance not found' });
+    }
+
+    // The ledger payment is removed while its day is open, otherwise reversed today
+    const entry = payment.ledgerEntryId
+      ? await LedgerEntry.findOne({ _id: payment.ledgerEntryId, organizationId: req.organizationId })
+      : null;
+    const closedDayError = entry
+      ? await checkClosedDayPosting(req.organizationId, [entry.ledger_date], req.body.postToOpenDay)
+      : null;
+    if (closedDayError) {
+      return res.status(409).json(closedDayError);
+    }
+    if (entry) {
+      await reversePaymentEntry(req.organizationId, entry, {
+        req,
+        reason: 'supplier_remittance_deleted',
+        metadata: { supplierId: payment.supplierId, containerNo: payment.containerNo, paymentId: payment._id, amountPKR: payment.amountPKR }
+      });
+    }
+
+    await PurchasePayment.deleteOne({ _id: payment._id, organizationId: req.organizationId });
+
+    res.json({ success: true, message: 'Remittance deleted successfully' });
+  } catch (error) {
+    console.error('Delete supplier remittance error:', error);
+    res.status(500).json({ error: 'Server error', message: 'Internal server error' });
+  }
+};
+
 module.exports = {
   createSupplier,
   getSuppliers,
@@ -199,5 +646,10 @@ module.exports = {
   activateSupplier,
   searchSuppliersByName,
   getSupplierStatistics,
+  getSupplierStatement,
+  downloadSupplierStatementPDF,
+  addSupplierRemittance,
+  getSupplierRemittances,
+  deleteSupplierRemittance,
 };
 
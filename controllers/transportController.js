@@ -1,13 +1,8 @@
 const TransportInvoice = require('../models/TransportInvoice');
 const TransportPayment = require('../models/TransportPayment');
-const Counter = require('../models/Counter');
+const { getNextDocumentNumber } = require('../utils/documentNumbering');
 const PDFGenerator = require('../utils/pdfGenerator');
-
-// Generate invoice number
-const generateInvoiceNumber = async (organizationId) => {
-  const sequence = await Counter.getNextSequence(organizationId, 'transport_invoice');
-  return `TR-${sequence.toString().padStart(4, '0')}`;
-};
+const { refreshLinkedPurchases } = require('../utils/landedCost');
 
 // Create transport invoice
 const createTransportInvoice = async (req, res) => {
@@ -15,13 +10,14 @@ const createTransportInvoice = async (req, res) => {
     const data = req.body;
 
     // Generate invoice number
-    const invoice_number = await generateInvoiceNumber(req.organizationId);
+    const invoice_number = await getNextDocumentNumber(req.organizationId, 'transport_invoice', data.invoice_date);
 
     const transportInvoice = new TransportInvoice({
       organizationId: req.organizationId,
       invoice_number,
       amount_pkr: data.amount_pkr,
       conversion_rate: data.conversion_rate,
+      container_number: data.container_number,
       agent: data.agent,
       invoice_date: data.invoice_date,
       due_date: data.due_date,
@@ -29,6 +25,7 @@ const createTransportInvoice = async (req, res) => {
     });
 
     await transportInvoice.save();
+    await refreshLinkedPurchases(req.organizationId, { containerNo: transportInvoice.container_number });
     const saved = transportInvoice.toObject();
     saved._id = saved._id.toString();
     
@@ -62,7 +59,8 @@ const getTransportInvoices = async (req, res) => {
     if (search) {
       query.$or = [
         { invoice_number: { $regex: search, $options: 'i' } },
-        { agent: { $regex: search, $options: 'i' } }
+        { agent: { $regex: search, $options: 'i' } },
+        { container_number: { $regex: search, $options: 'i' } }
       ];
     }
     
@@ -166,6 +164,7 @@ const updateTransportInvoice = async (req, res) => {
     transportInvoice.updatedBy = req.user.id;
     
     await transportInvoice.save();
+    await refreshLinkedPurchases(req.organizationId, { containerNo: transportInvoice.container_number, invoiceId: transportInvoice._id });
     const updated = transportInvoice.toObject();
     updated._id = updated._id.toString();
     
@@ -286,6 +285,7 @@ const deleteTransportInvoice = async (req, res) => {
     }
 
     await TransportInvoice.findOneAndDelete({ _id: id, organizationId: req.organizationId });
+    await refreshLinkedPurchases(req.organizationId, { containerNo: transportInvoice.container_number, invoiceId: transportInvoice._id });
     
     res.json({ success: true, message: 'Transport invoice deleted successfully' });
   } catch (error) {
@@ -0,0 +1,376 @@
+const Sales = require('../models/Sales');
+const CreditNote = require('../models/CreditNote');
+const Purchase = require('../models/Purchase');
+const DubaiClearanceInvoice = require('../models/DubaiClearanceInvoice');
+const DubaiTransportInvoice = require('../models/DubaiTransportInvoice');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { ceilToTwoDecimals } = require('../utils/numberFormatter');
+
+// Boxes of the FTA VAT 201 return. Boxes 2, 3, 5 and 7 have no source data
+// in the system and are always reported as zero.
+const VAT_RETURN_BOXES = [
+  { box: '1', label: 'Standard rated supplies' },
+  { box: '2', label: 'Tax refunds provided to tourists' },
+  { box: '3', label: 'Supplies subject to the reverse charge provisions' },
+  { box: '4', label: 'Zero rated supplies' },
+  { box: '5', label: 'Exempt supplies' },
+  { box: '6', label: 'Goods imported into the UAE' },
+  { box: '7', label: 'Adjustments to goods imported into the UAE' },
+  { box: '8', label: 'Totals (sales and outputs)' },
+  { box: '9', label: 'Standard rated expenses' },
+  { box: '10', label: 'Supplies subject to the reverse charge provisions (inputs)' },
+  { box: '11', label: 'Totals (expenses and inputs)' },
+  { box: '12', label: 'Total value of due tax for the period' },
+  { box: '13', label: 'Total value of recoverable tax for the period' },
+  { box: '14', label: 'Payable tax for the period' }
+];
+
+const OUTPUT_BOXES = ['1', '2', '3', '4', '5', '6', '7'];
+const INPUT_BOXES = ['9', '10'];
+const DRILL_DOWN_BOXES = ['1', '4', '6', '9', '10'];
+
+// Both ends of the tax period are required and inclusive
+const parseTaxPeriod = ({ startDate, endDate }) => {
+  if (!startDate || !endDate) {
+    return { error: 'Please provide the start and end date of the tax period' };
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'Start date and end date must be valid dates' };
+  }
+
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+
+  if (start > end) {
+    return { error: 'Start date must be before end date' };
+  }
+
+  return { startDate: start, endDate: end };
+};
+
+// Split a document's lines into standard rated (VAT > 0) and zero rated
+// supplies. Line discounts reduce the taxable value; payment discounts do not.
+const splitLinesByRate = (lines = [], sign = 1) => lines.reduce((totals, line) => {
+  const vatAmount = Number(line.vatAmount) || 0;
+  const taxable = Math.max(0, (Number(line.amount) || 0) - vatAmount);
+  const key = (Number(line.vatPercentage) || 0) > 0 ? 'standard' : 'zero';
+  totals[key].amount += sign * taxable;
+  totals[key].vat += sign * vatAmount;
+  return totals;
+}, { standard: { amount: 0, vat: 0 }, zero: { amount: 0, vat: 0 } });
+
+const toDocument = (fields, amount, vat) => ({
+  ...fields,
+  amount: ceilToTwoDecimals(amount),
+  vat: ceilToTwoDecimals(vat)
+});
+
+// Collect the documents behind each box for the period
+const collectVatDocuments = async (organizationId, { startDate, endDate }) => {
+  const range = { $gte: startDate, $lte: endDate };
+  const documents = DRILL_DOWN_BOXES.reduce((acc, box) => ({ ...acc, [box]: [] }), {});
+
+  const [sales, creditNotes, purchases, clearanceInvoices, transportInvoices] = await Promise.all([
+    Sales.find({ organizationId, invoiceDate: range })
+      .select('invoiceNumber invoiceDate customer lines product quantity rate vatPercentage vatAmount')
+      .sort({ invoiceDate: 1, invoiceNumber: 1 })
+      .lean(),
+    CreditNote.find({ organizationId, creditNoteDate: range })
+      .select('creditNoteNumber creditNoteDate invoiceNumber customer lines')
+      .sort({ creditNoteDate: 1, creditNoteNumber: 1 })
+      .lean(),
+    // Purchases carry no document date of their own
+    Purchase.find({ organizationId, createdAt: range })
+      .select('containerNo product totalAED importVatAED createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    DubaiClearanceInvoice.find({ organizationId, invoice_date: range, vat_amount_aed: { $gt: 0 } })
+      .select('invoice_number invoice_date agent amount_aed vat_amount_aed')
+      .sort({ invoice_date: 1 })
+      .lean(),
+    DubaiTransportInvoice.find({ organizationId, invoice_date: range, vat_amount_aed: { $gt: 0 } })
+      .select('invoice_number invoice_date description container_number amount_aed vat_amount_aed')
+      .sort({ invoice_date: 1 })
+      .lean()
+  ]);
+
+  sales.forEach((sale) => {
+    const totals = splitLinesByRate(Sales.getLines(sale));
+    const fields = {
+      documentType: 'sale',
+      id: sale._id,
+      number: sale.invoiceNumber,
+      date: sale.invoiceDate,
+      party: sale.customer
+    };
+    if (totals.standard.amount || totals.standard.vat) {
+      documents['1'].push(toDocument(fields, totals.standard.amount, totals.standard.vat));
+    }
+    if (totals.zero.amount) {
+      documents['4'].push(toDocument(fields, totals.zero.amount, 0));
+    }
+  });
+
+  // Credit notes reduce supplies in the period they are issued
+  creditNotes.forEach((creditNote) => {
+    const totals = splitLinesByRate(creditNote.lines, -1);
+    const fields = {
+      documentType: 'credit_note',
+      id: creditNote._id,
+      number: creditNote.creditNoteNumber,
+      date: creditNote.creditNoteDate,
+      party: creditNote.customer,
+      reference: creditNote.invoiceNumber
+    };
+    if (totals.standard.amount || totals.standard.vat) {
+      documents['1'].push(toDocument(fields, totals.standard.amount, totals.standard.vat));
+    }
+    if (totals.zero.amount) {
+      documents['4'].push(toDocument(fields, totals.zero.amount, 0));
+    }
+  });
+
+  // Imports are declared under the reverse charge: due in box 6, recovered in box 10
+  purchases.forEach((purchase) => {
+    const fields = {
+      documentType: 'purchase',
+      id: purchase._id,
+      number: purchase.containerNo,
+      date: purchase.createdAt,
+      party: purchase.product
+    };
+    const importVat = Number(purchase.importVatAED) || 0;
+    documents['6'].push(toDocument(fields, purchase.totalAED || 0, importVat));
+    if (importVat > 0) {
+      documents['10'].push(toDocument(fields, purchase.totalAED || 0, importVat));
+    }
+  });
+
+  clearanceInvoices.forEach((invoice) => {
+    documents['9'].push(toDocument({
+      documentType: 'dubai_clearance_invoice',
+      id: invoice._id,
+      number: invoice.invoice_number,
+      date: invoice.invoice_date,
+      party: invoice.agent
+    }, invoice.amount_aed - invoice.vat_amount_aed, invoice.vat_amount_aed));
+  });
+
+  transportInvoices.forEach((invoice) => {
+    documents['9'].push(toDocument({
+      documentType: 'dubai_transport_invoice',
+      id: invoice._id,
+      number: invoice.invoice_number,
+      date: invoice.invoice_date,
+      party: invoice.description || invoice.container_number || ''
+    }, invoice.amount_aed - invoice.vat_amount_aed, invoice.vat_amount_aed));
+  });
+
+  documents['9'].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return documents;
+};
+
+// Fill every box of the return from the period's documents
+const buildVatReturn = async (req, period) => {
+  const documents = await collectVatDocuments(req.organizationId, period);
+
+  const sumBox = (box) => (documents[box] || []).reduce((totals, doc) => ({
+    amount: totals.amount + doc.amount,
+    vat: totals.vat + doc.vat
+  }), { amount: 0, vat: 0 });
+
+  const values = {};
+  VAT_RETURN_BOXES.forEach(({ box }) => {
+    values[box] = sumBox(box);
+  });
+
+  values['8'] = OUTPUT_BOXES.reduce((totals, box) => ({
+    amount: totals.amount + values[box].amount,
+    vat: totals.vat + values[box].vat
+  }), { amount: 0, vat: 0 });
+  values['11'] = INPUT_BOXES.reduce((totals, box) => ({
+    amount: totals.amount + values[box].amount,
+    vat: totals.vat + values[box].vat
+  }), { amount: 0, vat: 0 });
+  values['12'] = { amount: null, vat: values['8'].vat };
+  values['13'] = { amount: null, vat: values['11'].vat };
+  values['14'] = { amount: null, vat: values['12'].vat - values['13'].vat };
+
+  const boxes = VAT_RETURN_BOXES.map(({ box, label }) => ({
+    box,
+    label,
+    amount: values[box].amount === null ? null : ceilToTwoDecimals(values[box].amount),
+    vat: ceilToTwoDecimals(values[box].vat),
+    documentCount: documents[box] ? documents[box].length : 0,
+    hasDrillDown: DRILL_DOWN_BOXES.includes(box)
+  }));
+
+  return {
+    period: {
+      startDate: period.startDate,
+      endDate: period.endDate
+    },
+    trn: req.organization?.branding?.trn || req.organization?.trn || '',
+    boxes,
+    documents,
+    generatedAt: new Date()
+  };
+};
+
+// Shared entry point for the VAT return endpoints. Returns the return or
+// sends the error response and returns null.
+const loadVatReturn = async (req, res) => {
+  const period = parseTaxPeriod(req.query);
+  if (period.error) {
+    res.status(400).json({
+      error: 'Invalid tax period',
+      message: period.error
+    });
+    return null;
+  }
+
+  return buildVatReturn(req, period);
+};
+
+// @desc    Get the VAT return (Form 201 boxes) for a tax period
+// @route   GET /api/vat-return
+// @access  Private (Admin/Employee)
+const getVatReturn = async (req, res) => {
+  try {
+    const vatReturn = await loadVatReturn(req, res);
+    if (!vatReturn) return;
+
+    const { documents, ...summary } = vatReturn;
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Get VAT return error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the documents behind one box of the VAT return
+// @route   GET /api/vat-return/boxes/:box
+// @access  Private (Admin/Employee)
+const getVatReturnBoxDocuments = async (req, res) => {
+  try {
+    const { box } = req.params;
+    if (!DRILL_DOWN_BOXES.includes(box)) {
+      return res.status(400).json({
+        error: 'Invalid box',
+        message: `Documents are available for boxes ${DRILL_DOWN_BOXES.join(', ')}`
+      });
+    }
+
+    const vatReturn = await loadVatReturn(req, res);
+    if (!vatReturn) return;
+
+    res.json({
+      success: true,
+      data: {
+        period: vatReturn.period,
+        box: vatReturn.boxes.find(entry => entry.box === box),
+        documents: vatReturn.documents[box]
+      }
+    });
+
+  } catch (error) {
+    console.error('Get VAT return box documents error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Generate the VAT return PDF with supporting documents
+// @route   GET /api/vat-return/pdf
+// @access  Private (Admin/Employee)
+const generateVatReturnPDF = async (req, res) => {
+  try {
+    const vatReturn = await loadVatReturn(req, res);
+    if (!vatReturn) return;
+
+    const pdfGenerator = new PDFGenerator(req.organization);
+    pdfGenerator.generateVatReturn(res, vatReturn);
+
+  } catch (error) {
+    console.error('Generate VAT return PDF error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate VAT return PDF'
+    });
+  }
+};
+
+// @desc    Export the VAT return as CSV (boxes, or documents with ?detail=true)
+// @route   GET /api/vat-return/csv
+// @access  Private (Admin/Employee)
+const generateVatReturnCSV = async (req, res) => {
+  try {
+    const vatReturn = await loadVatReturn(req, res);
+    if (!vatReturn) return;
+
+    const detail = req.query.detail === 'true';
+    const formatDate = (value) => new Date(value).toISOString().split('T')[0];
+
+    let csvHeaders;
+    let csvData;
+    if (detail) {
+      csvHeaders = ['Box', 'Document Type', 'Number', 'Date', 'Party', 'Reference', 'Amount (AED)', 'VAT (AED)'];
+      csvData = DRILL_DOWN_BOXES.flatMap(box => vatReturn.documents[box].map(doc => [
+        box,
+        doc.documentType,
+        doc.number,
+        formatDate(doc.date),
+        doc.party || '',
+        doc.reference || '',
+        doc.amount,
+        doc.vat
+      ]));
+    } else {
+      csvHeaders = ['Box', 'Description', 'Amount (AED)', 'VAT (AED)', 'Documents'];
+      csvData = vatReturn.boxes.map(entry => [
+        entry.box,
+        entry.label,
+        entry.amount === null ? '' : entry.amount,
+        entry.vat,
+        entry.hasDrillDown ? entry.documentCount : ''
+      ]);
+    }
+
+    const csvContent = [csvHeaders, ...csvData]
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+
+    const periodLabel = `${formatDate(vatReturn.period.startDate)}-to-${formatDate(vatReturn.period.endDate)}`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="vat-return-${detail ? 'documents-' : ''}${periodLabel}.csv"`);
+    return res.send(csvContent);
+
+  } catch (error) {
+    console.error('Generate VAT return CSV error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate VAT return CSV'
+    });
+  }
+};
+
+module.exports = {
+  getVatReturn,
+  getVatReturnBoxDocuments,
+  generateVatReturnPDF,
+  generateVatReturnCSV
+};
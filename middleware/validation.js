@@ -1,4 +1,4 @@
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 
 // Validation middleware
 const validateRequest = (req, res, next) => {
@@ -12,6 +12,48 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Sale and quotation lines: either a `lines` array or the legacy single-line
+// fields. Whether a quantity may have decimals depends on its unit, which the
+// controllers check against the product.
+const withoutLines = body('lines').not().exists();
+const saleLineValidators = [
+  body('lines', 'Lines must be a non-empty array').optional().isArray({ min: 1 }),
+  body('lines.*.product', 'Product is required').notEmpty().trim(),
+  body('lines.*.marka', 'Marka is required').notEmpty().trim(),
+  body('lines.*.description', 'Description is required').notEmpty().trim(),
+  body('lines.*.quantity', 'Quantity must be a positive number').isFloat({ gt: 0 }),
+  body('lines.*.unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  body('lines.*.rate', 'Rate must be a positive number').isFloat({ min: 0 }),
+  body('lines.*.vatPercentage', 'VAT percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+  body('lines.*.discount', 'Discount must be a positive number').optional().isFloat({ min: 0 }),
+  body('product', 'Product is required').if(withoutLines).notEmpty().trim(),
+  body('marka', 'Marka is required').if(withoutLines).notEmpty().trim(),
+  body('description', 'Description is required').if(withoutLines).notEmpty().trim(),
+  body('quantity', 'Quantity must be a positive number').if(withoutLines).isFloat({ gt: 0 }),
+  body('unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  body('rate', 'Rate must be a positive number').if(withoutLines).isFloat({ min: 0 }),
+  body('vatPercentage', 'VAT percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+  body('discount', 'Discount must be a positive number').optional().isFloat({ min: 0 })
+];
+
+// Purchase lines: either a `lines` array or the legacy single-product fields
+const purchaseLineValidators = [
+  body('lines', 'Lines must be a non-empty array').optional().isArray({ min: 1 }),
+  body('lines.*.product', 'Product is required').notEmpty().trim(),
+  body('lines.*.quantity', 'Quantity must be a positive number').isFloat({ gt: 0 }),
+  body('lines.*.unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  body('lines.*.rate', 'Rate must be a non-negative number').isFloat({ min: 0 }),
+  body('lines.*.bestBefore', 'Best-before date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('product', 'Product is required').if(withoutLines).notEmpty().trim(),
+  body('quantity', 'Quantity must be a positive number').if(withoutLines).isFloat({ gt: 0 }),
+  body('unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  body('rate', 'Rate must be a non-negative number').if(withoutLines).isFloat({ min: 0 }),
+  body('bestBefore', 'Best-before date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('costAllocation', 'Cost allocation must be quantity or value').optional().isIn(['quantity', 'value'])
+];
+
 module.exports = {
-  validateRequest
+  validateRequest,
+  saleLineValidators,
+  purchaseLineValidators
 }; 
\ No newline at end of file
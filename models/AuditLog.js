@@ -24,7 +24,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   resourceType: {
     type: String,
-    enum: ['organization', 'user', 'superadmin', 'auth', 'system'],
+    enum: ['organization', 'user', 'superadmin', 'auth', 'system', 'ledger', 'customer', 'sale'],
     required: true
   },
   resourceId: {
@@ -32,7 +32,16 @@ const containerStatementSchema = new mongoose.Schema({
     quantity: {
       type: Number,
       required: [true, 'Quantity is required'],
-      min: [1, 'Quantity must be at least 1']
+      validate: {
+        validator: value => value > 0,
+        message: 'Quantity must be greater than 0'
+      }
+    },
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Unit cannot be more than 20 characters'],
+      default: ''
     },
     unitPrice: {
       type: Number,
@@ -82,6 +91,13 @@ const containerStatementSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Total quantity cannot be negative']
   },
+  // PKR per AED the net sale is settled at with a supplier who sold the
+  // container on consignment
+  transferRate: {
+    type: Number,
+    default: null,
+    min: [0.000001, 'Transfer rate must be greater than 0']
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
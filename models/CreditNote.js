@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const { ceilToTwoDecimals } = require('../utils/numberFormatter');
+
+// One credited invoice line. `saleLineId` points at the line in Sales.lines;
+// quantity is the returned quantity (0 for a pure price allowance).
+const creditNoteLineSchema = new mongoose.Schema({
+  saleLineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Invoice line is required']
+  },
+  product: {
+    type: String,
+    required: [true, 'Product is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot be more than 100 characters']
+  },
+  marka: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Marka cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  },
+  // Unit the quantity is in and what it held on the invoice line:
+  // `unitFactor` base units each, `baseUnit` the product's base unit
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters'],
+    default: ''
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0, 'Unit factor cannot be negative']
+  },
+  baseUnit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Base unit cannot be more than 20 characters'],
+    default: ''
+  },
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rate cannot be negative']
+  },
+  vatPercentage: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT percentage cannot be negative'],
+    max: [100, 'VAT percentage cannot exceed 100%']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative']
+  }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  creditNoteNumber: {
+    type: String,
+    required: [true, 'Credit note number is required'],
+    trim: true
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales',
+    required: [true, 'Sale ID is required']
+  },
+  // Snapshot of the original invoice for listings and printing
+  invoiceNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  containerNo: {
+    type: String,
+    trim: true
+  },
+  creditNoteDate: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['return', 'rejection', 'allowance'],
+    default: 'return'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  lines: {
+    type: [creditNoteLineSchema],
+    validate: {
+      validator: (lines) => Array.isArray(lines) && lines.length > 0,
+      message: 'At least one credit note line is required'
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative']
+  },
+  // Part of the credit beyond what was outstanding on the invoice, held as
+  // customer credit on `receiptId` to apply to other invoices
+  customerCreditAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Customer credit cannot be negative']
+  },
+  receiptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ organizationId: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ organizationId: 1, saleId: 1 });
+creditNoteSchema.index({ organizationId: 1, customer: 1 });
+creditNoteSchema.index({ organizationId: 1, containerNo: 1 });
+creditNoteSchema.index({ organizationId: 1, creditNoteDate: -1 });
+
+// Pre-save middleware to calculate VAT and totals from the line subtotals
+creditNoteSchema.pre('save', function(next) {
+  let subtotal = 0;
+  let vatTotal = 0;
+
+  this.lines.forEach((line) => {
+    line.baseQuantity = Math.round((Number(line.quantity) || 0) * (Number(line.unitFactor) || 1) * 1000) / 1000;
+    line.subtotal = ceilToTwoDecimals(Number(line.subtotal) || 0);
+    line.vatAmount = ceilToTwoDecimals((line.subtotal * (Number(line.vatPercentage) || 0)) / 100);
+    line.amount = ceilToTwoDecimals(line.subtotal + line.vatAmount);
+    subtotal += line.subtotal;
+    vatTotal += line.vatAmount;
+  });
+
+  this.subtotal = ceilToTwoDecimals(subtotal);
+  this.vatAmount = ceilToTwoDecimals(vatTotal);
+  this.amount = ceilToTwoDecimals(subtotal + vatTotal);
+
+  next();
+});
+
+// Static method to total the credit notes issued against a sale
+creditNoteSchema.statics.getSaleCredits = async function(organizationId, saleId) {
+  const creditNotes = await this.find({ organizationId, saleId });
+
+  const returnedByLine = {};
+  const creditedByLine = {};
+  let creditTotal = 0;
+  let customerCreditTotal = 0;
+  let returnedQuantity = 0;
+
+  creditNotes.forEach((creditNote) => {
+    creditTotal += creditNote.amount || 0;
+    customerCreditTotal += creditNote.customerCreditAmount || 0;
+    creditNote.lines.forEach((line) => {
+      const key = line.saleLineId.toString();
+      returnedByLine[key] = (returnedByLine[key] || 0) + (line.quantity || 0);
+      creditedByLine[key] = ceilToTwoDecimals((creditedByLine[key] || 0) + (line.subtotal || 0));
+      returnedQuantity += line.quantity || 0;
+    });
+  });
+
+  return {
+    count: creditNotes.length,
+    creditTotal: ceilToTwoDecimals(creditTotal),
+    customerCreditTotal: ceilToTwoDecimals(customerCreditTotal),
+    returnedQuantity,
+    returnedByLine,
+    creditedByLine
+  };
+};
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
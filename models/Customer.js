@@ -38,6 +38,34 @@ const customerSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Price list group the customer buys under (see PriceList)
+  priceGroup: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Price group cannot be more than 50 characters'],
+    default: ''
+  },
+  // Credit terms; a null limit or terms means none are set
+  creditLimit: {
+    type: Number,
+    min: [0, 'Credit limit cannot be negative'],
+    default: null
+  },
+  paymentTermsDays: {
+    type: Number,
+    min: [0, 'Payment terms cannot be negative'],
+    max: [365, 'Payment terms cannot be more than 365 days'],
+    default: null
+  },
+  onHold: {
+    type: Boolean,
+    default: false
+  },
+  holdReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Hold reason cannot be more than 200 characters']
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
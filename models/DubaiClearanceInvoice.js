@@ -16,11 +16,22 @@ const dubaiClearanceInvoiceSchema = new mongoose.Schema({
     required: [true, 'Amount in AED is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // VAT included in amount_aed, recoverable as input tax
+  vat_amount_aed: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
   conversion_rate: {
     type: Number,
     required: [true, 'Conversion rate is required'],
     min: [0.01, 'Conversion rate must be greater than 0']
   },
+  container_number: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Container number cannot be more than 100 characters']
+  },
   agent: {
     type: String,
     required: [true, 'Agent is required'],
@@ -189,6 +200,7 @@ dubaiClearanceInvoiceSchema.methods.getPaymentHistory = async function() {
 // Indexes for better query performance
 dubaiClearanceInvoiceSchema.index({ organizationId: 1, invoice_number: 1 }, { unique: true });
 dubaiClearanceInvoiceSchema.index({ organizationId: 1, agent: 1 });
+dubaiClearanceInvoiceSchema.index({ organizationId: 1, container_number: 1 });
 dubaiClearanceInvoiceSchema.index({ organizationId: 1, status: 1 });
 dubaiClearanceInvoiceSchema.index({ organizationId: 1, invoice_date: 1 });
 dubaiClearanceInvoiceSchema.index({ organizationId: 1, due_date: 1 });
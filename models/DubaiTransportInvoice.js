@@ -26,6 +26,12 @@ const dubaiTransportInvoiceSchema = new mongoose.Schema({
     required: [true, 'Amount in AED is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // VAT included in amount_aed, recoverable as input tax
+  vat_amount_aed: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
   invoice_date: {
     type: Date,
     required: [true, 'Invoice date is required']
@@ -41,11 +41,17 @@ const ledgerEntrySchema = new mongoose.Schema({
   },
   reference_model: {
     type: String,
-    enum: ['Sales', 'Purchase'],
+    enum: ['Sales', 'Purchase', 'Receipt', 'Supplier'],
     required: function() {
       return this.reference_type !== 'manual';
     }
   },
+  // Set on an entry posted to cancel an earlier one on a closed day
+  reverses_entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  },
   created_at: {
     type: Date,
     default: Date.now
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Per-organization number format for one document type. Types without a
+// saved scheme use the defaults in utils/documentNumbering.js.
+const numberingSchemeSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  documentType: {
+    type: String,
+    required: [true, 'Document type is required'],
+    enum: [
+      'invoice',
+      'credit_note',
+      'receipt',
+      'quotation',
+      'proforma',
+      'transport_invoice',
+      'dubai_clearance_invoice',
+      'write_off'
+    ]
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [20, 'Prefix cannot be more than 20 characters']
+  },
+  separator: {
+    type: String,
+    enum: ['', '-', '/', '.', '_'],
+    default: '-'
+  },
+  padding: {
+    type: Number,
+    default: 6,
+    min: [1, 'Padding must be at least 1'],
+    max: [12, 'Padding cannot be more than 12']
+  },
+  dateSegment: {
+    type: String,
+    enum: ['none', 'year', 'month'],
+    default: 'none'
+  },
+  resetPolicy: {
+    type: String,
+    enum: ['never', 'yearly', 'monthly'],
+    default: 'never'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+numberingSchemeSchema.index({ organizationId: 1, documentType: 1 }, { unique: true });
+
+module.exports = mongoose.model('NumberingScheme', numberingSchemeSchema);
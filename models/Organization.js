@@ -83,6 +83,12 @@ const organizationSchema = new mongoose.Schema({
     type: String,
     enum: ['active', 'suspended'],
     default: 'active'
+  },
+  // What happens when a sale takes more than a container has in stock
+  stockPolicy: {
+    type: String,
+    enum: ['off', 'warn', 'block'],
+    default: 'warn'
   }
 }, {
   timestamps: true
@@ -11,6 +11,12 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Sales',
     required: [true, 'Sale ID is required']
   },
+  // Set when the payment is one allocation of a multi-invoice receipt
+  receiptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
+    default: null
+  },
   amount: {
     type: Number,
     required: [true, 'Payment amount is required'],
@@ -50,6 +56,17 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative']
+  },
+  // Daily-ledger receipt posted for this payment (receipt allocations share
+  // the receipt's entry instead)
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -60,6 +77,7 @@ paymentSchema.index({ organizationId: 1, saleId: 1 });
 paymentSchema.index({ organizationId: 1, receivedBy: 1 });
 paymentSchema.index({ organizationId: 1, paymentDate: 1 });
 paymentSchema.index({ organizationId: 1, paymentType: 1 });
+paymentSchema.index({ organizationId: 1, receiptId: 1 });
 
 // Instance method to get payment details
 paymentSchema.methods.toJSON = function() {
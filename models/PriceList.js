@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// One price on the price list: the selling rate of a product (AED per base
+// unit of the product, before VAT) for everyone, for a customer group or for one customer, over
+// a validity period. `floorRate` is the lowest rate a sale may go for
+// without an administrator's approval.
+const priceListSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  product: {
+    type: String,
+    required: [true, 'Product is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot be more than 100 characters']
+  },
+  // Set for a customer override; `customer` keeps the name as it was
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  customer: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Set for a customer group override (Customer.priceGroup)
+  customerGroup: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Customer group cannot be more than 50 characters'],
+    default: ''
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  floorRate: {
+    type: Number,
+    min: [0, 'Floor rate cannot be negative'],
+    default: null
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required'],
+    default: Date.now
+  },
+  // Open-ended when null
+  validTo: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+priceListSchema.index({ organizationId: 1, product: 1, validFrom: -1 });
+priceListSchema.index({ organizationId: 1, customerId: 1 });
+priceListSchema.index({ organizationId: 1, customerGroup: 1 });
+
+// Who the price applies to: one customer, a customer group or everyone
+priceListSchema.virtual('scope').get(function() {
+  if (this.customerId) return 'customer';
+  if (this.customerGroup) return 'group';
+  return 'default';
+});
+
+priceListSchema.pre('validate', function(next) {
+  if (this.customerId && this.customerGroup) {
+    this.invalidate('customerGroup', 'A price applies to a customer or a customer group, not both');
+  }
+  if (this.validTo && this.validFrom && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to date cannot be before the valid from date');
+  }
+  if (this.floorRate !== null && this.floorRate !== undefined && this.floorRate > this.rate) {
+    this.invalidate('floorRate', 'Floor rate cannot be above the rate');
+  }
+  next();
+});
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+// A unit the product is bought or sold in besides its base unit, e.g. a
+// 50 kg bag of a product kept in kg has factor 50
+const productUnitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Unit name is required'],
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters']
+  },
+  // Base units in one of this unit
+  factor: {
+    type: Number,
+    required: [true, 'Conversion factor is required'],
+    validate: {
+      validator: value => value > 0,
+      message: 'Conversion factor must be greater than 0'
+    }
+  },
+  // Whether quantities in this unit may have decimals
+  allowFraction: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
   organizationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -33,6 +58,23 @@ const productSchema = new mongoose.Schema({
     default: 'piece',
     maxlength: [20, 'Unit cannot be more than 20 characters']
   },
+  // `unit` is the base unit stock is counted in; `allowFraction` lets its
+  // quantities have decimals (kg, not piece)
+  allowFraction: {
+    type: Boolean,
+    default: false
+  },
+  units: {
+    type: [productUnitSchema],
+    default: []
+  },
+  // Days a lot keeps after arrival; fills in a purchase line's best-before
+  // date when none is entered. Null for goods that do not spoil.
+  shelfLifeDays: {
+    type: Number,
+    min: [0, 'Shelf life cannot be negative'],
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -57,6 +99,35 @@ productSchema.index({ organizationId: 1, sku: 1 });
 productSchema.index({ organizationId: 1, isActive: 1 });
 productSchema.index({ organizationId: 1, name: 1, category: 1 });
 
+// Unit names must be unique and differ from the base unit
+productSchema.pre('validate', function(next) {
+  const seen = new Set([(this.unit || '').trim().toLowerCase()]);
+  (this.units || []).forEach((unit, index) => {
+    const key = (unit.name || '').trim().toLowerCase();
+    if (seen.has(key)) {
+      this.invalidate(`units.${index}.name`, `Unit "${unit.name}" is defined more than once`);
+    }
+    seen.add(key);
+  });
+  next();
+});
+
+// The named unit as { name, factor, allowFraction }; a blank name is the
+// base unit. Names are matched ignoring case. Null when the product does
+// not have the unit.
+productSchema.methods.findUnit = function(name = '') {
+  const key = name.trim().toLowerCase();
+  if (!key || key === (this.unit || '').trim().toLowerCase()) {
+    return { name: this.unit, factor: 1, allowFraction: Boolean(this.allowFraction) };
+  }
+  const unit = (this.units || []).find(entry => entry.name.trim().toLowerCase() === key);
+  return unit ? { name: unit.name, factor: unit.factor, allowFraction: Boolean(unit.allowFraction) } : null;
+};
+
+productSchema.methods.getUnitNames = function() {
+  return [this.unit, ...(this.units || []).map(unit => unit.name)];
+};
+
 // Instance method to get product info without sensitive data
 productSchema.methods.toJSON = function() {
   const productObject = this.toObject();
@@ -1,4 +1,96 @@
 const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/numberFormatter');
+
+// One product in a container. The shared charges and the line's cost are
+// derived in recalculateTotals.
+const purchaseLineSchema = new mongoose.Schema({
+  product: {
+    type: String,
+    required: [true, 'Product is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot be more than 100 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: value => value > 0,
+      message: 'Quantity must be greater than 0'
+    }
+  },
+  // Unit the quantity is in and what it held when the line was entered:
+  // `unitFactor` base units each, `baseUnit` the product's base unit
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters'],
+    default: ''
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0, 'Unit factor cannot be negative']
+  },
+  baseUnit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Base unit cannot be more than 20 characters'],
+    default: ''
+  },
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'], // PKR per unit
+    min: [0, 'Rate cannot be negative']
+  },
+  subtotalPKR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  // Share of transport, freight, e-form and miscellaneous
+  chargesPKR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Charges cannot be negative']
+  },
+  totalPKR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total amount cannot be negative']
+  },
+  totalAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total AED cannot be negative']
+  },
+  unitCostAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  // Cost plus its share of the Dubai charges
+  landedCostAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Landed cost cannot be negative']
+  },
+  unitLandedCostAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unit landed cost cannot be negative']
+  },
+  // Each line is a lot of perishable stock; null when it does not expire
+  bestBefore: {
+    type: Date,
+    default: null
+  }
+});
+
+const costInvoiceIds = (ref) => [{ type: mongoose.Schema.Types.ObjectId, ref }];
 
 const purchaseSchema = new mongoose.Schema({
   organizationId: {
@@ -12,6 +104,25 @@ const purchaseSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Container number cannot be more than 50 characters']
   },
+  // When the goods were received; the purchase date when not entered
+  arrivalDate: {
+    type: Date,
+    default: null
+  },
+  // Supplier the container was bought from; `supplier` keeps the name as
+  // it was on the purchase
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null
+  },
+  supplier: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Supplier name cannot be more than 100 characters'],
+    default: ''
+  },
+  // Summary of the lines: first line's product and rate, total quantity
   product: {
     type: String,
     required: [true, 'Product is required'],
@@ -21,13 +132,29 @@ const purchaseSchema = new mongoose.Schema({
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
-    min: [1, 'Quantity must be at least 1']
+    validate: {
+      validator: value => value > 0,
+      message: 'Quantity must be greater than 0'
+    }
   },
   rate: {
     type: Number,
     required: [true, 'Rate is required'], // PKR per unit
     min: [0, 'Rate cannot be negative']
   },
+  lines: {
+    type: [purchaseLineSchema],
+    validate: {
+      validator: lines => Array.isArray(lines) && lines.length > 0,
+      message: 'At least one purchase line is required'
+    }
+  },
+  // How the shared charges are split across lines: by quantity or by value
+  costAllocation: {
+    type: String,
+    enum: ['quantity', 'value'],
+    default: 'quantity'
+  },
   transport: {
     type: Number,
     default: 0,
@@ -48,11 +175,46 @@ const purchaseSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Miscellaneous cannot be negative']
   },
+  // When set, transport, freight and the Dubai charges are pulled from the
+  // invoices carrying the container number (see utils/landedCost)
+  linkedCosts: {
+    type: Boolean,
+    default: false
+  },
+  // Invoices behind each charge at the last pull
+  costInvoices: {
+    transport: costInvoiceIds('TransportInvoice'),
+    freight: costInvoiceIds('FreightInvoice'),
+    dubaiTransport: costInvoiceIds('DubaiTransportInvoice'),
+    dubaiClearance: costInvoiceIds('DubaiClearanceInvoice')
+  },
+  // Charges with no invoice on record for the container at the last pull
+  missingCharges: [{
+    type: String,
+    enum: ['transport', 'freight', 'dubaiTransport', 'dubaiClearance']
+  }],
+  // Charges paid in Dubai after arrival (AED, excluding VAT)
+  dubaiTransportAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Dubai transport cannot be negative']
+  },
+  dubaiClearanceAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Dubai clearance cannot be negative']
+  },
   transferRate: {
     type: Number,
     required: [true, 'Transfer rate (PKR per AED) is required'],
     min: [0.000001, 'Transfer rate must be greater than 0']
   },
+  // Import VAT accounted for at customs (AED), reported under the reverse charge
+  importVatAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Import VAT cannot be negative']
+  },
   subtotalPKR: {
     type: Number,
     default: 0,
@@ -68,6 +230,37 @@ const purchaseSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Total AED cannot be negative']
   },
+  // Total AED plus the Dubai charges
+  landedCostAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Landed cost cannot be negative']
+  },
+  // Paid to the supplier so far (see PurchasePayment). AED is the sum of the
+  // payments at the transfer rate each was made at.
+  paidPKR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  paidAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount AED cannot be negative']
+  },
+  outstandingPKR: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid'],
+    default: 'unpaid'
+  },
+  lastPaymentDate: {
+    type: Date,
+    default: null
+  },
   notes: {
     type: String,
     trim: true,
@@ -89,22 +282,168 @@ const purchaseSchema = new mongoose.Schema({
 });
 
 purchaseSchema.index({ organizationId: 1, product: 1 });
+purchaseSchema.index({ organizationId: 1, 'lines.product': 1 });
 purchaseSchema.index({ organizationId: 1, createdAt: -1 });
 purchaseSchema.index({ organizationId: 1, containerNo: 1 }, { unique: true });
+purchaseSchema.index({ organizationId: 1, supplierId: 1 });
+purchaseSchema.index({ organizationId: 1, paymentStatus: 1 });
+purchaseSchema.index({ organizationId: 1, linkedCosts: 1 });
+
+// Lines of a purchase, including plain objects of purchases saved before
+// multi-product containers, which only carry the summary fields
+purchaseSchema.statics.getLines = function(purchase) {
+  if (purchase.lines && purchase.lines.length > 0) return purchase.lines;
+  return [{
+    product: purchase.product,
+    quantity: purchase.quantity,
+    rate: purchase.rate,
+    subtotalPKR: purchase.subtotalPKR,
+    chargesPKR: (purchase.totalPKR || 0) - (purchase.subtotalPKR || 0),
+    totalPKR: purchase.totalPKR,
+    totalAED: purchase.totalAED,
+    unitCostAED: purchase.quantity ? (purchase.totalAED || 0) / purchase.quantity : 0,
+    landedCostAED: purchase.landedCostAED || purchase.totalAED,
+    unitLandedCostAED: purchase.quantity ? (purchase.landedCostAED || purchase.totalAED || 0) / purchase.quantity : 0
+  }];
+};
+
+// Pre-validate middleware to keep lines and the summary fields in step
+purchaseSchema.pre('validate', function(next) {
+  // The line takes the purchase's id, which is the lot id of a legacy purchase
+  if ((!this.lines || this.lines.length === 0) && this.product) {
+    this.lines = [{
+      _id: this._id,
+      product: this.product,
+      quantity: this.quantity,
+      rate: this.rate
+    }];
+  }
+
+  if (this.lines && this.lines.length > 0) {
+    const [firstLine] = this.lines;
+    this.product = firstLine.product;
+    this.rate = firstLine.rate;
+    this.quantity = this.lines.reduce((sum, line) => sum + (Number(line.quantity) || 0), 0);
+  }
+
+  const arrivalDate = this.arrivalDate || this.createdAt;
+  (this.lines || []).forEach((line, index) => {
+    if (line.bestBefore && arrivalDate && line.bestBefore < arrivalDate) {
+      this.invalidate(`lines.${index}.bestBefore`, 'Best-before date cannot be before the arrival date');
+    }
+  });
+
+  next();
+});
 
 // Pre-save calculation
 purchaseSchema.pre('save', function(next) {
-  const subtotal = (this.quantity || 0) * (this.rate || 0);
+  this.recalculateTotals();
+  next();
+});
+
+// Instance method to recompute line costs, totals and payment status. Shared
+// charges, in PKR and the Dubai ones in AED, are split by base-unit quantity
+// or by value; the last line takes the rounding difference so the lines add up to
+// the purchase.
+purchaseSchema.methods.recalculateTotals = function() {
+  const lines = this.lines || [];
+
+  lines.forEach(line => {
+    line.subtotalPKR = roundAmount((Number(line.quantity) || 0) * (Number(line.rate) || 0));
+    line.baseQuantity = Math.round((Number(line.quantity) || 0) * (Number(line.unitFactor) || 1) * 1000) / 1000;
+  });
+  const subtotal = lines.reduce((sum, line) => sum + line.subtotalPKR, 0);
+  // Lines in different units are split by their quantity in base units
+  const totalQuantity = lines.reduce((sum, line) => sum + line.baseQuantity, 0);
+  const charges = (this.transport || 0) + (this.freight || 0) + (this.eForm || 0) + (this.miscellaneous || 0);
+  const dubaiCharges = (this.dubaiTransportAED || 0) + (this.dubaiClearanceAED || 0);
+
+  // Value allocation needs a non-zero subtotal to divide by
+  const byValue = this.costAllocation === 'value' && subtotal > 0;
+  let allocated = 0;
+  let allocatedDubai = 0;
+  lines.forEach((line, index) => {
+    const isLast = index === lines.length - 1;
+    const share = byValue ? line.subtotalPKR / subtotal : line.baseQuantity / (totalQuantity || 1);
+    line.chargesPKR = isLast ? roundAmount(charges - allocated) : roundAmount(charges * share);
+    allocated += line.chargesPKR;
+    line.totalPKR = roundAmount(line.subtotalPKR + line.chargesPKR);
+    line.totalAED = this.transferRate > 0 ? line.totalPKR / this.transferRate : 0;
+    line.unitCostAED = line.quantity > 0 ? line.totalAED / line.quantity : 0;
+    const dubaiShare = isLast ? roundAmount(dubaiCharges - allocatedDubai) : roundAmount(dubaiCharges * share);
+    allocatedDubai += dubaiShare;
+    line.landedCostAED = line.totalAED + dubaiShare;
+    line.unitLandedCostAED = line.quantity > 0 ? line.landedCostAED / line.quantity : 0;
+  });
+
   this.subtotalPKR = subtotal;
-  const totalPKR = subtotal + (this.transport || 0) + (this.freight || 0) + (this.eForm || 0) + (this.miscellaneous || 0);
+  const totalPKR = subtotal + charges;
   this.totalPKR = totalPKR;
   if (this.transferRate && this.transferRate > 0) {
     this.totalAED = totalPKR / this.transferRate;
   } else {
     this.totalAED = 0;
   }
-  next();
-});
+  this.landedCostAED = this.totalAED + dubaiCharges;
+  this.outstandingPKR = totalPKR - (this.paidPKR || 0);
+  if (this.paidPKR > 0) {
+    this.paymentStatus = this.outstandingPKR <= 0 ? 'paid' : 'partially_paid';
+  } else {
+    this.paymentStatus = 'unpaid';
+  }
+};
+
+// Record a payment to the supplier and update the paid amounts
+purchaseSchema.methods.addPayment = async function(paymentData) {
+  const PurchasePayment = require('./PurchasePayment');
+
+  const payment = new PurchasePayment({
+    organizationId: this.organizationId,
+    purchaseId: this._id,
+    supplierId: this.supplierId,
+    supplier: this.supplier,
+    amountPKR: paymentData.amountPKR,
+    transferRate: paymentData.transferRate,
+    paidBy: paymentData.paidBy,
+    paymentType: paymentData.paymentType,
+    paymentMethod: paymentData.paymentMethod || 'cash',
+    reference: paymentData.reference,
+    notes: paymentData.notes,
+    paymentDate: paymentData.paymentDate || new Date()
+  });
+
+  await payment.save();
+
+  this.paidPKR += payment.amountPKR;
+  this.paidAED += payment.amountAED;
+  this.lastPaymentDate = payment.paymentDate;
+  await this.save();
+
+  return payment;
+};
+
+// Recompute the paid amounts from the payments on record
+purchaseSchema.methods.refreshPayments = async function() {
+  const PurchasePayment = require('./PurchasePayment');
+  const payments = await PurchasePayment.find({ purchaseId: this._id, organizationId: this.organizationId })
+    .sort({ paymentDate: -1 });
+
+  this.paidPKR = payments.reduce((sum, payment) => sum + payment.amountPKR, 0);
+  this.paidAED = payments.reduce((sum, payment) => sum + payment.amountAED, 0);
+  this.lastPaymentDate = payments.length > 0 ? payments[0].paymentDate : null;
+  return this.save();
+};
+
+purchaseSchema.methods.getPaymentHistory = async function() {
+  const PurchasePayment = require('./PurchasePayment');
+  return await PurchasePayment.find({
+    purchaseId: this._id,
+    organizationId: this.organizationId
+  })
+    .populate({ path: 'paidBy', select: 'name email', match: { organizationId: this.organizationId } })
+    .sort({ paymentDate: -1 });
+};
 
 module.exports = mongoose.model('Purchase', purchaseSchema);
 
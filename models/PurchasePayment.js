@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// A payment to the supplier of a purchase, or a remittance to a supplier for
+// a container sold for them without a purchase (on consignment), which has
+// no purchase and is kept by supplier and container number. Suppliers are
+// paid in PKR; the AED amount is worked out at the transfer rate the payment
+// was made at.
+const purchasePaymentSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  purchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase',
+    default: null
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [function() { return !this.purchaseId; }, 'Supplier ID is required for a remittance'],
+    default: null
+  },
+  supplier: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Container a remittance is for; payments on a purchase take the purchase's
+  containerNo: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Container number cannot be more than 50 characters'],
+    default: ''
+  },
+  amountPKR: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  transferRate: {
+    type: Number,
+    required: [true, 'Transfer rate (PKR per AED) is required'],
+    min: [0.000001, 'Transfer rate must be greater than 0']
+  },
+  amountAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount AED cannot be negative']
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Paid by is required']
+  },
+  paymentType: {
+    type: String,
+    enum: ['partial', 'full'],
+    required: [true, 'Payment type is required']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'bank_transfer', 'check', 'card', 'other'],
+    default: 'cash'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot be more than 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  paymentDate: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  // Daily ledger payment posted for this payment
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+purchasePaymentSchema.index({ organizationId: 1, purchaseId: 1 });
+purchasePaymentSchema.index({ organizationId: 1, supplierId: 1, containerNo: 1 });
+purchasePaymentSchema.index({ organizationId: 1, paymentDate: 1 });
+
+purchasePaymentSchema.pre('save', function(next) {
+  this.amountAED = this.transferRate > 0 ? this.amountPKR / this.transferRate : 0;
+  next();
+});
+
+module.exports = mongoose.model('PurchasePayment', purchasePaymentSchema);
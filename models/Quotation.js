@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const { ceilToTwoDecimals } = require('../utils/numberFormatter');
+
+// One quoted product line, priced the same way as a sale line
+const quotationLineSchema = new mongoose.Schema({
+  product: {
+    type: String,
+    required: [true, 'Product is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot be more than 100 characters']
+  },
+  marka: {
+    type: String,
+    required: [true, 'Marka is required'],
+    trim: true,
+    maxlength: [50, 'Marka cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: value => value > 0,
+      message: 'Quantity must be greater than 0'
+    }
+  },
+  // Unit the quantity is in and what it held when the line was entered:
+  // `unitFactor` base units each, `baseUnit` the product's base unit
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters'],
+    default: ''
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0, 'Unit factor cannot be negative']
+  },
+  baseUnit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Base unit cannot be more than 20 characters'],
+    default: ''
+  },
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  vatPercentage: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT percentage cannot be negative'],
+    max: [100, 'VAT percentage cannot exceed 100%']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative']
+  }
+});
+
+const quotationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  quotationNumber: {
+    type: String,
+    required: [true, 'Quotation number is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['quotation', 'proforma'],
+    default: 'quotation'
+  },
+  customer: {
+    type: String,
+    required: [true, 'Customer is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot be more than 100 characters']
+  },
+  // Container and supplier may not be known yet; they are needed on conversion
+  containerNo: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Container number cannot be more than 50 characters']
+  },
+  supplier: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Supplier name cannot be more than 100 characters']
+  },
+  quotationDate: {
+    type: Date,
+    required: [true, 'Quotation date is required'],
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  lines: {
+    type: [quotationLineSchema],
+    validate: {
+      validator: lines => Array.isArray(lines) && lines.length > 0,
+      message: 'At least one quotation line is required'
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount total cannot be negative']
+  },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'converted', 'cancelled'],
+    default: 'open'
+  },
+  convertedSaleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales',
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+quotationSchema.index({ organizationId: 1, quotationNumber: 1 }, { unique: true });
+quotationSchema.index({ organizationId: 1, customer: 1 });
+quotationSchema.index({ organizationId: 1, status: 1 });
+quotationSchema.index({ organizationId: 1, quotationDate: -1 });
+quotationSchema.index({ organizationId: 1, validUntil: 1 });
+
+// Open quotations past their expiry date can no longer be converted
+quotationSchema.virtual('isExpired').get(function() {
+  if (this.status !== 'open' || !this.validUntil) return false;
+  const endOfValidity = new Date(this.validUntil);
+  endOfValidity.setHours(23, 59, 59, 999);
+  return new Date() > endOfValidity;
+});
+
+// Pre-save middleware to calculate line amounts and totals (same rules as Sales)
+quotationSchema.pre('save', function(next) {
+  let subtotal = 0;
+  let discountTotal = 0;
+  let vatTotal = 0;
+  let total = 0;
+
+  this.lines.forEach((line) => {
+    line.baseQuantity = Math.round((Number(line.quantity) || 0) * (Number(line.unitFactor) || 1) * 1000) / 1000;
+    line.subtotal = ceilToTwoDecimals((Number(line.quantity) || 0) * (Number(line.rate) || 0));
+    const discount = Number(line.discount) || 0;
+    const taxable = Math.max(0, line.subtotal - discount);
+    line.vatAmount = ceilToTwoDecimals((taxable * (Number(line.vatPercentage) || 0)) / 100);
+    line.amount = ceilToTwoDecimals(taxable + line.vatAmount);
+    subtotal += line.subtotal;
+    discountTotal += discount;
+    vatTotal += line.vatAmount;
+    total += line.amount;
+  });
+
+  this.subtotal = ceilToTwoDecimals(subtotal);
+  this.discountTotal = ceilToTwoDecimals(discountTotal);
+  this.vatAmount = ceilToTwoDecimals(vatTotal);
+  this.amount = ceilToTwoDecimals(total);
+
+  next();
+});
+
+module.exports = mongoose.model('Quotation', quotationSchema);
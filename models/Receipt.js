@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// One invoice paid by the receipt and the Payment recorded for it
+const receiptAllocationSchema = new mongoose.Schema({
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales',
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Allocated amount must be greater than 0']
+  },
+  // When the allocation was made; later than the receipt when customer
+  // credit is applied to a new invoice
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Applied later from the receipt's unapplied credit; the cash was already
+  // in the daily ledger, so editing or deleting the payment moves the amount
+  // back to credit rather than out of the cash book
+  fromCredit: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const receiptSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  receiptNumber: {
+    type: String,
+    required: [true, 'Receipt number is required'],
+    trim: true
+  },
+  customer: {
+    type: String,
+    required: [true, 'Customer is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot be more than 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Receipt amount is required'],
+    min: [0.01, 'Receipt amount must be greater than 0']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'bank_transfer', 'check', 'card', 'other'],
+    default: 'cash'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot be more than 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  receiptDate: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  allocationMode: {
+    type: String,
+    enum: ['oldest_due', 'manual'],
+    default: 'oldest_due'
+  },
+  allocations: [receiptAllocationSchema],
+  // Money received but not yet applied to an invoice (an overpayment or an
+  // advance). Together these make up the customer's credit balance.
+  unappliedAmount: {
+    type: Number,
+    min: [0, 'Unapplied amount cannot be negative'],
+    default: 0
+  },
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  },
+  // Set when the receipt holds credit from a credit note on an invoice that
+  // was already paid. No money was received, so it has no ledger entry.
+  creditNoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote',
+    default: null
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Received by is required']
+  }
+}, {
+  timestamps: true
+});
+
+receiptSchema.index({ organizationId: 1, receiptNumber: 1 }, { unique: true });
+receiptSchema.index({ organizationId: 1, customer: 1 });
+receiptSchema.index({ organizationId: 1, receiptDate: -1 });
+receiptSchema.index({ organizationId: 1, customer: 1, unappliedAmount: 1 });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
@@ -1,11 +1,102 @@
 const mongoose = require('mongoose');
 
+// One product line on an invoice. Amounts are derived in recalculateTotals.
+const saleLineSchema = new mongoose.Schema({
+  product: {
+    type: String,
+    required: [true, 'Product is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot be more than 100 characters']
+  },
+  marka: {
+    type: String,
+    required: [true, 'Marka is required'],
+    trim: true,
+    maxlength: [50, 'Marka cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: value => value > 0,
+      message: 'Quantity must be greater than 0'
+    }
+  },
+  // Unit the quantity is in and what it held when the line was entered:
+  // `unitFactor` base units each, `baseUnit` the product's base unit
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters'],
+    default: ''
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0, 'Unit factor cannot be negative']
+  },
+  baseUnit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Base unit cannot be more than 20 characters'],
+    default: ''
+  },
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  vatPercentage: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT percentage cannot be negative'],
+    max: [100, 'VAT percentage cannot exceed 100%']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative']
+  }
+});
+
 const salesSchema = new mongoose.Schema({
   organizationId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Organization',
     required: [true, 'Organization ID is required']
   },
+  // `customer` and `supplier` are display-name snapshots of the linked master
+  // records, kept in step when a customer or supplier is renamed
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
   customer: {
     type: String,
     required: [true, 'Customer is required'],
@@ -18,6 +109,11 @@ const salesSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Container number cannot be more than 50 characters']
   },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null
+  },
   supplier: {
     type: String,
     required: [true, 'Supplier is required'],
@@ -35,6 +131,15 @@ const salesSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Invoice number cannot be more than 50 characters']
   },
+  lines: {
+    type: [saleLineSchema],
+    validate: {
+      validator: lines => Array.isArray(lines) && lines.length > 0,
+      message: 'At least one invoice line is required'
+    }
+  },
+  // product, marka, description and rate mirror the first line and quantity is
+  // the total across lines, so single-product screens keep working unchanged.
   product: {
     type: String,
     required: [true, 'Product is required'],
@@ -61,7 +166,10 @@ const salesSchema = new mongoose.Schema({
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
-    min: [1, 'Quantity must be at least 1']
+    validate: {
+      validator: value => value > 0,
+      message: 'Quantity must be greater than 0'
+    }
   },
   rate: {
     type: Number,
@@ -84,6 +192,19 @@ const salesSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount total cannot be negative']
   },
+  // Sum of credit notes issued against this sale (see CreditNote)
+  creditTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit total cannot be negative']
+  },
+  // Part of creditTotal that was already paid for and is held as customer
+  // credit instead; it does not reduce what is outstanding on this sale
+  customerCreditTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Customer credit total cannot be negative']
+  },
   amount: {
     type: Number,
     default: 0,
@@ -113,6 +234,12 @@ const salesSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Quotation or proforma this sale was converted from
+  quotationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -136,32 +263,86 @@ salesSchema.virtual('payments', {
   match: sale => ({ organizationId: sale.organizationId })
 });
 
+// Virtual for credit notes issued against the sale
+salesSchema.virtual('creditNotes', {
+  ref: 'CreditNote',
+  localField: '_id',
+  foreignField: 'saleId',
+  match: sale => ({ organizationId: sale.organizationId })
+});
+
 // Indexes for better query performance
 salesSchema.index({ organizationId: 1, invoiceNumber: 1 }, { unique: true });
 salesSchema.index({ organizationId: 1, customer: 1 });
+salesSchema.index({ organizationId: 1, customerId: 1 });
+salesSchema.index({ organizationId: 1, supplierId: 1 });
 salesSchema.index({ organizationId: 1, supplier: 1 });
 salesSchema.index({ organizationId: 1, status: 1 });
 salesSchema.index({ organizationId: 1, invoiceDate: 1 });
 salesSchema.index({ organizationId: 1, dueDate: 1 });
 salesSchema.index({ organizationId: 1, lastPaymentDate: 1 });
+salesSchema.index({ organizationId: 1, 'lines.product': 1 });
+salesSchema.index({ organizationId: 1, quotationId: 1 });
+
+// Pre-validate middleware to keep lines and the summary fields in step
+salesSchema.pre('validate', function(next) {
+  // Sales saved before multi-line invoices only carry the summary fields
+  if ((!this.lines || this.lines.length === 0) && this.product) {
+    this.lines = [{
+      product: this.product,
+      marka: this.marka,
+      description: this.description,
+      quantity: this.quantity,
+      rate: this.rate,
+      vatPercentage: this.vatPercentage || 0
+    }];
+  }
+
+  if (this.lines && this.lines.length > 0) {
+    const [firstLine] = this.lines;
+    this.product = firstLine.product;
+    this.marka = firstLine.marka;
+    this.description = firstLine.description;
+    this.rate = firstLine.rate;
+    this.quantity = this.lines.reduce((sum, line) => sum + (Number(line.quantity) || 0), 0);
+    // Highest line rate, so "VAT applies" checks keep working on the sale itself
+    this.vatPercentage = Math.max(...this.lines.map(line => Number(line.vatPercentage) || 0));
+  }
+
+  next();
+});
 
 // Pre-save middleware to calculate amounts and outstanding amount
 salesSchema.pre('save', function(next) {
+  this.recalculateTotals();
+  next();
+});
+
+// Instance method to recompute line amounts, totals, outstanding amount and status
+salesSchema.methods.recalculateTotals = function() {
   const { ceilToTwoDecimals } = require('../utils/numberFormatter');
-  // Calculate subtotal
-  const subtotal = ceilToTwoDecimals(this.quantity * this.rate);
-  
-  // Calculate VAT amount based on percentage
-  this.vatAmount = ceilToTwoDecimals((subtotal * this.vatPercentage) / 100);
-  
-  
-  // Calculate final amount
+
+  let vatTotal = 0;
+  let linesTotal = 0;
+  (this.lines || []).forEach(line => {
+    line.baseQuantity = Math.round((Number(line.quantity) || 0) * (Number(line.unitFactor) || 1) * 1000) / 1000;
+    // VAT is charged on the line after its own discount
+    line.subtotal = ceilToTwoDecimals((Number(line.quantity) || 0) * (Number(line.rate) || 0));
+    const taxable = Math.max(0, line.subtotal - (Number(line.discount) || 0));
+    line.vatAmount = ceilToTwoDecimals((taxable * (Number(line.vatPercentage) || 0)) / 100);
+    line.amount = ceilToTwoDecimals(taxable + line.vatAmount);
+    vatTotal += line.vatAmount;
+    linesTotal += line.amount;
+  });
+
+  this.vatAmount = ceilToTwoDecimals(vatTotal);
+
+  // Payment discounts and credit notes come off the invoice total
   const discountTotal = Number(this.discountTotal || 0);
-  this.amount = ceilToTwoDecimals(Math.max(0, subtotal + this.vatAmount - discountTotal));
-  
-  // Calculate outstanding amount
-  this.outstandingAmount = ceilToTwoDecimals(this.amount - this.receivedAmount);
-  
+  const creditTotal = Number(this.creditTotal || 0);
+  this.amount = ceilToTwoDecimals(Math.max(0, linesTotal - discountTotal - creditTotal));
+  this.outstandingAmount = ceilToTwoDecimals(this.amount - this.receivedAmount + Number(this.customerCreditTotal || 0));
+
   // Update status based on outstanding amount and due date
   if (this.outstandingAmount <= 0) {
     this.status = 'paid';
@@ -172,9 +353,9 @@ salesSchema.pre('save', function(next) {
   } else {
     this.status = 'unpaid';
   }
-  
-  next();
-});
+
+  return this;
+};
 
 // Instance method to add payment
 salesSchema.methods.addPayment = async function(paymentData) {
@@ -185,6 +366,7 @@ salesSchema.methods.addPayment = async function(paymentData) {
   const payment = new Payment({
     organizationId: this.organizationId,
     saleId: this._id,
+    receiptId: paymentData.receiptId || null,
     amount: paymentData.amount,
     receivedBy: paymentData.receivedBy,
     paymentType: paymentData.paymentType,
@@ -205,29 +387,27 @@ salesSchema.methods.addPayment = async function(paymentData) {
   
   // Update sale with new payment
   this.receivedAmount = ceilToTwoDecimals(this.receivedAmount + paymentData.amount);
-  // Recompute amount after discount and VAT
-  const subtotal = ceilToTwoDecimals(this.quantity * this.rate);
-  this.vatAmount = ceilToTwoDecimals((subtotal * this.vatPercentage) / 100);
-  this.amount = ceilToTwoDecimals(Math.max(0, subtotal + this.vatAmount - (this.discountTotal || 0)));
-  this.outstandingAmount = ceilToTwoDecimals(this.amount - this.receivedAmount);
   this.lastPaymentDate = payment.paymentDate;
-  
-  // Update status
-  if (this.outstandingAmount <= 0) {
-    this.status = 'paid';
-  } else if (this.receivedAmount > 0) {
-    this.status = 'partially_paid';
-  } else if (new Date() > this.dueDate) {
-    this.status = 'overdue';
-  } else {
-    this.status = 'unpaid';
-  }
+  this.recalculateTotals();
   
   await this.save();
   
   return payment;
 };
 
+// Instance method to refresh creditTotal and the returned quantity from credit notes
+salesSchema.methods.syncCreditNotes = async function() {
+  const CreditNote = require('./CreditNote');
+  const credits = await CreditNote.getSaleCredits(this.organizationId, this._id);
+
+  this.creditTotal = credits.creditTotal;
+  this.customerCreditTotal = credits.customerCreditTotal;
+  this.return = credits.returnedQuantity;
+  this.recalculateTotals();
+
+  return credits;
+};
+
 // Instance method to get payment history
 salesSchema.methods.getPaymentHistory = async function() {
   const Payment = require('./Payment');
@@ -239,11 +419,16 @@ salesSchema.methods.getPaymentHistory = async function() {
 // Instance method to get payment summary
 salesSchema.methods.getPaymentSummary = async function() {
   const Payment = require('./Payment');
+  const CreditNote = require('./CreditNote');
   
   const payments = await Payment.find({
     saleId: this._id,
     organizationId: this.organizationId
   });
+  const creditNotes = await CreditNote.find({
+    saleId: this._id,
+    organizationId: this.organizationId
+  });
   
   const summary = {
     totalPayments: payments.length,
@@ -251,6 +436,8 @@ salesSchema.methods.getPaymentSummary = async function() {
     partialPayments: payments.filter(p => p.paymentType === 'partial').length,
     fullPayments: payments.filter(p => p.paymentType === 'full').length,
     lastPayment: payments.length > 0 ? payments[payments.length - 1] : null,
+    totalCreditNotes: creditNotes.length,
+    totalCredited: creditNotes.reduce((sum, creditNote) => sum + creditNote.amount, 0),
     paymentMethods: {}
   };
   
@@ -263,6 +450,23 @@ salesSchema.methods.getPaymentSummary = async function() {
   return summary;
 };
 
+// Lines of a sale, including plain objects of sales saved before multi-line
+// invoices (not yet migrated), which only carry the summary fields
+salesSchema.statics.getLines = function(sale) {
+  if (sale.lines && sale.lines.length > 0) return sale.lines;
+  return [{
+    product: sale.product,
+    marka: sale.marka,
+    description: sale.description,
+    quantity: sale.quantity,
+    rate: sale.rate,
+    vatPercentage: sale.vatPercentage || 0,
+    vatAmount: sale.vatAmount || 0,
+    discount: 0,
+    amount: ((Number(sale.quantity) || 0) * (Number(sale.rate) || 0)) + (Number(sale.vatAmount) || 0)
+  }];
+};
+
 // Static method to get sales statistics
 salesSchema.statics.getStatistics = async function(organizationId) {
   if (!organizationId) {
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Goods taken out of a lot without a sale, e.g. spoiled or past their
+// best-before date. The quantity is in the unit entered, with the same unit
+// snapshot as a sale line; `costAED` is the lot's landed cost of what was
+// written off.
+const stockWriteOffSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  writeOffNumber: {
+    type: String,
+    required: [true, 'Write-off number is required'],
+    trim: true
+  },
+  writeOffDate: {
+    type: Date,
+    required: [true, 'Write-off date is required'],
+    default: Date.now
+  },
+  // The lot is a purchase line (the purchase itself for purchases saved
+  // before multi-product containers)
+  purchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase',
+    required: [true, 'Purchase ID is required']
+  },
+  lotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Lot ID is required']
+  },
+  containerNo: {
+    type: String,
+    required: [true, 'Container number is required'],
+    trim: true
+  },
+  product: {
+    type: String,
+    required: [true, 'Product is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot be more than 100 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: value => value > 0,
+      message: 'Quantity must be greater than 0'
+    }
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters'],
+    default: ''
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0, 'Unit factor cannot be negative']
+  },
+  baseUnit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Base unit cannot be more than 20 characters'],
+    default: ''
+  },
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  reason: {
+    type: String,
+    enum: ['spoiled', 'expired', 'damaged', 'other'],
+    default: 'spoiled'
+  },
+  costAED: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockWriteOffSchema.index({ organizationId: 1, writeOffNumber: 1 }, { unique: true });
+stockWriteOffSchema.index({ organizationId: 1, containerNo: 1 });
+stockWriteOffSchema.index({ organizationId: 1, lotId: 1 });
+stockWriteOffSchema.index({ organizationId: 1, writeOffDate: -1 });
+
+stockWriteOffSchema.pre('save', function(next) {
+  this.baseQuantity = Math.round((Number(this.quantity) || 0) * (Number(this.unitFactor) || 1) * 1000) / 1000;
+  next();
+});
+
+module.exports = mongoose.model('StockWriteOff', stockWriteOffSchema);
@@ -26,6 +26,11 @@ const transportInvoiceSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Amount AED cannot be negative']
   },
+  container_number: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Container number cannot be more than 100 characters']
+  },
   agent: {
     type: String,
     required: [true, 'Agent is required'],
@@ -97,6 +102,7 @@ transportInvoiceSchema.virtual('payments', {
 transportInvoiceSchema.index({ organizationId: 1, invoice_number: 1 }, { unique: true });
 transportInvoiceSchema.index({ organizationId: 1, invoice_date: -1 });
 transportInvoiceSchema.index({ organizationId: 1, agent: 1 });
+transportInvoiceSchema.index({ organizationId: 1, container_number: 1 });
 transportInvoiceSchema.index({ organizationId: 1, status: 1 });
 transportInvoiceSchema.index({ organizationId: 1, due_date: 1 });
 transportInvoiceSchema.index({ organizationId: 1, last_payment_date: 1 });
@@ -0,0 +1,32 @@
+const express = require('express');
+const { protect, requireEmployee } = require('../middleware/auth');
+const {
+  getContainerProfitRanking,
+  generateContainerProfitRankingPDF,
+  getContainerProfit,
+  generateContainerProfitPDF
+} = require('../controllers/containerProfitController');
+
+const router = express.Router();
+
+// @route   GET /api/container-profit
+// @desc    Get containers ranked by profitability for a date range
+// @access  Private (Admin/Employee)
+router.get('/', [protect, requireEmployee], getContainerProfitRanking);
+
+// @route   GET /api/container-profit/pdf
+// @desc    Generate container profitability ranking PDF
+// @access  Private (Admin/Employee)
+router.get('/pdf', [protect, requireEmployee], generateContainerProfitRankingPDF);
+
+// @route   GET /api/container-profit/:containerNo
+// @desc    Get revenue, landed cost and margin of one container
+// @access  Private (Admin/Employee)
+router.get('/:containerNo', [protect, requireEmployee], getContainerProfit);
+
+// @route   GET /api/container-profit/:containerNo/pdf
+// @desc    Generate the P&L PDF of one container
+// @access  Private (Admin/Employee)
+router.get('/:containerNo/pdf', [protect, requireEmployee], generateContainerProfitPDF);
+
+module.exports = router;
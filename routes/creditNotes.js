@@ -0,0 +1,55 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requireEmployee, requireAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const {
+  createCreditNote,
+  getCreditNotes,
+  getCreditNoteById,
+  printCreditNote,
+  deleteCreditNote
+} = require('../controllers/creditNoteController');
+
+const router = express.Router();
+
+// @route   POST /api/credit-notes
+// @desc    Issue a credit note (sales return) against a sale
+// @access  Private (Admin/Employee)
+router.post('/', [
+  protect,
+  requireEmployee,
+  body('saleId', 'Sale is required').isMongoId(),
+  body('creditNoteDate', 'Credit note date must be a valid date').optional().isISO8601(),
+  body('type', 'Type must be return, rejection or allowance').optional().isIn(['return', 'rejection', 'allowance']),
+  body('reason').optional().trim().isLength({ max: 500 }),
+  body('lines', 'At least one credit note line is required').isArray({ min: 1 }),
+  body('lines.*.saleLineId', 'Invoice line is required').isMongoId(),
+  body('lines.*.quantity', 'Returned quantity must be zero or more').optional().isFloat({ min: 0 }),
+  body('lines.*.amount', 'Amount must be a positive number').optional().isFloat({ min: 0 })
+], validateRequest, createCreditNote);
+
+// @route   GET /api/credit-notes
+// @desc    Get credit notes with filtering and pagination
+// @access  Private (Admin/Employee)
+router.get('/', [protect, requireEmployee], getCreditNotes);
+
+// @route   GET /api/credit-notes/:id
+// @desc    Get credit note by ID
+// @access  Private (Admin/Employee)
+router.get('/:id', [protect, requireEmployee], getCreditNoteById);
+
+// @route   GET /api/credit-notes/:id/print
+// @desc    Print credit note PDF
+// @access  Private (Admin/Employee)
+router.get('/:id/print', [protect, requireEmployee], printCreditNote);
+
+// @route   DELETE /api/credit-notes/:id
+// @desc    Delete a credit note and restore the sale balance
+// @access  Private (Admin only)
+router.delete('/:id', [
+  protect,
+  requireAdmin,
+  body('password', 'Admin password is required for deletion').exists()
+], validateRequest, deleteCreditNote);
+
+module.exports = router;
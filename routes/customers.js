@@ -1,16 +1,19 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { protect, requireEmployee } = require('../middleware/auth');
+const { protect, requireEmployee, requireAdmin } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const {
   createCustomer,
   getCustomers,
   getCustomerById,
   updateCustomer,
+  updateCustomerCredit,
   deactivateCustomer,
   activateCustomer,
   searchCustomersByName,
-  getCustomerStatistics
+  getCustomerStatistics,
+  getCustomerStatement,
+  downloadCustomerStatementPDF
 } = require('../controllers/customerController');
 
 const router = express.Router();
@@ -29,7 +32,8 @@ router.post('/', [
     }
     return require('validator').isEmail(value);
   }),
-  body('number', 'Phone number cannot be more than 20 characters').optional().isLength({ max: 20 })
+  body('number', 'Phone number cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  body('priceGroup', 'Price group cannot be more than 50 characters').optional().trim().isLength({ max: 50 })
 ], validateRequest, createCustomer);
 
 // @route   GET /api/customers
@@ -47,6 +51,16 @@ router.get('/statistics', [protect, requireEmployee], getCustomerStatistics);
 // @access  Private (Admin/Employee)
 router.get('/search/:name', [protect, requireEmployee], searchCustomersByName);
 
+// @route   GET /api/customers/:id/statement
+// @desc    Get customer statement of account (?startDate=&endDate=)
+// @access  Private (Admin/Employee)
+router.get('/:id/statement', [protect, requireEmployee], getCustomerStatement);
+
+// @route   GET /api/customers/:id/statement/pdf
+// @desc    Download customer statement of account PDF
+// @access  Private (Admin/Employee)
+router.get('/:id/statement/pdf', [protect, requireEmployee], downloadCustomerStatementPDF);
+
 // @route   GET /api/customers/:id
 // @desc    Get customer by ID
 // @access  Private (Admin/Employee)
@@ -66,9 +80,22 @@ router.put('/:id', [
     }
     return require('validator').isEmail(value);
   }),
-  body('number', 'Phone number cannot be more than 20 characters').optional().isLength({ max: 20 })
+  body('number', 'Phone number cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  body('priceGroup', 'Price group cannot be more than 50 characters').optional().trim().isLength({ max: 50 })
 ], validateRequest, updateCustomer);
 
+// @route   PUT /api/customers/:id/credit
+// @desc    Set credit limit, payment terms and hold flag
+// @access  Private (Admin only)
+router.put('/:id/credit', [
+  protect,
+  requireAdmin,
+  body('creditLimit', 'Credit limit must be zero or more').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('paymentTermsDays', 'Payment terms must be between 0 and 365 days').optional({ nullable: true }).isInt({ min: 0, max: 365 }),
+  body('onHold', 'onHold must be true or false').optional().isBoolean().toBoolean(),
+  body('holdReason', 'Hold reason cannot be more than 200 characters').optional().trim().isLength({ max: 200 })
+], validateRequest, updateCustomerCredit);
+
 // @route   DELETE /api/customers/:id
 // @desc    Deactivate customer
 // @access  Private (Admin/Employee)
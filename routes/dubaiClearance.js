@@ -23,6 +23,11 @@ const validateInvoice = [
   body('amount_aed')
     .isFloat({ min: 0.01 })
     .withMessage('Amount in AED must be greater than 0'),
+  body('vat_amount_aed')
+    .optional()
+    .isFloat({ min: 0 })
+    .custom((value, { req }) => Number(value) < Number(req.body.amount_aed))
+    .withMessage('VAT amount must be zero or more and less than the invoice amount'),
   body('conversion_rate')
     .isFloat({ min: 0.01 })
     .withMessage('Conversion rate is required'),
@@ -30,6 +35,10 @@ const validateInvoice = [
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Agent is required and must be between 1 and 100 characters'),
+  body('container_number')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }),
   body('invoice_date')
     .isISO8601()
     .withMessage('Valid invoice date is required'),
@@ -26,6 +26,11 @@ const validateInvoice = [
   body('amount_aed')
     .isFloat({ min: 0.01 })
     .withMessage('Amount in AED must be greater than 0'),
+  body('vat_amount_aed')
+    .optional()
+    .isFloat({ min: 0 })
+    .custom((value, { req }) => Number(value) < Number(req.body.amount_aed))
+    .withMessage('VAT amount must be zero or more and less than the invoice amount'),
   body('description')
     .optional()
     .trim()
@@ -1,11 +1,27 @@
 const express = require('express');
+const { body } = require('express-validator');
 const { protect, requireAdmin, requireOrganization } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
 const controller = require('../controllers/organizationController');
 
 const router = express.Router();
 router.use(protect, requireOrganization);
 
 router.get('/me', controller.getOwnOrganization);
-router.patch('/me', requireAdmin, controller.updateOwnOrganization);
+router.patch('/me', requireAdmin, [
+  body('stockPolicy').optional().isIn(['off', 'warn', 'block'])
+], validateRequest, controller.updateOwnOrganization);
+router.post('/jobs/overdue-status', requireAdmin, controller.runOverdueStatusJob);
+
+const numberingSchemeValidators = [
+  body('prefix').optional().isString().trim().isLength({ max: 20 }),
+  body('separator').optional().isIn(['', '-', '/', '.', '_']),
+  body('padding').optional().isInt({ min: 1, max: 12 }),
+  body('dateSegment').optional().isIn(['none', 'year', 'month']),
+  body('resetPolicy').optional().isIn(['never', 'yearly', 'monthly'])
+];
+router.get('/numbering', controller.listNumberingSchemes);
+router.post('/numbering/:documentType/preview', numberingSchemeValidators, validateRequest, controller.previewNumberingScheme);
+router.put('/numbering/:documentType', requireAdmin, numberingSchemeValidators, validateRequest, controller.updateNumberingScheme);
 
 module.exports = router;
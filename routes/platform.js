@@ -9,6 +9,7 @@ router.use(protect, requireSuperadmin);
 
 router.get('/stats', controller.getDashboardStats);
 router.get('/audit-logs', controller.listAuditLogs);
+router.post('/jobs/overdue-status', controller.runOverdueStatusJob);
 
 router.get('/superadmins', controller.listSuperadmins);
 router.post('/superadmins', [
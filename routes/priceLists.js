@@ -0,0 +1,60 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requireEmployee, requireAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const {
+  getPriceLists,
+  createPrice,
+  updatePrice,
+  deletePrice,
+  suggestRates,
+  getRateHistory
+} = require('../controllers/priceListController');
+
+const router = express.Router();
+
+// A price is for everyone, a customer group or one customer
+const priceValidators = [
+  body('product', 'Product is required').notEmpty().trim(),
+  body('rate', 'Rate must be a non-negative number').isFloat({ min: 0 }),
+  body('floorRate', 'Floor rate must be a non-negative number').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+  body('customerId', 'Invalid customer').optional({ checkFalsy: true }).isMongoId(),
+  body('customer', 'Customer cannot be more than 100 characters').optional().trim().isLength({ max: 100 }),
+  body('customerGroup', 'Customer group cannot be more than 50 characters').optional().trim().isLength({ max: 50 }),
+  body('validFrom', 'Valid from must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+  body('validTo', 'Valid to must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('isActive', 'isActive must be true or false').optional().isBoolean().toBoolean(),
+  body('notes', 'Notes cannot be more than 500 characters').optional().trim().isLength({ max: 500 })
+];
+
+// @route   GET /api/price-lists
+// @desc    Get price list (?product=&customer=&customerGroup=&scope=&activeOn=)
+// @access  Private (Admin/Employee)
+router.get('/', [protect, requireEmployee], getPriceLists);
+
+// @route   GET /api/price-lists/suggest
+// @desc    Suggest rates for sale entry
+// @access  Private (Admin/Employee)
+router.get('/suggest', [protect, requireEmployee], suggestRates);
+
+// @route   GET /api/price-lists/rate-history
+// @desc    Get rate history per product and customer from sales
+// @access  Private (Admin/Employee)
+router.get('/rate-history', [protect, requireEmployee], getRateHistory);
+
+// @route   POST /api/price-lists
+// @desc    Add a price
+// @access  Private (Admin only)
+router.post('/', [protect, requireAdmin, ...priceValidators], validateRequest, createPrice);
+
+// @route   PUT /api/price-lists/:id
+// @desc    Update a price
+// @access  Private (Admin only)
+router.put('/:id', [protect, requireAdmin, ...priceValidators], validateRequest, updatePrice);
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Delete a price
+// @access  Private (Admin only)
+router.delete('/:id', [protect, requireAdmin], deletePrice);
+
+module.exports = router;
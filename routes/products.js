@@ -16,6 +16,17 @@ const {
 
 const router = express.Router();
 
+// Base unit fractions, the alternative units with their conversion factors
+// and the shelf life of perishable products
+const productStockValidators = [
+  body('allowFraction', 'Allow fraction must be true or false').optional().isBoolean(),
+  body('units', 'Units must be an array').optional().isArray(),
+  body('units.*.name', 'Unit name is required and cannot be more than 20 characters').trim().notEmpty().isLength({ max: 20 }),
+  body('units.*.factor', 'Conversion factor must be greater than 0').isFloat({ gt: 0 }),
+  body('units.*.allowFraction', 'Allow fraction must be true or false').optional().isBoolean(),
+  body('shelfLifeDays', 'Shelf life must be a whole number of days').optional({ nullable: true }).isInt({ min: 0 })
+];
+
 // @route   POST /api/products
 // @desc    Create new product
 // @access  Private (Admin/Employee)
@@ -26,7 +37,8 @@ router.post('/', [
   body('category', 'Category is required').notEmpty().isMongoId(),
   body('description', 'Description cannot be more than 500 characters').optional().isLength({ max: 500 }),
   body('sku', 'SKU cannot be more than 50 characters').optional().isLength({ max: 50 }),
-  body('unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 })
+  body('unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  ...productStockValidators
 ], validateRequest, createProduct);
 
 // @route   GET /api/products
@@ -64,7 +76,8 @@ router.put('/:id', [
   body('category', 'Category must be a valid MongoDB ID').optional().isMongoId(),
   body('description', 'Description cannot be more than 500 characters').optional().isLength({ max: 500 }),
   body('sku', 'SKU cannot be more than 50 characters').optional().isLength({ max: 50 }),
-  body('unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 })
+  body('unit', 'Unit cannot be more than 20 characters').optional().isLength({ max: 20 }),
+  ...productStockValidators
 ], validateRequest, updateProduct);
 
 // @route   DELETE /api/products/:id
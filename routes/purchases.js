@@ -1,14 +1,21 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { protect, requireEmployee } = require('../middleware/auth');
-const { validateRequest } = require('../middleware/validation');
+const { validateRequest, purchaseLineValidators } = require('../middleware/validation');
 const {
   createPurchase,
   getPurchases,
   getPurchaseById,
   updatePurchase,
   deletePurchase,
+  getPurchaseLandedCost,
+  setPurchaseLinkedCosts,
+  getMissingChargesReport,
   generatePurchaseReport,
+  addPurchasePayment,
+  getPurchasePayments,
+  deletePurchasePayment,
+  generateSupplierPayablesReport,
 } = require('../controllers/purchaseController');
 
 const router = express.Router();
@@ -20,14 +27,17 @@ router.post(
     protect,
     requireEmployee,
     body('containerNo', 'Container number is required').notEmpty().trim(),
-    body('product', 'Product is required').notEmpty().trim(),
-    body('quantity', 'Quantity must be a positive number').isInt({ min: 1 }),
-    body('rate', 'Rate must be a non-negative number').isFloat({ min: 0 }),
+    body('supplier', 'Supplier cannot be more than 100 characters').optional().trim().isLength({ max: 100 }),
+    body('supplierId', 'Supplier ID must be valid').optional({ checkFalsy: true }).isMongoId(),
+    ...purchaseLineValidators,
     body('transport').optional().isFloat({ min: 0 }),
     body('freight').optional().isFloat({ min: 0 }),
     body('eForm').optional().isFloat({ min: 0 }),
     body('miscellaneous').optional().isFloat({ min: 0 }),
     body('transferRate', 'Transfer rate (PKR per AED) must be greater than 0').isFloat({ min: 0.000001 }),
+    body('importVatAED', 'Import VAT must be a non-negative number').optional().isFloat({ min: 0 }),
+    body('linkedCosts', 'Linked costs must be true or false').optional().isBoolean().toBoolean(),
+    body('arrivalDate', 'Arrival date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
   ],
   validateRequest,
   createPurchase
@@ -39,6 +49,12 @@ router.get('/', [protect, requireEmployee], getPurchases);
 // Generate report
 router.get('/report', [protect, requireEmployee], generatePurchaseReport);
 
+// Supplier payables report
+router.get('/payables', [protect, requireEmployee], generateSupplierPayablesReport);
+
+// Containers missing freight, transport or clearance invoices
+router.get('/missing-charges', [protect, requireEmployee], getMissingChargesReport);
+
 // Get one
 router.get('/:id', [protect, requireEmployee], getPurchaseById);
 
@@ -49,14 +65,17 @@ router.put(
     protect,
     requireEmployee,
     body('containerNo', 'Container number is required').notEmpty().trim(),
-    body('product', 'Product is required').notEmpty().trim(),
-    body('quantity', 'Quantity must be a positive number').isInt({ min: 1 }),
-    body('rate', 'Rate must be a non-negative number').isFloat({ min: 0 }),
+    body('supplier', 'Supplier cannot be more than 100 characters').optional().trim().isLength({ max: 100 }),
+    body('supplierId', 'Supplier ID must be valid').optional({ checkFalsy: true }).isMongoId(),
+    ...purchaseLineValidators,
     body('transport').optional().isFloat({ min: 0 }),
     body('freight').optional().isFloat({ min: 0 }),
     body('eForm').optional().isFloat({ min: 0 }),
     body('miscellaneous').optional().isFloat({ min: 0 }),
     body('transferRate', 'Transfer rate (PKR per AED) must be greater than 0').isFloat({ min: 0.000001 }),
+    body('importVatAED', 'Import VAT must be a non-negative number').optional().isFloat({ min: 0 }),
+    body('linkedCosts', 'Linked costs must be true or false').optional().isBoolean().toBoolean(),
+    body('arrivalDate', 'Arrival date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
   ],
   validateRequest,
   updatePurchase
@@ -65,6 +84,51 @@ router.put(
 // Delete
 router.delete('/:id', [protect, requireEmployee], deletePurchase);
 
+// Landed cost from the container's invoices
+router.get('/:id/landed-cost', [protect, requireEmployee], getPurchaseLandedCost);
+
+router.put(
+  '/:id/linked-costs',
+  [
+    protect,
+    requireEmployee,
+    body('linkedCosts', 'Linked costs must be true or false').isBoolean().toBoolean(),
+  ],
+  validateRequest,
+  setPurchaseLinkedCosts
+);
+
+// Supplier payments
+router.get('/:id/payments', [protect, requireEmployee], getPurchasePayments);
+
+router.post(
+  '/:id/payments',
+  [
+    protect,
+    requireEmployee,
+    body('amountPKR', 'Payment amount (PKR) must be greater than 0').isFloat({ min: 0.01 }),
+    body('transferRate', 'Transfer rate (PKR per AED) must be greater than 0').optional().isFloat({ min: 0.000001 }),
+    body('paymentMethod').optional().isIn(['cash', 'bank_transfer', 'check', 'card', 'other']),
+    body('reference').optional().trim().isLength({ max: 100 }),
+    body('notes').optional().trim().isLength({ max: 500 }),
+    body('paymentDate', 'Payment date must be a valid date').optional().isISO8601(),
+    body('postToOpenDay').optional().isBoolean().toBoolean(),
+  ],
+  validateRequest,
+  addPurchasePayment
+);
+
+router.delete(
+  '/:id/payments/:paymentId',
+  [
+    protect,
+    requireEmployee,
+    body('postToOpenDay').optional().isBoolean().toBoolean(),
+  ],
+  validateRequest,
+  deletePurchasePayment
+);
+
 module.exports = router;
 
 
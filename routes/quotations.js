@@ -0,0 +1,84 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requireEmployee, requireAdmin } = require('../middleware/auth');
+const { validateRequest, saleLineValidators } = require('../middleware/validation');
+const {
+  createQuotation,
+  getQuotations,
+  getQuotationById,
+  updateQuotation,
+  cancelQuotation,
+  convertQuotation,
+  printQuotation,
+  deleteQuotation
+} = require('../controllers/quotationController');
+
+const router = express.Router();
+
+const quotationValidators = [
+  body('customer', 'Customer is required').notEmpty().trim(),
+  body('containerNo').optional().trim(),
+  body('supplier').optional().trim(),
+  body('quotationDate', 'Quotation date must be a valid date').optional().isISO8601(),
+  body('validUntil', 'Expiry date is required').isISO8601(),
+  body('notes').optional().trim().isLength({ max: 1000 }),
+  ...saleLineValidators
+];
+
+// @route   POST /api/quotations
+// @desc    Create a quotation or proforma invoice
+// @access  Private (Admin/Employee)
+router.post('/', [
+  protect,
+  requireEmployee,
+  body('type', 'Type must be quotation or proforma').optional().isIn(['quotation', 'proforma']),
+  ...quotationValidators
+], validateRequest, createQuotation);
+
+// @route   GET /api/quotations
+// @desc    Get quotations with filtering and pagination
+// @access  Private (Admin/Employee)
+router.get('/', [protect, requireEmployee], getQuotations);
+
+// @route   GET /api/quotations/:id
+// @desc    Get quotation by ID
+// @access  Private (Admin/Employee)
+router.get('/:id', [protect, requireEmployee], getQuotationById);
+
+// @route   PUT /api/quotations/:id
+// @desc    Update an open quotation
+// @access  Private (Admin/Employee)
+router.put('/:id', [protect, requireEmployee, ...quotationValidators], validateRequest, updateQuotation);
+
+// @route   GET /api/quotations/:id/print
+// @desc    Print quotation / proforma PDF
+// @access  Private (Admin/Employee)
+router.get('/:id/print', [protect, requireEmployee], printQuotation);
+
+// @route   POST /api/quotations/:id/cancel
+// @desc    Cancel an open quotation
+// @access  Private (Admin/Employee)
+router.post('/:id/cancel', [protect, requireEmployee], cancelQuotation);
+
+// @route   POST /api/quotations/:id/convert
+// @desc    Convert a quotation into a sales invoice
+// @access  Private (Admin/Employee)
+router.post('/:id/convert', [
+  protect,
+  requireEmployee,
+  body('containerNo').optional().trim(),
+  body('supplier').optional().trim(),
+  body('invoiceNumber').optional().trim(),
+  body('invoiceDate', 'Invoice date must be a valid date').optional().isISO8601(),
+  body('dueDate', 'Due date must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+  body('creditOverride', 'creditOverride must be true or false').optional().isBoolean().toBoolean(),
+  body('priceOverride', 'priceOverride must be true or false').optional().isBoolean().toBoolean(),
+  body('overrideReason', 'Override reason cannot be more than 200 characters').optional().trim().isLength({ max: 200 })
+], validateRequest, convertQuotation);
+
+// @route   DELETE /api/quotations/:id
+// @desc    Delete a quotation that has not been converted
+// @access  Private (Admin only)
+router.delete('/:id', [protect, requireAdmin], deleteQuotation);
+
+module.exports = router;
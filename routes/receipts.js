@@ -0,0 +1,67 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requireEmployee } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const {
+  previewReceiptAllocation,
+  createReceipt,
+  getReceipts,
+  getReceiptById,
+  getCustomerCredit,
+  applyReceiptCredit
+} = require('../controllers/receiptController');
+
+const router = express.Router();
+
+// @route   POST /api/receipts
+// @desc    Record one customer receipt across many open invoices
+// @access  Private (Admin/Employee)
+router.post('/', [
+  protect,
+  requireEmployee,
+  body('customer', 'Customer is required').notEmpty().trim(),
+  body('amount', 'Amount must be greater than 0').isFloat({ min: 0.01 }),
+  body('paymentMethod', 'Invalid payment method').optional().isIn(['cash', 'bank_transfer', 'check', 'card', 'other']),
+  body('reference').optional().trim().isLength({ max: 100 }),
+  body('notes').optional().trim().isLength({ max: 500 }),
+  body('receiptDate', 'Receipt date must be a valid date').optional().isISO8601(),
+  body('allocations', 'Allocations must be an array').optional().isArray(),
+  body('allocations.*.saleId', 'Invoice is required').isMongoId(),
+  body('allocations.*.amount', 'Allocated amount must be greater than 0').isFloat({ min: 0.01 }),
+  body('keepExcessAsCredit', 'keepExcessAsCredit must be true or false').optional().isBoolean().toBoolean(),
+  body('postToOpenDay', 'postToOpenDay must be true or false').optional().isBoolean().toBoolean()
+], validateRequest, createReceipt);
+
+// @route   GET /api/receipts
+// @desc    Get receipts with filtering and pagination
+// @access  Private (Admin/Employee)
+router.get('/', [protect, requireEmployee], getReceipts);
+
+// @route   GET /api/receipts/allocation-preview
+// @desc    Preview oldest-due-first allocation for a customer and amount
+// @access  Private (Admin/Employee)
+router.get('/allocation-preview', [protect, requireEmployee], previewReceiptAllocation);
+
+// @route   GET /api/receipts/customer-credit
+// @desc    Get a customer's unapplied credit balance
+// @access  Private (Admin/Employee)
+router.get('/customer-credit', [protect, requireEmployee], getCustomerCredit);
+
+// @route   POST /api/receipts/:id/apply
+// @desc    Apply a receipt's unapplied credit to open invoices
+// @access  Private (Admin/Employee)
+router.post('/:id/apply', [
+  protect,
+  requireEmployee,
+  body('amount', 'Amount must be greater than 0').optional().isFloat({ min: 0.01 }),
+  body('allocations', 'Allocations must be an array').optional().isArray(),
+  body('allocations.*.saleId', 'Invoice is required').isMongoId(),
+  body('allocations.*.amount', 'Allocated amount must be greater than 0').isFloat({ min: 0.01 })
+], validateRequest, applyReceiptCredit);
+
+// @route   GET /api/receipts/:id
+// @desc    Get receipt by ID
+// @access  Private (Admin/Employee)
+router.get('/:id', [protect, requireEmployee], getReceiptById);
+
+module.exports = router;
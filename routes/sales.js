@@ -1,7 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { protect, requireEmployee, requireAdmin } = require('../middleware/auth');
-const { validateRequest } = require('../middleware/validation');
+const { validateRequest, saleLineValidators } = require('../middleware/validation');
 const {
   createSale,
   getSales,
@@ -9,6 +9,7 @@ const {
   updateSale,
   addPayment,
   getPaymentHistory,
+  updatePayment,
   deletePayment,
   deleteSale,
   getSalesStatistics,
@@ -17,31 +18,39 @@ const {
   printInvoice,
   getCustomerOutstanding,
   generateCustomerOutstandingPDF,
+  getReceivablesAging,
+  generateReceivablesAgingPDF,
+  generateReceivablesAgingCSV,
   getUniqueProducts,
   getAutocompleteSuggestions,
+  lookupMarka,
   getRecentPayments
 } = require('../controllers/salesController');
 
 const router = express.Router();
 
+// A sale names its customer and supplier by ID, or by their exact name
+const salePartyValidators = [
+  body('customerId', 'Invalid customer').optional({ checkFalsy: true }).isMongoId(),
+  body('customer', 'Customer is required').if((value, { req }) => !req.body.customerId).notEmpty().trim(),
+  body('supplierId', 'Invalid supplier').optional({ checkFalsy: true }).isMongoId(),
+  body('supplier', 'Supplier is required').if((value, { req }) => !req.body.supplierId).notEmpty().trim()
+];
+
 // @route   POST /api/sales
 // @desc    Create new sale
 // @access  Private (Admin/Employee)
 router.post('/', [
   protect,
   requireEmployee,
-  body('customer', 'Customer is required').notEmpty().trim(),
+  ...salePartyValidators,
   body('containerNo', 'Container number is required').notEmpty().trim(),
-  body('supplier', 'Supplier is required').notEmpty().trim(),
   body('invoiceDate', 'Invoice date is required').isISO8601(),
-  body('product', 'Product is required').notEmpty().trim(),
-  body('marka', 'Marka is required').notEmpty().trim(),
-  body('description', 'Description is required').notEmpty().trim(),
-  body('quantity', 'Quantity must be a positive number').isInt({ min: 1 }),
-  body('rate', 'Rate must be a positive number').isFloat({ min: 0 }),
-  body('vatPercentage', 'VAT percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
-  body('discount', 'Discount must be a positive number').optional().isFloat({ min: 0 }),
-  body('dueDate', 'Due date is required').isISO8601()
+  ...saleLineValidators,
+  body('dueDate', 'Due date must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+  body('creditOverride', 'creditOverride must be true or false').optional().isBoolean().toBoolean(),
+  body('priceOverride', 'priceOverride must be true or false').optional().isBoolean().toBoolean(),
+  body('overrideReason', 'Override reason cannot be more than 200 characters').optional().trim().isLength({ max: 200 })
 ], validateRequest, createSale);
 
 // @route   GET /api/sales
@@ -74,6 +83,21 @@ router.get('/customer-outstanding', [protect, requireEmployee], getCustomerOutst
 // @access  Private (Admin/Employee)
 router.get('/customer-outstanding/pdf', [protect, requireEmployee], generateCustomerOutstandingPDF);
 
+// @route   GET /api/sales/receivables-aging
+// @desc    Get receivables aging by customer (?buckets=30,60,90)
+// @access  Private (Admin/Employee)
+router.get('/receivables-aging', [protect, requireEmployee], getReceivablesAging);
+
+// @route   GET /api/sales/receivables-aging/pdf
+// @desc    Generate receivables aging PDF report
+// @access  Private (Admin/Employee)
+router.get('/receivables-aging/pdf', [protect, requireEmployee], generateReceivablesAgingPDF);
+
+// @route   GET /api/sales/receivables-aging/csv
+// @desc    Export receivables aging as CSV
+// @access  Private (Admin/Employee)
+router.get('/receivables-aging/csv', [protect, requireEmployee], generateReceivablesAgingCSV);
+
 // @route   GET /api/sales/products
 // @desc    Get unique products for filtering
 // @access  Private (Admin/Employee)
@@ -84,6 +108,11 @@ router.get('/products', [protect, requireEmployee], getUniqueProducts);
 // @access  Private (Admin/Employee)
 router.get('/autocomplete/:field', [protect, requireEmployee], getAutocompleteSuggestions);
 
+// @route   GET /api/sales/marka-lookup
+// @desc    Get the supplier, container products and customer's last rate for a marka
+// @access  Private (Admin/Employee)
+router.get('/marka-lookup', [protect, requireEmployee], lookupMarka);
+
 // @route   GET /api/payments/recent
 // @desc    Get recent payments
 // @access  Private (Admin/Employee)
@@ -104,13 +133,30 @@ router.get('/:id/print', [protect, requireEmployee], printInvoice);
 // @access  Private (Admin/Employee)
 router.get('/:id/payments', [protect, requireEmployee], getPaymentHistory);
 
+// @route   PUT /api/sales/:saleId/payments/:paymentId
+// @desc    Edit a payment and recalculate the sale
+// @access  Private (Admin only)
+router.put('/:saleId/payments/:paymentId', [
+  protect,
+  requireAdmin,
+  body('amount', 'Payment amount must be zero or more').optional().isFloat({ min: 0 }),
+  body('discount', 'Discount must be zero or more').optional().isFloat({ min: 0 }),
+  body('paymentType', 'Payment type must be partial or full').optional().isIn(['partial', 'full']),
+  body('paymentMethod', 'Invalid payment method').optional().isIn(['cash', 'bank_transfer', 'check', 'card', 'other']),
+  body('reference').optional().trim().isLength({ max: 100 }),
+  body('notes').optional().trim().isLength({ max: 500 }),
+  body('paymentDate', 'Payment date must be a valid date').optional().isISO8601(),
+  body('postToOpenDay', 'postToOpenDay must be true or false').optional().isBoolean().toBoolean()
+], validateRequest, updatePayment);
+
 // @route   DELETE /api/sales/:saleId/payments/:paymentId
 // @desc    Delete a payment transaction
 // @access  Private (Admin only)
 router.delete('/:saleId/payments/:paymentId', [
   protect, 
   requireAdmin,
-  body('password', 'Admin password is required for deletion').exists()
+  body('password', 'Admin password is required for deletion').exists(),
+  body('postToOpenDay', 'postToOpenDay must be true or false').optional().isBoolean().toBoolean()
 ], validateRequest, deletePayment);
 
 // @route   PUT /api/sales/:id
@@ -119,17 +165,14 @@ router.delete('/:saleId/payments/:paymentId', [
 router.put('/:id', [
   protect,
   requireEmployee,
-  body('customer', 'Customer is required').notEmpty().trim(),
+  ...salePartyValidators,
   body('containerNo', 'Container number is required').notEmpty().trim(),
-  body('supplier', 'Supplier is required').notEmpty().trim(),
   body('invoiceDate', 'Invoice date is required').isISO8601(),
-  body('product', 'Product is required').notEmpty().trim(),
-  body('marka', 'Marka is required').notEmpty().trim(),
-  body('description', 'Description is required').notEmpty().trim(),
-  body('quantity', 'Quantity must be a positive number').isInt({ min: 1 }),
-  body('rate', 'Rate must be a positive number').isFloat({ min: 0 }),
-  body('vatPercentage', 'VAT percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
-  body('dueDate', 'Due date is required').isISO8601()
+  ...saleLineValidators,
+  body('dueDate', 'Due date is required').isISO8601(),
+  body('creditOverride', 'creditOverride must be true or false').optional().isBoolean().toBoolean(),
+  body('priceOverride', 'priceOverride must be true or false').optional().isBoolean().toBoolean(),
+  body('overrideReason', 'Override reason cannot be more than 200 characters').optional().trim().isLength({ max: 200 })
 ], validateRequest, updateSale);
 
 // @route   POST /api/sales/:id/payment
@@ -144,7 +187,9 @@ router.post('/:id/payments', [
   body('reference', 'Reference cannot be more than 100 characters').optional().isLength({ max: 100 }),
   body('notes', 'Notes cannot be more than 500 characters').optional().isLength({ max: 500 }),
   body('paymentDate', 'Payment date must be a valid date').optional().isISO8601(),
-  body('discount', 'Discount must be a non-negative number').optional().isFloat({ min: 0 })
+  body('discount', 'Discount must be a non-negative number').optional().isFloat({ min: 0 }),
+  body('keepExcessAsCredit', 'keepExcessAsCredit must be true or false').optional().isBoolean().toBoolean(),
+  body('postToOpenDay', 'postToOpenDay must be true or false').optional().isBoolean().toBoolean()
 ], validateRequest, addPayment);
 
 // @route   DELETE /api/sales/:id
@@ -153,7 +198,8 @@ router.post('/:id/payments', [
 router.delete('/:id', [
   protect, 
   requireAdmin,
-  body('password', 'Admin password is required for deletion').exists()
+  body('password', 'Admin password is required for deletion').exists(),
+  body('postToOpenDay', 'postToOpenDay must be true or false').optional().isBoolean().toBoolean()
 ], validateRequest, deleteSale);
 
 module.exports = router; 
\ No newline at end of file
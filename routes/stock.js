@@ -0,0 +1,98 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requireAdmin, requireEmployee } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const {
+  getStockReport,
+  getStockMovementHistory,
+  generateStockReportPDF,
+  generateStockReportCSV,
+  getLotAgingReport,
+  generateLotAgingPDF,
+  generateLotAgingCSV,
+  getWriteOffs,
+  createWriteOff,
+  deleteWriteOff
+} = require('../controllers/stockController');
+
+const router = express.Router();
+
+// @route   GET /api/stock
+// @desc    Get current stock per container and product
+// @access  Private (Admin/Employee)
+router.get('/', [protect, requireEmployee], getStockReport);
+
+// @route   GET /api/stock/movements
+// @desc    Get purchases, sales and returns for a container or product with a running balance
+// @access  Private (Admin/Employee)
+router.get('/movements', [protect, requireEmployee], getStockMovementHistory);
+
+// @route   GET /api/stock/pdf
+// @desc    Generate stock report PDF
+// @access  Private (Admin/Employee)
+router.get('/pdf', [protect, requireEmployee], generateStockReportPDF);
+
+// @route   GET /api/stock/csv
+// @desc    Export stock report as CSV
+// @access  Private (Admin/Employee)
+router.get('/csv', [protect, requireEmployee], generateStockReportCSV);
+
+// @route   GET /api/stock/lots
+// @desc    Get lots left by arrival and best-before date, expired and expiring first
+// @access  Private (Admin/Employee)
+router.get('/lots', [protect, requireEmployee], getLotAgingReport);
+
+// @route   GET /api/stock/lots/pdf
+// @desc    Generate lot aging report PDF
+// @access  Private (Admin/Employee)
+router.get('/lots/pdf', [protect, requireEmployee], generateLotAgingPDF);
+
+// @route   GET /api/stock/lots/csv
+// @desc    Export lot aging report as CSV
+// @access  Private (Admin/Employee)
+router.get('/lots/csv', [protect, requireEmployee], generateLotAgingCSV);
+
+// @route   GET /api/stock/write-offs
+// @desc    Get stock write-offs
+// @access  Private (Admin/Employee)
+router.get('/write-offs', [protect, requireEmployee], getWriteOffs);
+
+// @route   POST /api/stock/write-offs
+// @desc    Write off spoiled or expired goods from a lot
+// @access  Private (Admin/Employee)
+router.post('/write-offs', [
+  protect,
+  requireEmployee,
+  body('lotId')
+    .isMongoId()
+    .withMessage('Lot ID must be a valid ID'),
+  body('quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than 0'),
+  body('unit')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Unit cannot be more than 20 characters'),
+  body('reason')
+    .optional()
+    .isIn(['spoiled', 'expired', 'damaged', 'other'])
+    .withMessage('Reason must be spoiled, expired, damaged or other'),
+  body('writeOffDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Write-off date must be a valid date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters'),
+  validateRequest
+], createWriteOff);
+
+// @route   DELETE /api/stock/write-offs/:id
+// @desc    Delete a stock write-off
+// @access  Private (Admin only)
+router.delete('/write-offs/:id', [protect, requireAdmin], deleteWriteOff);
+
+module.exports = router;
@@ -11,6 +11,11 @@ const {
   activateSupplier,
   searchSuppliersByName,
   getSupplierStatistics,
+  getSupplierStatement,
+  downloadSupplierStatementPDF,
+  addSupplierRemittance,
+  getSupplierRemittances,
+  deleteSupplierRemittance,
 } = require('../controllers/supplierController');
 
 const router = express.Router();
@@ -41,6 +46,31 @@ router.get('/search/:name', [protect, requireEmployee], searchSuppliersByName);
 // Get by id
 router.get('/:id', [protect, requireEmployee], getSupplierById);
 
+// Statement of account in PKR and AED
+router.get('/:id/statement', [protect, requireEmployee], getSupplierStatement);
+router.get('/:id/statement/pdf', [protect, requireEmployee], downloadSupplierStatementPDF);
+
+// Remittances for containers sold on consignment
+router.get('/:id/remittances', [protect, requireEmployee], getSupplierRemittances);
+router.post('/:id/remittances', [
+  protect,
+  requireEmployee,
+  body('containerNo', 'Container number is required').notEmpty().trim().isLength({ max: 50 }),
+  body('amountPKR', 'Remittance amount (PKR) must be greater than 0').isFloat({ min: 0.01 }),
+  body('transferRate', 'Transfer rate (PKR per AED) must be greater than 0').isFloat({ min: 0.000001 }),
+  body('paymentType').optional().isIn(['partial', 'full']),
+  body('paymentMethod').optional().isIn(['cash', 'bank_transfer', 'check', 'card', 'other']),
+  body('reference').optional().trim().isLength({ max: 100 }),
+  body('notes').optional().trim().isLength({ max: 500 }),
+  body('paymentDate', 'Payment date must be a valid date').optional().isISO8601(),
+  body('postToOpenDay').optional().isBoolean().toBoolean(),
+], validateRequest, addSupplierRemittance);
+router.delete('/:id/remittances/:paymentId', [
+  protect,
+  requireEmployee,
+  body('postToOpenDay').optional().isBoolean().toBoolean(),
+], validateRequest, deleteSupplierRemittance);
+
 // Update
 router.put('/:id', [
   protect,
@@ -27,6 +27,7 @@ router.post(
     body('amount_pkr', 'Amount in PKR is required and must be greater than 0').isFloat({ min: 0.01 }),
     body('conversion_rate', 'Conversion rate is required and must be greater than 0').isFloat({ min: 0.000001 }),
     body('agent', 'Agent is required').notEmpty().trim(),
+    body('container_number').optional().trim().isLength({ max: 100 }),
     body('invoice_date', 'Invoice date is required').isISO8601(),
     body('due_date', 'Due date is required').isISO8601(),
   ],
@@ -52,6 +53,7 @@ router.put(
     body('amount_pkr').optional().isFloat({ min: 0.01 }),
     body('conversion_rate').optional().isFloat({ min: 0.000001 }),
     body('agent').optional().notEmpty().trim(),
+    body('container_number').optional().trim().isLength({ max: 100 }),
     body('invoice_date').optional().isISO8601(),
     body('due_date').optional().isISO8601(),
   ],
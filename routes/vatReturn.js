@@ -0,0 +1,32 @@
+const express = require('express');
+const { protect, requireEmployee } = require('../middleware/auth');
+const {
+  getVatReturn,
+  getVatReturnBoxDocuments,
+  generateVatReturnPDF,
+  generateVatReturnCSV
+} = require('../controllers/vatReturnController');
+
+const router = express.Router();
+
+// @route   GET /api/vat-return
+// @desc    Get the VAT return (Form 201 boxes) for a tax period
+// @access  Private (Admin/Employee)
+router.get('/', [protect, requireEmployee], getVatReturn);
+
+// @route   GET /api/vat-return/pdf
+// @desc    Generate the VAT return PDF with supporting documents
+// @access  Private (Admin/Employee)
+router.get('/pdf', [protect, requireEmployee], generateVatReturnPDF);
+
+// @route   GET /api/vat-return/csv
+// @desc    Export the VAT return as CSV
+// @access  Private (Admin/Employee)
+router.get('/csv', [protect, requireEmployee], generateVatReturnCSV);
+
+// @route   GET /api/vat-return/boxes/:box
+// @desc    Get the documents behind one box of the VAT return
+// @access  Private (Admin/Employee)
+router.get('/boxes/:box', [protect, requireEmployee], getVatReturnBoxDocuments);
+
+module.exports = router;
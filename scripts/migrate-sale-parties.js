@@ -0,0 +1,117 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+mongoose.set('autoIndex', false);
+
+// Links existing sales to their Customer and Supplier records. Names are
+// compared ignoring case and extra spaces; a match also replaces the sale's
+// name with the master record's spelling. Names that match nothing are
+// listed so they can be added to the master lists or corrected by hand, after
+// which the script can be run again.
+//
+//   node scripts/migrate-sale-parties.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const normalizeName = (name = '') => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Map of organizationId -> normalized name -> master record
+async function loadMasterNames(Model) {
+  const byOrganization = new Map();
+  const records = await Model.find({}, { organizationId: 1, ename: 1, uname: 1 }).lean();
+
+  records.forEach((record) => {
+    const key = record.organizationId.toString();
+    if (!byOrganization.has(key)) byOrganization.set(key, new Map());
+    const names = byOrganization.get(key);
+
+    // English names win over Urdu names if the two ever collide
+    if (record.uname && !names.has(normalizeName(record.uname))) {
+      names.set(normalizeName(record.uname), record);
+    }
+    names.set(normalizeName(record.ename), record);
+  });
+
+  return byOrganization;
+}
+
+async function linkParty(Sales, masters, { idField, nameField }) {
+  const cursor = Sales.collection.find(
+    { [idField]: null },
+    { projection: { organizationId: 1, [nameField]: 1 } }
+  );
+
+  let operations = [];
+  let linked = 0;
+  const unmatched = new Map();
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    if (!DRY_RUN) await Sales.collection.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const sale of cursor) {
+    const names = masters.get(sale.organizationId.toString());
+    const master = names && names.get(normalizeName(sale[nameField]));
+
+    if (!master) {
+      const key = `${sale.organizationId} | ${sale[nameField]}`;
+      unmatched.set(key, (unmatched.get(key) || 0) + 1);
+      continue;
+    }
+
+    linked += 1;
+    operations.push({
+      updateOne: {
+        filter: { _id: sale._id },
+        update: { $set: { [idField]: master._id, [nameField]: master.ename } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return { linked, unmatched };
+}
+
+function report(label, { linked, unmatched }) {
+  console.log(`${label}: ${DRY_RUN ? 'would link' : 'linked'} ${linked} sale(s)`);
+  if (unmatched.size === 0) return;
+
+  console.log(`  ${unmatched.size} ${label.toLowerCase()} name(s) match no record (organization | name: sales):`);
+  [...unmatched.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([key, count]) => console.log(`    ${key}: ${count}`));
+}
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/sijil';
+
+  await mongoose.connect(mongoUri);
+
+  const Sales = require('../models/Sales');
+  const Customer = require('../models/Customer');
+  const Supplier = require('../models/Supplier');
+
+  const customers = await linkParty(Sales, await loadMasterNames(Customer), { idField: 'customerId', nameField: 'customer' });
+  const suppliers = await linkParty(Sales, await loadMasterNames(Supplier), { idField: 'supplierId', nameField: 'supplier' });
+
+  if (!DRY_RUN) await Sales.syncIndexes();
+
+  console.log(`Sale parties migration ${DRY_RUN ? '(dry run) ' : ''}complete`);
+  report('Customers', customers);
+  report('Suppliers', suppliers);
+}
+
+main()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+  });
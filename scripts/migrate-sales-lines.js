@@ -0,0 +1,80 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { ceilToTwoDecimals } = require('../utils/numberFormatter');
+
+mongoose.set('autoIndex', false);
+
+const BATCH_SIZE = 500;
+
+// Builds the single invoice line a pre-`lines` sale represented.
+function buildLegacyLine(sale) {
+  const quantity = Number(sale.quantity) || 0;
+  const rate = Number(sale.rate) || 0;
+  const vatPercentage = Number(sale.vatPercentage) || 0;
+  const subtotal = ceilToTwoDecimals(quantity * rate);
+  const vatAmount = ceilToTwoDecimals((subtotal * vatPercentage) / 100);
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    product: sale.product,
+    marka: sale.marka,
+    description: sale.description,
+    quantity,
+    rate,
+    vatPercentage,
+    discount: 0,
+    subtotal,
+    vatAmount,
+    amount: ceilToTwoDecimals(subtotal + vatAmount)
+  };
+}
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/sijil';
+
+  await mongoose.connect(mongoUri);
+  require('../models/Sales');
+
+  const Sales = mongoose.model('Sales');
+  const cursor = Sales.collection.find(
+    { $or: [{ lines: { $exists: false } }, { lines: { $size: 0 } }] },
+    { projection: { product: 1, marka: 1, description: 1, quantity: 1, rate: 1, vatPercentage: 1 } }
+  );
+
+  let operations = [];
+  let migrated = 0;
+
+  for await (const sale of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: sale._id },
+        update: { $set: { lines: [buildLegacyLine(sale)] } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      const result = await Sales.collection.bulkWrite(operations, { ordered: false });
+      migrated += result.modifiedCount;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    const result = await Sales.collection.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+  }
+
+  await Sales.syncIndexes();
+
+  console.log(`Sales lines migration complete: backfilled ${migrated} sale(s)`);
+}
+
+main()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+  });
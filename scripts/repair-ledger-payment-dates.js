@@ -0,0 +1,123 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+mongoose.set('autoIndex', false);
+
+// Sales receipts used to be posted to the day they were entered rather than
+// the payment date. This moves each such entry to its payment date. Entries
+// whose current or correct day is already closed are left alone and listed
+// so they can be corrected with a manual adjustment.
+//
+//   node scripts/repair-ledger-payment-dates.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const sameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+const dayRange = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return { $gte: start, $lte: end };
+};
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/sijil';
+
+  await mongoose.connect(mongoUri);
+
+  const LedgerEntry = require('../models/LedgerEntry');
+  const Payment = require('../models/Payment');
+  const Receipt = require('../models/Receipt');
+  const {
+    isDailyLedgerClosed,
+    ensureDailyLedger,
+    updateDailyLedgerTotals
+  } = require('../controllers/dailyLedgerController');
+
+  // Resolves the payment date an entry should have been posted on
+  const matchedPayments = new Set();
+  const findPaymentDate = async (entry) => {
+    if (entry.reference_model === 'Receipt') {
+      const receipt = await Receipt.findOne({ _id: entry.reference_id, organizationId: entry.organizationId })
+        .select('receiptDate')
+        .lean();
+      return receipt ? receipt.receiptDate : null;
+    }
+
+    let payment = await Payment.findOne({ ledgerEntryId: entry._id, organizationId: entry.organizationId })
+      .select('paymentDate')
+      .lean();
+
+    // Payments recorded before entries were linked: same sale and amount,
+    // entered on the day the entry was posted
+    if (!payment) {
+      payment = await Payment.findOne({
+        organizationId: entry.organizationId,
+        saleId: entry.reference_id,
+        amount: entry.amount,
+        receiptId: null,
+        ledgerEntryId: null,
+        createdAt: dayRange(entry.ledger_date),
+        _id: { $nin: [...matchedPayments] }
+      }).select('paymentDate').sort({ createdAt: 1 }).lean();
+    }
+
+    if (!payment) return null;
+    matchedPayments.add(payment._id);
+    return payment.paymentDate;
+  };
+
+  const cursor = LedgerEntry.find({
+    reference_type: 'sales_payment',
+    type: 'receipt',
+    // Adjustments and corrections were posted to the open day on purpose
+    description: { $not: /adjustment for|\(corrected\)$/ }
+  }).sort({ created_at: 1 }).cursor();
+
+  let checked = 0;
+  let moved = 0;
+  const skipped = [];
+
+  for await (const entry of cursor) {
+    checked += 1;
+
+    const paymentDate = await findPaymentDate(entry);
+    if (!paymentDate || sameDay(paymentDate, entry.ledger_date)) continue;
+
+    const from = entry.ledger_date;
+    const closed = await isDailyLedgerClosed(entry.organizationId, from)
+      || await isDailyLedgerClosed(entry.organizationId, paymentDate);
+
+    if (closed) {
+      skipped.push(`${entry._id} "${entry.description}" ${from.toLocaleDateString('en-GB')} -> ${new Date(paymentDate).toLocaleDateString('en-GB')}`);
+      continue;
+    }
+
+    moved += 1;
+    if (DRY_RUN) continue;
+
+    await ensureDailyLedger(entry.organizationId, paymentDate);
+    await LedgerEntry.updateOne({ _id: entry._id }, { $set: { ledger_date: paymentDate } });
+    await updateDailyLedgerTotals(entry.organizationId, paymentDate);
+    await updateDailyLedgerTotals(entry.organizationId, from);
+  }
+
+  console.log(`Ledger date repair ${DRY_RUN ? '(dry run) ' : ''}complete: checked ${checked} entr${checked === 1 ? 'y' : 'ies'}, ${DRY_RUN ? 'would move' : 'moved'} ${moved}`);
+
+  if (skipped.length > 0) {
+    console.log(`${skipped.length} entr${skipped.length === 1 ? 'y sits' : 'ies sit'} on a closed day and need a manual adjustment:`);
+    skipped.forEach(line => console.log(`  ${line}`));
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+  });
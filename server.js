@@ -8,6 +8,10 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const salesRoutes = require('./routes/sales');
+const creditNoteRoutes = require('./routes/creditNotes');
+const receiptRoutes = require('./routes/receipts');
+const quotationRoutes = require('./routes/quotations');
+const vatReturnRoutes = require('./routes/vatReturn');
 const customerRoutes = require('./routes/customers');
 const supplierRoutes = require('./routes/suppliers');
 const purchaseRoutes = require('./routes/purchases');
@@ -19,10 +23,14 @@ const dubaiClearanceRoutes = require('./routes/dubaiClearance');
 const containerStatementRoutes = require('./routes/containerStatements');
 const categoryRoutes = require('./routes/categories');
 const productRoutes = require('./routes/products');
+const stockRoutes = require('./routes/stock');
+const containerProfitRoutes = require('./routes/containerProfit');
+const priceListRoutes = require('./routes/priceLists');
 const platformRoutes = require('./routes/platform');
 const organizationRoutes = require('./routes/organization');
 const { protect, requireOrganization } = require('./middleware/auth');
 const { initializeAdmin } = require('./utils/adminInitializer');
+const { startOverdueStatusJob } = require('./utils/overdueStatusJob');
 const { formatNumbersDeep } = require('./utils/numberFormatter');
 
 const app = express();
@@ -129,6 +137,9 @@ const connectDB = async () => {
     
     // Initialize admin user after database connection
     await initializeAdmin();
+
+    // Keep unpaid documents' overdue status current without waiting for a save
+    startOverdueStatusJob();
     
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
@@ -163,6 +174,10 @@ app.use('/api/organization', organizationRoutes);
 const tenantMiddleware = [protect, requireOrganization];
 app.use('/api/users', tenantMiddleware, userRoutes);
 app.use('/api/sales', tenantMiddleware, salesRoutes);
+app.use('/api/credit-notes', tenantMiddleware, creditNoteRoutes);
+app.use('/api/receipts', tenantMiddleware, receiptRoutes);
+app.use('/api/quotations', tenantMiddleware, quotationRoutes);
+app.use('/api/vat-return', tenantMiddleware, vatReturnRoutes);
 app.use('/api/customers', tenantMiddleware, customerRoutes);
 app.use('/api/purchases', tenantMiddleware, purchaseRoutes);
 app.use('/api/suppliers', tenantMiddleware, supplierRoutes);
@@ -174,6 +189,9 @@ app.use('/api/dubai-clearance-invoices', tenantMiddleware, dubaiClearanceRoutes)
 app.use('/api/container-statements', tenantMiddleware, containerStatementRoutes);
 app.use('/api/categories', tenantMiddleware, categoryRoutes);
 app.use('/api/products', tenantMiddleware, productRoutes);
+app.use('/api/stock', tenantMiddleware, stockRoutes);
+app.use('/api/container-profit', tenantMiddleware, containerProfitRoutes);
+app.use('/api/price-lists', tenantMiddleware, priceListRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
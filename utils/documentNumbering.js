@@ -0,0 +1,100 @@
+const Counter = require('../models/Counter');
+const NumberingScheme = require('../models/NumberingScheme');
+
+// Defaults reproduce the formats used before numbering was configurable, and
+// `counter` keeps each type on its existing Counter sequence.
+const DOCUMENT_TYPES = {
+  invoice: { label: 'Sales invoice', counter: 'invoiceNumber', prefix: 'INV', padding: 6 },
+  credit_note: { label: 'Credit note', counter: 'credit_note', prefix: 'CN', padding: 6 },
+  receipt: { label: 'Receipt', counter: 'receipt', prefix: 'RCT', padding: 6 },
+  quotation: { label: 'Quotation', counter: 'quotation', prefix: 'QT', padding: 6 },
+  proforma: { label: 'Proforma invoice', counter: 'proforma', prefix: 'PF', padding: 6 },
+  transport_invoice: { label: 'Transport invoice', counter: 'transport_invoice', prefix: 'TR', padding: 4 },
+  dubai_clearance_invoice: { label: 'Dubai clearance invoice', counter: 'dubai_clearance_invoice', prefix: 'DC', padding: 4 },
+  write_off: { label: 'Stock write-off', counter: 'write_off', prefix: 'WO', padding: 6 }
+};
+
+const SCHEME_FIELDS = ['prefix', 'separator', 'padding', 'dateSegment', 'resetPolicy'];
+
+const defaultScheme = (documentType) => ({
+  documentType,
+  prefix: DOCUMENT_TYPES[documentType].prefix,
+  separator: '-',
+  padding: DOCUMENT_TYPES[documentType].padding,
+  dateSegment: 'none',
+  resetPolicy: 'never'
+});
+
+// Saved scheme for the type, or its default
+const getNumberingScheme = async (organizationId, documentType) => {
+  if (!DOCUMENT_TYPES[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  const saved = await NumberingScheme.findOne({ organizationId, documentType }).lean();
+  if (!saved) return defaultScheme(documentType);
+
+  return SCHEME_FIELDS.reduce((scheme, field) => ({ ...scheme, [field]: saved[field] }), { documentType });
+};
+
+// A reset without the matching date segment would repeat numbers.
+// Returns an error message or null.
+const validateNumberingScheme = (scheme) => {
+  if (scheme.resetPolicy === 'monthly' && scheme.dateSegment !== 'month') {
+    return 'A monthly reset needs the month segment in the number';
+  }
+  if (scheme.resetPolicy === 'yearly' && scheme.dateSegment === 'none') {
+    return 'A yearly reset needs the year or month segment in the number';
+  }
+  return null;
+};
+
+// Each reset period counts on its own Counter, e.g. "invoiceNumber:2026-03"
+const counterName = (documentType, scheme, date) => {
+  const base = DOCUMENT_TYPES[documentType].counter;
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  if (scheme.resetPolicy === 'yearly') return `${base}:${year}`;
+  if (scheme.resetPolicy === 'monthly') return `${base}:${year}-${month}`;
+  return base;
+};
+
+const formatDocumentNumber = (scheme, sequence, date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const segments = [];
+
+  if (scheme.prefix) segments.push(scheme.prefix);
+  if (scheme.dateSegment === 'year') segments.push(String(year));
+  if (scheme.dateSegment === 'month') segments.push(`${year}${month}`);
+  segments.push(String(sequence).padStart(scheme.padding, '0'));
+
+  return segments.join(scheme.separator);
+};
+
+// Take the next number for a document dated `date`
+const getNextDocumentNumber = async (organizationId, documentType, date = new Date()) => {
+  const scheme = await getNumberingScheme(organizationId, documentType);
+  const parsedDate = date ? new Date(date) : new Date();
+  const documentDate = Number.isNaN(parsedDate.getTime()) ? new Date() : parsedDate;
+  const sequence = await Counter.getNextSequence(organizationId, counterName(documentType, scheme, documentDate));
+  return formatDocumentNumber(scheme, sequence, documentDate);
+};
+
+// The number the next document would get, without consuming it
+const previewNextDocumentNumber = async (organizationId, documentType, scheme = null, date = new Date()) => {
+  const activeScheme = scheme || await getNumberingScheme(organizationId, documentType);
+  const counter = await Counter.findOne({ organizationId, name: counterName(documentType, activeScheme, date) }).lean();
+  return formatDocumentNumber(activeScheme, (counter ? counter.sequence : 0) + 1, date);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SCHEME_FIELDS,
+  defaultScheme,
+  getNumberingScheme,
+  validateNumberingScheme,
+  getNextDocumentNumber,
+  previewNextDocumentNumber
+};
@@ -0,0 +1,149 @@
+const Purchase = require('../models/Purchase');
+const TransportInvoice = require('../models/TransportInvoice');
+const FreightInvoice = require('../models/FreightInvoice');
+const DubaiTransportInvoice = require('../models/DubaiTransportInvoice');
+const DubaiClearanceInvoice = require('../models/DubaiClearanceInvoice');
+const { escapeRegex } = require('./query');
+const { roundAmount } = require('./numberFormatter');
+
+// A purchase with `linkedCosts` set takes its charges from the invoices
+// carrying its container number instead of figures typed by hand. Pakistan
+// transport is billed in PKR; freight and the Dubai charges in AED. Amounts
+// are converted at the purchase's transfer rate so the buckets add up to
+// its totals. Dubai invoices count net of their recoverable VAT.
+
+const COST_BUCKETS = {
+  transport: { model: TransportInvoice, currency: 'PKR', label: 'Transport (Pakistan)' },
+  freight: { model: FreightInvoice, currency: 'AED', label: 'Freight' },
+  dubaiTransport: { model: DubaiTransportInvoice, currency: 'AED', label: 'Dubai transport' },
+  dubaiClearance: { model: DubaiClearanceInvoice, currency: 'AED', label: 'Dubai clearance' }
+};
+const BUCKET_NAMES = Object.keys(COST_BUCKETS);
+
+const containerKey = (containerNo = '') => containerNo.trim().toLowerCase();
+
+const INVOICE_FIELDS = 'container_number invoice_number invoice_date description agent amount_pkr amount_aed vat_amount_aed';
+
+// Invoices of every bucket, for one container or for all containers.
+// Returns { [bucket]: [invoice] }.
+const findCostInvoices = async (organizationId, containerNo = '') => {
+  const query = containerNo
+    ? { organizationId, container_number: { $regex: `^${escapeRegex(containerNo.trim())}$`, $options: 'i' } }
+    : { organizationId, container_number: { $exists: true, $nin: [null, ''] } };
+
+  const results = await Promise.all(
+    BUCKET_NAMES.map(bucket => COST_BUCKETS[bucket].model.find(query).select(INVOICE_FIELDS).sort({ invoice_date: 1 }).lean())
+  );
+  return BUCKET_NAMES.reduce((invoices, bucket, index) => ({ ...invoices, [bucket]: results[index] }), {});
+};
+
+// Group invoices of several containers by lower-cased container number
+const groupCostInvoices = (invoices) => {
+  const grouped = new Map();
+  BUCKET_NAMES.forEach((bucket) => {
+    (invoices[bucket] || []).forEach((invoice) => {
+      const key = containerKey(invoice.container_number);
+      if (!grouped.has(key)) {
+        grouped.set(key, BUCKET_NAMES.reduce((empty, name) => ({ ...empty, [name]: [] }), {}));
+      }
+      grouped.get(key)[bucket].push(invoice);
+    });
+  });
+  return grouped;
+};
+
+// Cost buckets of a purchase: the invoices behind each with their PKR and
+// AED amounts, the bucket totals and the buckets with no invoice at all
+const describeLandedCost = (purchase, invoices) => {
+  const transferRate = purchase.transferRate > 0 ? purchase.transferRate : 0;
+  const buckets = {};
+
+  BUCKET_NAMES.forEach((bucket) => {
+    const { currency, label } = COST_BUCKETS[bucket];
+    const rows = (invoices[bucket] || []).map((invoice) => {
+      const amount = currency === 'PKR'
+        ? invoice.amount_pkr || 0
+        : (invoice.amount_aed || 0) - (invoice.vat_amount_aed || 0);
+      return {
+        _id: invoice._id,
+        invoiceNumber: invoice.invoice_number,
+        invoiceDate: invoice.invoice_date,
+        description: invoice.agent || invoice.description || '',
+        currency,
+        amount: roundAmount(amount),
+        amountPKR: roundAmount(currency === 'PKR' ? amount : amount * transferRate),
+        amountAED: roundAmount(currency === 'AED' ? amount : (transferRate ? amount / transferRate : 0))
+      };
+    });
+
+    buckets[bucket] = {
+      label,
+      currency,
+      invoices: rows,
+      totalPKR: roundAmount(rows.reduce((sum, row) => sum + row.amountPKR, 0)),
+      totalAED: roundAmount(rows.reduce((sum, row) => sum + row.amountAED, 0))
+    };
+  });
+
+  return {
+    containerNo: purchase.containerNo,
+    linkedCosts: Boolean(purchase.linkedCosts),
+    transferRate: purchase.transferRate,
+    buckets,
+    missingCharges: BUCKET_NAMES.filter(bucket => buckets[bucket].invoices.length === 0)
+  };
+};
+
+// Copy the invoice totals onto a purchase document. The caller saves it,
+// which recomputes the purchase and line totals. Returns the description.
+const applyLinkedCosts = (purchase, invoices) => {
+  const landedCost = describeLandedCost(purchase, invoices);
+  const { buckets } = landedCost;
+
+  purchase.transport = buckets.transport.totalPKR;
+  purchase.freight = buckets.freight.totalPKR;
+  purchase.dubaiTransportAED = buckets.dubaiTransport.totalAED;
+  purchase.dubaiClearanceAED = buckets.dubaiClearance.totalAED;
+  purchase.costInvoices = BUCKET_NAMES.reduce(
+    (ids, bucket) => ({ ...ids, [bucket]: buckets[bucket].invoices.map(invoice => invoice._id) }),
+    {}
+  );
+  purchase.missingCharges = landedCost.missingCharges;
+
+  return landedCost;
+};
+
+// Re-pull the charges of linked purchases after an invoice changed: the
+// purchase of the invoice's container and any purchase it was linked to
+// before (its container number may have been edited). Failures are logged
+// so they never undo the invoice change itself.
+const refreshLinkedPurchases = async (organizationId, { containerNo = '', invoiceId = null } = {}) => {
+  try {
+    const conditions = [];
+    if (containerNo && containerNo.trim()) {
+      conditions.push({ containerNo: { $regex: `^${escapeRegex(containerNo.trim())}$`, $options: 'i' } });
+    }
+    if (invoiceId) {
+      BUCKET_NAMES.forEach(bucket => conditions.push({ [`costInvoices.${bucket}`]: invoiceId }));
+    }
+    if (conditions.length === 0) return;
+
+    const purchases = await Purchase.find({ organizationId, linkedCosts: true, $or: conditions });
+    for (const purchase of purchases) {
+      const invoices = await findCostInvoices(organizationId, purchase.containerNo);
+      applyLinkedCosts(purchase, invoices);
+      await purchase.save();
+    }
+  } catch (error) {
+    console.error('Refresh linked purchase costs error:', error);
+  }
+};
+
+module.exports = {
+  COST_BUCKETS,
+  findCostInvoices,
+  groupCostInvoices,
+  describeLandedCost,
+  applyLinkedCosts,
+  refreshLinkedPurchases
+};
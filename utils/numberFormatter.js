@@ -9,6 +9,11 @@ function ceilToTwoDecimals(value) {
   return Number((scaled / 100).toFixed(2));
 }
 
+// Round a value to two decimal places (unlike ceilToTwoDecimals, to nearest)
+function roundAmount(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
 // Recursively traverse objects/arrays and ceil numeric values to two decimals
 function toPlainObject(value) {
   if (value && typeof value.toJSON === 'function') {
@@ -69,6 +74,7 @@ function formatNumbersDeep(input, seen = new WeakSet()) {
 
 module.exports = {
   ceilToTwoDecimals,
+  roundAmount,
   formatNumbersDeep,
 };
 
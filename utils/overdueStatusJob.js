@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Sales = require('../models/Sales');
+const TransportInvoice = require('../models/TransportInvoice');
+const FreightInvoice = require('../models/FreightInvoice');
+const DubaiTransportInvoice = require('../models/DubaiTransportInvoice');
+const DubaiClearanceInvoice = require('../models/DubaiClearanceInvoice');
+const { writeAuditLog } = require('./auditLogger');
+
+// Documents whose pre-save hooks only set `overdue` when they are saved.
+// `unpaid` already means nothing has been paid, so the due date alone decides.
+const OVERDUE_MODELS = [
+  { name: 'Sales', model: Sales, dueDateField: 'dueDate' },
+  { name: 'TransportInvoice', model: TransportInvoice, dueDateField: 'due_date' },
+  { name: 'FreightInvoice', model: FreightInvoice, dueDateField: 'due_date' },
+  { name: 'DubaiTransportInvoice', model: DubaiTransportInvoice, dueDateField: 'due_date' },
+  { name: 'DubaiClearanceInvoice', model: DubaiClearanceInvoice, dueDateField: 'due_date' }
+];
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let jobTimer = null;
+let jobRunning = false;
+
+const countByOrganization = (model, filter) => model.aggregate([
+  { $match: filter },
+  { $group: { _id: '$organizationId', count: { $sum: 1 } } }
+]);
+
+// Move unpaid documents past their due date to `overdue`, and overdue ones
+// whose due date was moved forward back to `unpaid`, for one organization or
+// all of them. Writes an audit log entry per organization with changes.
+const refreshOverdueStatuses = async ({ organizationId = null, req = null, trigger = 'schedule' } = {}) => {
+  const now = new Date();
+  const scope = organizationId
+    ? { organizationId: new mongoose.Types.ObjectId(String(organizationId)) }
+    : {};
+
+  const byModel = {};
+  const byOrganization = {};
+  let totalChanged = 0;
+
+  for (const { name, model, dueDateField } of OVERDUE_MODELS) {
+    const toOverdue = { ...scope, status: 'unpaid', [dueDateField]: { $lt: now } };
+    const toUnpaid = { ...scope, status: 'overdue', [dueDateField]: { $gte: now } };
+
+    const [overdueCounts, unpaidCounts] = await Promise.all([
+      countByOrganization(model, toOverdue),
+      countByOrganization(model, toUnpaid)
+    ]);
+
+    const overdueResult = await model.updateMany(toOverdue, { $set: { status: 'overdue' } });
+    const unpaidResult = await model.updateMany(toUnpaid, { $set: { status: 'unpaid' } });
+
+    byModel[name] = {
+      markedOverdue: overdueResult.modifiedCount,
+      markedUnpaid: unpaidResult.modifiedCount
+    };
+    totalChanged += overdueResult.modifiedCount + unpaidResult.modifiedCount;
+
+    [[overdueCounts, 'markedOverdue'], [unpaidCounts, 'markedUnpaid']].forEach(([counts, key]) => {
+      counts.forEach(({ _id, count }) => {
+        const orgKey = String(_id);
+        byOrganization[orgKey] = byOrganization[orgKey] || {};
+        byOrganization[orgKey][name] = byOrganization[orgKey][name] || { markedOverdue: 0, markedUnpaid: 0 };
+        byOrganization[orgKey][name][key] += count;
+      });
+    });
+  }
+
+  for (const [orgKey, models] of Object.entries(byOrganization)) {
+    await writeAuditLog({
+      req,
+      action: 'system.overdue_refresh',
+      resourceType: 'system',
+      organizationId: orgKey,
+      metadata: { trigger, ranAt: now, models }
+    });
+  }
+
+  return {
+    ranAt: now,
+    trigger,
+    totalChanged,
+    byModel,
+    organizationsAffected: Object.keys(byOrganization).length
+  };
+};
+
+// Run the refresh in-process every OVERDUE_JOB_INTERVAL_MINUTES (default 60,
+// 0 disables it), starting right away
+const startOverdueStatusJob = () => {
+  if (jobTimer) return;
+
+  const minutes = Number(process.env.OVERDUE_JOB_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.log('⏸️  Overdue status job disabled');
+    return;
+  }
+
+  const run = async () => {
+    if (jobRunning || mongoose.connection.readyState !== 1) return;
+    jobRunning = true;
+    try {
+      const result = await refreshOverdueStatuses({ trigger: 'schedule' });
+      if (result.totalChanged > 0) {
+        console.log(`⏰ Overdue status job updated ${result.totalChanged} document(s) across ${result.organizationsAffected} organization(s)`);
+      }
+    } catch (error) {
+      console.error('Overdue status job error:', error);
+    } finally {
+      jobRunning = false;
+    }
+  };
+
+  jobTimer = setInterval(run, minutes * 60 * 1000);
+  jobTimer.unref();
+  run();
+};
+
+module.exports = { refreshOverdueStatuses, startOverdueStatusJob };
@@ -155,9 +155,31 @@ class PDFGenerator {
     this.doc.text(sale.customer || '', 70, 75, { width: 260, continued: false });
 
     // TAX INVOICE title area center TRN (our own) only if VAT > 0
-    const subtotal = (sale.quantity || 0) * (sale.rate || 0);
-    const vatPct = Number(sale.vatPercentage || 0);
-    const vatAmount = +(subtotal * vatPct / 100).toFixed(2);
+    const lines = (sale.lines && sale.lines.length > 0)
+      ? sale.lines
+      : [{
+        product: sale.product,
+        description: sale.description,
+        quantity: sale.quantity,
+        rate: sale.rate,
+        vatPercentage: sale.vatPercentage,
+        discount: 0
+      }];
+    const lineRows = lines.map((line) => {
+      const lineSubtotal = +((line.quantity || 0) * (line.rate || 0) - (line.discount || 0)).toFixed(2);
+      const lineVatPct = Number(line.vatPercentage || 0);
+      const lineVatAmount = +(lineSubtotal * lineVatPct / 100).toFixed(2);
+      return {
+        ...line,
+        subtotal: lineSubtotal,
+        vatPct: lineVatPct,
+        vatAmount: lineVatAmount,
+        amountInclVat: +(lineSubtotal + lineVatAmount).toFixed(2)
+      };
+    });
+    const subtotal = +lineRows.reduce((sum, row) => sum + row.subtotal, 0).toFixed(2);
+    const vatPct = Math.max(...lineRows.map(row => row.vatPct));
+    const vatAmount = +lineRows.reduce((sum, row) => sum + row.vatAmount, 0).toFixed(2);
     const amountInclVat = +(subtotal + vatAmount).toFixed(2);
 
     if (vatPct > 0) {
@@ -176,8 +198,9 @@ class PDFGenerator {
       }
     }
 
-    // Single line item row (only values, the grid is pre-printed)
-    const rowY = 155;
+    // Line item rows (only values, the grid is pre-printed)
+    const firstRowY = 155;
+    const rowSpacing = 14;
     this.doc.fontSize(10).font('Helvetica-Bold');
     // Compute right-aligned columns within page width
     const gap = 8;
@@ -190,21 +213,25 @@ class PDFGenerator {
     const qtyW = 30; const qtyX = unitX - gap - qtyW;
     const descX = 120; const descW = Math.max(100, qtyX - descX - 10);
 
-    // Description (left aligned)
-    const description = [sale.product, sale.description].filter(Boolean).join(' - ');
-    this.doc.text(description, descX, rowY, { width: descW });
-    // Qty (right aligned)
-    this.doc.text(String(sale.quantity || 0), qtyX, rowY, { width: qtyW, align: 'right' });
-    // Unit Price
-    this.doc.text((sale.rate || 0).toFixed(2), unitX, rowY, { width: unitW, align: 'right' });
-    // Amount (subtotal)
-    this.doc.text(subtotal.toFixed(2), amtX, rowY, { width: amtW, align: 'right' });
-    // VAT%
-    this.doc.text(`${vatPct || 0}%`, vatPctX, rowY, { width: vatPctW, align: 'right' });
-    // VAT Amount
-    this.doc.text(vatAmount.toFixed(2), vatAmtX, rowY, { width: vatAmtW, align: 'right' });
-    // Amount incl VAT
-    this.doc.text(amountInclVat.toFixed(2), amountInclX, rowY, { width: amountInclW, align: 'right' });
+    lineRows.forEach((row, index) => {
+      const rowY = firstRowY + (index * rowSpacing);
+      // Description (left aligned)
+      // The quantity column is narrow, so the unit goes with the description
+      const description = [row.product, row.description].filter(Boolean).join(' - ') + (row.unit ? ` (${row.unit})` : '');
+      this.doc.text(description, descX, rowY, { width: descW, height: rowSpacing, ellipsis: true });
+      // Qty (right aligned)
+      this.doc.text(String(row.quantity || 0), qtyX, rowY, { width: qtyW, align: 'right' });
+      // Unit Price
+      this.doc.text((row.rate || 0).toFixed(2), unitX, rowY, { width: unitW, align: 'right' });
+      // Amount (subtotal after line discount)
+      this.doc.text(row.subtotal.toFixed(2), amtX, rowY, { width: amtW, align: 'right' });
+      // VAT%
+      this.doc.text(`${row.vatPct || 0}%`, vatPctX, rowY, { width: vatPctW, align: 'right' });
+      // VAT Amount
+      this.doc.text(row.vatAmount.toFixed(2), vatAmtX, rowY, { width: vatAmtW, align: 'right' });
+      // Amount incl VAT
+      this.doc.text(row.amountInclVat.toFixed(2), amountInclX, rowY, { width: amountInclW, align: 'right' });
+    });
 
     // Totals (bottom-right box on pre-printed form)
     const totalsX = width - 160;
@@ -222,7 +249,7 @@ class PDFGenerator {
   }
 
   // Add company header
-  addHeader(companyName = this.companyName) {
+  addHeader(companyName = this.companyName, title = 'SALES REPORT') {
     this.doc.fillColor('#1a365d');
     this.doc.fontSize(24).font('Helvetica-Bold');
     this.doc.text(companyName, { align: 'center' });
@@ -230,7 +257,7 @@ class PDFGenerator {
     this.doc.moveDown(1);
     this.doc.fontSize(14).font('Helvetica');
     this.doc.fillColor('#4a5568');
-    this.doc.text('SALES REPORT', { align: 'center' });
+    this.doc.text(title, { align: 'center' });
     
     this.doc.moveDown(2); // Increased spacing after header
     this.currentY = this.doc.y;
@@ -507,8 +534,9 @@ class PDFGenerator {
      
      // Rate
      this.doc.font('Helvetica-Bold');
-     const rateValue = sale.rate || 0;
-     this.doc.text(`AED ${rateValue.toLocaleString()}`, x + 5, y + 10, { width: columnWidths[5] - 10, align: 'right' });
+     // Multi-line invoices have no single rate
+     const rateText = sale.rate === null || sale.rate === undefined ? '-' : `AED ${sale.rate.toLocaleString()}`;
+     this.doc.text(rateText, x + 5, y + 10, { width: columnWidths[5] - 10, align: 'right' });
      x += columnWidths[5];
      
      // Quantity
@@ -611,12 +639,12 @@ class PDFGenerator {
   }
 
   // Add footer with improved formatting
-  addFooter() {
+  addFooter(title = 'Sales Report') {
     const footerY = this.pageHeight - 50;
     
     this.doc.fontSize(8).font('Helvetica');
     this.doc.fillColor('#718096');
-    this.doc.text(`${this.companyName} - Sales Report`, this.margin, footerY);
+    this.doc.text(`${this.companyName} - ${title}`, this.margin, footerY);
     this.doc.text(`Page ${this.doc.bufferedPageRange().count}`, this.pageWidth - this.margin - 50, footerY);
     
     // Format footer with single line generation info
@@ -732,16 +760,20 @@ class PDFGenerator {
     this.doc.text('PURCHASE DETAILS', this.margin, this.currentY);
     this.doc.moveDown(3); // Increased spacing after heading
 
-    // Table headers for purchases
-    const headers = ['Container', 'Product', 'Quantity', 'Rate (PKR)', 'Total PKR', 'Total AED', 'Created'];
-    const columnWidths = [75, 110, 55, 75, 75, 75, 70]; // Total: 535
-    const totalWidth = columnWidths.reduce((a, b) => a + b, 0);
+    // Table headers for purchases; one row per product line with its share of the charges
+    const headers = ['Container', 'Product', 'Qty', 'Rate (PKR)', 'Charges (PKR)', 'Total PKR', 'Total AED', 'Unit AED', 'Created'];
+    const columnWidths = [65, 85, 40, 60, 60, 65, 60, 45, 55]; // Total: 535
+    const rows = purchases.flatMap(purchase => purchase.lines.map(line => ({
+      ...line,
+      containerNo: purchase.containerNo,
+      createdAt: purchase.createdAt
+    })));
 
     this.drawTableHeader(headers, columnWidths, this.currentY + 10);
     this.currentY += 35;
 
     // Table rows
-    purchases.forEach((purchase, index) => {
+    rows.forEach((purchase, index) => {
       // Check if we need a new page - improved logic to prevent splitting rows
       const rowHeight = 30; // Increased row height by 1.5x (20 * 1.5 = 30)
       
@@ -780,26 +812,37 @@ class PDFGenerator {
     x += columnWidths[1];
     
     // Quantity
-    this.doc.text(purchase.quantity.toString(), x + 5, y + 8, { width: columnWidths[2] - 10, align: 'center' }); // Adjusted y offset
+    const quantityText = purchase.unit ? `${purchase.quantity} ${purchase.unit}` : purchase.quantity.toString();
+    this.doc.text(quantityText, x + 5, y + 8, { width: columnWidths[2] - 10, align: 'center' }); // Adjusted y offset
     x += columnWidths[2];
     
     // Rate (PKR)
     this.doc.font('Helvetica-Bold');
-    this.doc.text(`PKR ${purchase.rate.toLocaleString()}`, x + 5, y + 8, { width: columnWidths[3] - 10, align: 'right' }); // Adjusted y offset
+    this.doc.text(purchase.rate.toLocaleString(), x + 5, y + 8, { width: columnWidths[3] - 10, align: 'right' }); // Adjusted y offset
     x += columnWidths[3];
+
+    // Allocated charges (PKR)
+    this.doc.font('Helvetica');
+    this.doc.text((purchase.chargesPKR || 0).toLocaleString(), x + 5, y + 8, { width: columnWidths[4] - 10, align: 'right' });
+    x += columnWidths[4];
     
     // Total PKR
-    this.doc.text(`PKR ${purchase.totalPKR.toLocaleString()}`, x + 5, y + 8, { width: columnWidths[4] - 10, align: 'right' }); // Adjusted y offset
-    x += columnWidths[4];
+    this.doc.font('Helvetica-Bold');
+    this.doc.text(purchase.totalPKR.toLocaleString(), x + 5, y + 8, { width: columnWidths[5] - 10, align: 'right' }); // Adjusted y offset
+    x += columnWidths[5];
     
     // Total AED
-    this.doc.text(`AED ${purchase.totalAED.toLocaleString()}`, x + 5, y + 8, { width: columnWidths[5] - 10, align: 'right' }); // Adjusted y offset
-    x += columnWidths[5];
+    this.doc.text(purchase.totalAED.toLocaleString('en-AE', { maximumFractionDigits: 2 }), x + 5, y + 8, { width: columnWidths[6] - 10, align: 'right' }); // Adjusted y offset
+    x += columnWidths[6];
+
+    // Landed cost per unit (AED)
+    this.doc.font('Helvetica');
+    this.doc.text((purchase.unitCostAED || 0).toLocaleString('en-AE', { maximumFractionDigits: 2 }), x + 5, y + 8, { width: columnWidths[7] - 10, align: 'right' });
+    x += columnWidths[7];
     
     // Created Date
-    this.doc.font('Helvetica');
     const createdDate = new Date(purchase.createdAt).toLocaleDateString('en-GB');
-    this.doc.text(createdDate, x + 5, y + 8, { width: columnWidths[6] - 10 }); // Adjusted y offset
+    this.doc.text(createdDate, x + 5, y + 8, { width: columnWidths[8] - 10 }); // Adjusted y offset
   }
 
   // Add cost breakdown section
@@ -1035,7 +1078,7 @@ class PDFGenerator {
 
   // Generate customer outstanding amounts report
   generateCustomerOutstandingReport(res, outstandingData, options = {}) {
-    const { groupBy = 'customer' } = options;
+    const { groupBy = 'customer', totalUnappliedCredit = 0 } = options;
     const rows = Array.isArray(outstandingData) ? outstandingData : [];
     const doc = this.initDocument(res, `customer-outstanding-${new Date().toISOString().split('T')[0]}.pdf`);
     
@@ -1061,6 +1104,9 @@ class PDFGenerator {
       return sum + (entry.totalOutstanding || 0);
     }, 0);
     
+    // Credit notes already reduce the outstanding figures; shown for reference
+    const totalCredited = rows.reduce((sum, entry) => sum + (entry.totalCredited || 0), 0);
+    
     const totalCustomers = groupBy === 'product'
       ? rows.reduce((sum, entry) => sum + ((entry.customers || []).length), 0)
       : rows.length;
@@ -1077,9 +1123,18 @@ class PDFGenerator {
       this.doc.text(`Total Products: ${totalProducts}`, this.margin, 140);
       this.doc.text(`Total Customers with Outstanding: ${totalCustomers}`, this.margin, 155);
       this.doc.text(`Total Outstanding Amount: AED ${totalOutstanding.toLocaleString()}`, this.margin, 170);
+      if (totalCredited > 0) {
+        this.doc.text(`Credit Notes Applied: AED ${totalCredited.toLocaleString()}`, this.margin, 185);
+      }
     } else {
       this.doc.text(`Total Customers with Outstanding: ${totalCustomers}`, this.margin, 140);
       this.doc.text(`Total Outstanding Amount: AED ${totalOutstanding.toLocaleString()}`, this.margin, 155);
+      if (totalCredited > 0) {
+        this.doc.text(`Credit Notes Applied: AED ${totalCredited.toLocaleString()}`, this.margin, 170);
+      }
+      if (totalUnappliedCredit > 0) {
+        this.doc.text(`Unapplied Customer Credit: AED ${totalUnappliedCredit.toLocaleString()}`, this.margin, totalCredited > 0 ? 185 : 170);
+      }
     }
     
     const columnWidths = [250, 120, 120];
@@ -1150,7 +1205,9 @@ class PDFGenerator {
       });
     };
     
-    this.currentY = groupBy === 'product' ? 190 : 180;
+    this.currentY = (groupBy === 'product' ? 190 : 180)
+      + (totalCredited > 0 ? 15 : 0)
+      + (groupBy !== 'product' && totalUnappliedCredit > 0 ? 15 : 0);
     this.doc.y = this.currentY;
     
     if (groupBy === 'product') {
@@ -1897,6 +1954,1069 @@ class PDFGenerator {
     return csv;
   }
 
+  // Generate credit note (sales return) document
+  generateCreditNote(res, creditNote, options = {}) {
+    const { invoiceDate = null } = options;
+    const doc = this.initDocument(res, `credit-note-${creditNote.creditNoteNumber}.pdf`);
+
+    this.addHeader(this.companyName, 'CREDIT NOTE');
+
+    if (this.companyTRN) {
+      this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+      this.doc.text(`TRN - ${this.companyTRN}`, this.margin, this.currentY - 20, { width: this.contentWidth, align: 'center' });
+    }
+
+    // Document details
+    const detailsY = this.currentY;
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '-');
+    const invoiceText = invoiceDate
+      ? `${creditNote.invoiceNumber} (${formatDate(invoiceDate)})`
+      : creditNote.invoiceNumber;
+    const leftDetails = [
+      ['Credit Note No', creditNote.creditNoteNumber],
+      ['Date', formatDate(creditNote.creditNoteDate)],
+      ['Against Invoice', invoiceText]
+    ];
+    const rightDetails = [
+      ['Customer', creditNote.customer || '-'],
+      ['Container No', creditNote.containerNo || '-'],
+      ['Type', (creditNote.type || 'return').toUpperCase()]
+    ];
+
+    this.doc.fontSize(10).fillColor('#2d3748');
+    [leftDetails, rightDetails].forEach((details, column) => {
+      const x = this.margin + (column * (this.contentWidth / 2));
+      details.forEach(([label, value], index) => {
+        const y = detailsY + (index * 16);
+        this.doc.font('Helvetica-Bold').text(`${label}:`, x, y, { width: 95 });
+        this.doc.font('Helvetica').text(value, x + 95, y, { width: (this.contentWidth / 2) - 100, ellipsis: true });
+      });
+    });
+    this.currentY = detailsY + (leftDetails.length * 16) + 10;
+
+    if (creditNote.reason) {
+      this.doc.font('Helvetica-Bold').text('Reason:', this.margin, this.currentY, { width: 95 });
+      this.doc.font('Helvetica').text(creditNote.reason, this.margin + 95, this.currentY, { width: this.contentWidth - 95 });
+      this.currentY = this.doc.y + 10;
+    }
+
+    // Lines table
+    const headers = ['#', 'Product', 'Marka', 'Qty', 'Rate', 'Amount', 'VAT %', 'VAT', 'Total'];
+    const columnWidths = [25, 120, 70, 40, 50, 55, 40, 50, 65];
+    const alignments = ['left', 'left', 'left', 'right', 'right', 'right', 'right', 'right', 'right'];
+    const rowHeight = 22;
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+
+    this.currentY += 10;
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    (creditNote.lines || []).forEach((line, index) => {
+      if (this.currentY + rowHeight > this.pageHeight - 140) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(index % 2 === 0 ? '#f7fafc' : 'white');
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fillColor('black').fontSize(8).font('Helvetica');
+
+      const values = [
+        String(index + 1),
+        [line.product, line.description].filter(Boolean).join(' - '),
+        line.marka || '-',
+        line.quantity ? String(line.quantity) : '-',
+        line.quantity ? Number(line.rate || 0).toFixed(2) : '-',
+        Number(line.subtotal || 0).toFixed(2),
+        `${line.vatPercentage || 0}%`,
+        Number(line.vatAmount || 0).toFixed(2),
+        Number(line.amount || 0).toFixed(2)
+      ];
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        this.doc.text(value, x + 5, this.currentY + 7, { width: columnWidths[i] - 10, align: alignments[i], height: rowHeight - 7, ellipsis: true });
+        x += columnWidths[i];
+      });
+
+      this.currentY += rowHeight;
+    });
+
+    // Totals
+    const totalsX = this.margin + tableWidth - 200;
+    const totals = [
+      ['Subtotal', creditNote.subtotal],
+      ['VAT Amount', creditNote.vatAmount],
+      ['Total Credit', creditNote.amount]
+    ];
+    this.currentY += 15;
+    totals.forEach(([label, value], index) => {
+      const isTotal = index === totals.length - 1;
+      this.doc.fontSize(isTotal ? 11 : 10).font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fillColor('#2d3748');
+      this.doc.text(label, totalsX, this.currentY, { width: 100 });
+      this.doc.text(`AED ${Number(value || 0).toFixed(2)}`, totalsX + 100, this.currentY, { width: 100, align: 'right' });
+      this.currentY += 18;
+    });
+
+    this.addFooter('Credit Note');
+
+    doc.end();
+  }
+
+  // Generate quotation / proforma invoice
+  generateQuotation(res, quotation) {
+    const isProforma = quotation.type === 'proforma';
+    const doc = this.initDocument(res, `${isProforma ? 'proforma' : 'quotation'}-${quotation.quotationNumber}.pdf`);
+
+    this.addHeader(this.companyName, isProforma ? 'PROFORMA INVOICE' : 'QUOTATION');
+
+    if (this.companyTRN) {
+      this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+      this.doc.text(`TRN - ${this.companyTRN}`, this.margin, this.currentY - 20, { width: this.contentWidth, align: 'center' });
+    }
+
+    // Document details
+    const detailsY = this.currentY;
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '-');
+    const leftDetails = [
+      [isProforma ? 'Proforma No' : 'Quotation No', quotation.quotationNumber],
+      ['Date', formatDate(quotation.quotationDate)],
+      ['Valid Until', formatDate(quotation.validUntil)]
+    ];
+    const rightDetails = [
+      ['Customer', quotation.customer || '-'],
+      ['Container No', quotation.containerNo || '-'],
+      ['Supplier', quotation.supplier || '-']
+    ];
+
+    this.doc.fontSize(10).fillColor('#2d3748');
+    [leftDetails, rightDetails].forEach((details, column) => {
+      const x = this.margin + (column * (this.contentWidth / 2));
+      details.forEach(([label, value], index) => {
+        const y = detailsY + (index * 16);
+        this.doc.font('Helvetica-Bold').text(`${label}:`, x, y, { width: 95 });
+        this.doc.font('Helvetica').text(value, x + 95, y, { width: (this.contentWidth / 2) - 100, ellipsis: true });
+      });
+    });
+    this.currentY = detailsY + (leftDetails.length * 16) + 10;
+
+    // Lines table
+    const headers = ['#', 'Product', 'Marka', 'Qty', 'Rate', 'Disc.', 'VAT %', 'VAT', 'Total'];
+    const columnWidths = [25, 120, 70, 40, 50, 55, 40, 50, 65];
+    const alignments = ['left', 'left', 'left', 'right', 'right', 'right', 'right', 'right', 'right'];
+    const rowHeight = 22;
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+
+    this.currentY += 10;
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    (quotation.lines || []).forEach((line, index) => {
+      if (this.currentY + rowHeight > this.pageHeight - 140) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(index % 2 === 0 ? '#f7fafc' : 'white');
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fillColor('black').fontSize(8).font('Helvetica');
+
+      const values = [
+        String(index + 1),
+        [line.product, line.description].filter(Boolean).join(' - '),
+        line.marka || '-',
+        String(line.quantity || 0),
+        Number(line.rate || 0).toFixed(2),
+        Number(line.discount || 0).toFixed(2),
+        `${line.vatPercentage || 0}%`,
+        Number(line.vatAmount || 0).toFixed(2),
+        Number(line.amount || 0).toFixed(2)
+      ];
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        this.doc.text(value, x + 5, this.currentY + 7, { width: columnWidths[i] - 10, align: alignments[i], height: rowHeight - 7, ellipsis: true });
+        x += columnWidths[i];
+      });
+
+      this.currentY += rowHeight;
+    });
+
+    // Totals
+    const totalsX = this.margin + tableWidth - 200;
+    const totals = [
+      ['Subtotal', quotation.subtotal],
+      ['Discount', quotation.discountTotal],
+      ['VAT Amount', quotation.vatAmount],
+      ['Total', quotation.amount]
+    ];
+    this.currentY += 15;
+    totals.forEach(([label, value], index) => {
+      const isTotal = index === totals.length - 1;
+      this.doc.fontSize(isTotal ? 11 : 10).font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fillColor('#2d3748');
+      this.doc.text(label, totalsX, this.currentY, { width: 100 });
+      this.doc.text(`AED ${Number(value || 0).toFixed(2)}`, totalsX + 100, this.currentY, { width: 100, align: 'right' });
+      this.currentY += 18;
+    });
+
+    if (quotation.notes) {
+      this.currentY += 10;
+      this.doc.fontSize(10).font('Helvetica-Bold').fillColor('#2d3748').text('Notes:', this.margin, this.currentY, { width: 95 });
+      this.doc.font('Helvetica').text(quotation.notes, this.margin + 95, this.currentY, { width: this.contentWidth - 95 });
+      this.currentY = this.doc.y + 10;
+    }
+
+    this.doc.fontSize(9).font('Helvetica-Oblique').fillColor('#4a5568');
+    this.doc.text(
+      `This ${isProforma ? 'proforma invoice' : 'quotation'} is valid until ${formatDate(quotation.validUntil)}. It is not a tax invoice.`,
+      this.margin,
+      this.currentY + 5,
+      { width: this.contentWidth }
+    );
+
+    this.addFooter(isProforma ? 'Proforma Invoice' : 'Quotation');
+
+    doc.end();
+  }
+
+  // Generate customer statement of account with running balance
+  generateCustomerStatement(res, statement) {
+    const { customer, period } = statement;
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-AE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const safeName = (customer.name || 'customer').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    const doc = this.initDocument(res, `statement-${safeName}-${new Date(period.endDate).toISOString().split('T')[0]}.pdf`);
+
+    this.addHeader(this.companyName, 'STATEMENT OF ACCOUNT');
+
+    // Customer and period
+    this.doc.fontSize(10).fillColor('#2d3748');
+    this.doc.font('Helvetica-Bold').text('Customer:', this.margin, this.currentY, { width: 70 });
+    this.doc.font('Helvetica').text(customer.name, this.margin + 70, this.currentY, { width: 230 });
+    this.doc.font('Helvetica-Bold').text('Period:', this.margin + 310, this.currentY, { width: 50 });
+    this.doc.font('Helvetica').text(`${formatDate(period.startDate)} - ${formatDate(period.endDate)}`, this.margin + 360, this.currentY, { width: 155 });
+    this.currentY += 16;
+    if (customer.trn) {
+      this.doc.font('Helvetica-Bold').text('TRN:', this.margin, this.currentY, { width: 70 });
+      this.doc.font('Helvetica').text(customer.trn, this.margin + 70, this.currentY, { width: 230 });
+      this.currentY += 16;
+    }
+    this.currentY += 10;
+
+    const headers = ['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'];
+    const columnWidths = [55, 60, 70, 150, 60, 60, 60];
+    const alignments = ['left', 'left', 'left', 'left', 'right', 'right', 'right'];
+    const rowHeight = 20;
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+    const typeLabels = {
+      invoice: 'Invoice',
+      payment: 'Payment',
+      receipt: 'Receipt',
+      discount: 'Discount',
+      credit_note: 'Credit Note'
+    };
+
+    const drawRow = (values, index, bold = false) => {
+      if (this.currentY + rowHeight > this.pageHeight - 80) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fillColor('black').fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        this.doc.text(value, x + 5, this.currentY + 6, { width: columnWidths[i] - 10, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+        x += columnWidths[i];
+      });
+      this.currentY += rowHeight;
+    };
+
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    drawRow([formatDate(period.startDate), '', '', 'Opening balance', '', '', formatAmount(statement.openingBalance)], 0, true);
+    statement.transactions.forEach((transaction, index) => {
+      drawRow([
+        formatDate(transaction.date),
+        typeLabels[transaction.type] || transaction.type,
+        transaction.reference || '',
+        transaction.description || '',
+        transaction.debit ? formatAmount(transaction.debit) : '',
+        transaction.credit ? formatAmount(transaction.credit) : '',
+        formatAmount(transaction.balance)
+      ], index + 1);
+    });
+    drawRow([
+      formatDate(period.endDate),
+      '',
+      '',
+      'Closing balance',
+      formatAmount(statement.totals.debit),
+      formatAmount(statement.totals.credit),
+      formatAmount(statement.closingBalance)
+    ], 0, true);
+
+    // Amount due summary
+    this.currentY += 15;
+    this.doc.fontSize(11).font('Helvetica-Bold').fillColor('#2d3748');
+    const closingLabel = statement.closingBalance < 0 ? 'Balance in your favour' : 'Amount due';
+    this.doc.text(`${closingLabel}: AED ${formatAmount(Math.abs(statement.closingBalance))}`, this.margin, this.currentY, { width: tableWidth, align: 'right' });
+
+    if (statement.unappliedCredit > 0) {
+      this.currentY += 18;
+      this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+      this.doc.text(`Unapplied credit on account: AED ${formatAmount(statement.unappliedCredit)}`, this.margin, this.currentY, { width: tableWidth, align: 'right' });
+    }
+
+    this.addFooter('Statement of Account');
+
+    doc.end();
+  }
+
+  // Generate supplier statement of account (PKR and AED running balances)
+  generateSupplierStatement(res, statement) {
+    const { supplier, period } = statement;
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const safeName = (supplier.name || 'supplier').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    const doc = this.initDocument(res, `supplier-statement-${safeName}-${new Date(period.endDate).toISOString().split('T')[0]}.pdf`);
+
+    this.addHeader(this.companyName, 'SUPPLIER STATEMENT OF ACCOUNT');
+
+    // Supplier and period
+    this.doc.fontSize(10).fillColor('#2d3748');
+    this.doc.font('Helvetica-Bold').text('Supplier:', this.margin, this.currentY, { width: 70 });
+    this.doc.font('Helvetica').text(supplier.name, this.margin + 70, this.currentY, { width: 230 });
+    this.doc.font('Helvetica-Bold').text('Period:', this.margin + 310, this.currentY, { width: 50 });
+    this.doc.font('Helvetica').text(`${formatDate(period.startDate)} - ${formatDate(period.endDate)}`, this.margin + 360, this.currentY, { width: 155 });
+    this.currentY += 16;
+    if (supplier.marka || statement.containerNo) {
+      this.doc.font('Helvetica-Bold').text(supplier.marka ? 'Marka:' : '', this.margin, this.currentY, { width: 70 });
+      this.doc.font('Helvetica').text(supplier.marka || '', this.margin + 70, this.currentY, { width: 230 });
+      if (statement.containerNo) {
+        this.doc.font('Helvetica-Bold').text('Container:', this.margin + 310, this.currentY, { width: 50 });
+        this.doc.font('Helvetica').text(statement.containerNo, this.margin + 360, this.currentY, { width: 155 });
+      }
+      this.currentY += 16;
+    }
+    this.currentY += 10;
+
+    const headers = ['Date', 'Type', 'Reference', 'Description', 'Rate', 'PKR', 'Balance PKR', 'AED', 'Balance AED'];
+    const columnWidths = [46, 48, 60, 106, 34, 58, 62, 49, 52];
+    const alignments = ['left', 'left', 'left', 'left', 'right', 'right', 'right', 'right', 'right'];
+    const rowHeight = 20;
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+    const typeLabels = {
+      purchase: 'Purchase',
+      settlement: 'Net Sale',
+      payment: 'Payment'
+    };
+
+    const drawRow = (values, index, bold = false) => {
+      if (this.currentY + rowHeight > this.pageHeight - 80) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fillColor('black').fontSize(7).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+        x += columnWidths[i];
+      });
+      this.currentY += rowHeight;
+    };
+
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    drawRow([formatDate(period.startDate), '', '', 'Opening balance', '', '', formatAmount(statement.openingBalance.pkr), '', formatAmount(statement.openingBalance.aed)], 0, true);
+    statement.transactions.forEach((transaction, index) => {
+      drawRow([
+        formatDate(transaction.date),
+        typeLabels[transaction.type] || transaction.type,
+        transaction.reference || '',
+        transaction.description || '',
+        transaction.transferRate ? String(transaction.transferRate) : '',
+        formatAmount(transaction.amountPKR),
+        formatAmount(transaction.balancePKR),
+        formatAmount(transaction.amountAED),
+        formatAmount(transaction.balanceAED)
+      ], index + 1);
+    });
+    drawRow([formatDate(period.endDate), '', '', 'Closing balance', '', '', formatAmount(statement.closingBalance.pkr), '', formatAmount(statement.closingBalance.aed)], 0, true);
+
+    // Period totals
+    this.currentY += 15;
+    if (this.currentY + 80 > this.pageHeight - 80) {
+      this.addNewPage();
+    }
+    const { totals } = statement;
+    this.doc.fontSize(9).font('Helvetica').fillColor('#4a5568');
+    [
+      ['Purchases', totals.purchases],
+      ['Net sales settled', totals.settlements],
+      ['Payments sent', totals.payments]
+    ].forEach(([label, total]) => {
+      this.doc.text(`${label}: PKR ${formatAmount(total.pkr)} | AED ${formatAmount(total.aed)}`, this.margin, this.currentY, { width: tableWidth, align: 'right' });
+      this.currentY += 14;
+    });
+
+    this.currentY += 6;
+    this.doc.fontSize(11).font('Helvetica-Bold').fillColor('#2d3748');
+    const closingLabel = statement.closingBalance.pkr < 0 ? 'Paid in advance' : 'Balance payable';
+    this.doc.text(
+      `${closingLabel}: PKR ${formatAmount(Math.abs(statement.closingBalance.pkr))} | AED ${formatAmount(Math.abs(statement.closingBalance.aed))}`,
+      this.margin,
+      this.currentY,
+      { width: tableWidth, align: 'right' }
+    );
+
+    this.addFooter('Supplier Statement of Account');
+
+    doc.end();
+  }
+
+  // Generate receivables aging report (outstanding by days past due per customer)
+  generateReceivablesAgingReport(res, report) {
+    const doc = this.initDocument(res, `receivables-aging-${new Date().toISOString().split('T')[0]}.pdf`);
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-AE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    this.addHeader(this.companyName, 'RECEIVABLES AGING REPORT');
+
+    // Filters and generation date
+    const filterParts = [`As of ${new Date(report.generatedAt).toLocaleDateString('en-GB')}`];
+    if (report.filters.search) filterParts.push(`Customer: ${report.filters.search}`);
+    if (report.filters.status) filterParts.push(`Status: ${report.filters.status.replace('_', ' ')}`);
+    if (report.filters.products.length > 0) filterParts.push(`Products: ${report.filters.products.join(', ')}`);
+    if (report.filters.categories.length > 0) filterParts.push(`Categories: ${report.filters.categories.length} selected`);
+    this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+    this.doc.text(filterParts.join(' | '), this.margin, this.currentY, { width: this.contentWidth });
+    this.currentY = this.doc.y + 15;
+
+    // Bucket columns share the width left after customer, total and invoice count
+    const customerWidth = 130;
+    const totalWidth = 70;
+    const invoicesWidth = 40;
+    const bucketWidth = (this.contentWidth - customerWidth - totalWidth - invoicesWidth) / report.buckets.length;
+    const columnWidths = [customerWidth, ...report.buckets.map(() => bucketWidth), totalWidth, invoicesWidth];
+    const headers = ['Customer', ...report.buckets.map(bucket => bucket.label), 'Total', 'Inv.'];
+    const alignments = ['left', ...report.buckets.map(() => 'right'), 'right', 'right'];
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 20;
+    const fontSize = report.buckets.length > 6 ? 6 : 8;
+
+    const drawRow = (values, index, bold = false) => {
+      if (this.currentY + rowHeight > this.pageHeight - 80) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fillColor('black').fontSize(fontSize).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+        x += columnWidths[i];
+      });
+      this.currentY += rowHeight;
+    };
+
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    report.customers.forEach((customer, index) => {
+      drawRow([
+        customer.customerName || '-',
+        ...report.buckets.map(bucket => formatAmount(customer.buckets[bucket.key])),
+        formatAmount(customer.totalOutstanding),
+        String(customer.invoiceCount)
+      ], index);
+    });
+
+    drawRow([
+      `Total (${report.totals.totalCustomers} customers)`,
+      ...report.buckets.map(bucket => formatAmount(report.totals.buckets[bucket.key])),
+      formatAmount(report.totals.totalOutstanding),
+      String(report.totals.invoiceCount)
+    ], 0, true);
+
+    this.addFooter('Receivables Aging');
+
+    doc.end();
+  }
+
+  // Generate stock report (bags left per container and product)
+  generateStockReport(res, report) {
+    const doc = this.initDocument(res, `stock-report-${new Date().toISOString().split('T')[0]}.pdf`);
+    const formatQuantity = (value) => Number(value || 0).toLocaleString('en-AE', { maximumFractionDigits: 3 });
+
+    this.addHeader(this.companyName, 'STOCK REPORT');
+
+    const filterParts = [`As of ${new Date(report.generatedAt).toLocaleDateString('en-GB')}`];
+    if (report.filters.containerNo) filterParts.push(`Container: ${report.filters.containerNo}`);
+    if (report.filters.product) filterParts.push(`Product: ${report.filters.product}`);
+    if (report.filters.inStockOnly) filterParts.push('In stock only');
+    this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+    this.doc.text(filterParts.join(' | '), this.margin, this.currentY, { width: this.contentWidth });
+    this.currentY = this.doc.y + 15;
+
+    const headers = ['Container', 'Product', 'Unit', 'Purchased', 'Sold', 'Returned', 'Written Off', 'Available', 'Last Movement'];
+    const columnWidths = [80, 85, 35, 52, 52, 52, 52, 52, 55];
+    const alignments = ['left', 'left', 'left', 'right', 'right', 'right', 'right', 'right', 'right'];
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 20;
+
+    const drawRow = (values, index, bold = false, negative = false) => {
+      if (this.currentY + rowHeight > this.pageHeight - 80) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        // Oversold stock shows the available column in red
+        this.doc.fillColor(negative && i === 7 ? '#c53030' : 'black');
+        this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+        x += columnWidths[i];
+      });
+      this.currentY += rowHeight;
+    };
+
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    report.items.forEach((item, index) => {
+      drawRow([
+        item.containerNo || '-',
+        item.product || '-',
+        item.unit || '',
+        formatQuantity(item.purchased),
+        formatQuantity(item.sold),
+        formatQuantity(item.returned),
+        formatQuantity(item.writtenOff),
+        formatQuantity(item.available),
+        item.lastMovement ? new Date(item.lastMovement).toLocaleDateString('en-GB') : ''
+      ], index, false, item.available < 0);
+    });
+
+    drawRow([
+      `Total (${report.totals.containers} containers)`,
+      '',
+      '',
+      formatQuantity(report.totals.purchased),
+      formatQuantity(report.totals.sold),
+      formatQuantity(report.totals.returned),
+      formatQuantity(report.totals.writtenOff),
+      formatQuantity(report.totals.available),
+      ''
+    ], 0, true);
+
+    this.addFooter('Stock Report');
+
+    doc.end();
+  }
+
+  // Generate lot aging report (lots left by best-before date, most urgent first)
+  generateLotAgingReport(res, report) {
+    const doc = this.initDocument(res, `lot-aging-${new Date().toISOString().split('T')[0]}.pdf`);
+    const formatQuantity = (value) => Number(value || 0).toLocaleString('en-AE', { maximumFractionDigits: 3 });
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-AE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '-');
+    const statusLabels = { expired: 'Expired', expiring: 'Clear soon', fresh: 'Fresh', no_date: 'No date' };
+
+    this.addHeader(this.companyName, 'LOT AGING REPORT');
+
+    const filterParts = [`As of ${formatDate(report.generatedAt)}`, `Clear soon: within ${report.filters.days} days`];
+    if (report.filters.containerNo) filterParts.push(`Container: ${report.filters.containerNo}`);
+    if (report.filters.product) filterParts.push(`Product: ${report.filters.product}`);
+    if (report.filters.status.length > 0) filterParts.push(`Status: ${report.filters.status.map(status => statusLabels[status]).join(', ')}`);
+    this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+    this.doc.text(filterParts.join(' | '), this.margin, this.currentY, { width: this.contentWidth });
+    this.currentY = this.doc.y + 15;
+
+    const headers = ['Container', 'Product', 'Arrival', 'Best Before', 'Days Left', 'Remaining', 'Unit', 'Value AED', 'Status'];
+    const columnWidths = [75, 85, 55, 55, 40, 55, 35, 60, 55];
+    const alignments = ['left', 'left', 'left', 'left', 'right', 'right', 'left', 'right', 'left'];
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 20;
+
+    const drawRow = (values, index, bold = false, color = 'black') => {
+      if (this.currentY + rowHeight > this.pageHeight - 80) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        // Expired lots show in red and lots to clear soon in amber
+        this.doc.fillColor(i === 4 || i === 8 ? color : 'black');
+        this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+        x += columnWidths[i];
+      });
+      this.currentY += rowHeight;
+    };
+
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    report.items.forEach((item, index) => {
+      const color = { expired: '#c53030', expiring: '#b7791f' }[item.status] || 'black';
+      drawRow([
+        item.containerNo || '-',
+        item.product || '-',
+        formatDate(item.arrivalDate),
+        formatDate(item.bestBefore),
+        item.daysToExpiry === null ? '-' : String(item.daysToExpiry),
+        formatQuantity(item.remaining),
+        item.unit || '',
+        formatAmount(item.remainingValueAED),
+        statusLabels[item.status]
+      ], index, false, color);
+    });
+
+    drawRow([
+      `Total (${report.totals.lots} lots)`,
+      `Expired: ${report.totals.expired.lots}`,
+      '',
+      '',
+      '',
+      '',
+      '',
+      formatAmount(report.totals.valueAED),
+      ''
+    ], 0, true);
+
+    if (report.unallocated.length > 0) {
+      this.currentY += 15;
+      this.doc.fontSize(9).font('Helvetica').fillColor('#c53030');
+      const oversold = report.unallocated.map(entry => `${entry.containerNo} / ${entry.product}: ${formatQuantity(entry.quantity)}`);
+      this.doc.text(`Sold beyond received lots: ${oversold.join('; ')}`, this.margin, this.currentY, { width: this.contentWidth });
+      this.currentY = this.doc.y;
+    }
+
+    this.addFooter('Lot Aging Report');
+
+    doc.end();
+  }
+
+  // Generate container profitability ranking (revenue, landed cost and margin per container)
+  generateContainerProfitRanking(res, report) {
+    const doc = this.initDocument(res, `container-profitability-${new Date().toISOString().split('T')[0]}.pdf`);
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-AE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatPercent = (value) => (value === null ? '-' : `${value.toFixed(1)}%`);
+
+    this.addHeader(this.companyName, 'CONTAINER PROFITABILITY');
+
+    const filterParts = [];
+    if (report.filters.startDate || report.filters.endDate) {
+      const from = report.filters.startDate ? new Date(report.filters.startDate).toLocaleDateString('en-GB') : 'start';
+      const to = report.filters.endDate ? new Date(report.filters.endDate).toLocaleDateString('en-GB') : 'today';
+      filterParts.push(`Period: ${from} - ${to}`);
+    } else {
+      filterParts.push(`As of ${new Date(report.generatedAt).toLocaleDateString('en-GB')}`);
+    }
+    if (report.filters.search) filterParts.push(`Container: ${report.filters.search}`);
+    filterParts.push('Amounts in AED excluding VAT');
+    this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+    this.doc.text(filterParts.join(' | '), this.margin, this.currentY, { width: this.contentWidth });
+    this.currentY = this.doc.y + 15;
+
+    const headers = ['#', 'Container', 'Date', 'Products', 'Revenue', 'Landed Cost', 'Margin', 'Margin %'];
+    const columnWidths = [30, 85, 60, 90, 65, 65, 65, 55];
+    const alignments = ['right', 'left', 'left', 'left', 'right', 'right', 'right', 'right'];
+    const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 20;
+
+    const drawRow = (values, index, bold = false, loss = false) => {
+      if (this.currentY + rowHeight > this.pageHeight - 80) {
+        this.addNewPage();
+        this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+        this.currentY += 25;
+      }
+
+      this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+      this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+      this.doc.fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      let x = this.margin;
+      values.forEach((value, i) => {
+        // Loss-making margins are shown in red
+        this.doc.fillColor(loss && i >= 6 ? '#c53030' : 'black');
+        this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+        x += columnWidths[i];
+      });
+      this.currentY += rowHeight;
+    };
+
+    this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+    this.currentY += 25;
+
+    report.containers.forEach((container, index) => {
+      drawRow([
+        String(container.rank),
+        container.containerNo,
+        container.date ? new Date(container.date).toLocaleDateString('en-GB') : '',
+        container.products.join(', ') || '-',
+        formatAmount(container.revenue.net),
+        formatAmount(container.landedCost),
+        formatAmount(container.margin),
+        formatPercent(container.marginPercent)
+      ], index, false, container.margin < 0);
+    });
+
+    drawRow([
+      '',
+      `Total (${report.totals.containers})`,
+      '',
+      '',
+      formatAmount(report.totals.revenue),
+      formatAmount(report.totals.landedCost),
+      formatAmount(report.totals.margin),
+      formatPercent(report.totals.marginPercent)
+    ], 0, true, report.totals.margin < 0);
+
+    this.addFooter('Container Profitability');
+
+    doc.end();
+  }
+
+  // Generate the P&L of one container with the documents behind it
+  generateContainerProfit(res, profit) {
+    const doc = this.initDocument(res, `container-pl-${profit.containerNo}.pdf`);
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '');
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-AE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    this.addHeader(this.companyName, 'CONTAINER P&L');
+
+    const infoParts = [`Container: ${profit.containerNo}`];
+    if (profit.date) infoParts.push(`Date: ${formatDate(profit.date)}`);
+    if (profit.products.length > 0) infoParts.push(`Products: ${profit.products.join(', ')}`);
+    infoParts.push(`Purchased: ${profit.purchasedQuantity} | Sold: ${profit.soldQuantity}`);
+    infoParts.push('Amounts in AED excluding VAT');
+    this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+    this.doc.text(infoParts.join(' | '), this.margin, this.currentY, { width: this.contentWidth });
+    this.currentY = this.doc.y + 15;
+
+    const rowHeight = 20;
+    const drawRows = (headers, columnWidths, alignments, rows) => {
+      const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+      this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+      this.currentY += 25;
+
+      rows.forEach(({ values, bold = false }, index) => {
+        if (this.currentY + rowHeight > this.pageHeight - 80) {
+          this.addNewPage();
+          this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+          this.currentY += 25;
+        }
+
+        this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+        this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+        this.doc.fillColor('black').fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+        let x = this.margin;
+        values.forEach((value, i) => {
+          this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+          x += columnWidths[i];
+        });
+        this.currentY += rowHeight;
+      });
+    };
+
+    if (!profit.hasPurchase) {
+      this.doc.fontSize(9).font('Helvetica-Bold').fillColor('#c53030');
+      this.doc.text('No purchase is recorded for this container; landed cost is incomplete.', this.margin, this.currentY, { width: this.contentWidth });
+      this.currentY = this.doc.y + 10;
+    }
+
+    drawRows(
+      ['', 'Amount (AED)'],
+      [365, 150],
+      ['left', 'right'],
+      [
+        { values: ['Sales', formatAmount(profit.revenue.sales)] },
+        { values: ['Less: payment discounts', formatAmount(-profit.revenue.discounts)] },
+        { values: ['Less: credit notes', formatAmount(-profit.revenue.creditNotes)] },
+        { values: ['Net revenue', formatAmount(profit.revenue.net)], bold: true },
+        { values: ['Purchase (goods and charges)', formatAmount(profit.costs.purchase)] },
+        { values: ['Freight invoices', formatAmount(profit.costs.freight)] },
+        { values: ['Dubai transport invoices', formatAmount(profit.costs.dubaiTransport)] },
+        { values: ['Dubai clearance invoices', formatAmount(profit.costs.dubaiClearance)] },
+        { values: ['Container statement expenses', formatAmount(profit.costs.expenses)] },
+        { values: ['Landed cost', formatAmount(profit.landedCost)], bold: true },
+        { values: ['Margin', formatAmount(profit.margin)], bold: true },
+        { values: ['Margin %', profit.marginPercent === null ? '-' : `${profit.marginPercent.toFixed(1)}%`], bold: true }
+      ]
+    );
+
+    this.currentY += 20;
+    this.doc.fontSize(11).font('Helvetica-Bold').fillColor('#2d3748');
+    this.doc.text('Documents', this.margin, this.currentY);
+    this.currentY = this.doc.y + 8;
+
+    const documentTypes = {
+      purchase: 'Purchase',
+      sale: 'Invoice',
+      credit_note: 'Credit Note',
+      freight_invoice: 'Freight',
+      dubai_transport_invoice: 'Dubai Transport',
+      dubai_clearance_invoice: 'Clearance',
+      expense: 'Expense'
+    };
+    drawRows(
+      ['Date', 'Type', 'Reference', 'Description', 'Amount (AED)'],
+      [65, 80, 90, 190, 90],
+      ['left', 'left', 'left', 'left', 'right'],
+      profit.documents.map(document => ({
+        values: [
+          formatDate(document.date),
+          documentTypes[document.type] || document.type,
+          document.reference || '',
+          document.description || '',
+          formatAmount(document.amount)
+        ]
+      }))
+    );
+
+    this.addFooter('Container P&L');
+
+    doc.end();
+  }
+
+  // Generate supplier payables report (outstanding purchases per supplier)
+  generateSupplierPayablesReport(res, report) {
+    const doc = this.initDocument(res, `supplier-payables-${new Date().toISOString().split('T')[0]}.pdf`);
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '');
+
+    this.addHeader(this.companyName, 'SUPPLIER PAYABLES');
+
+    const filterParts = [`As of ${formatDate(report.generatedAt)}`];
+    if (report.filters.supplier) filterParts.push(`Supplier: ${report.filters.supplier}`);
+    if (report.filters.startDate || report.filters.endDate) {
+      filterParts.push(`Purchases: ${report.filters.startDate || 'start'} - ${report.filters.endDate || 'today'}`);
+    }
+    if (report.filters.includeSettled) filterParts.push('Including settled purchases');
+    this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+    this.doc.text(filterParts.join(' | '), this.margin, this.currentY, { width: this.contentWidth });
+    this.currentY = this.doc.y + 15;
+
+    const rowHeight = 20;
+    const drawRows = (headers, columnWidths, alignments, rows) => {
+      const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+      this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+      this.currentY += 25;
+
+      rows.forEach(({ values, bold = false }, index) => {
+        if (this.currentY + rowHeight > this.pageHeight - 80) {
+          this.addNewPage();
+          this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+          this.currentY += 25;
+        }
+
+        this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+        this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+        this.doc.fillColor('black').fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+        let x = this.margin;
+        values.forEach((value, i) => {
+          this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+          x += columnWidths[i];
+        });
+        this.currentY += rowHeight;
+      });
+    };
+
+    // Balance per supplier
+    drawRows(
+      ['Supplier', 'Purchases', 'Total PKR', 'Paid PKR', 'Outstanding PKR', 'Outstanding AED'],
+      [125, 50, 85, 85, 90, 80],
+      ['left', 'right', 'right', 'right', 'right', 'right'],
+      [
+        ...report.suppliers.map(row => ({
+          values: [
+            row.supplier,
+            String(row.purchaseCount),
+            formatAmount(row.totalPKR),
+            formatAmount(row.paidPKR),
+            formatAmount(row.outstandingPKR),
+            formatAmount(row.outstandingAED)
+          ]
+        })),
+        {
+          values: [
+            `Total (${report.summary.totalSuppliers} suppliers)`,
+            String(report.summary.totalPurchases),
+            formatAmount(report.summary.totalPKR),
+            formatAmount(report.summary.paidPKR),
+            formatAmount(report.summary.outstandingPKR),
+            formatAmount(report.summary.outstandingAED)
+          ],
+          bold: true
+        }
+      ]
+    );
+
+    // Purchases behind each balance
+    this.currentY += 20;
+    if (this.currentY + 80 > this.pageHeight - 80) this.addNewPage();
+    this.doc.fontSize(11).font('Helvetica-Bold').fillColor('#2d3748');
+    this.doc.text('Purchases', this.margin, this.currentY);
+    this.currentY = this.doc.y + 8;
+
+    drawRows(
+      ['Supplier', 'Container', 'Date', 'Total PKR', 'Paid PKR', 'Outstanding PKR', 'Rate', 'Outstanding AED'],
+      [85, 70, 55, 65, 65, 70, 35, 70],
+      ['left', 'left', 'left', 'right', 'right', 'right', 'right', 'right'],
+      report.suppliers.flatMap(row => row.purchases.map(purchase => ({
+        values: [
+          row.supplier,
+          purchase.containerNo,
+          formatDate(purchase.createdAt),
+          formatAmount(purchase.totalPKR),
+          formatAmount(purchase.paidPKR),
+          formatAmount(purchase.outstandingPKR),
+          String(purchase.transferRate),
+          formatAmount(purchase.outstandingAED)
+        ]
+      })))
+    );
+
+    this.addFooter('Supplier Payables');
+
+    doc.end();
+  }
+
+  // Generate VAT return (Form 201 boxes) with the documents behind each box
+  generateVatReturn(res, vatReturn) {
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+    const doc = this.initDocument(res, `vat-return-${new Date(vatReturn.period.startDate).toISOString().split('T')[0]}.pdf`);
+    const formatAmount = (value) => Number(value || 0).toLocaleString('en-AE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    this.addHeader(this.companyName, 'VAT RETURN');
+
+    const periodParts = [`Tax period: ${formatDate(vatReturn.period.startDate)} - ${formatDate(vatReturn.period.endDate)}`];
+    if (vatReturn.trn) periodParts.push(`TRN: ${vatReturn.trn}`);
+    this.doc.fontSize(10).font('Helvetica').fillColor('#4a5568');
+    this.doc.text(periodParts.join(' | '), this.margin, this.currentY, { width: this.contentWidth });
+    this.currentY = this.doc.y + 15;
+
+    const rowHeight = 20;
+    const drawRows = (headers, columnWidths, alignments, rows) => {
+      const tableWidth = columnWidths.reduce((a, b) => a + b, 0);
+      this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+      this.currentY += 25;
+
+      rows.forEach(({ values, bold = false }, index) => {
+        if (this.currentY + rowHeight > this.pageHeight - 80) {
+          this.addNewPage();
+          this.drawTableHeader(headers, columnWidths, this.currentY, alignments);
+          this.currentY += 25;
+        }
+
+        this.doc.fillColor(bold ? '#edf2f7' : (index % 2 === 0 ? '#f7fafc' : 'white'));
+        this.doc.rect(this.margin, this.currentY, tableWidth, rowHeight).fill();
+        this.doc.fillColor('black').fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+        let x = this.margin;
+        values.forEach((value, i) => {
+          this.doc.text(value, x + 3, this.currentY + 6, { width: columnWidths[i] - 6, align: alignments[i], height: rowHeight - 6, ellipsis: true });
+          x += columnWidths[i];
+        });
+        this.currentY += rowHeight;
+      });
+    };
+
+    // Return boxes; totals and the tax due are highlighted
+    const totalBoxes = ['8', '11', '12', '13', '14'];
+    drawRows(
+      ['Box', 'Description', 'Amount (AED)', 'VAT (AED)'],
+      [40, 275, 100, 100],
+      ['left', 'left', 'right', 'right'],
+      vatReturn.boxes.map(entry => ({
+        values: [
+          entry.box,
+          entry.label,
+          entry.amount === null ? '' : formatAmount(entry.amount),
+          formatAmount(entry.vat)
+        ],
+        bold: totalBoxes.includes(entry.box)
+      }))
+    );
+
+    // Supporting documents per box
+    const documentTypes = {
+      sale: 'Invoice',
+      credit_note: 'Credit Note',
+      purchase: 'Import',
+      dubai_clearance_invoice: 'Clearance',
+      dubai_transport_invoice: 'Transport'
+    };
+    vatReturn.boxes
+      .filter(entry => entry.hasDrillDown && entry.documentCount > 0)
+      .forEach((entry) => {
+        if (this.currentY + 80 > this.pageHeight - 80) {
+          this.addNewPage();
+        } else {
+          this.currentY += 20;
+        }
+
+        this.doc.fontSize(11).font('Helvetica-Bold').fillColor('#2d3748');
+        this.doc.text(`Box ${entry.box} - ${entry.label}`, this.margin, this.currentY, { width: this.contentWidth });
+        this.currentY = this.doc.y + 8;
+
+        drawRows(
+          ['Type', 'Number', 'Date', 'Party', 'Amount (AED)', 'VAT (AED)'],
+          [65, 85, 65, 140, 80, 80],
+          ['left', 'left', 'left', 'left', 'right', 'right'],
+          [
+            ...vatReturn.documents[entry.box].map(document => ({
+              values: [
+                documentTypes[document.documentType] || document.documentType,
+                document.reference ? `${document.number} (${document.reference})` : document.number,
+                formatDate(document.date),
+                document.party || '-',
+                formatAmount(document.amount),
+                formatAmount(document.vat)
+              ]
+            })),
+            {
+              values: [`Total (${entry.documentCount})`, '', '', '', formatAmount(entry.amount), formatAmount(entry.vat)],
+              bold: true
+            }
+          ]
+        );
+      });
+
+    this.addFooter('VAT Return');
+
+    doc.end();
+  }
+
   // Generate freight invoice
   generateFreightInvoice(res, invoice) {
     const filename = `freight-invoice-${invoice.invoice_number}.pdf`;
@@ -0,0 +1,111 @@
+const PriceList = require('../models/PriceList');
+const Sales = require('../models/Sales');
+const { exactRegex } = require('./query');
+
+// The price that applies to a customer is the most specific one valid on
+// the day: their own, then their price group's, then the general price.
+// Among prices of the same kind the one that started last wins. Products,
+// customer names and groups are matched ignoring case.
+
+const SCOPE_ORDER = { customer: 0, group: 1, default: 2 };
+
+const productKey = (product = '') => product.trim().toLowerCase();
+
+const uniqueProducts = (products = []) => [...new Set(products.filter(Boolean).map(product => product.trim()))];
+
+// Applicable price per product for the customer (a Customer document or
+// null for the general price) on `date`. Returns Map<lower-cased product, price>.
+const resolvePrices = async (organizationId, customerDoc, products, date = new Date()) => {
+  const names = uniqueProducts(products);
+  if (names.length === 0) return new Map();
+
+  const audience = [{ customerId: null, customerGroup: { $in: ['', null] } }];
+  if (customerDoc) {
+    audience.push({ customerId: customerDoc._id });
+    if (customerDoc.priceGroup && customerDoc.priceGroup.trim()) {
+      audience.push({ customerId: null, customerGroup: exactRegex(customerDoc.priceGroup) });
+    }
+  }
+
+  const prices = await PriceList.find({
+    organizationId,
+    isActive: true,
+    product: { $in: names.map(exactRegex) },
+    validFrom: { $lte: date },
+    $and: [
+      { $or: [{ validTo: null }, { validTo: { $gte: date } }] },
+      { $or: audience }
+    ]
+  }).sort({ validFrom: -1, createdAt: -1 });
+
+  const resolved = new Map();
+  prices
+    .sort((a, b) => SCOPE_ORDER[a.scope] - SCOPE_ORDER[b.scope])
+    .forEach((price) => {
+      const key = productKey(price.product);
+      if (!resolved.has(key)) resolved.set(key, price);
+    });
+  return resolved;
+};
+
+// Latest rate each product was sold to the customer at.
+// The rate is per the line's unit, with the unit snapshot to restate it in
+// the base unit. Returns Map<lower-cased product, { rate, quantity, unit,
+// unitFactor, baseUnit, marka, invoiceNumber, invoiceDate, containerNo }>.
+const getLastSaleRates = async (organizationId, customerDoc, products) => {
+  const names = uniqueProducts(products);
+  if (!customerDoc || names.length === 0) return new Map();
+
+  const sales = await Sales.find({
+    organizationId,
+    $or: [
+      { customerId: customerDoc._id },
+      { customerId: null, customer: exactRegex(customerDoc.ename) }
+    ],
+    // Sales saved before invoices had lines keep the product on the sale
+    $and: [{
+      $or: [
+        { 'lines.product': { $in: names.map(exactRegex) } },
+        { 'lines.0': { $exists: false }, product: { $in: names.map(exactRegex) } }
+      ]
+    }]
+  })
+    .select('invoiceNumber invoiceDate containerNo product marka quantity rate lines.product lines.marka lines.rate lines.quantity lines.unit lines.unitFactor lines.baseUnit')
+    .sort({ invoiceDate: -1, createdAt: -1 })
+    .limit(100)
+    .lean();
+
+  const wanted = new Set(names.map(productKey));
+  const lastRates = new Map();
+  sales.forEach((sale) => {
+    Sales.getLines(sale).forEach((line) => {
+      const key = productKey(line.product);
+      if (!wanted.has(key) || lastRates.has(key)) return;
+      lastRates.set(key, {
+        rate: line.rate,
+        quantity: line.quantity,
+        unit: line.unit || '',
+        unitFactor: line.unitFactor || 1,
+        baseUnit: line.baseUnit || '',
+        marka: line.marka,
+        invoiceNumber: sale.invoiceNumber,
+        invoiceDate: sale.invoiceDate,
+        containerNo: sale.containerNo
+      });
+    });
+  });
+  return lastRates;
+};
+
+// Rate a line actually goes for: its rate less its own discount per unit
+const getNetLineRate = (line) => {
+  const quantity = Number(line.quantity) || 0;
+  const discount = Number(line.discount) || 0;
+  return quantity > 0 ? (Number(line.rate) || 0) - discount / quantity : Number(line.rate) || 0;
+};
+
+module.exports = {
+  resolvePrices,
+  getLastSaleRates,
+  getNetLineRate
+};
@@ -0,0 +1,16 @@
+// Helpers for building MongoDB queries from user input
+
+// Escape text for use inside a regular expression
+const escapeRegex = (text = '') => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query condition matching `value` exactly, ignoring case and surrounding spaces
+const exactMatch = (value = '') => ({ $regex: `^${escapeRegex(value.trim())}$`, $options: 'i' });
+
+// The same as a RegExp, for use in `$in`
+const exactRegex = (value = '') => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+module.exports = {
+  escapeRegex,
+  exactMatch,
+  exactRegex
+};
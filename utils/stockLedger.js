@@ -0,0 +1,209 @@
+const Purchase = require('../models/Purchase');
+const Sales = require('../models/Sales');
+const CreditNote = require('../models/CreditNote');
+const StockWriteOff = require('../models/StockWriteOff');
+const { getBaseQuantity, roundQuantity } = require('./units');
+const { exactMatch } = require('./query');
+
+// Stock is not stored; it is worked out from the documents that move it.
+// A purchase brings a container's goods in on arrival, each sale line takes
+// them out, a credit note line with a returned quantity puts them back and a
+// write-off takes out spoiled goods. Containers
+// and products are matched ignoring case. Quantities are in each product's
+// base unit, so lines entered in bags and in kg add up.
+
+const stockKey = (containerNo = '', product = '') => `${containerNo.trim().toLowerCase()}|${product.trim().toLowerCase()}`;
+
+const LINE_UNIT_FIELDS = ['quantity', 'unit', 'unitFactor', 'baseUnit', 'baseQuantity'].map(field => `lines.${field}`).join(' ');
+
+// Movement fields of a document line: the base-unit quantity and the
+// quantity as entered
+const lineQuantities = (line) => ({
+  quantity: getBaseQuantity(line),
+  unit: line.baseUnit || '',
+  enteredQuantity: Number(line.quantity) || 0,
+  enteredUnit: line.unit || ''
+});
+
+// Every stock movement matching the filters, oldest first. Quantities are
+// signed: positive into stock, negative out of it. `lineId` is the purchase
+// line (lot) for purchases and write-offs and the invoice line for sales and
+// returns. `excludeSaleId` leaves a sale's own lines out, for checking an
+// edit against the stock it already took.
+const getStockMovements = async (organizationId, { containerNo = '', product = '', excludeSaleId = null } = {}) => {
+  const purchaseQuery = { organizationId };
+  const saleQuery = { organizationId };
+  const creditNoteQuery = { organizationId, 'lines.quantity': { $gt: 0 } };
+  const writeOffQuery = { organizationId };
+
+  if (containerNo) {
+    purchaseQuery.containerNo = exactMatch(containerNo);
+    saleQuery.containerNo = exactMatch(containerNo);
+    creditNoteQuery.containerNo = exactMatch(containerNo);
+    writeOffQuery.containerNo = exactMatch(containerNo);
+  }
+  if (product) {
+    purchaseQuery.$or = [{ 'lines.product': exactMatch(product) }, { product: exactMatch(product) }];
+    saleQuery.$or = [{ 'lines.product': exactMatch(product) }, { product: exactMatch(product) }];
+    creditNoteQuery['lines.product'] = exactMatch(product);
+    writeOffQuery.product = exactMatch(product);
+  }
+  if (excludeSaleId) {
+    saleQuery._id = { $ne: excludeSaleId };
+  }
+
+  const [purchases, sales, creditNotes, writeOffs] = await Promise.all([
+    Purchase.find(purchaseQuery).select(`containerNo product quantity lines._id lines.product ${LINE_UNIT_FIELDS} arrivalDate createdAt`).lean(),
+    Sales.find(saleQuery).select(`containerNo invoiceNumber invoiceDate customer product quantity lines._id lines.product ${LINE_UNIT_FIELDS}`).lean(),
+    CreditNote.find(creditNoteQuery).select(`containerNo creditNoteNumber creditNoteDate customer lines.saleLineId lines.product ${LINE_UNIT_FIELDS}`).lean(),
+    StockWriteOff.find(writeOffQuery).lean()
+  ]);
+
+  const productMatches = (name = '') => !product || name.trim().toLowerCase() === product.trim().toLowerCase();
+  const movements = [];
+
+  purchases.forEach((purchase) => {
+    Purchase.getLines(purchase).filter(line => productMatches(line.product)).forEach((line) => {
+      movements.push({
+        date: purchase.arrivalDate || purchase.createdAt,
+        type: 'purchase',
+        containerNo: purchase.containerNo,
+        product: line.product,
+        reference: purchase.containerNo,
+        party: '',
+        ...lineQuantities(line),
+        documentId: purchase._id,
+        lineId: String(line._id || purchase._id)
+      });
+    });
+  });
+
+  sales.forEach((sale) => {
+    Sales.getLines(sale).filter(line => productMatches(line.product)).forEach((line) => {
+      movements.push({
+        date: sale.invoiceDate,
+        type: 'sale',
+        containerNo: sale.containerNo,
+        product: line.product,
+        reference: sale.invoiceNumber,
+        party: sale.customer,
+        ...lineQuantities(line),
+        quantity: -getBaseQuantity(line),
+        documentId: sale._id,
+        lineId: String(line._id || sale._id)
+      });
+    });
+  });
+
+  creditNotes.forEach((creditNote) => {
+    creditNote.lines.filter(line => line.quantity > 0 && productMatches(line.product)).forEach((line) => {
+      movements.push({
+        date: creditNote.creditNoteDate,
+        type: 'return',
+        containerNo: creditNote.containerNo,
+        product: line.product,
+        reference: creditNote.creditNoteNumber,
+        party: creditNote.customer,
+        ...lineQuantities(line),
+        documentId: creditNote._id,
+        lineId: String(line.saleLineId)
+      });
+    });
+  });
+
+  writeOffs.forEach((writeOff) => {
+    movements.push({
+      date: writeOff.writeOffDate,
+      type: 'write_off',
+      containerNo: writeOff.containerNo,
+      product: writeOff.product,
+      reference: writeOff.writeOffNumber,
+      party: writeOff.reason,
+      ...lineQuantities(writeOff),
+      quantity: -getBaseQuantity(writeOff),
+      documentId: writeOff._id,
+      lineId: String(writeOff.lotId)
+    });
+  });
+
+  movements.sort((a, b) => new Date(a.date) - new Date(b.date));
+  return movements;
+};
+
+// Stock per container and product: purchased, sold, returned, written off
+// and available
+const summarizeStock = (movements) => {
+  const levels = new Map();
+
+  movements.forEach((movement) => {
+    const key = stockKey(movement.containerNo, movement.product);
+    if (!levels.has(key)) {
+      levels.set(key, {
+        containerNo: movement.containerNo,
+        product: movement.product,
+        unit: '',
+        purchased: 0,
+        sold: 0,
+        returned: 0,
+        writtenOff: 0,
+        available: 0,
+        lastMovement: null
+      });
+    }
+
+    const level = levels.get(key);
+    if (movement.type === 'purchase') level.purchased = roundQuantity(level.purchased + movement.quantity);
+    if (movement.type === 'sale') level.sold = roundQuantity(level.sold - movement.quantity);
+    if (movement.type === 'return') level.returned = roundQuantity(level.returned + movement.quantity);
+    if (movement.type === 'write_off') level.writtenOff = roundQuantity(level.writtenOff - movement.quantity);
+    level.available = roundQuantity(level.available + movement.quantity);
+    level.unit = level.unit || movement.unit;
+    level.lastMovement = movement.date;
+  });
+
+  return [...levels.values()].sort((a, b) => (
+    a.containerNo.localeCompare(b.containerNo) || a.product.localeCompare(b.product)
+  ));
+};
+
+const getStockLevels = async (organizationId, filters = {}) => summarizeStock(await getStockMovements(organizationId, filters));
+
+// Lines of a sale that need more than the container has left. Containers
+// with no purchase on record are not tracked and never fall short. Quantities
+// are in base units. Returns [{ containerNo, product, unit, requested, available }].
+const findStockShortfalls = async (organizationId, containerNo, lines, { excludeSaleId = null } = {}) => {
+  if (!containerNo || !(await Purchase.exists({ organizationId, containerNo: exactMatch(containerNo) }))) {
+    return [];
+  }
+
+  const levels = new Map(
+    (await getStockLevels(organizationId, { containerNo, excludeSaleId }))
+      .map(level => [stockKey(level.containerNo, level.product), level])
+  );
+
+  const requested = new Map();
+  lines.forEach((line) => {
+    const key = stockKey(containerNo, line.product);
+    const entry = requested.get(key) || { product: line.product, unit: line.baseUnit || '', quantity: 0 };
+    entry.quantity = roundQuantity(entry.quantity + getBaseQuantity(line));
+    requested.set(key, entry);
+  });
+
+  const shortfalls = [];
+  requested.forEach(({ product, unit, quantity }, key) => {
+    const level = levels.get(key);
+    const available = level ? level.available : 0;
+    if (quantity > available) {
+      shortfalls.push({ containerNo, product, unit: unit || (level && level.unit) || '', requested: quantity, available });
+    }
+  });
+
+  return shortfalls;
+};
+
+module.exports = {
+  getStockMovements,
+  summarizeStock,
+  getStockLevels,
+  findStockShortfalls
+};
@@ -0,0 +1,158 @@
+const Purchase = require('../models/Purchase');
+const { getStockMovements } = require('./stockLedger');
+const { getBaseQuantity, roundQuantity } = require('./units');
+const { exactMatch } = require('./query');
+
+// A lot is one purchase line: a product received in a container on its
+// arrival date, with a best-before date when it spoils. Like stock, lots are
+// worked out rather than stored. Sales of a container's product draw on its
+// lots first-expiring first (lots without a best-before date last, then
+// oldest arrival), a return goes back to the lots its invoice line drew on
+// and a write-off comes out of the lot it names. Quantities are in base units.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRING_DAYS = 7;
+
+const stockKey = (containerNo = '', product = '') => `${containerNo.trim().toLowerCase()}|${product.trim().toLowerCase()}`;
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Order lots are drawn in
+const compareLots = (a, b) => {
+  if (a.bestBefore && b.bestBefore && a.bestBefore.getTime() !== b.bestBefore.getTime()) return a.bestBefore - b.bestBefore;
+  if (a.bestBefore && !b.bestBefore) return -1;
+  if (!a.bestBefore && b.bestBefore) return 1;
+  return a.arrivalDate - b.arrivalDate;
+};
+
+// Lots matching the filters with what was sold, returned and written off of
+// each. Stock sold beyond a container's lots is returned as `unallocated`
+// per container and product.
+const getStockLots = async (organizationId, { containerNo = '', product = '' } = {}) => {
+  const purchaseQuery = { organizationId };
+  if (containerNo) purchaseQuery.containerNo = exactMatch(containerNo);
+  if (product) purchaseQuery.$or = [{ 'lines.product': exactMatch(product) }, { product: exactMatch(product) }];
+
+  const [purchases, movements] = await Promise.all([
+    Purchase.find(purchaseQuery).lean(),
+    getStockMovements(organizationId, { containerNo, product })
+  ]);
+
+  const productMatches = (name = '') => !product || name.trim().toLowerCase() === product.trim().toLowerCase();
+  const lotsById = new Map();
+  const lotsByStock = new Map();
+
+  purchases.forEach((purchase) => {
+    Purchase.getLines(purchase).filter(line => productMatches(line.product)).forEach((line) => {
+      const received = getBaseQuantity(line);
+      const lot = {
+        lotId: String(line._id || purchase._id),
+        purchaseId: purchase._id,
+        containerNo: purchase.containerNo,
+        product: line.product,
+        unit: line.baseUnit || '',
+        arrivalDate: new Date(purchase.arrivalDate || purchase.createdAt),
+        bestBefore: line.bestBefore ? new Date(line.bestBefore) : null,
+        received,
+        sold: 0,
+        returned: 0,
+        writtenOff: 0,
+        remaining: received,
+        unitCostAED: received > 0 ? (line.landedCostAED || line.totalAED || 0) / received : 0
+      };
+      lotsById.set(lot.lotId, lot);
+      const key = stockKey(lot.containerNo, lot.product);
+      lotsByStock.set(key, [...(lotsByStock.get(key) || []), lot]);
+    });
+  });
+  lotsByStock.forEach(lots => lots.sort(compareLots));
+
+  // What each invoice line drew from its lots, to put returns back
+  const drawnByLine = new Map();
+  const unallocated = new Map();
+  const addUnallocated = (movement, quantity) => {
+    const key = stockKey(movement.containerNo, movement.product);
+    const entry = unallocated.get(key) || { containerNo: movement.containerNo, product: movement.product, quantity: 0 };
+    entry.quantity = roundQuantity(entry.quantity + quantity);
+    unallocated.set(key, entry);
+  };
+
+  movements.forEach((movement) => {
+    const lots = lotsByStock.get(stockKey(movement.containerNo, movement.product)) || [];
+
+    if (movement.type === 'sale') {
+      const drawn = { lots: [], unallocated: 0 };
+      let left = -movement.quantity;
+      lots.forEach((lot) => {
+        const take = Math.min(left, lot.remaining);
+        if (take <= 0) return;
+        lot.sold = roundQuantity(lot.sold + take);
+        lot.remaining = roundQuantity(lot.remaining - take);
+        drawn.lots.push({ lot, quantity: take });
+        left = roundQuantity(left - take);
+      });
+      if (left > 0) {
+        drawn.unallocated = left;
+        addUnallocated(movement, left);
+      }
+      drawnByLine.set(movement.lineId, drawn);
+    }
+
+    if (movement.type === 'return') {
+      const drawn = drawnByLine.get(movement.lineId) || { lots: [], unallocated: 0 };
+      // Goods that were never in a lot come back first
+      let left = movement.quantity;
+      const fromUnallocated = Math.min(left, drawn.unallocated);
+      if (fromUnallocated > 0) {
+        drawn.unallocated = roundQuantity(drawn.unallocated - fromUnallocated);
+        addUnallocated(movement, -fromUnallocated);
+        left = roundQuantity(left - fromUnallocated);
+      }
+      [...drawn.lots].reverse().forEach((entry) => {
+        const back = Math.min(left, entry.quantity);
+        if (back <= 0) return;
+        entry.lot.returned = roundQuantity(entry.lot.returned + back);
+        entry.lot.remaining = roundQuantity(entry.lot.remaining + back);
+        entry.quantity = roundQuantity(entry.quantity - back);
+        left = roundQuantity(left - back);
+      });
+    }
+
+    if (movement.type === 'write_off' && lotsById.has(movement.lineId)) {
+      const lot = lotsById.get(movement.lineId);
+      lot.writtenOff = roundQuantity(lot.writtenOff - movement.quantity);
+      lot.remaining = roundQuantity(lot.remaining + movement.quantity);
+    }
+  });
+
+  return {
+    lots: [...lotsById.values()],
+    unallocated: [...unallocated.values()].filter(entry => entry.quantity > 0)
+  };
+};
+
+// Where a lot stands on `asOf`: days since arrival, days left to its
+// best-before date and a status of expired, expiring (within
+// `expiringDays`), fresh or no_date
+const describeLotAge = (lot, asOf = new Date(), expiringDays = DEFAULT_EXPIRING_DAYS) => {
+  const today = startOfDay(asOf);
+  const ageDays = Math.max(0, Math.floor((today - startOfDay(lot.arrivalDate)) / DAY_MS));
+  if (!lot.bestBefore) {
+    return { ageDays, daysToExpiry: null, status: 'no_date' };
+  }
+
+  const daysToExpiry = Math.round((startOfDay(lot.bestBefore) - today) / DAY_MS);
+  let status = 'fresh';
+  if (daysToExpiry < 0) status = 'expired';
+  else if (daysToExpiry <= expiringDays) status = 'expiring';
+  return { ageDays, daysToExpiry, status };
+};
+
+module.exports = {
+  DEFAULT_EXPIRING_DAYS,
+  getStockLots,
+  describeLotAge
+};
@@ -0,0 +1,89 @@
+const Product = require('../models/Product');
+const { escapeRegex } = require('./query');
+
+// Sale, quotation, purchase and credit note lines carry their quantity in the
+// unit they were entered in, with a snapshot of what that unit held at the
+// time: `unitFactor` base units per unit and `baseUnit`, the product's base
+// unit. Stock and the base-unit reports count in base units. Products that
+// are not in the catalogue have no units and take whole quantities.
+
+const productKey = (product = '') => product.trim().toLowerCase();
+
+// Quantities are rounded to avoid floating point noise in running totals
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Quantity of a line in its product's base unit. Lines saved before units
+// existed have no factor and count one for one.
+const getBaseQuantity = (line) => {
+  if (line.baseQuantity !== undefined && line.baseQuantity !== null) return line.baseQuantity;
+  return roundQuantity((Number(line.quantity) || 0) * (Number(line.unitFactor) || 1));
+};
+
+// A line's quantity, unit and rate restated in its product's base unit, for
+// reports that add up lines entered in different units
+const toBaseUnit = (line) => {
+  const factor = Number(line.unitFactor) || 1;
+  return {
+    quantity: getBaseQuantity(line),
+    unit: line.baseUnit || line.unit || '',
+    rate: Math.round(((Number(line.rate) || 0) / factor) * 10000) / 10000
+  };
+};
+
+// Catalogue products by lower-cased name
+const loadProducts = async (organizationId, names = []) => {
+  const unique = [...new Set(names.filter(Boolean).map(name => name.trim()))];
+  if (unique.length === 0) return new Map();
+
+  const products = await Product.find({
+    organizationId,
+    name: { $in: unique.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) }
+  }).select('name unit allowFraction units');
+  return new Map(products.map(product => [productKey(product.name), product]));
+};
+
+// Check each line's unit against its product and stamp the unit snapshot on
+// it. A line without a unit is in the product's base unit. Returns { lines }
+// or { error } with an error body.
+const resolveLineUnits = async (organizationId, lines) => {
+  const products = await loadProducts(organizationId, lines.map(line => line.product));
+
+  for (const line of lines) {
+    const product = products.get(productKey(line.product || ''));
+    const requested = (line.unit || '').trim();
+    const unit = product
+      ? product.findUnit(requested)
+      : { name: requested, factor: 1, allowFraction: false };
+
+    if (!unit) {
+      return {
+        error: {
+          error: 'Invalid unit',
+          message: `${product.name} is not sold in "${requested}". Use ${product.getUnitNames().join(', ')}.`
+        }
+      };
+    }
+    if (!unit.allowFraction && !Number.isInteger(Number(line.quantity))) {
+      return {
+        error: {
+          error: 'Invalid quantity',
+          message: `Quantities of ${line.product}${unit.name ? ` in ${unit.name}` : ''} must be whole numbers; ${line.quantity} was entered`
+        }
+      };
+    }
+
+    line.unit = unit.name;
+    line.unitFactor = unit.factor;
+    line.baseUnit = product ? product.unit : unit.name;
+    line.baseQuantity = roundQuantity((Number(line.quantity) || 0) * unit.factor);
+  }
+
+  return { lines };
+};
+
+module.exports = {
+  roundQuantity,
+  getBaseQuantity,
+  toBaseUnit,
+  resolveLineUnits
+};